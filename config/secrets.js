@@ -0,0 +1,32 @@
+// config/secrets.js
+//
+// Signing keys for tokens and verification codes. Each one is its own
+// environment variable and none falls back to another value: the Supabase
+// key in particular is the public anon key, so anything signed with it can
+// be forged. server.js refuses to start while any of them is missing.
+const SECRETS = {
+  auth: "AUTH_TOKEN_SECRET",
+  receipts: "RECEIPT_SECRET",
+  transcripts: "TRANSCRIPT_SECRET",
+  calendar: "CALENDAR_SECRET",
+};
+
+function getSecret(name) {
+  const variable = SECRETS[name];
+  if (!variable) throw new Error(`Unknown secret: ${name}`);
+
+  const value = process.env[variable];
+  if (!value) throw new Error(`${variable} is not set`);
+  return value;
+}
+
+// Environment variables of the secrets that are not set
+function missingSecrets() {
+  return Object.values(SECRETS).filter((variable) => !process.env[variable]);
+}
+
+module.exports = {
+  SECRETS,
+  getSecret,
+  missingSecrets,
+};
@@ -1,4 +1,5 @@
 const scheduleService = require('../services/scheduleservice');
+const { RoomError } = require('../services/rooms');
 
 class ScheduleController {
   
@@ -17,6 +18,7 @@ class ScheduleController {
         startTime,
         endTime,
         room,
+        roomId,
         teacherId,
         days,
         semesterId, // Optional: defaults to active semester
@@ -24,7 +26,7 @@ class ScheduleController {
       } = req.body;
       
       // Validate required fields
-      if (!subjectId || !programId || !yearLevel || !startTime || !endTime || !room || !days) {
+      if (!subjectId || !programId || !yearLevel || !startTime || !endTime || !(room || roomId) || !days) {
         return res.status(400).json({
           success: false,
           message: 'Missing required fields'
@@ -46,23 +48,29 @@ class ScheduleController {
         targetSemesterId = activeSemester.semester_id;
       }
       
+      // Schedules reference a registered room
+      const roomRecord = await scheduleService.resolveRoom(roomId, room);
+      
       // Check for conflicts (unless skipped)
       if (!skipConflictCheck) {
         const conflicts = await scheduleService.checkConflicts(
-          room,
+          roomRecord.name,
           days,
           startTime,
           endTime,
           programId,
           yearLevel,
-          targetSemesterId
+          targetSemesterId,
+          null,
+          { teacherId, batch, roomId: roomRecord.room_id }
         );
         
         if (conflicts.length > 0) {
           return res.status(409).json({
             success: false,
             message: 'Schedule conflicts detected',
-            conflicts: conflicts
+            conflicts: conflicts,
+            conflictsByType: scheduleService.groupConflicts(conflicts)
           });
         }
       }
@@ -75,7 +83,8 @@ class ScheduleController {
         batch,
         startTime,
         endTime,
-        room,
+        room: roomRecord.name,
+        roomId: roomRecord.room_id,
         teacherId,
         semesterId: targetSemesterId
       });
@@ -93,6 +102,9 @@ class ScheduleController {
       });
       
     } catch (error) {
+      if (error instanceof RoomError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
       console.error('Error creating schedule:', error);
       return res.status(500).json({
         success: false,
@@ -117,6 +129,7 @@ class ScheduleController {
         startTime,
         endTime,
         room,
+        roomId,
         teacherId,
         days,
         semesterId,
@@ -140,24 +153,34 @@ class ScheduleController {
         });
       }
       
+      // A new room must be a registered one
+      const roomRecord = room || roomId ? await scheduleService.resolveRoom(roomId, room) : null;
+      
       // Check for conflicts if critical fields are being updated
-      if (!skipConflictCheck && (room || days || startTime || endTime)) {
+      const criticalFields = [room, roomId, days, startTime, endTime, teacherId, programId, yearLevel, batch];
+      if (!skipConflictCheck && criticalFields.some(field => field !== undefined)) {
         const conflicts = await scheduleService.checkConflicts(
-          room || existingSchedule.room,
+          roomRecord ? roomRecord.name : existingSchedule.room,
           days || existingSchedule.days,
           startTime || existingSchedule.start_time,
           endTime || existingSchedule.end_time,
           programId || existingSchedule.program_id,
           yearLevel || existingSchedule.year_level,
           semesterId || existingSchedule.semester_id,
-          id // Exclude current schedule
+          id, // Exclude current schedule
+          {
+            teacherId: teacherId !== undefined ? teacherId : existingSchedule.teacher_id,
+            batch: batch !== undefined ? batch : existingSchedule.batch,
+            roomId: roomRecord ? roomRecord.room_id : existingSchedule.room_id
+          }
         );
         
         if (conflicts.length > 0) {
           return res.status(409).json({
             success: false,
             message: 'Schedule conflicts detected',
-            conflicts: conflicts
+            conflicts: conflicts,
+            conflictsByType: scheduleService.groupConflicts(conflicts)
           });
         }
       }
@@ -170,7 +193,8 @@ class ScheduleController {
         batch,
         startTime,
         endTime,
-        room,
+        room: roomRecord?.name,
+        roomId: roomRecord?.room_id,
         teacherId,
         semesterId
       });
@@ -190,6 +214,9 @@ class ScheduleController {
       });
       
     } catch (error) {
+      if (error instanceof RoomError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
       console.error('Error updating schedule:', error);
       return res.status(500).json({
         success: false,
@@ -202,15 +229,24 @@ class ScheduleController {
   /**
    * POST /api/schedules/check-conflicts
    * Just check for conflicts without creating
+   * Checks the room, the teacher (teacherId) and the section
+   * (programId, yearLevel, batch) for whichever of them are given
    */
   async checkConflicts(req, res) {
     try {
-      const { room, days, startTime, endTime, programId, yearLevel, semesterId, excludeScheduleId } = req.body;
+      const { room, roomId, days, startTime, endTime, programId, yearLevel, batch, teacherId, semesterId, excludeScheduleId } = req.body;
       
-      if (!room || !days || !startTime || !endTime) {
+      if (!days || !startTime || !endTime) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required fields: room, days, startTime, endTime'
+          message: 'Missing required fields: days, startTime, endTime'
+        });
+      }
+
+      if (!room && !roomId && !teacherId && !programId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide at least one of room, roomId, teacherId or programId'
         });
       }
 
@@ -228,25 +264,32 @@ class ScheduleController {
         targetSemesterId = activeSemester.semester_id;
       }
       
+      const roomRecord = room || roomId ? await scheduleService.resolveRoom(roomId, room) : null;
+      
       const conflicts = await scheduleService.checkConflicts(
-        room,
+        roomRecord?.name,
         days,
         startTime,
         endTime,
         programId,
         yearLevel,
         targetSemesterId,
-        excludeScheduleId
+        excludeScheduleId,
+        { teacherId, batch, roomId: roomRecord?.room_id }
       );
       
       return res.status(200).json({
         success: true,
         hasConflicts: conflicts.length > 0,
         count: conflicts.length,
-        conflicts: conflicts
+        conflicts: conflicts,
+        conflictsByType: scheduleService.groupConflicts(conflicts)
       });
       
     } catch (error) {
+      if (error instanceof RoomError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
       console.error('Error checking conflicts:', error);
       return res.status(500).json({
         success: false,
@@ -256,6 +299,60 @@ class ScheduleController {
     }
   }
   
+  /**
+   * GET /api/schedules/conflicts
+   * Audit every clashing pair of schedules in a semester
+   * Query: semesterId (defaults to active semester), type (room, teacher or section)
+   */
+  async auditConflicts(req, res) {
+    try {
+      const { semesterId, type } = req.query;
+
+      if (type && !scheduleService.CONFLICT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `type must be one of: ${scheduleService.CONFLICT_TYPES.join(', ')}`
+        });
+      }
+      
+      // Get active semester if not provided
+      let targetSemesterId = semesterId;
+      if (!targetSemesterId) {
+        const activeSemester = await scheduleService.getActiveSemester();
+        targetSemesterId = activeSemester.semester_id;
+      }
+      
+      let conflicts = await scheduleService.auditConflicts(targetSemesterId);
+      if (type) {
+        conflicts = conflicts.filter(conflict => conflict.type === type);
+      }
+      
+      const conflictsByType = scheduleService.groupConflicts(conflicts);
+      const counts = {};
+      Object.keys(conflictsByType).forEach(key => {
+        counts[key] = conflictsByType[key].length;
+      });
+      
+      return res.status(200).json({
+        success: true,
+        semesterId: targetSemesterId,
+        hasConflicts: conflicts.length > 0,
+        count: conflicts.length,
+        counts: counts,
+        conflicts: conflicts,
+        conflictsByType: conflictsByType
+      });
+      
+    } catch (error) {
+      console.error('Error auditing conflicts:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to audit conflicts',
+        error: error.message
+      });
+    }
+  }
+  
   /**
    * GET /api/schedules/search
    * Search schedules with filters
@@ -268,6 +365,7 @@ class ScheduleController {
         programId: req.query.programId,
         yearLevel: req.query.yearLevel,
         room: req.query.room,
+        roomId: req.query.roomId,
         teacherId: req.query.teacherId,
         semesterId: req.query.semesterId // Optional: defaults to active semester
       };
@@ -0,0 +1,328 @@
+const crypto = require("crypto");
+const { getSecret } = require("../config/secrets");
+
+// Application roles. Role names stored in the `roles` table are normalized
+// onto these keys so the rest of the code never compares raw display names.
+const ROLES = {
+  ADMIN: "admin",
+  REGISTRAR: "registrar",
+  CASHIER: "cashier",
+  INSTRUCTOR: "instructor",
+  STUDENT: "student",
+  APPLICANT: "applicant",
+  LIBRARIAN: "librarian",
+  GUIDANCE: "guidance",
+};
+
+const ROLE_ALIASES = {
+  admin: ROLES.ADMIN,
+  administrator: ROLES.ADMIN,
+  "super admin": ROLES.ADMIN,
+  registrar: ROLES.REGISTRAR,
+  cashier: ROLES.CASHIER,
+  accounting: ROLES.CASHIER,
+  instructor: ROLES.INSTRUCTOR,
+  teacher: ROLES.INSTRUCTOR,
+  faculty: ROLES.INSTRUCTOR,
+  student: ROLES.STUDENT,
+  applicant: ROLES.APPLICANT,
+  librarian: ROLES.LIBRARIAN,
+  library: ROLES.LIBRARIAN,
+  guidance: ROLES.GUIDANCE,
+  "guidance counselor": ROLES.GUIDANCE,
+};
+
+// Roles allowed to read any student's records
+const STAFF_ROLES = [ROLES.REGISTRAR, ROLES.CASHIER];
+
+const LOCAL_TOKEN_PREFIX = "local.";
+const LOCAL_TOKEN_TTL_SECONDS = 60 * 60 * 12;
+
+function normalizeRole(roleName) {
+  if (!roleName) return null;
+  return ROLE_ALIASES[String(roleName).trim().toLowerCase()] || null;
+}
+
+function signPayload(encodedPayload) {
+  return crypto
+    .createHmac("sha256", getSecret("auth"))
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+/**
+ * Issue a local session token for a row of the `users` table.
+ * Format: local.<base64url(payload)>.<hmac>
+ */
+function signLocalToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(
+    JSON.stringify({
+      sub: user.user_id,
+      email: user.email,
+      iat: now,
+      exp: now + LOCAL_TOKEN_TTL_SECONDS,
+    })
+  ).toString("base64url");
+
+  return `${LOCAL_TOKEN_PREFIX}${payload}.${signPayload(payload)}`;
+}
+
+/**
+ * Verify a local session token. Returns the decoded payload or null.
+ */
+function verifyLocalToken(token) {
+  if (!token || !token.startsWith(LOCAL_TOKEN_PREFIX)) return null;
+
+  const [payload, signature] = token.slice(LOCAL_TOKEN_PREFIX.length).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signPayload(payload));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!decoded.exp || decoded.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+function extractToken(req) {
+  const header = req.headers.authorization || "";
+  if (header.toLowerCase().startsWith("bearer ")) {
+    return header.slice(7).trim();
+  }
+  return null;
+}
+
+/**
+ * Build the request principal from a `users` row (or an applicant email).
+ */
+async function resolvePrincipal(supabase, { userId, email }) {
+  let query = supabase
+    .from("users")
+    .select("user_id, username, email, role_id, roles(role_name)");
+
+  // Exact match: ilike would treat "_" and "%" in the address as wildcards
+  query = userId ? query.eq("user_id", userId) : query.eq("email", email.toLowerCase());
+
+  const { data: user, error } = await query.maybeSingle();
+  if (error) throw error;
+
+  if (!user) {
+    // Not a system user yet - treat as an applicant if they filled the form
+    if (!email) return null;
+
+    const { data: applicant, error: applicantError } = await supabase
+      .from("form_responses")
+      .select("admission_id, email")
+      .eq("email", email.toLowerCase())
+      .limit(1)
+      .maybeSingle();
+
+    if (applicantError) throw applicantError;
+    if (!applicant) return null;
+
+    return {
+      user_id: null,
+      email: applicant.email,
+      role: ROLES.APPLICANT,
+      admission_id: applicant.admission_id,
+    };
+  }
+
+  const principal = {
+    user_id: user.user_id,
+    username: user.username,
+    email: user.email,
+    role_id: user.role_id,
+    role: normalizeRole(user.roles?.role_name),
+  };
+
+  if (principal.role === ROLES.STUDENT) {
+    const { data: student } = await supabase
+      .from("students")
+      .select("student_id, email")
+      .eq("user_id", user.user_id)
+      .maybeSingle();
+    principal.student_id = student?.student_id || null;
+  }
+
+  if (principal.role === ROLES.INSTRUCTOR) {
+    const { data: teacher } = await supabase
+      .from("teachers")
+      .select("teacher_id")
+      .eq("user_id", user.user_id)
+      .maybeSingle();
+    principal.teacher_id = teacher?.teacher_id || null;
+  }
+
+  return principal;
+}
+
+/**
+ * Middleware that authenticates the caller using either a Supabase access
+ * token or a local session token and attaches `req.user`.
+ */
+function createAuthenticate(supabase, logger) {
+  return async function authenticate(req, res, next) {
+    if (req.user) return next();
+
+    const token = extractToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    try {
+      let principal = null;
+      const localPayload = verifyLocalToken(token);
+
+      if (localPayload) {
+        principal = await resolvePrincipal(supabase, {
+          userId: localPayload.sub,
+        });
+      } else if (!token.startsWith(LOCAL_TOKEN_PREFIX)) {
+        const { data, error } = await supabase.auth.getUser(token);
+        if (!error && data?.user?.email) {
+          principal = await resolvePrincipal(supabase, {
+            email: data.user.email,
+          });
+          if (principal) principal.auth_id = data.user.id;
+        }
+      }
+
+      if (!principal || !principal.role) {
+        return res.status(401).json({ error: "Invalid or expired token" });
+      }
+
+      req.user = principal;
+      next();
+    } catch (err) {
+      logger.error("Error authenticating request", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * Allow the request only if the caller has one of the given roles.
+ * Admins are always allowed.
+ */
+function requireRole(...roles) {
+  return function checkRole(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    if (req.user.role === ROLES.ADMIN || roles.includes(req.user.role)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: "You do not have permission to access this resource",
+      role: req.user.role,
+    });
+  };
+}
+
+/**
+ * Reads are open to every authenticated role; anything else needs one of
+ * the given roles.
+ */
+function requireRoleForWrites(...roles) {
+  const checkRole = requireRole(...roles);
+  return function checkWriteRole(req, res, next) {
+    if (req.method === "GET" || req.method === "HEAD") return next();
+    return checkRole(req, res, next);
+  };
+}
+
+/**
+ * Students may only access their own records. Staff roles pass through.
+ * `getTarget(req)` returns `{ student_id }`, `{ admission_id }` or `{ email }`
+ * identifying the student (or applicant) the request is about, or a promise
+ * of one when the owner has to be looked up (e.g. from an enrollment id).
+ */
+function requireSelfOrRole(getTarget, ...roles) {
+  const allowed = roles.length > 0 ? roles : STAFF_ROLES;
+
+  return async function checkSelf(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const { role } = req.user;
+    if (role === ROLES.ADMIN || allowed.includes(role)) return next();
+
+    const target = (await getTarget(req)) || {};
+    const ownsStudentId =
+      target.student_id !== undefined &&
+      req.user.student_id &&
+      String(target.student_id) === String(req.user.student_id);
+    const ownsAdmission =
+      target.admission_id !== undefined &&
+      req.user.admission_id &&
+      String(target.admission_id) === String(req.user.admission_id);
+    const ownsEmail =
+      target.email &&
+      req.user.email &&
+      String(target.email).trim().toLowerCase() ===
+        req.user.email.toLowerCase();
+
+    if (
+      (role === ROLES.STUDENT || role === ROLES.APPLICANT) &&
+      (ownsStudentId || ownsAdmission || ownsEmail)
+    ) {
+      return next();
+    }
+
+    return res
+      .status(403)
+      .json({ error: "You can only access your own records" });
+  };
+}
+
+/**
+ * Run the given middlewares for every path except the listed public ones
+ * (paths are relative to the mount point, e.g. "/webhook").
+ */
+function exceptPaths(publicPaths, ...middlewares) {
+  return function guardUnlessPublic(req, res, next) {
+    if (publicPaths.includes(req.path)) return next();
+
+    let index = 0;
+    const run = (err) => {
+      if (err) return next(err);
+      const middleware = middlewares[index++];
+      if (!middleware) return next();
+      middleware(req, res, run);
+    };
+    run();
+  };
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  normalizeRole,
+  signLocalToken,
+  verifyLocalToken,
+  createAuthenticate,
+  requireRole,
+  requireRoleForWrites,
+  requireSelfOrRole,
+  exceptPaths,
+};
@@ -1,8 +1,12 @@
 const express = require("express");
+const admissions = require("../services/admissions");
+const { createErrorHandler } = require("../services/common");
 
-function createAdmissionsRouter(supabase) {
+function createAdmissionsRouter(supabase, logger = console) {
   const router = express.Router();
 
+  const handleError = createErrorHandler(logger);
+
   //get the total admissions
   router.get("/total", async (req, res) => {
     const { count, error } = await supabase
@@ -16,35 +20,184 @@ function createAdmissionsRouter(supabase) {
     res.json({ total_admissions: count });
   });
 
+  // ============================================
+  // PIPELINE CONFIGURATION
+  // ============================================
+  router.get("/pipeline", async (req, res) => {
+    try {
+      res.json({ success: true, ...(await admissions.getPipeline(supabase)) });
+    } catch (err) {
+      handleError(res, err, "GET /admissions/pipeline");
+    }
+  });
+
+  // Saving any status switches the pipeline from the defaults to the saved
+  // rows, so save the full list of statuses and transitions when customizing
+  router.put("/pipeline/statuses/:code", async (req, res) => {
+    try {
+      const { label, sort_order, is_decision = false, is_active = true } = req.body;
+
+      if (!label) return res.status(400).json({ error: "label is required" });
+
+      const { data, error } = await supabase
+        .from("admission_statuses")
+        .upsert(
+          [{ code: req.params.code, label, sort_order, is_decision, is_active }],
+          { onConflict: "code" }
+        )
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Admission status saved", { code: req.params.code, by: req.user?.user_id });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /admissions/pipeline/statuses/:code");
+    }
+  });
+
+  router.post("/pipeline/transitions", async (req, res) => {
+    try {
+      const { from_status, to_status, requires_score = null, requires_documents = false } = req.body;
+
+      if (!from_status || !to_status) {
+        return res.status(400).json({ error: "from_status and to_status are required" });
+      }
+      if (requires_score && !admissions.SCORE_KINDS.includes(requires_score)) {
+        return res.status(400).json({
+          error: `requires_score must be one of: ${admissions.SCORE_KINDS.join(", ")}`,
+        });
+      }
+
+      const { data, error } = await supabase
+        .from("admission_transitions")
+        .insert([{ from_status, to_status, requires_score, requires_documents: Boolean(requires_documents) }])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Admission transition added", { from_status, to_status, by: req.user?.user_id });
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /admissions/pipeline/transitions");
+    }
+  });
+
+  router.delete("/pipeline/transitions/:transition_id", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("admission_transitions")
+        .delete()
+        .eq("transition_id", req.params.transition_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Transition not found" });
+
+      logger.info("Admission transition removed", { ...data, by: req.user?.user_id });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "DELETE /admissions/pipeline/transitions/:transition_id");
+    }
+  });
+
+  // ============================================
+  // REPORTING
+  // ============================================
+  router.get("/report", async (req, res) => {
+    try {
+      const report = await admissions.buildReport(supabase, { course: req.query.course });
+      res.json({ success: true, ...report });
+    } catch (err) {
+      handleError(res, err, "GET /admissions/report");
+    }
+  });
+
+  // ============================================
+  // APPLICANT STATUS & SCORES
+  // ============================================
+  router.get("/applicant/:admission_id", async (req, res) => {
+    try {
+      const record = await admissions.getApplicantRecord(supabase, req.params.admission_id);
+      res.json({ success: true, ...record });
+    } catch (err) {
+      handleError(res, err, "GET /admissions/applicant/:admission_id");
+    }
+  });
+
+  router.post("/applicant/:admission_id/status", async (req, res) => {
+    try {
+      const { status, notes, send_letter } = req.body;
+
+      if (!status) return res.status(400).json({ error: "status is required" });
+
+      const result = await admissions.transitionApplicant(
+        supabase,
+        logger,
+        req.params.admission_id,
+        status,
+        {
+          changed_by: req.user?.user_id,
+          changed_by_role: req.user?.role,
+          notes,
+          send_letter: send_letter !== false,
+        }
+      );
+
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /admissions/applicant/:admission_id/status");
+    }
+  });
+
+  router.put("/applicant/:admission_id/scores/:kind", async (req, res) => {
+    try {
+      const { score, max_score, remarks } = req.body;
+
+      const data = await admissions.recordScore(
+        supabase,
+        logger,
+        req.params.admission_id,
+        req.params.kind,
+        { score, max_score, remarks, evaluated_by: req.user?.user_id }
+      );
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /admissions/applicant/:admission_id/scores/:kind");
+    }
+  });
+
+  // Accepted applicant -> student record, login, account and (optionally)
+  // a first enrollment: { program_id?, year_level?, admission_year?, semester_id?, scheme_id? }
+  router.post("/applicant/:admission_id/admit", async (req, res) => {
+    try {
+      const { program_id, year_level, admission_year, semester_id, scheme_id } = req.body;
+
+      const result = await admissions.admitApplicant(supabase, logger, req.params.admission_id, {
+        program_id,
+        year_level: year_level ? parseInt(year_level) : undefined,
+        admission_year: admission_year ? parseInt(admission_year) : undefined,
+        enroll: semester_id ? { semester_id, scheme_id } : null,
+        admitted_by: req.user?.user_id,
+      });
+
+      res.status(201).json({ success: true, message: "Applicant admitted", data: result });
+    } catch (err) {
+      handleError(res, err, "POST /admissions/applicant/:admission_id/admit");
+    }
+  });
+
   // Get admission applicants per course dynamically
   router.get("/:course", async (req, res) => {
     try {
       // get the course from the URL
       const course = req.params.course;
 
-      // optional: map shorthand to full name
-      const courseMap = {
-        bscs: "BS-Computer Science",
-        bsn: "BS-Nursing",
-        beed: "Bachelor of Elementary Education (Generalist)",
-        associate: "Associate in Computer Studies", // ✅ corrected
-        ab: "AB-Psychology", // make lowercase for key consistency
-        coe: "BS-Computer Engineering",
-        accountancy: "BS-Accountancy",
-        tourism: "BS-Tourism Management",
-        culinary: "BS-Hospitality Management (Culinary)",
-        cruise: "BS-Hospitality Management (Cruise)",
-        bsee: "Bachelor of Secondary Education (English)",
-        bses: "Bachelor of Secondary Education (Science)",
-        bsem: "Bachelor of Secondary Education (Math)",
-        bsef: "Bachelor of Secondary Education (Filipino)",
-        bsess: "Bachelor of Secondary Education (Social Science)",
-        bsahr: "BS-Accountancy (Human Resource)",
-        bsafm: "BS-Accountancy (Financial Management)",
-        bsam: "BS-Accountancy (Marketing)",
-      };
-
-      const preferredCourse = courseMap[course.toLowerCase()] || course;
+      const preferredCourse = admissions.COURSE_MAP[course.toLowerCase()] || course;
 
       const { data, count, error } = await supabase
         .from("form_responses")
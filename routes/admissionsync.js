@@ -0,0 +1,133 @@
+// routes/admissionsync.js
+const express = require("express");
+const multer = require("multer");
+const sync = require("../services/admissionsync");
+const { createErrorHandler } = require("../services/common");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+});
+
+function createAdmissionSyncRouter(supabase, logger) {
+  const router = express.Router();
+
+  const handleError = createErrorHandler(logger);
+
+  // Multipart fields arrive as strings
+  const isDryRun = (value) => value === true || value === "true";
+
+  // ============================================
+  // SYNC
+  // ============================================
+  router.post("/sheet", async (req, res) => {
+    try {
+      const result = await sync.syncFromSheet(supabase, logger, {
+        dry_run: isDryRun(req.body?.dry_run),
+        triggered_by: req.user?.user_id,
+      });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /admissions/sync/sheet");
+    }
+  });
+
+  // Offline import from a CSV/XLSX export; without a file, ADMISSION_SYNC_CSV
+  router.post("/csv", upload.single("file"), async (req, res) => {
+    try {
+      const result = await sync.syncFromFile(supabase, logger, {
+        buffer: req.file?.buffer || null,
+        file_name: req.file?.originalname || null,
+        dry_run: isDryRun(req.body?.dry_run),
+        triggered_by: req.user?.user_id,
+      });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /admissions/sync/csv");
+    }
+  });
+
+  // ============================================
+  // COLUMN MAPPING
+  // ============================================
+  router.get("/columns", async (req, res) => {
+    try {
+      const overrides = await sync.getColumnOverrides(supabase);
+      res.json({ success: true, defaults: sync.DEFAULT_COLUMNS, overrides });
+    } catch (err) {
+      handleError(res, err, "GET /admissions/sync/columns");
+    }
+  });
+
+  router.put("/columns", async (req, res) => {
+    try {
+      const { header, field } = req.body;
+      if (!header || !field) {
+        return res.status(400).json({ error: "header and field are required" });
+      }
+      if (!Object.prototype.hasOwnProperty.call(sync.DEFAULT_COLUMNS, field)) {
+        return res.status(400).json({
+          error: `field must be one of: ${Object.keys(sync.DEFAULT_COLUMNS).join(", ")}`,
+        });
+      }
+
+      const { data, error } = await supabase
+        .from("admission_sync_columns")
+        .upsert([{ header, field }], { onConflict: "header" })
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Admission sync column mapped", { header, field, by: req.user?.user_id });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /admissions/sync/columns");
+    }
+  });
+
+  // ============================================
+  // HISTORY
+  // ============================================
+  router.get("/runs", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("admission_sync_runs")
+        .select("*")
+        .order("started_at", { ascending: false })
+        .limit(parseInt(req.query.limit) || 50);
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /admissions/sync/runs");
+    }
+  });
+
+  router.get("/runs/:run_id", async (req, res) => {
+    try {
+      const [{ data: run, error }, { data: errors, error: errorsError }] = await Promise.all([
+        supabase.from("admission_sync_runs").select("*").eq("run_id", req.params.run_id).maybeSingle(),
+        supabase
+          .from("admission_sync_errors")
+          .select("*")
+          .eq("run_id", req.params.run_id)
+          .order("row_number", { ascending: true }),
+      ]);
+
+      if (error || errorsError) {
+        return res.status(400).json({ error: (error || errorsError).message });
+      }
+      if (!run) return res.status(404).json({ error: "Sync run not found" });
+
+      res.json({ success: true, data: { ...run, errors } });
+    } catch (err) {
+      handleError(res, err, "GET /admissions/sync/runs/:run_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdmissionSyncRouter;
@@ -1,4 +1,5 @@
 const express = require("express");
+const ledger = require("../services/ledger");
 
 function getallpayments(supabase, logger) {
   const router = express.Router();
@@ -397,26 +398,33 @@ router.get("/total", async (req, res) => {
   });
 
   // Route to get total balance of all accounts
+  // Derived from the ledger journal; the stored total is reported alongside
   router.get("/total-balance", async (req, res) => {
     try {
-      const { data, error } = await supabase
-        .from("accounts")
-        .select("total_balance");
-
-      if (error) {
-        logger.error("Error fetching account balances:", error);
-        return res.status(400).json({ error: error.message });
-      }
-
-      // Compute the total sum in JavaScript
-      const totalBalance = data.reduce(
+      const [accounts, journalBalances] = await Promise.all([
+        ledger.fetchAll(() =>
+          supabase
+            .from("accounts")
+            .select("account_id, total_balance")
+            .order("account_id", { ascending: true })
+        ),
+        ledger.getDerivedBalances(supabase),
+      ]);
+
+      const totalBalance = [...journalBalances.values()].reduce(
+        (sum, balance) => sum + balance,
+        0
+      );
+      const storedTotal = accounts.reduce(
         (sum, account) => sum + Number(account.total_balance || 0),
         0
       );
 
       res.json({
-        total_balance: totalBalance,
-        count: data.length,
+        total_balance: Math.round(totalBalance * 100) / 100,
+        stored_total_balance: Math.round(storedTotal * 100) / 100,
+        in_sync: Math.abs(totalBalance - storedTotal) <= 0.01,
+        count: accounts.length,
       });
     } catch (err) {
       logger.error("Unexpected error:", err);
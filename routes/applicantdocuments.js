@@ -0,0 +1,190 @@
+// routes/applicantdocuments.js
+const express = require("express");
+const documents = require("../services/applicantdocuments");
+const { ROLES, requireRole, requireSelfOrRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createApplicantDocumentsRouter(supabase, logger) {
+  const router = express.Router();
+  const registrar = requireRole(ROLES.REGISTRAR);
+  // Applicants may follow their own checklist
+  const selfOrRegistrar = requireSelfOrRole(
+    (req) => ({ admission_id: req.params.admission_id }),
+    ROLES.REGISTRAR
+  );
+
+  const handleError = createErrorHandler(logger);
+
+  function validApplicantType(type) {
+    return documents.APPLICANT_TYPES.includes(type);
+  }
+
+  // ============================================
+  // REQUIREMENTS
+  // ============================================
+  router.get("/requirements", registrar, async (req, res) => {
+    try {
+      const types = req.query.applicant_type
+        ? [req.query.applicant_type]
+        : documents.APPLICANT_TYPES;
+
+      if (!types.every(validApplicantType)) {
+        return res.status(400).json({
+          error: `applicant_type must be one of: ${documents.APPLICANT_TYPES.join(", ")}`,
+        });
+      }
+
+      const data = {};
+      for (const type of types) {
+        data[type] = await documents.getRequirements(supabase, type);
+      }
+
+      res.json({ success: true, document_types: documents.DOCUMENT_TYPES, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/applicant-documents/requirements");
+    }
+  });
+
+  router.put("/requirements/:applicant_type/:document_type", registrar, async (req, res) => {
+    try {
+      const { applicant_type, document_type } = req.params;
+      const { is_required = true, is_active = true, sort_order = null } = req.body;
+
+      if (!validApplicantType(applicant_type)) {
+        return res.status(400).json({
+          error: `applicant_type must be one of: ${documents.APPLICANT_TYPES.join(", ")}`,
+        });
+      }
+      if (!documents.DOCUMENT_TYPES[document_type]) {
+        return res.status(400).json({
+          error: `document_type must be one of: ${Object.keys(documents.DOCUMENT_TYPES).join(", ")}`,
+        });
+      }
+
+      const { data, error } = await supabase
+        .from("document_requirements")
+        .upsert(
+          [
+            {
+              applicant_type,
+              document_type,
+              is_required: Boolean(is_required),
+              is_active: Boolean(is_active),
+              sort_order,
+            },
+          ],
+          { onConflict: "applicant_type,document_type" }
+        )
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Document requirement saved", { ...data, by: req.user?.user_id });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/applicant-documents/requirements");
+    }
+  });
+
+  // ============================================
+  // CHECKLIST
+  // ============================================
+  router.get("/:admission_id", selfOrRegistrar, async (req, res) => {
+    try {
+      const checklist = await documents.getChecklist(supabase, req.params.admission_id);
+      res.json({ success: true, data: checklist });
+    } catch (err) {
+      handleError(res, err, "GET /api/applicant-documents/:admission_id");
+    }
+  });
+
+  // Percentage of required documents verified; the admissions pipeline uses
+  // the same figure to hold back transitions that require documents
+  router.get("/:admission_id/completeness", selfOrRegistrar, async (req, res) => {
+    try {
+      const { admission_id, applicant_type, completeness, complete, outstanding } =
+        await documents.getChecklist(supabase, req.params.admission_id);
+
+      res.json({
+        success: true,
+        data: { admission_id, applicant_type, completeness, complete, outstanding },
+      });
+    } catch (err) {
+      handleError(res, err, "GET /api/applicant-documents/:admission_id/completeness");
+    }
+  });
+
+  router.put("/:admission_id/applicant-type", registrar, async (req, res) => {
+    try {
+      const { applicant_type } = req.body;
+      if (!validApplicantType(applicant_type)) {
+        return res.status(400).json({
+          error: `applicant_type must be one of: ${documents.APPLICANT_TYPES.join(", ")}`,
+        });
+      }
+
+      const { data, error } = await supabase
+        .from("form_responses")
+        .update({ applicant_type })
+        .eq("admission_id", req.params.admission_id)
+        .select("admission_id, applicant_type")
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Applicant not found" });
+
+      logger.info("Applicant type changed", { ...data, by: req.user?.user_id });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/applicant-documents/:admission_id/applicant-type");
+    }
+  });
+
+  // ============================================
+  // REVIEW
+  // ============================================
+  router.post("/:admission_id/:document_type/review", registrar, async (req, res) => {
+    try {
+      const review = await documents.reviewDocument(
+        supabase,
+        logger,
+        req.params.admission_id,
+        req.params.document_type,
+        {
+          status: req.body.status,
+          notes: req.body.notes || null,
+          reviewed_by: req.user?.user_id,
+        }
+      );
+
+      res.json({ success: true, data: review });
+    } catch (err) {
+      handleError(res, err, "POST /api/applicant-documents/:admission_id/:document_type/review");
+    }
+  });
+
+  router.post("/:admission_id/:document_type/request-reupload", registrar, async (req, res) => {
+    try {
+      const result = await documents.requestReupload(
+        supabase,
+        logger,
+        req.params.admission_id,
+        req.params.document_type,
+        { notes: req.body.notes, requested_by: req.user?.user_id }
+      );
+
+      res.json({ success: true, data: result.review, messages: result.messages });
+    } catch (err) {
+      handleError(
+        res,
+        err,
+        "POST /api/applicant-documents/:admission_id/:document_type/request-reupload"
+      );
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApplicantDocumentsRouter;
@@ -1,6 +1,7 @@
 const express = require("express");
+const admissions = require("../services/admissions");
 
-function createApplicantsRouter(supabase) {
+function createApplicantsRouter(supabase, logger = console) {
   const router = express.Router();
 
   // Fetching users - newest first (default)
@@ -504,58 +505,43 @@ function createApplicantsRouter(supabase) {
 
   // ==================== END DOCUMENT ENDPOINTS ====================
 
-  // Update applicant status
-  // router.patch("/status/:admissionId", async (req, res) => {
-  //   console.log("🔴 PATCH /status endpoint hit!");
-  //   console.log("🔴 Params:", req.params);
-  //   console.log("🔴 Body:", req.body);
-  //   console.log("🔴 admissionId from params:", req.params.admissionId);
-
-  //   const { admissionId } = req.params;
-  //   const { status } = req.body;
-
-  //   const validStatuses = ["accepted", "rejected", "on-hold", "pending"];
-  //   if (!validStatuses.includes(status)) {
-  //     return res
-  //       .status(400)
-  //       .json({ success: false, message: "Invalid status provided." });
-  //   }
-
-  //   try {
-  //     const { data, error } = await supabase
-  //       .from("form_responses")
-  //       .update({ applicant_status: status })
-  //       .eq("admission_id", admissionId)
-  //       .select(); // 👈 force Supabase to return updated row(s)
-
-  //     console.log("Supabase update result:", { data, error });
-
-  //     if (error) {
-  //       console.error("Supabase update error:", error);
-  //       return res.status(500).json({
-  //         success: false,
-  //         message: "Failed to update applicant status.",
-  //       });
-  //     }
-
-  //     if (!data || data.length === 0) {
-  //       return res
-  //         .status(404)
-  //         .json({ success: false, message: "Applicant not found." });
-  //     }
-
-  //     res.json({
-  //       success: true,
-  //       message: "Applicant status updated successfully.",
-  //       updated: data,
-  //     });
-  //   } catch (err) {
-  //     console.error("Server error:", err);
-  //     res
-  //       .status(500)
-  //       .json({ success: false, message: "Internal server error." });
-  //   }
-  // });
+  // Update applicant status (goes through the admissions pipeline, so only
+  // allowed transitions are accepted and each change is audited)
+  router.patch("/status/:admissionId", async (req, res) => {
+    const { admissionId } = req.params;
+    const { status, notes } = req.body;
+
+    if (!status) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid status provided." });
+    }
+
+    try {
+      const result = await admissions.transitionApplicant(
+        supabase,
+        logger,
+        admissionId,
+        admissions.normalizeStatus(status),
+        { changed_by: req.user?.user_id, changed_by_role: req.user?.role, notes }
+      );
+
+      res.json({
+        success: true,
+        message: "Applicant status updated successfully.",
+        updated: [result.applicant],
+        history: result.history,
+      });
+    } catch (err) {
+      if (err instanceof admissions.AdmissionError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error("Server error:", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Internal server error." });
+    }
+  });
 
   // Get applicant status by email
   router.get("/status", async (req, res) => {
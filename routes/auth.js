@@ -0,0 +1,76 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+const {
+  createAuthenticate,
+  normalizeRole,
+  signLocalToken,
+} = require("../middleware/auth");
+
+function createAuthRouter(supabase, logger) {
+  const router = express.Router();
+  const authenticate = createAuthenticate(supabase, logger);
+
+  // Local login (username or email + password) - issues a local session token
+  router.post("/login", async (req, res) => {
+    try {
+      const { username, email, password } = req.body;
+
+      if ((!username && !email) || !password) {
+        return res
+          .status(400)
+          .json({ error: "Username or email and password are required" });
+      }
+
+      let query = supabase
+        .from("users")
+        .select("user_id, username, email, password_hash, roles(role_name)");
+      query = username
+        ? query.eq("username", username)
+        : query.eq("email", String(email).trim().toLowerCase());
+
+      const { data: user, error } = await query.maybeSingle();
+
+      if (error) {
+        logger.error("Error fetching user for login", { error: error.message });
+        return res.status(500).json({ error: "Internal server error" });
+      }
+
+      const valid =
+        user &&
+        user.password_hash &&
+        (await bcrypt.compare(password, user.password_hash));
+
+      if (!valid) {
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+
+      logger.info("User logged in", { user_id: user.user_id });
+
+      res.json({
+        success: true,
+        token: signLocalToken(user),
+        user: {
+          user_id: user.user_id,
+          username: user.username,
+          email: user.email,
+          role: normalizeRole(user.roles?.role_name),
+        },
+      });
+    } catch (err) {
+      logger.error("Unexpected error in POST /auth/login", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Current principal (works with Supabase and local tokens)
+  router.get("/me", authenticate, (req, res) => {
+    res.json({ success: true, user: req.user });
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
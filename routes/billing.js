@@ -1,8 +1,149 @@
 const express = require("express");
-const crypto = require("crypto");
+const { createPaymongoWebhookHandler } = require("../services/paymongowebhooks");
+const { getPaymentProvider } = require("../services/paymentprovider");
+const ledger = require("../services/ledger");
+const feeEngine = require("../services/feeengine");
+const curriculum = require("../services/curriculum");
+const grants = require("../services/grants");
+const overdue = require("../services/overdue");
+const receipts = require("../services/receipts");
+const notifications = require("../services/notifications");
+const sections = require("../services/sections");
 
 // ============================================
-// FIXED: Payment Processing with Atomic Operations
+// Settle what a completed payment paid for
+// ============================================
+// The ledger is the only writer of accounts.total_balance and
+// account_transactions. Every step is idempotent, so a retried webhook or
+// callback finishes a completion that failed half way; the payment is only
+// marked Completed once all of them have succeeded.
+//
+// enrollment_fees.payment_id and payment_installments.payment_id record which
+// payment settled a fee or installment (refunds put back only those).
+async function settlePayment(supabase, logger, payment_id, payment) {
+  const paid_at = new Date().toISOString();
+
+  await ledger.postPayment(supabase, logger, {
+    account_id: payment.account_id,
+    amount: parseFloat(payment.amount),
+    description: `Payment #${payment_id} - ${payment.payment_type}`,
+    enrollment_id: payment.enrollment_id,
+    payment_id,
+    reference: `payment:${payment_id}`,
+    created_by: payment.created_by,
+  });
+
+  if (payment.enrollment_id) {
+    if (ledger.FEE_PAYMENT_TYPES.includes(payment.payment_type)) {
+      let query = supabase
+        .from("enrollment_fees")
+        .update({ is_paid: true, paid_at, payment_id })
+        .eq("enrollment_id", payment.enrollment_id)
+        .eq("is_paid", false);
+
+      // A downpayment only settles the Downpayment fee
+      if (payment.payment_type === "downpayment") {
+        query = query.eq("fee_type", "Downpayment");
+      }
+
+      const { error } = await query;
+      if (error) throw error;
+    }
+
+    if (ledger.INSTALLMENT_PAYMENT_TYPES.includes(payment.payment_type)) {
+      await settleNextInstallment(supabase, payment_id, payment.enrollment_id, paid_at);
+    }
+
+    await refreshEnrollmentPaymentStatus(supabase, payment);
+  }
+
+  const { error: paymentError } = await supabase
+    .from("payments")
+    .update({ status: "Completed" })
+    .eq("payment_id", payment_id)
+    .neq("status", "Completed");
+
+  if (paymentError) throw paymentError;
+}
+
+// The earliest pending installment, unless a retry already settled one
+async function settleNextInstallment(supabase, payment_id, enrollment_id, paid_at) {
+  const { data: settled, error: settledError } = await supabase
+    .from("payment_installments")
+    .select("installment_id")
+    .eq("payment_id", payment_id)
+    .limit(1);
+
+  if (settledError) throw settledError;
+  if (settled.length > 0) return;
+
+  const { data: installment, error: fetchError } = await supabase
+    .from("payment_installments")
+    .select("installment_id")
+    .eq("enrollment_id", enrollment_id)
+    .eq("status", "pending")
+    .order("due_date", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!installment) return;
+
+  const { error } = await supabase
+    .from("payment_installments")
+    .update({ status: "paid", paid_at, payment_id })
+    .eq("installment_id", installment.installment_id)
+    .eq("status", "pending");
+
+  if (error) throw error;
+}
+
+// A first fee payment confirms a pending enrollment; payment_status follows
+// what is still unpaid
+async function refreshEnrollmentPaymentStatus(supabase, payment) {
+  const [feesResult, installmentsResult, enrollmentResult] = await Promise.all([
+    supabase
+      .from("enrollment_fees")
+      .select("fee_id")
+      .eq("enrollment_id", payment.enrollment_id)
+      .eq("is_paid", false),
+    supabase
+      .from("payment_installments")
+      .select("installment_id")
+      .eq("enrollment_id", payment.enrollment_id)
+      .eq("status", "pending"),
+    supabase
+      .from("enrollments")
+      .select("status")
+      .eq("enrollment_id", payment.enrollment_id)
+      .single(),
+  ]);
+
+  for (const result of [feesResult, installmentsResult, enrollmentResult]) {
+    if (result.error) throw result.error;
+  }
+
+  const updates = {
+    payment_status:
+      feesResult.data.length === 0 && installmentsResult.data.length === 0 ? "Paid" : "Partial",
+  };
+  if (
+    enrollmentResult.data.status === "Pending" &&
+    ledger.FEE_PAYMENT_TYPES.includes(payment.payment_type)
+  ) {
+    updates.status = "Enrolled";
+  }
+
+  const { error } = await supabase
+    .from("enrollments")
+    .update(updates)
+    .eq("enrollment_id", payment.enrollment_id);
+
+  if (error) throw error;
+}
+
+// ============================================
+// Payment completion
 // ============================================
 
 async function processPaymentCompletion(supabase, logger, payment_id, payment) {
@@ -22,41 +163,81 @@ async function processPaymentCompletion(supabase, logger, payment_id, payment) {
       enrollment_id: payment.enrollment_id,
     });
 
+    try {
+      await settlePayment(supabase, logger, payment_id, payment);
+    } catch (settleError) {
+      logger.error("Payment settlement failed", {
+        error: settleError.message,
+        payment_id,
+      });
+      throw settleError;
+    }
+
+    logger.info("Payment settled", { payment_id });
+
     // ============================================
-    // CRITICAL FIX: Use Database Transaction
+    // Post-transaction processing (non-critical)
     // ============================================
-    const { data: result, error: txError } = await supabase.rpc(
-      "process_payment_transaction",
-      {
-        p_payment_id: payment_id,
-        p_account_id: payment.account_id,
-        p_enrollment_id: payment.enrollment_id,
-        p_amount: parseFloat(payment.amount),
-        p_payment_type: payment.payment_type,
+
+    // Lift the overdue hold if this payment cleared the late installments
+    if (payment.enrollment_id) {
+      try {
+        await overdue.releaseSettledHolds(supabase, logger, payment.enrollment_id);
+      } catch (holdError) {
+        logger.error("Error releasing overdue hold (non-critical)", {
+          error: holdError.message,
+          enrollment_id: payment.enrollment_id,
+        });
       }
-    );
+    }
 
-    if (txError) {
-      logger.error("Transaction processing failed", {
-        error: txError.message,
+    // Number the official receipt for this payment
+    let receipt = null;
+    try {
+      receipt = await receipts.issueReceipt(supabase, logger, payment_id, {
+        issued_by: payment.created_by,
+      });
+    } catch (receiptError) {
+      logger.error("Error issuing official receipt (non-critical)", {
+        error: receiptError.message,
         payment_id,
       });
-      throw txError;
     }
 
-    logger.info("Payment transaction completed successfully", {
-      payment_id,
-      result,
-    });
+    // Confirm the payment to the student
+    try {
+      const { data: account } = await supabase
+        .from("accounts")
+        .select("student_id")
+        .eq("account_id", payment.account_id)
+        .single();
 
-    // ============================================
-    // Post-transaction processing (non-critical)
-    // ============================================
+      if (account?.student_id) {
+        await notifications.notify(supabase, logger, {
+          template: "payment_confirmation",
+          channels: ["email", "in_app"],
+          to: { student_id: account.student_id },
+          variables: {
+            amount: parseFloat(payment.amount).toFixed(2),
+            payment_type: payment.payment_type,
+            paid_at: new Date().toLocaleDateString(),
+            or_number: receipt?.or_number || "to follow",
+            balance: (await ledger.getDerivedBalance(supabase, payment.account_id)).toFixed(2),
+          },
+          dedupe_key: `payment:${payment_id}`,
+        });
+      }
+    } catch (notifyError) {
+      logger.error("Error sending payment confirmation (non-critical)", {
+        error: notifyError.message,
+        payment_id,
+      });
+    }
 
     // Get enrollment details for subject creation
     const { data: enrollmentDetails } = await supabase
       .from("enrollments")
-      .select("program_id, semester_id, student_id, status")
+      .select("enrollment_id, program_id, year_level, semester_id, student_id, status")
       .eq("enrollment_id", payment.enrollment_id)
       .single();
 
@@ -125,10 +306,10 @@ async function createEnrollmentSubjects(
 
     const { program_id, semester_id, student_id } = enrollmentDetails;
 
-    // Get student's year level
+    // Get student's year level and curriculum
     const { data: student } = await supabase
       .from("students")
-      .select("year_level")
+      .select("student_id, program_id, year_level, admission_year, curriculum_id")
       .eq("student_id", student_id)
       .single();
 
@@ -137,20 +318,22 @@ async function createEnrollmentSubjects(
       return;
     }
 
-    // Get all subjects for the program, semester, and year level
-    const { data: subjects, error: subjectsError } = await supabase
-      .from("course_subjects")
-      .select("subject_id")
-      .eq("program_id", program_id)
-      .eq("semester_id", semester_id)
-      .eq("year_level", student.year_level);
-
-    if (subjectsError) {
+    // Get the curriculum subjects for the semester and year level
+    let subjects;
+    try {
+      const studentCurriculum = await curriculum.resolveStudentCurriculum(supabase, logger, student);
+      subjects = await curriculum.getTermSubjects(supabase, {
+        program_id,
+        curriculum_id: studentCurriculum?.curriculum_id || null,
+        year_level: student.year_level,
+        semester_id,
+      });
+    } catch (subjectsError) {
       logger.error("Error fetching subjects", { error: subjectsError.message });
       return;
     }
 
-    if (!subjects || subjects.length === 0) {
+    if (subjects.length === 0) {
       logger.warn("No subjects found for enrollment", {
         program_id,
         semester_id,
@@ -159,27 +342,20 @@ async function createEnrollmentSubjects(
       return;
     }
 
-    // Create enrollment subjects
-    const enrollmentSubjects = subjects.map((subject) => ({
-      enrollment_id,
-      subject_id: subject.subject_id,
-      status: "Enrolled",
-    }));
-
-    const { error: insertError } = await supabase
-      .from("enrollment_subjects")
-      .insert(enrollmentSubjects);
-
-    if (insertError) {
-      logger.error("Error creating enrollment subjects", {
-        error: insertError.message,
-      });
-      return;
-    }
+    // Seat the subjects in sections; those the student may not take yet
+    // are left for the registrar
+    const placement = await sections.loadTermSubjects(
+      supabase,
+      logger,
+      { ...enrollmentDetails, enrollment_id, year_level: enrollmentDetails.year_level ?? student.year_level },
+      subjects.map((subject) => subject.subject_id)
+    );
 
     logger.info("Enrollment subjects created successfully", {
       enrollment_id,
-      subject_count: enrollmentSubjects.length,
+      seated: placement.seated.length,
+      waitlisted: placement.waitlisted.length,
+      blocked: placement.blocked.length,
     });
   } catch (err) {
     logger.error("Error in createEnrollmentSubjects", {
@@ -250,45 +426,99 @@ async function generateBilling(supabase, logger, enrollment_id, created_by) {
     throw new Error("Billing already generated for this enrollment");
   }
 
-  // 3. Calculate total amount after discount
-  const baseAmount = parseFloat(scheme.amount);
-  const discount = parseFloat(scheme.discount) || 0;
-  const totalAmount = Math.round((baseAmount - discount) * 100) / 100;
+  // 3. Itemized assessment from the fee rules, priced by the scheme
+  const assessment = await feeEngine.assessEnrollment(supabase, enrollment);
+  const pricing = feeEngine.priceScheme(scheme, assessment);
+  const baseAmount = pricing.amount;
+  const discount = pricing.discount;
+  const totalAmount = pricing.final_amount;
 
   if (totalAmount <= 0) {
     throw new Error("Invalid billing amount");
   }
 
+  if (pricing.source === "scheme") {
+    logger.warn("No fee rules apply - billing from scheme amount", {
+      enrollment_id,
+      scheme_id: scheme.scheme_id,
+    });
+  }
+
   // ============================================
-  // CRITICAL FIX: Initialize Account Balance Atomically
+  // Post the assessment to the student ledger
   // ============================================
   const student_id = enrollment.student_id;
-
-  // Use database function to atomically initialize account
-  const { data: accountResult, error: accountError } = await supabase.rpc(
-    "initialize_account_balance",
-    {
-      p_enrollment_id: enrollment_id, // ✅ First parameter
-      p_scheme_name: scheme.scheme_name, // ✅ Second parameter
-      p_student_id: student_id, // ✅ Third parameter
-      p_total_amount: totalAmount, // ✅ Fourth parameter
+  const account = await ledger.getOrCreateAccount(supabase, student_id);
+  const account_id = account.account_id;
+
+  if (pricing.source === "fee_rules") {
+    // One charge per assessment line; non-tuition fees go to fee revenue
+    for (const item of assessment.items) {
+      await ledger.postCharge(supabase, logger, {
+        account_id,
+        amount: item.amount,
+        description: `${item.description} - ${scheme.scheme_name}`,
+        enrollment_id,
+        reference: `assessment:${enrollment_id}:${item.key}`,
+        created_by,
+        ...(item.category !== feeEngine.FEE_CATEGORIES.TUITION && {
+          debit_account: ledger.LEDGER_ACCOUNTS.RECEIVABLE,
+          credit_account: ledger.LEDGER_ACCOUNTS.FEE_REVENUE,
+        }),
+      });
     }
-  );
+  } else {
+    await ledger.postCharge(supabase, logger, {
+      account_id,
+      amount: baseAmount,
+      description: `Tuition assessment - ${scheme.scheme_name}`,
+      enrollment_id,
+      reference: `assessment:${enrollment_id}`,
+      created_by,
+    });
+  }
 
-  if (accountError) {
-    logger.error("Error initializing account", {
-      error: accountError.message,
-      student_id,
+  if (discount > 0) {
+    await ledger.postDiscount(supabase, logger, {
+      account_id,
+      amount: discount,
+      description: `Scheme discount - ${scheme.scheme_name}`,
+      enrollment_id,
+      reference: `assessment-discount:${enrollment_id}`,
+      created_by,
     });
-    throw accountError;
   }
 
-  const account_id = accountResult;
+  // Scholarships, discounts and sponsors approved for this semester
+  const approvedGrants = await grants.getApprovedGrants(
+    supabase,
+    student_id,
+    enrollment.semester_id
+  );
+  const allocation = grants.allocateGrants(approvedGrants, {
+    tuition:
+      pricing.source === "fee_rules"
+        ? Math.max(assessment.tuition - discount, 0)
+        : totalAmount,
+    total: totalAmount,
+  });
+
+  await grants.postGrantAllocation(supabase, logger, {
+    enrollment_id,
+    account_id,
+    allocation,
+    created_by,
+  });
+
+  // What the student pays after grants
+  const studentTotal = allocation.student_share;
 
   logger.info("Account balance initialized", {
     account_id,
     student_id,
-    initial_balance: totalAmount,
+    initial_balance: studentTotal,
+    total_discount: allocation.total_discount,
+    total_sponsored: allocation.total_sponsored,
   });
 
   // 4. Generate billing based on scheme type
@@ -296,19 +526,53 @@ async function generateBilling(supabase, logger, enrollment_id, created_by) {
 
   if (scheme.scheme_type === "full_payment") {
     // ===== SCHEME 1: FULL PAYMENT =====
-    const { data: fee, error: feeError } = await supabase
+    // One fee row per assessment line (the discount as a negative row) so
+    // the unpaid fees still add up to the amount due
+    const feeRows =
+      pricing.source === "fee_rules"
+        ? assessment.items.map((item) => ({
+            enrollment_id,
+            fee_type: item.fee_type,
+            description: item.description,
+            amount: item.amount,
+            is_paid: false,
+          }))
+        : [
+            {
+              enrollment_id,
+              fee_type: "Tuition",
+              description: `Full Payment - ${scheme.scheme_name}`,
+              amount: baseAmount,
+              is_paid: false,
+            },
+          ];
+
+    if (discount > 0) {
+      feeRows.push({
+        enrollment_id,
+        fee_type: "Discount",
+        description: `Scheme discount - ${scheme.scheme_name}`,
+        amount: -discount,
+        is_paid: false,
+      });
+    }
+
+    for (const line of [...allocation.discounts, ...allocation.sponsorships]) {
+      feeRows.push({
+        enrollment_id,
+        fee_type: line.sponsor_id ? "Sponsorship" : "Discount",
+        description: line.sponsor_id
+          ? `Covered by ${line.sponsor_name} - ${line.name}`
+          : line.name,
+        amount: -line.amount,
+        is_paid: false,
+      });
+    }
+
+    const { data: fees, error: feeError } = await supabase
       .from("enrollment_fees")
-      .insert([
-        {
-          enrollment_id,
-          fee_type: "Tuition",
-          description: `Full Payment - ${scheme.scheme_name}`,
-          amount: totalAmount,
-          is_paid: false,
-        },
-      ])
-      .select()
-      .single();
+      .insert(feeRows)
+      .select();
 
     if (feeError) {
       logger.error("Error creating full payment fee", {
@@ -322,22 +586,30 @@ async function generateBilling(supabase, logger, enrollment_id, created_by) {
       scheme_id: scheme.scheme_id,
       total_amount: totalAmount,
       discount: discount,
-      fee_id: fee.fee_id,
+      fee_id: fees[0].fee_id,
+      fee_ids: fees.map((fee) => fee.fee_id),
       description: "Single full payment required",
-      account_balance: totalAmount,
+      account_balance: studentTotal,
     };
   } else if (scheme.scheme_type === "installment") {
     // ===== SCHEME 2 & 3: INSTALLMENT PLANS =====
-    const downpayment = parseFloat(scheme.downpayment) || 0;
-    const monthlyPayment = parseFloat(scheme.monthly_payment) || 0;
-    const months = parseInt(scheme.months) || 4;
+    // Grants shrink the student's share: split what is left over the months
+    const hasGrants = studentTotal !== totalAmount;
+    const months = pricing.months;
+    const downpayment = hasGrants
+      ? Math.min(pricing.downpayment, studentTotal)
+      : pricing.downpayment;
+    const monthlyPayment = hasGrants
+      ? Math.round(((studentTotal - downpayment) / months) * 100) / 100
+      : pricing.monthly_payment;
+    const resplit = pricing.source === "fee_rules" || hasGrants;
 
     // Validate installment amounts
     const totalInstallments =
       Math.round((downpayment + monthlyPayment * months) * 100) / 100;
-    if (Math.abs(totalInstallments - totalAmount) > 0.01) {
+    if (Math.abs(totalInstallments - studentTotal) > 0.01) {
       logger.warn("Installment amounts do not match total", {
-        totalAmount,
+        studentTotal,
         totalInstallments,
         downpayment,
         monthlyPayment,
@@ -375,10 +647,18 @@ async function generateBilling(supabase, logger, enrollment_id, created_by) {
       const dueDate = new Date(currentDate);
       dueDate.setMonth(dueDate.getMonth() + i);
 
+      // The last installment absorbs rounding from the monthly split
+      const amount =
+        resplit && i === months
+          ? Math.round(
+              (studentTotal - downpayment - monthlyPayment * (months - 1)) * 100
+            ) / 100
+          : monthlyPayment;
+
       installments.push({
         enrollment_id,
         installment_number: i,
-        amount: monthlyPayment,
+        amount,
         due_date: dueDate.toISOString().split("T")[0],
         status: "pending",
       });
@@ -419,7 +699,7 @@ async function generateBilling(supabase, logger, enrollment_id, created_by) {
       description: `Downpayment of ₱${downpayment.toFixed(
         2
       )} + ${months} monthly payments of ₱${monthlyPayment.toFixed(2)}`,
-      account_balance: totalAmount,
+      account_balance: studentTotal,
       initial_payment_required: downpayment,
     };
   } else {
@@ -431,7 +711,7 @@ async function generateBilling(supabase, logger, enrollment_id, created_by) {
     scheme_id: scheme.scheme_id,
     scheme_type: scheme.scheme_type,
     total_amount: totalAmount,
-    account_balance_initialized: totalAmount,
+    account_balance_initialized: studentTotal,
   });
 
   return {
@@ -441,6 +721,11 @@ async function generateBilling(supabase, logger, enrollment_id, created_by) {
     scheme_name: scheme.scheme_name,
     scheme_type: scheme.scheme_type,
     ...result,
+    assessment: {
+      source: pricing.source,
+      ...assessment,
+    },
+    grants: allocation,
     generated_at: new Date().toISOString(),
     generated_by: created_by,
   };
@@ -495,10 +780,8 @@ async function handleEnrollmentPayment(metadata, supabase, logger) {
 function enrollmentbilling(supabase, logger) {
   const router = express.Router();
 
-  // PayMongo configuration
-  const PAYMONGO_ENABLED = process.env.PAYMONGO_ENABLED === "true";
-  const PAYMONGO_SECRET_KEY = process.env.PAYMONGO_SECRET_KEY;
-  const PAYMONGO_WEBHOOK_SECRET = process.env.PAYMONGO_WEBHOOK_SECRET;
+  // Payment provider (PayMongo or the local mock)
+  const paymentProvider = getPaymentProvider();
   const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
   const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
 
@@ -558,7 +841,7 @@ function enrollmentbilling(supabase, logger) {
 
       logger.info("Creating payment checkout", {
         enrollment_id,
-        paymongo_enabled: PAYMONGO_ENABLED,
+        provider: paymentProvider.name,
       });
 
       // 1. Get enrollment with scheme details
@@ -727,120 +1010,62 @@ function enrollmentbilling(supabase, logger) {
 
       const payment_id = payment.payment_id;
 
-      // 5. Create PayMongo checkout OR mock checkout
-      let checkout_url;
-      let checkout_id;
-
-      if (PAYMONGO_ENABLED && PAYMONGO_SECRET_KEY) {
-        // ===== ONLINE MODE: Use real PayMongo =====
-        try {
-          const axios = require("axios");
-          const amountInCentavos = Math.round(amount * 100);
-
-          const checkoutData = {
-            data: {
-              attributes: {
-                send_email_receipt: true,
-                show_description: true,
-                show_line_items: true,
-                line_items: [
-                  {
-                    currency: "PHP",
-                    amount: amountInCentavos,
-                    description: description,
-                    name: description,
-                    quantity: 1,
-                  },
-                ],
-                payment_method_types: ["gcash", "paymaya", "card", "grab_pay"],
-                success_url: `${BASE_URL}/api/enrollment-billing/payment/success?payment_id=${payment_id}`,
-                cancel_url: `${BASE_URL}/api/enrollment-billing/payment/cancel?payment_id=${payment_id}`,
-                description: description,
-                metadata: {
-                  payment_id: payment_id.toString(),
-                  enrollment_id: enrollment_id.toString(),
-                  student_id: student_id.toString(),
-                  payment_type: payment_type,
-                  payment_category: "enrollment",
-                  scheme_id: scheme.scheme_id.toString(),
-                  account_id: account_id.toString(),
-                  idempotency_key: idempotency_key,
-                },
-              },
-            },
-          };
-
-          const checkoutResponse = await axios.post(
-            "https://api.paymongo.com/v1/checkout_sessions",
-            checkoutData,
-            {
-              headers: {
-                Authorization: `Basic ${Buffer.from(
-                  PAYMONGO_SECRET_KEY
-                ).toString("base64")}`,
-                "Content-Type": "application/json",
-              },
-            }
-          );
-
-          const checkoutSession = checkoutResponse.data.data;
-          checkout_url = checkoutSession.attributes.checkout_url;
-          checkout_id = checkoutSession.id;
-
-          // Save PayMongo transaction
-          await supabase.from("payment_transactions").insert([
-            {
-              payment_id,
-              paymongo_payment_id: checkout_id,
-              amount,
-              currency: "PHP",
-              status: "pending",
-              checkout_url,
-              expires_at: new Date(
-                Date.now() + CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000
-              ).toISOString(),
-            },
-          ]);
-
-          logger.info("Created PayMongo checkout", {
-            payment_id,
-            checkout_id,
-          });
-        } catch (error) {
-          logger.error("PayMongo error", {
-            error: error.response?.data || error.message,
-          });
-          return res.status(500).json({
-            error: "Payment gateway error",
-            details: error.response?.data?.errors?.[0]?.detail || error.message,
-          });
-        }
-      } else {
-        // ===== OFFLINE MODE: Mock checkout for local testing =====
-        checkout_url = `${BASE_URL}/payment/mock-checkout?payment_id=${payment_id}`;
-        checkout_id = `mock_checkout_${payment_id}_${Date.now()}`;
-
-        // Save mock transaction
-        await supabase.from("payment_transactions").insert([
-          {
-            payment_id,
-            paymongo_payment_id: checkout_id,
-            amount,
-            currency: "PHP",
-            status: "pending",
-            checkout_url,
-            expires_at: new Date(
-              Date.now() + CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000
-            ).toISOString(),
+      // 5. Create the checkout session with the configured provider
+      let session;
+      try {
+        session = await paymentProvider.createCheckoutSession({
+          amount,
+          description,
+          success_url: `${BASE_URL}/api/enrollment-billing/payment/success?payment_id=${payment_id}`,
+          cancel_url: `${BASE_URL}/api/enrollment-billing/payment/cancel?payment_id=${payment_id}`,
+          metadata: {
+            payment_id: payment_id.toString(),
+            enrollment_id: enrollment_id.toString(),
+            student_id: student_id.toString(),
+            payment_type: payment_type,
+            payment_category: "enrollment",
+            scheme_id: scheme.scheme_id.toString(),
+            account_id: account_id.toString(),
+            idempotency_key: idempotency_key,
           },
-        ]);
-
-        logger.info("Created OFFLINE mock checkout", {
-          payment_id,
-          checkout_id,
+        });
+      } catch (error) {
+        logger.error("Payment gateway error", {
+          provider: paymentProvider.name,
+          error: error.response?.data || error.message,
+        });
+        return res.status(500).json({
+          error: "Payment gateway error",
+          details: error.response?.data?.errors?.[0]?.detail || error.message,
         });
       }
 
+      const checkout_url = session.checkout_url;
+      const checkout_id = session.id;
+      const expires_at =
+        session.expires_at ||
+        new Date(
+          Date.now() + CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000
+        ).toISOString();
+
+      await supabase.from("payment_transactions").insert([
+        {
+          payment_id,
+          paymongo_payment_id: checkout_id,
+          amount,
+          currency: "PHP",
+          status: "pending",
+          checkout_url,
+          expires_at,
+        },
+      ]);
+
+      logger.info("Created checkout session", {
+        payment_id,
+        checkout_id,
+        provider: paymentProvider.name,
+      });
+
       res.json({
         success: true,
         payment_id,
@@ -851,10 +1076,8 @@ function enrollmentbilling(supabase, logger) {
         scheme_id: scheme.scheme_id,
         scheme_name: scheme.scheme_name,
         description,
-        is_mock: !PAYMONGO_ENABLED,
-        expires_at: new Date(
-          Date.now() + CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000
-        ),
+        is_mock: paymentProvider.name === "mock",
+        expires_at,
       });
     } catch (err) {
       logger.error("Unexpected error creating checkout", {
@@ -952,119 +1175,13 @@ function enrollmentbilling(supabase, logger) {
   });
 
   // ============================================
-  // PAYMONGO WEBHOOK HANDLER (SECURED)
+  // PAYMONGO WEBHOOK HANDLER
   // ============================================
+  // Verified, stored and dispatched by services/paymongowebhooks.js
   router.post(
     "/webhook/paymongo",
     express.raw({ type: "application/json" }),
-    async (req, res) => {
-      try {
-        // ============================================
-        // CRITICAL FIX: Verify Webhook Signature
-        // ============================================
-        if (PAYMONGO_ENABLED && PAYMONGO_WEBHOOK_SECRET) {
-          const signature = req.headers["paymongo-signature"];
-
-          if (!signature) {
-            logger.error("Missing webhook signature");
-            return res
-              .status(401)
-              .json({ error: "Unauthorized - missing signature" });
-          }
-
-          // Verify signature
-          const rawBody = req.body.toString("utf8");
-          const computedSignature = crypto
-            .createHmac("sha256", PAYMONGO_WEBHOOK_SECRET)
-            .update(rawBody)
-            .digest("hex");
-
-          // PayMongo sends signature in format: t=timestamp,te=test_mode,li=livemode,s=signature
-          // Extract the signature part
-          const signatureParts = signature.split(",");
-          const actualSignature = signatureParts
-            .find((part) => part.startsWith("s="))
-            ?.split("=")[1];
-
-          if (!actualSignature || actualSignature !== computedSignature) {
-            logger.error("Invalid webhook signature", {
-              received: actualSignature?.substring(0, 10) + "...",
-              computed: computedSignature.substring(0, 10) + "...",
-            });
-            return res
-              .status(401)
-              .json({ error: "Unauthorized - invalid signature" });
-          }
-
-          logger.info("Webhook signature verified successfully");
-        }
-
-        // Parse event
-        const event =
-          typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-
-        logger.info("PayMongo webhook received", {
-          event_type: event.data?.attributes?.type,
-        });
-
-        const eventType = event.data?.attributes?.type;
-        const eventData = event.data?.attributes?.data;
-
-        // Handle checkout session payment paid event
-        if (eventType === "checkout_session.payment.paid") {
-          const attributes = eventData?.attributes;
-          const metadata = attributes?.metadata || {};
-
-          // Verify this is an enrollment payment
-          if (metadata.payment_category !== "enrollment") {
-            logger.info("Ignoring non-enrollment payment webhook", {
-              payment_category: metadata.payment_category,
-            });
-            return res.json({ received: true, skipped: true });
-          }
-
-          const payment_id = parseInt(metadata.payment_id);
-
-          if (!payment_id) {
-            logger.error("No payment_id in webhook metadata");
-            return res.status(400).json({ error: "Invalid webhook data" });
-          }
-
-          // Get payment details
-          const { data: payment, error: paymentFetchError } = await supabase
-            .from("payments")
-            .select("*")
-            .eq("payment_id", payment_id)
-            .single();
-
-          if (paymentFetchError || !payment) {
-            logger.error("Payment not found", { payment_id });
-            return res.status(404).json({ error: "Payment not found" });
-          }
-
-          // Process payment (with idempotency built-in)
-          const result = await processPaymentCompletion(
-            supabase,
-            logger,
-            payment_id,
-            payment
-          );
-
-          logger.info("Webhook processed successfully", {
-            payment_id,
-            already_processed: result.already_processed,
-          });
-        }
-
-        res.json({ received: true });
-      } catch (err) {
-        logger.error("Webhook error", {
-          error: err.message,
-          stack: err.stack,
-        });
-        res.status(500).json({ error: "Webhook processing failed" });
-      }
-    }
+    createPaymongoWebhookHandler(supabase, logger)
   );
 
   // ============================================
@@ -1352,4 +1469,5 @@ function enrollmentbilling(supabase, logger) {
 // ============================================
 module.exports = enrollmentbilling;
 module.exports.handleEnrollmentPayment = handleEnrollmentPayment;
+module.exports.processPaymentCompletion = processPaymentCompletion;
 module.exports.generateBilling = generateBilling; // ✅ NOW EXPORTED
@@ -0,0 +1,334 @@
+// routes/curricula.js
+const express = require("express");
+const curriculum = require("../services/curriculum");
+const { ROLES, requireRole, requireSelfOrRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createCurriculaRouter(supabase, logger) {
+  const router = express.Router();
+  const registrar = requireRole(ROLES.REGISTRAR);
+  const selfOrRegistrar = requireSelfOrRole(
+    (req) => ({ student_id: req.params.student_id }),
+    ROLES.REGISTRAR
+  );
+
+  const handleError = createErrorHandler(logger);
+
+  // ============================================
+  // STUDENT CURRICULUM
+  // ============================================
+  router.get("/student/:student_id", selfOrRegistrar, async (req, res) => {
+    try {
+      const { data: student, error } = await supabase
+        .from("students")
+        .select("student_id, program_id, admission_year, curriculum_id")
+        .eq("student_id", req.params.student_id)
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!student) return res.status(404).json({ error: "Student not found" });
+
+      const pinned = await curriculum.resolveStudentCurriculum(supabase, logger, student);
+      const subjects = await curriculum.getProgramSubjects(supabase, {
+        program_id: student.program_id,
+        curriculum_id: pinned?.curriculum_id || null,
+      });
+
+      res.json({ success: true, data: { curriculum: pinned, subjects } });
+    } catch (err) {
+      handleError(res, err, "GET /curricula/student/:student_id");
+    }
+  });
+
+  // Move a student to another curriculum of their program (shiftees, returnees)
+  router.put("/student/:student_id", registrar, async (req, res) => {
+    try {
+      const { curriculum_id } = req.body;
+      if (!curriculum_id) return res.status(400).json({ error: "curriculum_id is required" });
+
+      const target = await curriculum.getCurriculum(supabase, curriculum_id);
+
+      const { data: student, error } = await supabase
+        .from("students")
+        .select("student_id, program_id, curriculum_id")
+        .eq("student_id", req.params.student_id)
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!student) return res.status(404).json({ error: "Student not found" });
+      if (student.program_id !== target.program_id) {
+        return res.status(400).json({ error: "Curriculum belongs to another program" });
+      }
+
+      const { data, error: updateError } = await supabase
+        .from("students")
+        .update({ curriculum_id: target.curriculum_id })
+        .eq("student_id", student.student_id)
+        .select("student_id, program_id, curriculum_id")
+        .single();
+
+      if (updateError) return res.status(400).json({ error: updateError.message });
+
+      logger.info("Student curriculum changed", {
+        student_id: student.student_id,
+        from: student.curriculum_id,
+        to: target.curriculum_id,
+        by: req.user.user_id,
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /curricula/student/:student_id");
+    }
+  });
+
+  // ============================================
+  // CURRICULA
+  // ============================================
+  router.get("/", async (req, res) => {
+    try {
+      let query = supabase
+        .from("curricula")
+        .select("*")
+        .order("program_id", { ascending: true })
+        .order("effective_from_year", { ascending: false });
+
+      if (req.query.program_id) query = query.eq("program_id", req.query.program_id);
+      if (req.query.active === "true") query = query.eq("is_active", true);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /curricula");
+    }
+  });
+
+  router.get("/:curriculum_id", async (req, res) => {
+    try {
+      const data = await curriculum.getCurriculum(supabase, req.params.curriculum_id);
+      const subjects = await curriculum.getCurriculumSubjects(supabase, data.curriculum_id);
+      res.json({ success: true, data: { ...data, subjects } });
+    } catch (err) {
+      handleError(res, err, "GET /curricula/:curriculum_id");
+    }
+  });
+
+  // Body: { program_id, code, name, effective_from_year, effective_to_year?,
+  //         copy_from?: curriculum_id | "legacy" }
+  router.post("/", async (req, res) => {
+    try {
+      const { program_id, code, name, effective_from_year, effective_to_year, copy_from } = req.body;
+
+      if (!program_id || !code || !name || !effective_from_year) {
+        return res.status(400).json({
+          error: "program_id, code, name and effective_from_year are required",
+        });
+      }
+      if (effective_to_year && effective_to_year < effective_from_year) {
+        return res.status(400).json({ error: "effective_to_year must not be before effective_from_year" });
+      }
+
+      const { data, error } = await supabase
+        .from("curricula")
+        .insert([
+          {
+            program_id,
+            code,
+            name,
+            effective_from_year,
+            effective_to_year: effective_to_year || null,
+            is_active: true,
+            created_by: req.user.user_id,
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      let copied = null;
+      if (copy_from) {
+        try {
+          copied = await curriculum.copySubjects(supabase, data, copy_from);
+        } catch (copyError) {
+          await supabase.from("curriculum_subjects").delete().eq("curriculum_id", data.curriculum_id);
+          await supabase.from("curricula").delete().eq("curriculum_id", data.curriculum_id);
+          throw copyError;
+        }
+      }
+
+      logger.info("Curriculum created", {
+        curriculum_id: data.curriculum_id,
+        program_id,
+        copy_from: copy_from || null,
+        by: req.user.user_id,
+      });
+      res.status(201).json({ success: true, data, copied });
+    } catch (err) {
+      handleError(res, err, "POST /curricula");
+    }
+  });
+
+  // Name, effective years and is_active can change even after students are pinned
+  router.put("/:curriculum_id", async (req, res) => {
+    try {
+      const existing = await curriculum.getCurriculum(supabase, req.params.curriculum_id);
+
+      const updates = {};
+      for (const field of ["code", "name", "effective_from_year", "effective_to_year", "is_active"]) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      }
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      const from = updates.effective_from_year ?? existing.effective_from_year;
+      const to = updates.effective_to_year !== undefined ? updates.effective_to_year : existing.effective_to_year;
+      if (to && to < from) {
+        return res.status(400).json({ error: "effective_to_year must not be before effective_from_year" });
+      }
+
+      const { data, error } = await supabase
+        .from("curricula")
+        .update(updates)
+        .eq("curriculum_id", existing.curriculum_id)
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Curriculum updated", {
+        curriculum_id: existing.curriculum_id,
+        fields: Object.keys(updates),
+        by: req.user.user_id,
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /curricula/:curriculum_id");
+    }
+  });
+
+  // ============================================
+  // SUBJECTS
+  // ============================================
+  // Body: { subject_id, year_level, term, is_elective?, min_year_standing?, sort_order? }
+  router.post("/:curriculum_id/subjects", async (req, res) => {
+    try {
+      const { subject_id, year_level, term, is_elective, min_year_standing, sort_order } = req.body;
+
+      if (!subject_id || !year_level || !term) {
+        return res.status(400).json({ error: "subject_id, year_level and term are required" });
+      }
+      if (!curriculum.TERMS.includes(term)) {
+        return res.status(400).json({ error: `term must be one of: ${curriculum.TERMS.join(", ")}` });
+      }
+
+      const existing = await curriculum.getCurriculum(supabase, req.params.curriculum_id);
+      await curriculum.assertEditable(supabase, existing.curriculum_id);
+
+      const { data, error } = await supabase
+        .from("curriculum_subjects")
+        .upsert(
+          [
+            {
+              curriculum_id: existing.curriculum_id,
+              subject_id,
+              year_level,
+              term,
+              is_elective: Boolean(is_elective),
+              min_year_standing: min_year_standing || null,
+              sort_order: sort_order || null,
+            },
+          ],
+          { onConflict: "curriculum_id,subject_id" }
+        )
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /curricula/:curriculum_id/subjects");
+    }
+  });
+
+  router.delete("/:curriculum_id/subjects/:subject_id", async (req, res) => {
+    try {
+      const { curriculum_id, subject_id } = req.params;
+      await curriculum.assertEditable(supabase, curriculum_id);
+
+      // Requisites pointing either way go with the subject
+      for (const column of ["subject_id", "requisite_subject_id"]) {
+        const { error: reqError } = await supabase
+          .from("curriculum_requisites")
+          .delete()
+          .eq("curriculum_id", curriculum_id)
+          .eq(column, subject_id);
+
+        if (reqError) return res.status(400).json({ error: reqError.message });
+      }
+
+      const { error } = await supabase
+        .from("curriculum_subjects")
+        .delete()
+        .eq("curriculum_id", curriculum_id)
+        .eq("subject_id", subject_id);
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true });
+    } catch (err) {
+      handleError(res, err, "DELETE /curricula/:curriculum_id/subjects/:subject_id");
+    }
+  });
+
+  // ============================================
+  // PREREQUISITES AND CO-REQUISITES
+  // ============================================
+  // Body: { subject_id, requisite_subject_id, kind: "prerequisite" | "corequisite",
+  //         group_no? } - requisites of a subject sharing a group_no are alternatives
+  router.post("/:curriculum_id/requisites", async (req, res) => {
+    try {
+      const { subject_id, requisite_subject_id, kind, group_no } = req.body;
+      if (!subject_id || !requisite_subject_id) {
+        return res.status(400).json({ error: "subject_id and requisite_subject_id are required" });
+      }
+
+      const existing = await curriculum.getCurriculum(supabase, req.params.curriculum_id);
+      const data = await curriculum.addRequisite(supabase, existing.curriculum_id, {
+        subject_id,
+        requisite_subject_id,
+        kind: kind || "prerequisite",
+        group_no: group_no ?? null,
+      });
+
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /curricula/:curriculum_id/requisites");
+    }
+  });
+
+  router.delete("/:curriculum_id/requisites/:requisite_id", async (req, res) => {
+    try {
+      await curriculum.assertEditable(supabase, req.params.curriculum_id);
+
+      const { error } = await supabase
+        .from("curriculum_requisites")
+        .delete()
+        .eq("curriculum_id", req.params.curriculum_id)
+        .eq("requisite_id", req.params.requisite_id);
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true });
+    } catch (err) {
+      handleError(res, err, "DELETE /curricula/:curriculum_id/requisites/:requisite_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCurriculaRouter;
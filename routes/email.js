@@ -1,62 +1,44 @@
 const express = require("express");
-const sgMail = require("@sendgrid/mail");
+const notifications = require("../services/notifications");
+const admissions = require("../services/admissions");
 
-function createEmailRouter(supabase) {
+function createEmailRouter(supabase, logger = console) {
   const router = express.Router();
 
-  // Initialize SendGrid API key
-  const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-  const SENDGRID_FROM = process.env.SENDGRID_FROM;
-
-  if (!SENDGRID_API_KEY) {
-    console.warn("SENDGRID_API_KEY not set. Email endpoints will be disabled.");
-  } else {
-    sgMail.setApiKey(SENDGRID_API_KEY);
+  function deliveryError(res, message, status = 500) {
+    return res.status(status).json({ success: false, message });
   }
 
   router.get("/test-email", async (req, res) => {
     try {
-      if (!SENDGRID_API_KEY) {
-        return res
-          .status(500)
-          .send(
-            "SendGrid not configured. Set SENDGRID_API_KEY environment variable."
-          );
-      }
-      if (!SENDGRID_FROM) {
-        return res
-          .status(500)
-          .send(
-            "Sender email not configured. Set SENDGRID_FROM to a verified sender in SendGrid."
-          );
-      }
-
       const to = req.query.to || "nicolereeyn8@gmail.com"; // allow overriding via ?to= 
 
-      const msg = {
-        to,
-        from: SENDGRID_FROM, // must match a verified Single Sender or authenticated domain
-        subject: "Test Email from SendGrid",
-        text: "This is a test email sent from your Node.js app using SendGrid.",
-        html: "<strong>This is a test email sent from your Node.js app using SendGrid.</strong>",
-      };
+      const [message] = await notifications.notify(supabase, logger, {
+        template: "general",
+        channels: ["email"],
+        to: { email: to, name: "there" },
+        variables: {
+          subject: "Test Email",
+          message: "This is a test email sent from the enrollment system.",
+        },
+      });
+
+      if (message.status !== "sent") {
+        return res.status(500).json({
+          message: "Failed to send test email.",
+          message_id: message.message_id,
+          error: message.last_error,
+        });
+      }
 
-      const [response] = await sgMail.send(msg);
       res.send(
-        `Test email queued successfully to ${to}. SendGrid status: ${response && response.statusCode}`
+        `Test email sent to ${to} via ${message.transport}. Message #${message.message_id}`
       );
     } catch (error) {
       console.error(
         "Error sending test email:",
         error && error.message ? error.message : error
       );
-      if (error && error.response && error.response.body) {
-        console.error("SendGrid response body:", error.response.body);
-        return res.status(500).json({
-          message: "Failed to send test email.",
-          sendgrid_error: error.response.body,
-        });
-      }
       res.status(500).send("Failed to send test email.");
     }
   });
@@ -64,19 +46,6 @@ function createEmailRouter(supabase) {
   // Send email to a registered user by email
   router.post("/send-email", async (req, res) => {
     try {
-      if (!SENDGRID_API_KEY) {
-        return res.status(500).json({
-          success: false,
-          message: "SendGrid not configured. Set SENDGRID_API_KEY.",
-        });
-      }
-      if (!SENDGRID_FROM) {
-        return res.status(500).json({
-          success: false,
-          message: "Sender email not configured. Set SENDGRID_FROM.",
-        });
-      }
-
       const { email, subject, text, html } = req.body || {};
       if (!email) {
         return res.status(400).json({
@@ -96,17 +65,11 @@ function createEmailRouter(supabase) {
 
       if (error) {
         console.error("Database fetch error:", error);
-        return res.status(500).json({
-          success: false,
-          message: "Failed to verify recipient in database.",
-        });
+        return deliveryError(res, "Failed to verify recipient in database.");
       }
 
       if (!data || data.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: "Recipient email not found in database.",
-        });
+        return deliveryError(res, "Recipient email not found in database.", 404);
       }
 
       const user = data[0];
@@ -114,73 +77,81 @@ function createEmailRouter(supabase) {
         .replace(/\s+/g, " ")
         .trim();
 
-      const msg = {
-        to: normalizedEmail,
-        from: SENDGRID_FROM,
-        subject: subject || "Notification",
-        text:
-          text ||
-          `Hello ${fullName || "applicant"},
-
-This is a notification from the admissions system.`, 
-        html:
-          html ||
-          `<p>Hello ${fullName || "applicant"},</p><p>This is a notification from the admissions system.</p>`,
-      };
-
-      // ✅ Send the email
-      const [response] = await sgMail.send(msg);
-      const messageId =
-        response &&
-        response.headers &&
-        (response.headers["x-message-id"] ||
-          response.headers["x-message-id".toLowerCase()]);
-
-      // ✅ Save notification to DB
-      const { error: insertError } = await supabase.from("notifications").insert([
-        {
+      // ✅ Email + in-app note through the outbox
+      const messages = await notifications.notify(supabase, logger, {
+        template: "general",
+        channels: ["email", "in_app"],
+        to: {
           admission_id: user.admission_id,
+          email: normalizedEmail,
+          name: fullName || "applicant",
+        },
+        variables: {
+          subject: subject || "Notification",
           message:
             text ||
-            `Hello ${fullName || "applicant"}, This is a notification from the admissions system.`, 
+            (html && html.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim()) ||
+            "This is a notification from the admissions system.",
         },
-      ]);
+      });
 
-      if (insertError) {
-        console.error("Error saving notification:", insertError);
-        return res.status(500).json({
-          success: false,
-          message: "Email sent, but failed to save notification in database.",
-        });
-      }
+      const emailMessage = messages.find((message) => message.channel === "email");
+      const inAppMessage = messages.find((message) => message.channel === "in_app");
 
       return res.json({
         success: true,
         queued: true,
         to: normalizedEmail,
         admission_id: user.admission_id,
-        statusCode: response && response.statusCode,
-        messageId,
-        savedToDb: true,
+        status: emailMessage?.status,
+        message_id: emailMessage?.message_id,
+        messageId: emailMessage?.provider_message_id,
+        savedToDb: inAppMessage?.status === "sent",
       });
     } catch (err) {
       console.error(
         "Error sending email to user:",
         err && err.message ? err.message : err
       );
-      if (err && err.response && err.response.body) {
-        return res.status(500).json({
-          success: false,
-          message: "Failed to send email.",
-          sendgrid_error: err.response.body,
-        });
-      }
       return res
         .status(500)
         .json({ success: false, message: "Failed to send email." });
     }
   });
 
+  // (Re)send the decision letter for an applicant's current decision
+  router.post("/decision-letter/:admission_id", async (req, res) => {
+    try {
+      const applicant = await admissions.getApplicant(supabase, req.params.admission_id);
+      const messages = await admissions.sendDecisionLetter(
+        supabase,
+        logger,
+        applicant,
+        applicant.applicant_status,
+        { notes: req.body?.notes }
+      );
+
+      return res.json({
+        success: true,
+        admission_id: applicant.admission_id,
+        decision: applicant.applicant_status,
+        messages: messages.map((message) => ({
+          message_id: message.message_id,
+          channel: message.channel,
+          status: message.status,
+        })),
+      });
+    } catch (err) {
+      if (err instanceof admissions.AdmissionError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error("Error sending decision letter:", err && err.message ? err.message : err);
+      return res
+        .status(500)
+        .json({ success: false, message: "Failed to send decision letter." });
+    }
+  });
+
   return router;
 }
 
@@ -1,4 +1,7 @@
 const express = require("express");
+const holds = require("../services/holds");
+const prerequisites = require("../services/prerequisites");
+const sections = require("../services/sections");
 
 // Import the validation middleware factory
 function createValidateEnrollmentPeriod(supabase, logger) {
@@ -57,6 +60,50 @@ function createValidateEnrollmentPeriod(supabase, logger) {
   };
 }
 
+// Shape of a hold as returned to the enrollment UI
+function summarizeHold(hold) {
+  return {
+    hold_id: hold.hold_id,
+    office: hold.office,
+    hold_type: hold.hold_type,
+    reason: hold.reason,
+    placed_at: hold.placed_at,
+  };
+}
+
+// Rejects enrollment while the student has blocking holds
+function createCheckHolds(supabase, logger) {
+  return async function checkHolds(req, res, next) {
+    try {
+      const { student_id } = req.body;
+      if (!student_id) return next();
+
+      const blockingHolds = await holds.getActiveHolds(supabase, student_id, {
+        blockingOnly: true,
+      });
+
+      if (blockingHolds.length > 0) {
+        logger.info("Enrollment blocked by holds", {
+          student_id,
+          holds: blockingHolds.map((hold) => hold.hold_id),
+        });
+        return res.status(403).json({
+          error: "You have holds on your account that must be settled before enrolling",
+          reason: "holds",
+          holds: blockingHolds.map(summarizeHold),
+        });
+      }
+
+      next();
+    } catch (err) {
+      logger.error("Unexpected error checking holds", {
+        error: err.message,
+      });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
 // ============================================
 // ENROLLMENT PERIODS ROUTER
 // ============================================
@@ -529,6 +576,45 @@ async function determineCorrectYearLevel(supabase, logger, student_id, target_se
   }
 }
 
+// ============================================
+// HELPER FUNCTION: Apply the prerequisite rules engine
+// ============================================
+// can_enroll_in_semester_enhanced_v2 only knows course_subjects.prerequisite_id,
+// so its prerequisite verdict is replaced by the rules engine's (curriculum
+// requisites, year standing, consent-of-chair overrides). Its other reasons
+// (existing enrollments, ...) still stand.
+function applyRulesEngine(rpcResult, rules) {
+  const result = { ...rpcResult, subject_eligibility: rules.subjects };
+
+  const prerequisiteVerdict =
+    rpcResult.can_enroll || rpcResult.reason === "incomplete_prerequisites";
+  if (!prerequisiteVerdict || rules.subjects.length === 0) return result;
+
+  const blocked = rules.subjects.filter((s) => !s.eligible);
+
+  if (rules.can_enroll) {
+    result.can_enroll = true;
+    result.reason = rpcResult.can_enroll ? rpcResult.reason : "eligible";
+    result.message = rpcResult.can_enroll
+      ? rpcResult.message
+      : `${rules.eligible_subject_ids.length} subject(s) available this term`;
+  } else {
+    result.can_enroll = false;
+    result.reason = "incomplete_prerequisites";
+    result.message = "None of this term's subjects can be taken yet";
+  }
+
+  result.prerequisite_details = {
+    ...(rpcResult.prerequisite_details || {}),
+    missing_subjects: blocked.map((s) => ({
+      subject_id: s.subject_id,
+      subject_code: s.subject_code,
+      reasons: s.blocked_by.map((b) => b.message),
+    })),
+  };
+  return result;
+}
+
 // ============================================
 // ENROLLMENT ROUTER
 // ============================================
@@ -539,6 +625,7 @@ function createEnrollmentRouter(supabase, logger) {
     supabase,
     logger
   );
+  const checkHolds = createCheckHolds(supabase, logger);
 
 // ============================================
 // ✅ FIXED: Check enrollment eligibility endpoint
@@ -603,6 +690,22 @@ router.get("/check-eligibility", async (req, res) => {
       });
     }
 
+    // Active holds (e.g. overdue installments) block enrollment
+    const blockingHolds = await holds.getActiveHolds(supabase, student_id, {
+      blockingOnly: true,
+    });
+
+    if (blockingHolds.length > 0) {
+      return res.json({
+        canEnroll: false,
+        reason: "holds",
+        message: "You have holds on your account that must be settled before enrolling",
+        holds: blockingHolds.map(summarizeHold),
+        yearLevel: correctYearLevel,
+        yearLevelInfo: yearLevelResult,
+      });
+    }
+
     // ✅ FIX: Pass the calculated year_level to the RPC function
     const { data: eligibility, error: eligibilityError } = await supabase.rpc(
       "can_enroll_in_semester_enhanced_v2",
@@ -623,7 +726,15 @@ router.get("/check-eligibility", async (req, res) => {
       });
     }
 
-    const eligibilityCheck = eligibility[0];
+    const eligibilityCheck = applyRulesEngine(
+      eligibility[0],
+      await prerequisites.checkEligibility(
+        supabase,
+        logger,
+        await prerequisites.getStudent(supabase, student_id),
+        { semester_id: parsedSemesterId, year_standing: correctYearLevel }
+      )
+    );
 
     logger.info("Enrollment eligibility check result", {
       can_enroll: eligibilityCheck.can_enroll,
@@ -638,6 +749,7 @@ router.get("/check-eligibility", async (req, res) => {
       message: eligibilityCheck.message,
       enrollmentId: eligibilityCheck.existing_enrollment_id,
       prerequisiteDetails: eligibilityCheck.prerequisite_details,
+      subjectEligibility: eligibilityCheck.subject_eligibility,
       lastEnrollmentStatus: eligibilityCheck.existing_enrollment_id
         ? "Completed"
         : null,
@@ -657,7 +769,7 @@ router.get("/check-eligibility", async (req, res) => {
 // ============================================
 // ✅ FIXED: POST /enrollments - Create enrollment with auto year level
 // ============================================
-router.post("/", validateEnrollmentPeriod, async (req, res) => {
+router.post("/", validateEnrollmentPeriod, checkHolds, async (req, res) => {
   const { student_id, program_id, scheme_id, semester_id, subjects } = req.body;
 
   const parsedProgramId = parseInt(program_id, 10);
@@ -747,7 +859,37 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
       });
     }
 
-    const eligibilityCheck = eligibility[0];
+    // Chosen subjects are checked together (co-requisites), else the term's load
+    const selectedSubjectIds = (subjects || []).map((s) => parseInt(s.subject_id));
+    const rules = await prerequisites.checkEligibility(
+      supabase,
+      logger,
+      await prerequisites.getStudent(supabase, student_id),
+      {
+        semester_id: parsedSemesterId,
+        subject_ids: selectedSubjectIds,
+        year_standing: correctYearLevel,
+      }
+    );
+
+    if (selectedSubjectIds.length > 0 && rules.blocked_subject_ids.length > 0) {
+      return res.status(400).json({
+        error: "Some selected subjects cannot be taken yet",
+        reason: "incomplete_prerequisites",
+        blocked_subjects: rules.subjects.filter((s) => !s.eligible),
+        yearLevel: correctYearLevel,
+      });
+    }
+
+    // Requested sections must belong to the subject and term
+    try {
+      await sections.checkRequestedSections(supabase, parsedSemesterId, subjects || []);
+    } catch (sectionError) {
+      if (!(sectionError instanceof sections.SectionError)) throw sectionError;
+      return res.status(sectionError.status).json({ error: sectionError.message });
+    }
+
+    const eligibilityCheck = applyRulesEngine(eligibility[0], rules);
 
     logger.info("Enrollment eligibility check result", {
       can_enroll: eligibilityCheck.can_enroll,
@@ -842,24 +984,18 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
       });
     }
 
-    // CREATE ENROLLMENT SUBJECTS
+    // CREATE ENROLLMENT SUBJECTS, each seated in a section (subjects[].schedule_id
+    // picks one); subjects whose sections are full go on the waitlist
+    let placement = { seated: [], waitlisted: [] };
     if (subjects && subjects.length > 0) {
       logger.info("Creating enrollment subjects", {
         enrollment_id: enrollment.enrollment_id,
         subject_count: subjects.length,
       });
 
-      const enrollmentSubjects = subjects.map((s) => ({
-        enrollment_id: enrollment.enrollment_id,
-        subject_id: parseInt(s.subject_id),
-        status: "Enrolled",
-      }));
-
-      const { error: subjectsError } = await supabase
-        .from("enrollment_subjects")
-        .insert(enrollmentSubjects);
-
-      if (subjectsError) {
+      try {
+        placement = await sections.assignSections(supabase, logger, enrollment, subjects);
+      } catch (subjectsError) {
         logger.error("Error creating enrollment subjects", {
           error: subjectsError.message,
         });
@@ -870,7 +1006,10 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
         });
       }
 
-      logger.info("Enrollment subjects created successfully");
+      logger.info("Enrollment subjects created successfully", {
+        seated: placement.seated.length,
+        waitlisted: placement.waitlisted.length,
+      });
     }
 
     res.status(201).json({
@@ -878,6 +1017,16 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
       enrollment_id: enrollment.enrollment_id,
       year_level: correctYearLevel,
       yearLevelInfo: yearLevelResult,
+      sections: placement.seated.map((row) => ({
+        subject_id: row.subject_id,
+        schedule_id: row.schedule_id,
+      })),
+      waitlisted: placement.waitlisted.map((entry) => ({
+        subject_id: entry.subject_id,
+        schedule_id: entry.schedule_id,
+        waitlist_id: entry.waitlist_id,
+        position: entry.position,
+      })),
       message: `Enrollment created successfully for Year ${correctYearLevel}`,
     });
   } catch (err) {
@@ -1128,240 +1277,6 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
     }
   });
 
-  // ============================================
-  // ✅ FIXED: POST /enrollments - Create enrollment with auto year level
-  // ============================================
-  router.post("/", validateEnrollmentPeriod, async (req, res) => {
-    const { student_id, program_id, scheme_id, semester_id, subjects } = req.body;
-
-    const parsedProgramId = parseInt(program_id, 10);
-    const parsedSchemeId = parseInt(scheme_id, 10);
-    const parsedSemesterId = parseInt(semester_id, 10);
-
-    if (
-      !student_id ||
-      isNaN(parsedProgramId) ||
-      isNaN(parsedSchemeId) ||
-      isNaN(parsedSemesterId)
-    ) {
-      return res.status(400).json({
-        error: "student_id, program_id, scheme_id, and semester_id are required and must be valid",
-      });
-    }
-
-    try {
-      const activePeriod = req.enrollmentPeriod;
-
-      if (activePeriod.semester_id !== parsedSemesterId) {
-        return res.status(400).json({
-          error:
-            "Selected semester does not match the active enrollment period",
-          active_semester_id: activePeriod.semester_id,
-        });
-      }
-
-      // ✅ AUTO-CALCULATE the correct year level
-      logger.info("Auto-calculating correct year level for enrollment", {
-        student_id,
-        semester_id: parsedSemesterId,
-      });
-
-      const yearLevelResult = await determineCorrectYearLevel(
-        supabase,
-        logger,
-        student_id,
-        parsedSemesterId
-      );
-
-      const correctYearLevel = yearLevelResult.yearLevel;
-
-      logger.info("Calculated year level for new enrollment", {
-        student_id,
-        correctYearLevel,
-        progressionType: yearLevelResult.progressionType,
-        isNewStudent: yearLevelResult.isNewStudent,
-      });
-
-      // ✅ Check existing enrollment for this semester AND calculated year level
-      const { data: existingCheck, error: existingError } = await supabase
-        .from("enrollments")
-        .select("enrollment_id, status, year_level")
-        .eq("student_id", student_id)
-        .eq("semester_id", parsedSemesterId)
-        .eq("year_level", correctYearLevel)
-        .in("status", ["Pending", "Enrolled", "Validated"])
-        .maybeSingle();
-
-      if (existingCheck) {
-        return res.status(400).json({
-          error: `You are already enrolled for this semester in Year ${correctYearLevel}`,
-          reason: "already_enrolled",
-          existing_enrollment_id: existingCheck.enrollment_id,
-          yearLevel: correctYearLevel,
-        });
-      }
-
-      // Call RPC for prerequisite validation
-      const { data: eligibility, error: eligibilityError } = await supabase.rpc(
-        "can_enroll_in_semester_enhanced_v2",
-        {
-          p_student_id: student_id,
-          p_semester_id: parsedSemesterId,
-        }
-      );
-
-      if (eligibilityError) {
-        logger.error("Error checking enrollment eligibility", {
-          error: eligibilityError.message,
-        });
-        return res.status(500).json({
-          error: "Failed to validate enrollment eligibility",
-          details: eligibilityError.message,
-        });
-      }
-
-      const eligibilityCheck = eligibility[0];
-
-      logger.info("Enrollment eligibility check result", {
-        can_enroll: eligibilityCheck.can_enroll,
-        reason: eligibilityCheck.reason,
-        message: eligibilityCheck.message,
-        prerequisite_details: eligibilityCheck.prerequisite_details,
-      });
-
-      if (
-        !eligibilityCheck.can_enroll &&
-        eligibilityCheck.reason === "incomplete_prerequisites"
-      ) {
-        return res.status(400).json({
-          error: eligibilityCheck.message,
-          reason: eligibilityCheck.reason,
-          prerequisiteDetails: eligibilityCheck.prerequisite_details,
-          missing_subjects:
-            eligibilityCheck.prerequisite_details?.missing_subjects || [],
-          yearLevel: correctYearLevel,
-        });
-      }
-
-      if (!eligibilityCheck.can_enroll) {
-        return res.status(400).json({
-          error: eligibilityCheck.message,
-          reason: eligibilityCheck.reason,
-          existing_enrollment_id: eligibilityCheck.existing_enrollment_id,
-          yearLevel: correctYearLevel,
-        });
-      }
-
-      // ✅ CREATE ENROLLMENT with auto-calculated year_level
-      logger.info("Creating enrollment record with auto-calculated year level", {
-        student_id,
-        program_id: parsedProgramId,
-        scheme_id: parsedSchemeId,
-        semester_id: parsedSemesterId,
-        year_level: correctYearLevel,
-        progression_type: yearLevelResult.progressionType,
-      });
-
-      const { data: enrollment, error: enrollmentError } = await supabase
-        .from("enrollments")
-        .insert([
-          {
-            student_id,
-            program_id: parsedProgramId,
-            scheme_id: parsedSchemeId,
-            semester_id: parsedSemesterId,
-            period_id: activePeriod.period_id,
-            year_level: correctYearLevel, // ✅ Using auto-calculated year level
-            status: "Pending",
-            payment_status: "Unpaid",
-          },
-        ])
-        .select()
-        .single();
-
-      if (enrollmentError) {
-        logger.error("Error creating enrollment", {
-          error: enrollmentError.message,
-        });
-        return res.status(500).json({
-          error: "Failed to create enrollment",
-          details: enrollmentError.message,
-        });
-      }
-
-      logger.info("Enrollment created successfully", {
-        enrollment_id: enrollment.enrollment_id,
-        year_level: enrollment.year_level,
-        progression_info: yearLevelResult,
-      });
-
-      // ✅ UPDATE STUDENTS TABLE with current year level
-      const { error: studentUpdateError } = await supabase
-        .from("students")
-        .update({ year_level: correctYearLevel })
-        .eq("student_id", student_id);
-
-      if (studentUpdateError) {
-        logger.warn("Failed to update student year_level in students table", {
-          error: studentUpdateError.message,
-          student_id,
-          year_level: correctYearLevel,
-        });
-        // Don't fail the enrollment, just log the warning
-      } else {
-        logger.info("Updated student year_level in students table", {
-          student_id,
-          year_level: correctYearLevel,
-        });
-      }
-
-      // CREATE ENROLLMENT SUBJECTS
-      if (subjects && subjects.length > 0) {
-        logger.info("Creating enrollment subjects", {
-          enrollment_id: enrollment.enrollment_id,
-          subject_count: subjects.length,
-        });
-
-        const enrollmentSubjects = subjects.map((s) => ({
-          enrollment_id: enrollment.enrollment_id,
-          subject_id: parseInt(s.subject_id),
-          status: "Enrolled",
-        }));
-
-        const { error: subjectsError } = await supabase
-          .from("enrollment_subjects")
-          .insert(enrollmentSubjects);
-
-        if (subjectsError) {
-          logger.error("Error creating enrollment subjects", {
-            error: subjectsError.message,
-          });
-          return res.status(500).json({
-            error: "Enrollment created but failed to add subjects",
-            details: subjectsError.message,
-            enrollment_id: enrollment.enrollment_id,
-          });
-        }
-
-        logger.info("Enrollment subjects created successfully");
-      }
-
-      res.status(201).json({
-        success: true,
-        enrollment_id: enrollment.enrollment_id,
-        year_level: correctYearLevel,
-        yearLevelInfo: yearLevelResult,
-        message: `Enrollment created successfully for Year ${correctYearLevel}`,
-      });
-    } catch (err) {
-      logger.error("Unexpected error in enrollment creation", {
-        error: err.message,
-        stack: err.stack,
-      });
-      res.status(500).json({ error: "Internal server error" });
-    }
-  });
-
   // ============================================
   // GET /enrollments/history/:student_id
   // ============================================
@@ -1455,9 +1370,10 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
     }
   });
 
+  // Body: { subject_id, schedule_id? } - seated like at enrollment, or waitlisted
   router.post("/:id/subjects", async (req, res) => {
     const enrollment_id = parseInt(req.params.id, 10);
-    const { subject_id } = req.body;
+    const { subject_id, schedule_id } = req.body;
 
     if (!enrollment_id || !subject_id) {
       return res
@@ -1480,23 +1396,31 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
           .json({ error: "Maximum of 3 additional subjects reached" });
       }
 
-      const { data, error } = await supabase
-        .from("enrollment_subjects")
-        .insert([
-          {
-            enrollment_id,
-            subject_id,
-            is_additional: true,
-            status: "Enrolled",
-          },
-        ])
-        .select()
-        .single();
+      const { data: enrollment, error: enrollmentError } = await supabase
+        .from("enrollments")
+        .select("enrollment_id, student_id, program_id, year_level, semester_id")
+        .eq("enrollment_id", enrollment_id)
+        .maybeSingle();
 
-      if (error) throw error;
+      if (enrollmentError) throw enrollmentError;
+      if (!enrollment) return res.status(404).json({ error: "Enrollment not found" });
 
-      res.json(data);
+      const placement = await sections.assignSections(
+        supabase,
+        logger,
+        enrollment,
+        [{ subject_id, schedule_id }],
+        { is_additional: true }
+      );
+
+      if (placement.waitlisted.length > 0) {
+        return res.status(202).json({ waitlisted: true, ...placement.waitlisted[0] });
+      }
+      res.json(placement.seated[0]);
     } catch (err) {
+      if (err instanceof sections.SectionError) {
+        return res.status(err.status).json({ error: err.message });
+      }
       console.error("Error adding subject:", err);
       res.status(500).json({ error: err.message });
     }
@@ -1507,15 +1431,20 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
     const subject_id = parseInt(req.params.subjectId, 10);
 
     try {
-      const { error } = await supabase
+      const { data: removed, error } = await supabase
         .from("enrollment_subjects")
         .delete()
         .eq("enrollment_id", enrollment_id)
-        .eq("subject_id", subject_id);
+        .eq("subject_id", subject_id)
+        .select("schedule_id");
 
       if (error) throw error;
 
-      res.json({ success: true, message: "Subject removed successfully" });
+      // The freed seat goes to the section's waitlist
+      const schedule_id = removed?.find((row) => row.schedule_id)?.schedule_id || null;
+      const promoted = await sections.releaseSeat(supabase, logger, { enrollment_id, subject_id, schedule_id });
+
+      res.json({ success: true, message: "Subject removed successfully", promoted: promoted.length });
     } catch (err) {
       console.error("Error removing subject:", err);
       res.status(500).json({ error: err.message });
@@ -1527,4 +1456,5 @@ router.post("/", validateEnrollmentPeriod, async (req, res) => {
 
 module.exports = createEnrollmentRouter;
 module.exports.createEnrollmentPeriodsRouter = createEnrollmentPeriodsRouter;
-module.exports.createValidateEnrollmentPeriod = createValidateEnrollmentPeriod;
\ No newline at end of file
+module.exports.createValidateEnrollmentPeriod = createValidateEnrollmentPeriod;
+module.exports.createCheckHolds = createCheckHolds;
\ No newline at end of file
@@ -0,0 +1,246 @@
+// routes/feerules.js
+const express = require("express");
+const feeEngine = require("../services/feeengine");
+const { createErrorHandler } = require("../services/common");
+
+const RULE_FIELDS = [
+  "code",
+  "name",
+  "category",
+  "amount",
+  "program_id",
+  "year_level",
+  "semester_id",
+  "subject_id",
+  "effective_from",
+  "effective_to",
+  "is_active",
+];
+
+function createFeeRulesRouter(supabase, logger) {
+  const router = express.Router();
+
+  const handleError = createErrorHandler(logger);
+
+  // Whitelist and validate a rule payload (partial for updates)
+  function parseRule(body, { partial = false } = {}) {
+    const rule = {};
+    for (const field of RULE_FIELDS) {
+      if (body[field] !== undefined) rule[field] = body[field];
+    }
+
+    if (!partial) {
+      for (const field of ["code", "name", "category", "amount"]) {
+        if (rule[field] === undefined || rule[field] === "") {
+          throw new feeEngine.FeeRuleError(`${field} is required`);
+        }
+      }
+    }
+
+    if (
+      rule.category !== undefined &&
+      !Object.values(feeEngine.FEE_CATEGORIES).includes(rule.category)
+    ) {
+      throw new feeEngine.FeeRuleError(
+        `category must be one of: ${Object.values(feeEngine.FEE_CATEGORIES).join(", ")}`
+      );
+    }
+
+    if (rule.amount !== undefined) {
+      rule.amount = parseFloat(rule.amount);
+      if (isNaN(rule.amount) || rule.amount < 0) {
+        throw new feeEngine.FeeRuleError("amount must be zero or more");
+      }
+    }
+
+    if (rule.code !== undefined) rule.code = String(rule.code).trim().toUpperCase();
+
+    if (
+      rule.effective_from &&
+      rule.effective_to &&
+      rule.effective_to < rule.effective_from
+    ) {
+      throw new feeEngine.FeeRuleError("effective_to must not be before effective_from");
+    }
+
+    return rule;
+  }
+
+  // ============================================
+  // LIST / VIEW RULES
+  // ============================================
+  router.get("/", async (req, res) => {
+    try {
+      const { category, code, program_id, semester_id, active } = req.query;
+
+      let query = supabase
+        .from("fee_rules")
+        .select("*")
+        .order("category", { ascending: true })
+        .order("code", { ascending: true })
+        .order("effective_from", { ascending: false });
+
+      if (category) query = query.eq("category", category);
+      if (code) query = query.eq("code", code.toUpperCase());
+      if (program_id) query = query.eq("program_id", program_id);
+      if (semester_id) query = query.eq("semester_id", semester_id);
+      if (active !== undefined) query = query.eq("is_active", active === "true");
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error("Error fetching fee rules", { error: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/fee-rules");
+    }
+  });
+
+  // ============================================
+  // ASSESSMENT PREVIEW
+  // ============================================
+  // What a student of this program/year would be charged for a semester
+  router.get("/preview", async (req, res) => {
+    try {
+      const { program_id, year_level, semester_id, curriculum_id, as_of } = req.query;
+
+      if (!program_id || !year_level || !semester_id) {
+        return res.status(400).json({
+          error: "program_id, year_level and semester_id are required",
+        });
+      }
+
+      if (as_of && isNaN(Date.parse(as_of))) {
+        return res.status(400).json({ error: "Invalid as_of date" });
+      }
+
+      const context = { program_id, year_level, semester_id, curriculum_id, as_of };
+      const subjects = await feeEngine.getAssessmentSubjects(supabase, context);
+      const assessment = await feeEngine.computeAssessment(supabase, {
+        ...context,
+        subjects,
+      });
+
+      res.json({ success: true, ...assessment });
+    } catch (err) {
+      handleError(res, err, "GET /api/fee-rules/preview");
+    }
+  });
+
+  router.get("/:rule_id", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("fee_rules")
+        .select("*")
+        .eq("rule_id", req.params.rule_id)
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Fee rule not found" });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/fee-rules/:rule_id");
+    }
+  });
+
+  // ============================================
+  // CREATE / UPDATE / RETIRE RULES
+  // ============================================
+  router.post("/", async (req, res) => {
+    try {
+      const rule = parseRule(req.body);
+
+      const { data, error } = await supabase
+        .from("fee_rules")
+        .insert([
+          {
+            effective_from: new Date().toISOString().split("T")[0],
+            is_active: true,
+            ...rule,
+            created_by: req.user?.user_id,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error("Error creating fee rule", { error: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.info("Fee rule created", {
+        rule_id: data.rule_id,
+        code: data.code,
+        amount: data.amount,
+        created_by: req.user?.user_id,
+      });
+
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /api/fee-rules");
+    }
+  });
+
+  router.put("/:rule_id", async (req, res) => {
+    try {
+      const updates = parseRule(req.body, { partial: true });
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: "No fields to update" });
+      }
+
+      const { data, error } = await supabase
+        .from("fee_rules")
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("rule_id", req.params.rule_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Fee rule not found" });
+
+      logger.info("Fee rule updated", {
+        rule_id: data.rule_id,
+        fields: Object.keys(updates),
+        updated_by: req.user?.user_id,
+      });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/fee-rules/:rule_id");
+    }
+  });
+
+  // Rules are retired rather than deleted so past assessments stay explainable
+  router.delete("/:rule_id", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("fee_rules")
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq("rule_id", req.params.rule_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Fee rule not found" });
+
+      logger.info("Fee rule retired", {
+        rule_id: data.rule_id,
+        retired_by: req.user?.user_id,
+      });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "DELETE /api/fee-rules/:rule_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFeeRulesRouter;
@@ -0,0 +1,212 @@
+// routes/grading.js
+const express = require("express");
+const grading = require("../services/grading");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createGradingRouter(supabase, logger) {
+  const router = express.Router();
+  const registrar = requireRole(ROLES.REGISTRAR);
+
+  const handleError = createErrorHandler(logger);
+
+  // ============================================
+  // INSTRUCTOR CLASSES
+  // ============================================
+  // Instructors get their own classes; the registrar passes ?teacher_id
+  router.get("/classes", async (req, res) => {
+    try {
+      const teacher_id =
+        req.user.role === ROLES.INSTRUCTOR ? req.user.teacher_id : req.query.teacher_id;
+
+      if (!teacher_id) {
+        return res.status(400).json({
+          error:
+            req.user.role === ROLES.INSTRUCTOR
+              ? "Your account is not linked to a teacher record"
+              : "teacher_id is required",
+        });
+      }
+
+      const data = await grading.listClasses(supabase, {
+        teacher_id,
+        semester_id: req.query.semester_id || null,
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grading/classes");
+    }
+  });
+
+  router.get("/classes/:schedule_id", async (req, res) => {
+    try {
+      const data = await grading.getClassSheet(supabase, req.params.schedule_id, req.user);
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grading/classes/:schedule_id");
+    }
+  });
+
+  // Body: { grades: [{ enrollment_subject_id, midterm_grade, final_grade }] }
+  router.put("/classes/:schedule_id/grades", async (req, res) => {
+    try {
+      const result = await grading.saveDraft(
+        supabase,
+        logger,
+        req.params.schedule_id,
+        req.body.grades,
+        req.user
+      );
+      res.json({ success: true, data: result });
+    } catch (err) {
+      handleError(res, err, "PUT /api/grading/classes/:schedule_id/grades");
+    }
+  });
+
+  router.post("/classes/:schedule_id/submit", async (req, res) => {
+    try {
+      const sheet = await grading.submitSheet(supabase, logger, req.params.schedule_id, req.user);
+      res.json({ success: true, data: sheet });
+    } catch (err) {
+      handleError(res, err, "POST /api/grading/classes/:schedule_id/submit");
+    }
+  });
+
+  // ============================================
+  // REGISTRAR REVIEW
+  // ============================================
+  router.get("/sheets", registrar, async (req, res) => {
+    try {
+      let query = supabase
+        .from("grade_sheets")
+        .select(
+          `
+          *,
+          course_subjects ( subject_code, subject_name ),
+          teachers ( teacher_id, first_name, last_name )
+        `
+        )
+        .order("submitted_at", { ascending: true });
+
+      if (req.query.status) query = query.eq("status", req.query.status);
+      if (req.query.semester_id) query = query.eq("semester_id", req.query.semester_id);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grading/sheets");
+    }
+  });
+
+  router.post("/sheets/:sheet_id/approve", registrar, async (req, res) => {
+    try {
+      const result = await grading.approveSheet(supabase, logger, req.params.sheet_id, req.user);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /api/grading/sheets/:sheet_id/approve");
+    }
+  });
+
+  router.post("/sheets/:sheet_id/return", registrar, async (req, res) => {
+    try {
+      const sheet = await grading.returnSheet(
+        supabase,
+        logger,
+        req.params.sheet_id,
+        req.body.reason,
+        req.user
+      );
+      res.json({ success: true, data: sheet });
+    } catch (err) {
+      handleError(res, err, "POST /api/grading/sheets/:sheet_id/return");
+    }
+  });
+
+  // ============================================
+  // GRADE CHANGES
+  // ============================================
+  // Body: { enrollment_subject_id, midterm_grade?, final_grade?, reason }
+  router.post("/change-requests", async (req, res) => {
+    try {
+      const request = await grading.requestChange(supabase, logger, req.body, req.user);
+      res.status(201).json({ success: true, data: request });
+    } catch (err) {
+      handleError(res, err, "POST /api/grading/change-requests");
+    }
+  });
+
+  router.get("/change-requests", async (req, res) => {
+    try {
+      let query = supabase
+        .from("grade_change_requests")
+        .select("*, grade_sheets!inner ( schedule_id, teacher_id, subject_id )")
+        .order("requested_at", { ascending: false });
+
+      if (req.query.status) query = query.eq("status", req.query.status);
+      // Instructors see the requests on their own sheets
+      if (req.user.role === ROLES.INSTRUCTOR) {
+        query = query.eq("grade_sheets.teacher_id", req.user.teacher_id);
+      }
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grading/change-requests");
+    }
+  });
+
+  router.post("/change-requests/:request_id/:decision", registrar, async (req, res) => {
+    try {
+      const { decision } = req.params;
+      if (!["approve", "reject"].includes(decision)) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      const request = await grading.reviewChange(
+        supabase,
+        logger,
+        req.params.request_id,
+        { approve: decision === "approve", notes: req.body.notes || null },
+        req.user
+      );
+      res.json({ success: true, data: request });
+    } catch (err) {
+      handleError(res, err, "POST /api/grading/change-requests/:request_id");
+    }
+  });
+
+  // ============================================
+  // AUDIT TRAIL
+  // ============================================
+  router.get("/audit", registrar, async (req, res) => {
+    try {
+      const { sheet_id, enrollment_subject_id } = req.query;
+      if (!sheet_id && !enrollment_subject_id) {
+        return res.status(400).json({ error: "sheet_id or enrollment_subject_id is required" });
+      }
+
+      let query = supabase
+        .from("grade_audit_log")
+        .select("*")
+        .order("created_at", { ascending: true });
+
+      if (sheet_id) query = query.eq("sheet_id", sheet_id);
+      if (enrollment_subject_id) query = query.eq("enrollment_subject_id", enrollment_subject_id);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grading/audit");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createGradingRouter;
@@ -0,0 +1,498 @@
+// routes/grants.js
+const express = require("express");
+const grants = require("../services/grants");
+const ledger = require("../services/ledger");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createGrantsRouter(supabase, logger) {
+  const router = express.Router();
+  const registrarOnly = requireRole(ROLES.REGISTRAR);
+  const cashierOnly = requireRole(ROLES.CASHIER);
+
+  const handleError = createErrorHandler(logger);
+
+  function pick(body, fields) {
+    const picked = {};
+    for (const field of fields) {
+      if (body[field] !== undefined) picked[field] = body[field];
+    }
+    return picked;
+  }
+
+  const GRANT_TYPE_FIELDS = [
+    "code",
+    "name",
+    "kind",
+    "value_type",
+    "value",
+    "applies_to",
+    "stackable",
+    "max_amount",
+    "sponsor_id",
+    "priority",
+    "is_active",
+  ];
+
+  const SPONSOR_FIELDS = [
+    "name",
+    "sponsor_type",
+    "contact_name",
+    "contact_email",
+    "contact_number",
+    "address",
+    "is_active",
+  ];
+
+  function validateGrantType(type, { partial = false } = {}) {
+    if (!partial) {
+      for (const field of ["code", "name", "kind", "value_type", "value"]) {
+        if (type[field] === undefined || type[field] === "") {
+          throw new grants.GrantError(`${field} is required`);
+        }
+      }
+    }
+    if (type.kind && !Object.values(grants.GRANT_KINDS).includes(type.kind)) {
+      throw new grants.GrantError("kind must be scholarship, discount or sponsor");
+    }
+    if (type.value_type && !["percentage", "fixed"].includes(type.value_type)) {
+      throw new grants.GrantError("value_type must be percentage or fixed");
+    }
+    if (type.applies_to && !["tuition", "all"].includes(type.applies_to)) {
+      throw new grants.GrantError("applies_to must be tuition or all");
+    }
+    if (type.value !== undefined) {
+      const value = parseFloat(type.value);
+      if (isNaN(value) || value < 0 || (type.value_type === "percentage" && value > 100)) {
+        throw new grants.GrantError("Invalid value");
+      }
+    }
+    if (type.kind === grants.GRANT_KINDS.SPONSOR && !type.sponsor_id && !partial) {
+      throw new grants.GrantError("Sponsor grants need a sponsor_id");
+    }
+    if (type.code !== undefined) type.code = String(type.code).trim().toUpperCase();
+    return type;
+  }
+
+  // ============================================
+  // GRANT TYPES
+  // ============================================
+  router.get("/types", async (req, res) => {
+    try {
+      let query = supabase
+        .from("grant_types")
+        .select("*, sponsors ( sponsor_id, name )")
+        .order("priority", { ascending: true });
+
+      if (req.query.kind) query = query.eq("kind", req.query.kind);
+      if (req.query.active !== undefined) {
+        query = query.eq("is_active", req.query.active === "true");
+      }
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grants/types");
+    }
+  });
+
+  router.post("/types", registrarOnly, async (req, res) => {
+    try {
+      const type = validateGrantType(pick(req.body, GRANT_TYPE_FIELDS));
+
+      const { data, error } = await supabase
+        .from("grant_types")
+        .insert([
+          {
+            applies_to: "tuition",
+            stackable: true,
+            priority: 0,
+            is_active: true,
+            ...type,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Grant type created", { grant_type_id: data.grant_type_id, code: data.code });
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /api/grants/types");
+    }
+  });
+
+  router.put("/types/:grant_type_id", registrarOnly, async (req, res) => {
+    try {
+      const updates = validateGrantType(pick(req.body, GRANT_TYPE_FIELDS), {
+        partial: true,
+      });
+
+      const { data, error } = await supabase
+        .from("grant_types")
+        .update(updates)
+        .eq("grant_type_id", req.params.grant_type_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Grant type not found" });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/grants/types/:grant_type_id");
+    }
+  });
+
+  // ============================================
+  // SPONSORS
+  // ============================================
+  router.get("/sponsors", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("sponsors")
+        .select("*")
+        .order("name", { ascending: true });
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grants/sponsors");
+    }
+  });
+
+  router.post("/sponsors", registrarOnly, async (req, res) => {
+    try {
+      const sponsor = pick(req.body, SPONSOR_FIELDS);
+
+      if (!sponsor.name) {
+        return res.status(400).json({ error: "name is required" });
+      }
+
+      const { data, error } = await supabase
+        .from("sponsors")
+        .insert([
+          {
+            sponsor_type: "other",
+            is_active: true,
+            ...sponsor,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Sponsor created", { sponsor_id: data.sponsor_id, name: data.name });
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /api/grants/sponsors");
+    }
+  });
+
+  router.put("/sponsors/:sponsor_id", registrarOnly, async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("sponsors")
+        .update(pick(req.body, SPONSOR_FIELDS))
+        .eq("sponsor_id", req.params.sponsor_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Sponsor not found" });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/grants/sponsors/:sponsor_id");
+    }
+  });
+
+  // Sponsor statement: everything billed to and paid by the sponsor
+  router.get("/sponsors/:sponsor_id/statement", async (req, res) => {
+    try {
+      const { sponsor_id } = req.params;
+
+      const { data: sponsor, error: sponsorError } = await supabase
+        .from("sponsors")
+        .select("*")
+        .eq("sponsor_id", sponsor_id)
+        .maybeSingle();
+
+      if (sponsorError) return res.status(400).json({ error: sponsorError.message });
+      if (!sponsor) return res.status(404).json({ error: "Sponsor not found" });
+
+      const account = await ledger.getOrCreateSponsorAccount(supabase, sponsor_id);
+
+      const entries = await ledger.fetchAll(() =>
+        supabase
+          .from("journal_entries")
+          .select(
+            `
+            *,
+            enrollments:enrollment_id (
+              enrollment_id,
+              semester_id,
+              students ( student_id, first_name, last_name )
+            )
+          `
+          )
+          .eq("account_id", account.account_id)
+          .order("entry_id", { ascending: true })
+      );
+
+      let running = 0;
+      const lines = entries.map((entry) => {
+        const amount = parseFloat(entry.amount);
+        const effect =
+          (entry.debit_account === ledger.LEDGER_ACCOUNTS.RECEIVABLE ? amount : 0) -
+          (entry.credit_account === ledger.LEDGER_ACCOUNTS.RECEIVABLE ? amount : 0);
+        running = Math.round((running + effect) * 100) / 100;
+
+        const student = entry.enrollments?.students;
+        return {
+          entry_id: entry.entry_id,
+          date: entry.created_at,
+          entry_type: entry.entry_type,
+          description: entry.description,
+          student: student
+            ? {
+                student_id: student.student_id,
+                name: `${student.first_name} ${student.last_name}`,
+              }
+            : null,
+          enrollment_id: entry.enrollment_id,
+          charges: effect > 0 ? effect : 0,
+          credits: effect < 0 ? -effect : 0,
+          running_balance: running,
+        };
+      });
+
+      res.json({
+        success: true,
+        sponsor,
+        account_id: account.account_id,
+        total_billed: Math.round(lines.reduce((s, l) => s + l.charges, 0) * 100) / 100,
+        total_paid: Math.round(lines.reduce((s, l) => s + l.credits, 0) * 100) / 100,
+        balance: running,
+        generated_at: new Date().toISOString(),
+        entries: lines,
+      });
+    } catch (err) {
+      handleError(res, err, "GET /api/grants/sponsors/:sponsor_id/statement");
+    }
+  });
+
+  // Record a payment received from a sponsor
+  router.post("/sponsors/:sponsor_id/payments", cashierOnly, async (req, res) => {
+    try {
+      const { amount, reference_no, method, notes } = req.body;
+
+      if (!amount || !reference_no) {
+        return res.status(400).json({ error: "amount and reference_no are required" });
+      }
+
+      const account = await ledger.getOrCreateSponsorAccount(
+        supabase,
+        req.params.sponsor_id
+      );
+
+      const result = await ledger.postPayment(supabase, logger, {
+        account_id: account.account_id,
+        amount: parseFloat(amount),
+        description: `Sponsor payment ${reference_no}${method ? ` via ${method}` : ""}${
+          notes ? ` - ${notes}` : ""
+        }`,
+        reference: `sponsor-payment:${req.params.sponsor_id}:${reference_no}`,
+        created_by: req.user?.user_id,
+      });
+
+      if (result.duplicate) {
+        return res.status(409).json({ error: "Payment already recorded", ...result });
+      }
+
+      res.status(201).json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /api/grants/sponsors/:sponsor_id/payments");
+    }
+  });
+
+  // ============================================
+  // STUDENT GRANTS
+  // ============================================
+  router.get("/students", async (req, res) => {
+    try {
+      const { student_id, semester_id, status } = req.query;
+
+      let query = supabase
+        .from("student_grants")
+        .select(
+          `
+          *,
+          grant_types ( grant_type_id, code, name, kind, value_type, value, applies_to ),
+          students ( student_id, first_name, last_name )
+        `
+        )
+        .order("requested_at", { ascending: false });
+
+      if (student_id) query = query.eq("student_id", student_id);
+      if (semester_id) query = query.eq("semester_id", semester_id);
+      if (status) query = query.eq("status", status);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/grants/students");
+    }
+  });
+
+  router.post("/students", registrarOnly, async (req, res) => {
+    try {
+      const grant = await grants.assignGrant(supabase, logger, {
+        ...pick(req.body, [
+          "student_id",
+          "grant_type_id",
+          "semester_id",
+          "value_override",
+          "notes",
+        ]),
+        requested_by: req.user?.user_id,
+      });
+
+      res.status(201).json({ success: true, data: grant });
+    } catch (err) {
+      handleError(res, err, "POST /api/grants/students");
+    }
+  });
+
+  const reviewRoute = (status) => async (req, res) => {
+    try {
+      const grant = await grants.reviewGrant(
+        supabase,
+        logger,
+        parseInt(req.params.student_grant_id),
+        { status, reviewed_by: req.user?.user_id, notes: req.body.notes }
+      );
+
+      res.json({ success: true, data: grant });
+    } catch (err) {
+      handleError(res, err, `POST /api/grants/students/:student_grant_id (${status})`);
+    }
+  };
+
+  router.post(
+    "/students/:student_grant_id/approve",
+    cashierOnly,
+    reviewRoute(grants.GRANT_STATUSES.APPROVED)
+  );
+  router.post(
+    "/students/:student_grant_id/reject",
+    cashierOnly,
+    reviewRoute(grants.GRANT_STATUSES.REJECTED)
+  );
+  router.post(
+    "/students/:student_grant_id/revoke",
+    cashierOnly,
+    reviewRoute(grants.GRANT_STATUSES.REVOKED)
+  );
+
+  // ============================================
+  // APPLY TO AN ENROLLMENT
+  // ============================================
+  // Preview (GET) or post (POST) the grants of an already billed enrollment,
+  // e.g. a scholarship approved after billing was generated
+  async function allocateForEnrollment(enrollment_id) {
+    const { data: enrollment, error } = await supabase
+      .from("enrollments")
+      .select("enrollment_id, student_id, semester_id")
+      .eq("enrollment_id", enrollment_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!enrollment) throw new grants.GrantError("Enrollment not found", 404);
+
+    // Bill = assessment charges minus scheme discount, straight from the journal
+    const entries = await ledger.fetchAll(() =>
+      supabase
+        .from("journal_entries")
+        .select("amount, reference, credit_account")
+        .eq("enrollment_id", enrollment_id)
+        .like("reference", "assessment%")
+    );
+
+    const sumWhere = (predicate) =>
+      entries.filter(predicate).reduce((s, e) => s + parseFloat(e.amount), 0);
+
+    const schemeDiscount = sumWhere((e) => e.reference.startsWith("assessment-discount:"));
+    const total =
+      Math.round(
+        (sumWhere((e) => e.reference.startsWith("assessment:")) - schemeDiscount) * 100
+      ) / 100;
+    const tuition = Math.max(
+      sumWhere(
+        (e) =>
+          e.reference.startsWith("assessment:") &&
+          e.credit_account === ledger.LEDGER_ACCOUNTS.TUITION_REVENUE
+      ) - schemeDiscount,
+      0
+    );
+
+    if (!(total > 0)) {
+      throw new grants.GrantError("Billing has not been generated for this enrollment");
+    }
+
+    const approved = await grants.getApprovedGrants(
+      supabase,
+      enrollment.student_id,
+      enrollment.semester_id
+    );
+
+    return {
+      enrollment,
+      allocation: grants.allocateGrants(approved, { tuition, total }),
+    };
+  }
+
+  router.get("/enrollments/:enrollment_id", async (req, res) => {
+    try {
+      const { allocation } = await allocateForEnrollment(req.params.enrollment_id);
+      res.json({ success: true, ...allocation });
+    } catch (err) {
+      handleError(res, err, "GET /api/grants/enrollments/:enrollment_id");
+    }
+  });
+
+  router.post("/enrollments/:enrollment_id/apply", cashierOnly, async (req, res) => {
+    try {
+      const { enrollment, allocation } = await allocateForEnrollment(
+        req.params.enrollment_id
+      );
+      const account = await ledger.getOrCreateAccount(supabase, enrollment.student_id);
+
+      await grants.postGrantAllocation(supabase, logger, {
+        enrollment_id: enrollment.enrollment_id,
+        account_id: account.account_id,
+        allocation,
+        created_by: req.user?.user_id,
+      });
+
+      const balance = await ledger.getDerivedBalance(supabase, account.account_id);
+
+      res.json({ success: true, ...allocation, account_balance: balance });
+    } catch (err) {
+      handleError(res, err, "POST /api/grants/enrollments/:enrollment_id/apply");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createGrantsRouter;
@@ -0,0 +1,178 @@
+// routes/holds.js
+const express = require("express");
+const holds = require("../services/holds");
+const { requireRole, requireSelfOrRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+// Roles that work for one of the clearance offices
+const OFFICE_ROLES = Object.values(holds.HOLD_OFFICES);
+
+function createHoldsRouter(supabase, logger) {
+  const router = express.Router();
+  const officeStaff = requireRole(...OFFICE_ROLES);
+  const selfOrOfficeStaff = requireSelfOrRole(
+    (req) => ({ student_id: req.params.student_id }),
+    ...OFFICE_ROLES
+  );
+
+  const handleError = createErrorHandler(logger);
+
+  function forbidOffice(res, office) {
+    return res.status(403).json({
+      error: `You cannot manage holds or clearance for the ${office} office`,
+    });
+  }
+
+  // ============================================
+  // LIST HOLDS
+  // ============================================
+  router.get("/", officeStaff, async (req, res) => {
+    try {
+      const { student_id, office, status = holds.HOLD_STATUSES.ACTIVE } = req.query;
+
+      let query = supabase
+        .from("student_holds")
+        .select("*, students ( student_id, first_name, last_name )")
+        .order("placed_at", { ascending: false });
+
+      if (student_id) query = query.eq("student_id", student_id);
+      if (office) query = query.eq("office", office);
+      if (status !== "all") query = query.eq("status", status);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, count: data.length, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/holds");
+    }
+  });
+
+  router.get("/students/:student_id", selfOrOfficeStaff, async (req, res) => {
+    try {
+      const active = await holds.getActiveHolds(supabase, req.params.student_id);
+
+      res.json({
+        success: true,
+        student_id: req.params.student_id,
+        blocks_enrollment: active.some((hold) => hold.blocks_enrollment),
+        holds: active,
+      });
+    } catch (err) {
+      handleError(res, err, "GET /api/holds/students/:student_id");
+    }
+  });
+
+  // ============================================
+  // PLACE / LIFT
+  // ============================================
+  router.post("/", officeStaff, async (req, res) => {
+    try {
+      const { student_id, office, hold_type, reason, blocks_enrollment } = req.body;
+
+      if (!holds.canManageOffice(req.user, office)) {
+        return forbidOffice(res, office);
+      }
+
+      const { hold } = await holds.placeHold(supabase, logger, {
+        student_id,
+        office,
+        hold_type,
+        reason,
+        blocks_enrollment: blocks_enrollment !== false,
+        placed_by: req.user.user_id,
+      });
+
+      res.status(201).json({ success: true, data: hold });
+    } catch (err) {
+      handleError(res, err, "POST /api/holds");
+    }
+  });
+
+  router.post("/:hold_id/lift", officeStaff, async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({ error: "A reason is required" });
+      }
+
+      const { data: hold, error } = await supabase
+        .from("student_holds")
+        .select("hold_id, office")
+        .eq("hold_id", req.params.hold_id)
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!hold) return res.status(404).json({ error: "Hold not found" });
+
+      if (!holds.canManageOffice(req.user, hold.office)) {
+        return forbidOffice(res, hold.office);
+      }
+
+      const lifted = await holds.liftHold(supabase, logger, hold.hold_id, {
+        lifted_by: req.user.user_id,
+        lift_reason: reason,
+      });
+
+      res.json({ success: true, data: lifted });
+    } catch (err) {
+      handleError(res, err, "POST /api/holds/:hold_id/lift");
+    }
+  });
+
+  // ============================================
+  // CLEARANCE CHECKLIST
+  // ============================================
+  router.get("/clearance/:student_id", selfOrOfficeStaff, async (req, res) => {
+    try {
+      const { semester_id } = req.query;
+
+      if (!semester_id) {
+        return res.status(400).json({ error: "semester_id is required" });
+      }
+
+      const clearance = await holds.getClearance(
+        supabase,
+        req.params.student_id,
+        parseInt(semester_id)
+      );
+
+      res.json({ success: true, ...clearance });
+    } catch (err) {
+      handleError(res, err, "GET /api/holds/clearance/:student_id");
+    }
+  });
+
+  router.post("/clearance/:student_id", officeStaff, async (req, res) => {
+    try {
+      const { semester_id, notes } = req.body;
+      // Office staff clear for their own office; admins must name one
+      const office =
+        req.body.office ||
+        Object.keys(holds.HOLD_OFFICES).find(
+          (key) => holds.HOLD_OFFICES[key] === req.user.role
+        );
+
+      if (!holds.canManageOffice(req.user, office)) {
+        return forbidOffice(res, office);
+      }
+
+      const clearance = await holds.clearStudent(supabase, logger, {
+        student_id: req.params.student_id,
+        semester_id,
+        office,
+        cleared_by: req.user.user_id,
+        notes,
+      });
+
+      res.status(201).json({ success: true, data: clearance });
+    } catch (err) {
+      handleError(res, err, "POST /api/holds/clearance/:student_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createHoldsRouter;
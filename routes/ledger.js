@@ -0,0 +1,170 @@
+// routes/ledger.js
+const express = require("express");
+const ledger = require("../services/ledger");
+const { createErrorHandler } = require("../services/common");
+
+function createLedgerRouter(supabase, logger) {
+  const router = express.Router();
+
+  const handleError = createErrorHandler(logger);
+
+  // ============================================
+  // ACCOUNT JOURNAL
+  // ============================================
+  router.get("/accounts/:account_id/journal", async (req, res) => {
+    try {
+      const { account_id } = req.params;
+
+      const entries = await ledger.fetchAll(() =>
+        supabase
+          .from("journal_entries")
+          .select("*")
+          .eq("account_id", account_id)
+          .order("entry_id", { ascending: true })
+      );
+
+      // Running balance in posting order
+      let running = 0;
+      const journal = entries.map((entry) => {
+        const amount = parseFloat(entry.amount);
+        if (entry.debit_account === ledger.LEDGER_ACCOUNTS.RECEIVABLE) running += amount;
+        if (entry.credit_account === ledger.LEDGER_ACCOUNTS.RECEIVABLE) running -= amount;
+        return { ...entry, running_balance: Math.round(running * 100) / 100 };
+      });
+
+      const { data: account } = await supabase
+        .from("accounts")
+        .select("account_id, student_id, total_balance, last_updated")
+        .eq("account_id", account_id)
+        .maybeSingle();
+
+      if (!account) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+
+      const journalBalance = journal.length
+        ? journal[journal.length - 1].running_balance
+        : 0;
+
+      res.json({
+        success: true,
+        account,
+        journal_balance: journalBalance,
+        in_sync:
+          Math.abs(parseFloat(account.total_balance || 0) - journalBalance) <= 0.01,
+        entries: journal,
+      });
+    } catch (err) {
+      handleError(res, err, "GET /ledger/accounts/:account_id/journal");
+    }
+  });
+
+  // ============================================
+  // MANUAL ADJUSTMENTS & REVERSALS
+  // ============================================
+  router.post("/accounts/:account_id/adjustments", async (req, res) => {
+    try {
+      const { amount, description } = req.body;
+
+      if (!amount || !description) {
+        return res
+          .status(400)
+          .json({ error: "amount and description are required" });
+      }
+
+      const result = await ledger.postAdjustment(supabase, logger, {
+        account_id: parseInt(req.params.account_id),
+        amount: parseFloat(amount),
+        description,
+        created_by: req.user?.user_id,
+      });
+
+      res.status(201).json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /ledger/accounts/:account_id/adjustments");
+    }
+  });
+
+  router.post("/entries/:entry_id/reverse", async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({ error: "A reason is required" });
+      }
+
+      const result = await ledger.reverseEntry(
+        supabase,
+        logger,
+        parseInt(req.params.entry_id),
+        { reason, created_by: req.user?.user_id }
+      );
+
+      if (result.duplicate) {
+        return res
+          .status(409)
+          .json({ error: "Entry has already been reversed", ...result });
+      }
+
+      res.status(201).json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /ledger/entries/:entry_id/reverse");
+    }
+  });
+
+  // ============================================
+  // RECONCILIATION
+  // ============================================
+  // Accounts whose stored total_balance disagrees with their journal
+  router.get("/reconciliation", async (req, res) => {
+    try {
+      const report = await ledger.reconcileAccounts(supabase);
+
+      logger.info("Ledger reconciliation run", {
+        checked: report.checked,
+        mismatched: report.mismatched,
+      });
+
+      res.json({ success: true, generated_at: new Date().toISOString(), ...report });
+    } catch (err) {
+      handleError(res, err, "GET /ledger/reconciliation");
+    }
+  });
+
+  // Journal the stored balance of every account that predates the ledger.
+  // Run once after upgrading; accounts that already have entries are skipped.
+  router.post("/opening-balances", async (req, res) => {
+    try {
+      const result = await ledger.backfillOpeningBalances(supabase, logger, {
+        created_by: req.user.user_id,
+      });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /ledger/opening-balances");
+    }
+  });
+
+  // Re-derive one account's cached total_balance from its journal
+  router.post("/accounts/:account_id/sync", async (req, res) => {
+    try {
+      const result = await ledger.syncAccountBalance(
+        supabase,
+        logger,
+        parseInt(req.params.account_id)
+      );
+
+      logger.info("Account balance re-derived from journal", {
+        account_id: req.params.account_id,
+        ...result,
+      });
+
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /ledger/accounts/:account_id/sync");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLedgerRouter;
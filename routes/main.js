@@ -1,4 +1,7 @@
 const express = require("express");
+const feeEngine = require("../services/feeengine");
+const curriculum = require("../services/curriculum");
+const prerequisites = require("../services/prerequisites");
 
 function createMainRouter(supabase, logger) {
   const router = express.Router();
@@ -416,7 +419,9 @@ function createMainRouter(supabase, logger) {
       // Step 1: Get student info
       let studentQuery = supabase
         .from("students")
-        .select("student_id, program_id, year_level, first_name, last_name");
+        .select(
+          "student_id, program_id, year_level, first_name, last_name, admission_year, curriculum_id"
+        );
 
       if (email) {
         studentQuery = studentQuery.eq("email", email.toLowerCase().trim());
@@ -436,6 +441,16 @@ function createMainRouter(supabase, logger) {
 
       logger.info("Student found", { student_id: student.student_id });
 
+      // Step 1.5: Subjects of the student's curriculum (course_subjects when the program has none)
+      const studentCurriculum = await curriculum.resolveStudentCurriculum(supabase, logger, student);
+      const programSubjects = await curriculum.getProgramSubjects(supabase, {
+        program_id: student.program_id,
+        curriculum_id: studentCurriculum?.curriculum_id || null,
+      });
+      const curriculumYearLevels = Object.fromEntries(
+        programSubjects.map((s) => [s.subject_id, s.year_level])
+      );
+
       // Step 2: Get passed subjects with their year levels AND semesters
       const { data: passedSubjects, error: passedError } = await supabase
         .from("enrollment_subjects")
@@ -467,7 +482,7 @@ function createMainRouter(supabase, logger) {
       if (passedSubjects && passedSubjects.length > 0) {
         // Find the highest year level where student has ANY passed subjects
         const yearsWithPassedSubjects = passedSubjects
-          .map(s => s.course_subjects?.year_level)
+          .map(s => curriculumYearLevels[s.subject_id] || s.course_subjects?.year_level)
           .filter(Boolean);
 
         if (yearsWithPassedSubjects.length > 0) {
@@ -475,20 +490,13 @@ function createMainRouter(supabase, logger) {
           actualCurrentYearLevel = highestYearWithProgress;
 
           // Only advance year if ALL subjects in that year are completed (both semesters)
-          const { data: programSubjects } = await supabase
-            .from("course_subjects")
-            .select("subject_id, year_level, semester_id, semesters(semester_name)")
-            .eq("program_id", student.program_id)
-            .eq("year_level", highestYearWithProgress)
-            .in("semester_id", [
+          const allYearSubjectIds = programSubjects
+            .filter(s =>
+              s.year_level === highestYearWithProgress &&
               // Only check 1st and 2nd semester (not Summer)
-              ...await supabase.from("semesters")
-                .select("semester_id")
-                .in("semester_name", ["1st Semester", "2nd Semester"])
-                .then(r => r.data?.map(s => s.semester_id) || [])
-            ]);
-
-          const allYearSubjectIds = programSubjects?.map(s => s.subject_id) || [];
+              ["1st Semester", "2nd Semester"].includes(s.term)
+            )
+            .map(s => s.subject_id);
           const allYearComplete = allYearSubjectIds.every(id => passedSubjectIds.includes(id));
 
           if (allYearComplete && allYearSubjectIds.length > 0) {
@@ -652,44 +660,18 @@ function createMainRouter(supabase, logger) {
         eligible_year: eligibleYearLevel
       });
 
-      // Step 5: Get all subjects for the program (direct query instead of RPC)
-      const { data: eligibleSubjects, error: subjectsError } = await supabase
-        .from("course_subjects")
-        .select(`
-          subject_id,
-          subject_code,
-          subject_name,
-          units,
-          year_level,
-          semester_id,
-          subject_type,
-          is_elective,
-          prerequisite_id,
-          semesters(semester_name)
-        `)
-        .eq("program_id", student.program_id);
-
-      if (subjectsError) {
-        logger.error("Error fetching eligible subjects", {
-          error: subjectsError,
-        });
-        throw subjectsError;
-      }
-
+      // Step 5: All subjects for the program were loaded from the curriculum in Step 1.5
       logger.info("Eligible subjects", {
-        total: eligibleSubjects?.length || 0,
-        by_semester: eligibleSubjects
-          ? [...new Set(eligibleSubjects.map((s) => s.semester_id))]
-          : [],
+        total: programSubjects.length,
+        curriculum_id: studentCurriculum?.curriculum_id || null,
+        by_term: [...new Set(programSubjects.map((s) => s.term))],
       });
 
       // Step 6: Filter subjects for next semester and year level
-      const nextSemesterSubjects =
-        eligibleSubjects?.filter(
-          (subject) =>
-            subject.semester_id === nextSemesterId &&
-            subject.year_level === nextYearLevel
-        ) || [];
+      const nextSemesterSubjects = curriculum.subjectsForTerm(programSubjects, {
+        year_level: nextYearLevel,
+        semester: nextSemester,
+      });
 
       logger.info("Filtered for next enrollment", {
         matched: nextSemesterSubjects.length,
@@ -778,33 +760,46 @@ function createMainRouter(supabase, logger) {
       }
 
       // Step 7: Get total program subjects
-      const { count: totalProgramSubjects } = await supabase
-        .from("course_subjects")
-        .select("subject_id", { count: "exact", head: true })
-        .eq("program_id", student.program_id);
+      const totalProgramSubjects = programSubjects.length;
 
       const completionPercentage = totalProgramSubjects
         ? Math.round((passedSubjectIds.length / totalProgramSubjects) * 100)
         : 0;
 
-      // Step 8: Process subjects
-      const processedSubjects = nextSemesterSubjects.map((subject) => ({
-        subject_id: subject.subject_id,
-        subject_code: subject.subject_code,
-        subject_name: subject.subject_name,
-        units: subject.units,
-        year_level: subject.year_level,
-        semester_id: subject.semester_id,
-        semester_name: subject.semesters?.semester_name || null,
-        subject_type: subject.subject_type,
-        is_elective: subject.is_elective,
-        prerequisite_id: subject.prerequisite_id,
-        prerequisite_satisfied: subject.prerequisite_id
-          ? passedSubjectIds.includes(subject.prerequisite_id)
-          : true,
-        instructors: instructorInfo[subject.subject_id] || [],
-        schedules: scheduleInfo[subject.subject_id] || [],
-      }));
+      // Step 8: Process subjects; the rules engine explains any blocked subject
+      const eligibilityContext = await prerequisites.buildContext(
+        supabase,
+        logger,
+        { ...student, curriculum_id: studentCurriculum?.curriculum_id || null },
+        { semester_id: nextSemesterId, year_standing: nextYearLevel }
+      );
+      const eligibilityResults = prerequisites.evaluateSubjects(
+        eligibilityContext,
+        nextSemesterSubjects.map((s) => s.subject_id)
+      );
+      const processedSubjects = nextSemesterSubjects.map((subject, index) => {
+        const eligibility = eligibilityResults[index];
+        return {
+          subject_id: subject.subject_id,
+          subject_code: subject.subject_code,
+          subject_name: subject.subject_name,
+          units: subject.units,
+          year_level: subject.year_level,
+          semester_id: nextSemesterId,
+          semester_name: subject.term,
+          subject_type: subject.subject_type,
+          is_elective: subject.is_elective,
+          prerequisite_id: subject.prerequisite_ids[0] || null,
+          prerequisite_ids: subject.prerequisite_ids,
+          corequisite_ids: subject.corequisite_ids,
+          min_year_standing: subject.min_year_standing,
+          prerequisite_satisfied: eligibility.eligible,
+          overridden: eligibility.overridden,
+          blocked_by: eligibility.blocked_by,
+          instructors: instructorInfo[subject.subject_id] || [],
+          schedules: scheduleInfo[subject.subject_id] || [],
+        };
+      });
 
       const totalUnitsAvailable = processedSubjects.reduce(
         (sum, s) => sum + (s.units || 0),
@@ -820,6 +815,13 @@ function createMainRouter(supabase, logger) {
           next_year_level: nextYearLevel,
           program_id: student.program_id,
         },
+        curriculum: studentCurriculum
+          ? {
+              curriculum_id: studentCurriculum.curriculum_id,
+              code: studentCurriculum.code,
+              name: studentCurriculum.name,
+            }
+          : null,
         progress: {
           completed_subjects: passedSubjectIds.length,
           total_subjects: totalProgramSubjects,
@@ -878,7 +880,7 @@ function createMainRouter(supabase, logger) {
       let studentQuery = supabase
         .from("students")
         .select(
-          "student_id, program_id, year_level, first_name, last_name, email"
+          "student_id, program_id, year_level, first_name, last_name, email, admission_year, curriculum_id"
         );
 
       if (email) {
@@ -916,14 +918,16 @@ function createMainRouter(supabase, logger) {
 
       let eligibleYearLevel = student.year_level;
 
+      const studentCurriculum = await curriculum.resolveStudentCurriculum(supabase, logger, student);
+      const curriculumId = studentCurriculum?.curriculum_id || null;
+
       if (passedSubjects && passedSubjects.length > 0) {
-        const { data: programSubjects } = await supabase
-          .from("course_subjects")
-          .select("subject_id, year_level")
-          .eq("program_id", student.program_id)
-          .order("year_level", { ascending: true });
+        const programSubjects = await curriculum.getProgramSubjects(supabase, {
+          program_id: student.program_id,
+          curriculum_id: curriculumId,
+        });
 
-        if (programSubjects) {
+        if (programSubjects.length > 0) {
           const subjectsByYear = {};
           programSubjects.forEach((subject) => {
             if (!subjectsByYear[subject.year_level]) {
@@ -1031,7 +1035,23 @@ function createMainRouter(supabase, logger) {
         .eq("program_id", student.program_id)
         .single();
 
-      // Step 6: Format schemes
+      // Step 6: Itemized assessment from the fee rules
+      const assessmentContext = {
+        program_id: student.program_id,
+        year_level: eligibleYearLevel,
+        semester_id: targetSemesterId,
+        curriculum_id: curriculumId,
+      };
+      const assessmentSubjects = await feeEngine.getAssessmentSubjects(
+        supabase,
+        assessmentContext
+      );
+      const assessment = await feeEngine.computeAssessment(supabase, {
+        ...assessmentContext,
+        subjects: assessmentSubjects,
+      });
+
+      // Step 7: Format schemes
       const formattedSchemes = {
         full_payment: null,
         installment_scheme_1: null,
@@ -1039,24 +1059,25 @@ function createMainRouter(supabase, logger) {
       };
 
       schemes.forEach((scheme) => {
+        const pricing = feeEngine.priceScheme(scheme, assessment);
         const schemeData = {
           scheme_id: scheme.scheme_id,
           scheme_name: scheme.scheme_name,
           scheme_type: scheme.scheme_type,
-          amount: parseFloat(scheme.amount),
-          discount: parseFloat(scheme.discount || 0),
-          final_amount:
-            parseFloat(scheme.amount) - parseFloat(scheme.discount || 0),
+          amount: pricing.amount,
+          discount: pricing.discount,
+          final_amount: pricing.final_amount,
+          pricing_source: pricing.source,
           year_level: scheme.year, // This will now be the eligible year level
         };
 
         if (scheme.scheme_type === "cash") {
           formattedSchemes.full_payment = schemeData;
         } else if (scheme.scheme_type === "installment") {
-          schemeData.downpayment = parseFloat(scheme.downpayment || 0);
-          schemeData.monthly_payment = parseFloat(scheme.monthly_payment || 0);
-          schemeData.months = parseInt(scheme.months || 0);
-          schemeData.total_amount = parseFloat(scheme.amount);
+          schemeData.downpayment = pricing.downpayment;
+          schemeData.monthly_payment = pricing.monthly_payment;
+          schemeData.months = pricing.months;
+          schemeData.total_amount = pricing.amount;
 
           if (!formattedSchemes.installment_scheme_1) {
             formattedSchemes.installment_scheme_1 = schemeData;
@@ -1091,6 +1112,7 @@ function createMainRouter(supabase, logger) {
           school_year: semesterInfo.school_year,
         },
         target_year_level: eligibleYearLevel, // **Use calculated level**
+        assessment,
         schemes: formattedSchemes,
         available_schemes: availableSchemes,
         total_schemes_available: availableSchemes.length,
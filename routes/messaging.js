@@ -0,0 +1,213 @@
+// routes/messaging.js
+const express = require("express");
+const notifications = require("../services/notifications");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+const CHANNEL_VALUES = Object.values(notifications.CHANNELS);
+
+function createMessagingRouter(supabase, logger) {
+  const router = express.Router();
+  const registrarOnly = requireRole(ROLES.REGISTRAR);
+
+  const handleError = createErrorHandler(logger);
+
+  function validChannel(res, channel) {
+    if (CHANNEL_VALUES.includes(channel)) return true;
+    res.status(400).json({ error: `channel must be one of: ${CHANNEL_VALUES.join(", ")}` });
+    return false;
+  }
+
+  // ============================================
+  // TEMPLATES
+  // ============================================
+
+  // Built-in templates merged with the saved ones (saved rows win)
+  router.get("/templates", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("notification_templates")
+        .select("*")
+        .order("key", { ascending: true });
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      const templates = [];
+      for (const [key, channels] of Object.entries(notifications.DEFAULT_TEMPLATES)) {
+        for (const [channel, template] of Object.entries(channels)) {
+          if (!data.some((row) => row.key === key && row.channel === channel)) {
+            templates.push({ key, channel, ...template, is_active: true, source: "default" });
+          }
+        }
+      }
+      templates.push(...data.map((row) => ({ ...row, source: "database" })));
+
+      res.json({ success: true, data: templates });
+    } catch (err) {
+      handleError(res, err, "GET /api/messaging/templates");
+    }
+  });
+
+  router.put("/templates/:key/:channel", registrarOnly, async (req, res) => {
+    try {
+      const { key, channel } = req.params;
+      const { subject, body, html, is_active = true } = req.body;
+
+      if (!validChannel(res, channel)) return;
+      if (!body) return res.status(400).json({ error: "body is required" });
+      if (channel === notifications.CHANNELS.EMAIL && !subject) {
+        return res.status(400).json({ error: "Email templates need a subject" });
+      }
+
+      const { data, error } = await supabase
+        .from("notification_templates")
+        .upsert(
+          [
+            {
+              key,
+              channel,
+              subject: subject || null,
+              body,
+              html: html || null,
+              is_active,
+              updated_by: req.user.user_id,
+              updated_at: new Date().toISOString(),
+            },
+          ],
+          { onConflict: "key,channel" }
+        )
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Notification template saved", { key, channel, updated_by: req.user.user_id });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/messaging/templates/:key/:channel");
+    }
+  });
+
+  router.post("/templates/:key/:channel/preview", async (req, res) => {
+    try {
+      const { key, channel } = req.params;
+      if (!validChannel(res, channel)) return;
+
+      const template = await notifications.getTemplate(supabase, key, channel);
+      if (!template) {
+        return res.status(404).json({ error: `No ${channel} template named "${key}"` });
+      }
+
+      res.json({
+        success: true,
+        source: template.source,
+        ...notifications.renderTemplate(template, req.body.variables || {}),
+      });
+    } catch (err) {
+      handleError(res, err, "POST /api/messaging/templates/:key/:channel/preview");
+    }
+  });
+
+  // ============================================
+  // SEND
+  // ============================================
+  router.post("/send", async (req, res) => {
+    try {
+      const { template = "general", channels, student_id, admission_id, email, phone, name, variables } =
+        req.body;
+
+      if (!student_id && !admission_id && !email && !phone) {
+        return res.status(400).json({ error: "A student_id, admission_id, email or phone is required" });
+      }
+      if (!Array.isArray(channels) || channels.some((channel) => !CHANNEL_VALUES.includes(channel))) {
+        return res.status(400).json({ error: `channels must be a list of: ${CHANNEL_VALUES.join(", ")}` });
+      }
+
+      const messages = await notifications.notify(supabase, logger, {
+        template,
+        channels,
+        to: { student_id, admission_id, email, phone, name },
+        variables,
+      });
+
+      res.status(201).json({ success: true, data: messages });
+    } catch (err) {
+      handleError(res, err, "POST /api/messaging/send");
+    }
+  });
+
+  // ============================================
+  // OUTBOX
+  // ============================================
+  router.get("/outbox", async (req, res) => {
+    try {
+      const { status, channel, template, student_id, admission_id, limit = 100 } = req.query;
+
+      let query = supabase
+        .from("notification_outbox")
+        .select("*")
+        .order("created_at", { ascending: false })
+        .limit(parseInt(limit) || 100);
+
+      if (status) query = query.eq("status", status);
+      if (channel) query = query.eq("channel", channel);
+      if (template) query = query.eq("template_key", template);
+      if (student_id) query = query.eq("student_id", student_id);
+      if (admission_id) query = query.eq("admission_id", admission_id);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, count: data.length, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/messaging/outbox");
+    }
+  });
+
+  router.get("/outbox/:message_id", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("notification_outbox")
+        .select("*")
+        .eq("message_id", req.params.message_id)
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Message not found" });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/messaging/outbox/:message_id");
+    }
+  });
+
+  router.post("/outbox/:message_id/retry", async (req, res) => {
+    try {
+      const message = await notifications.retryMessage(supabase, logger, req.params.message_id);
+
+      logger.info("Notification retried manually", {
+        message_id: message.message_id,
+        status: message.status,
+        retried_by: req.user.user_id,
+      });
+
+      res.json({ success: true, data: message });
+    } catch (err) {
+      handleError(res, err, "POST /api/messaging/outbox/:message_id/retry");
+    }
+  });
+
+  // Deliver everything that is due now instead of waiting for the cron
+  router.post("/outbox/process", async (req, res) => {
+    try {
+      const summary = await notifications.processOutbox(supabase, logger);
+      res.json({ success: true, ...summary });
+    } catch (err) {
+      handleError(res, err, "POST /api/messaging/outbox/process");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createMessagingRouter;
@@ -0,0 +1,190 @@
+// routes/overdue.js
+const express = require("express");
+const overdue = require("../services/overdue");
+
+const RULE_FIELDS = [
+  "name",
+  "semester_id",
+  "penalty_type",
+  "amount",
+  "grace_days",
+  "max_penalty",
+  "places_hold",
+  "hold_after_days",
+  "is_active",
+];
+
+function createOverdueRouter(supabase, logger) {
+  const router = express.Router();
+
+  function pickRule(body) {
+    const rule = {};
+    for (const field of RULE_FIELDS) {
+      if (body[field] !== undefined) rule[field] = body[field];
+    }
+    return rule;
+  }
+
+  function validateRule(rule, { partial = false } = {}) {
+    if (!partial && (!rule.name || !rule.penalty_type || rule.amount === undefined)) {
+      return "name, penalty_type and amount are required";
+    }
+    if (
+      rule.penalty_type !== undefined &&
+      !["flat", "percent_per_month"].includes(rule.penalty_type)
+    ) {
+      return "penalty_type must be flat or percent_per_month";
+    }
+    if (rule.amount !== undefined && !(parseFloat(rule.amount) >= 0)) {
+      return "amount must be zero or more";
+    }
+    return null;
+  }
+
+  // ============================================
+  // PENALTY RULES
+  // ============================================
+  router.get("/penalty-rules", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("penalty_rules")
+        .select("*")
+        .order("rule_id", { ascending: false });
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      logger.error("Error fetching penalty rules", { error: err.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.post("/penalty-rules", async (req, res) => {
+    try {
+      const rule = pickRule(req.body);
+      const invalid = validateRule(rule);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { data, error } = await supabase
+        .from("penalty_rules")
+        .insert([
+          {
+            grace_days: 0,
+            places_hold: false,
+            is_active: true,
+            ...rule,
+            created_by: req.user?.user_id,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Penalty rule created", { rule_id: data.rule_id, ...rule });
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      logger.error("Error creating penalty rule", { error: err.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.put("/penalty-rules/:rule_id", async (req, res) => {
+    try {
+      const updates = pickRule(req.body);
+      const invalid = validateRule(updates, { partial: true });
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { data, error } = await supabase
+        .from("penalty_rules")
+        .update(updates)
+        .eq("rule_id", req.params.rule_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Penalty rule not found" });
+
+      logger.info("Penalty rule updated", { rule_id: data.rule_id, ...updates });
+      res.json({ success: true, data });
+    } catch (err) {
+      logger.error("Error updating penalty rule", { error: err.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // ============================================
+  // OVERDUE INSTALLMENTS
+  // ============================================
+  router.get("/installments", async (req, res) => {
+    try {
+      const { semester_id } = req.query;
+
+      let query = supabase
+        .from("payment_installments")
+        .select(
+          `
+          installment_id,
+          enrollment_id,
+          installment_number,
+          amount,
+          due_date,
+          overdue_since,
+          penalty_amount,
+          reminder_level,
+          enrollments!inner (
+            semester_id,
+            students ( student_id, first_name, last_name, email )
+          )
+        `
+        )
+        .eq("status", "pending")
+        .eq("is_overdue", true)
+        .order("due_date", { ascending: true });
+
+      if (semester_id) query = query.eq("enrollments.semester_id", semester_id);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, count: data.length, data });
+    } catch (err) {
+      logger.error("Error fetching overdue installments", { error: err.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Run the daily pass now (optionally as of another date)
+  router.post("/run", async (req, res) => {
+    try {
+      const as_of = req.body.as_of ? new Date(req.body.as_of) : new Date();
+
+      if (isNaN(as_of.getTime())) {
+        return res.status(400).json({ error: "Invalid as_of date" });
+      }
+
+      logger.info("Overdue processing triggered manually", {
+        as_of,
+        triggered_by: req.user?.user_id,
+      });
+
+      const summary = await overdue.processOverdueInstallments(supabase, logger, {
+        as_of,
+      });
+
+      res.json({ success: true, ...summary });
+    } catch (err) {
+      logger.error("Error running overdue processing", {
+        error: err.message,
+        stack: err.stack,
+      });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createOverdueRouter;
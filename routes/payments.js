@@ -1,6 +1,6 @@
 const express = require('express');
-// ✅ ADD THIS IMPORT AT THE TOP
-const { handleEnrollmentPayment } = require('./billing');
+const { createPaymongoWebhookHandler } = require('../services/paymongowebhooks');
+const { getPaymentProvider } = require('../services/paymentprovider');
 
 function createPaymentsRouter(supabase, logger) {
   const router = express.Router();
@@ -8,21 +8,9 @@ function createPaymentsRouter(supabase, logger) {
   // ============================================
   // PAYMENT CONFIGURATION
   // ============================================
-  const PAYMONGO_ENABLED = process.env.PAYMONGO_SECRET_KEY &&
-    process.env.PAYMONGO_PUBLIC_KEY !== 'offline';
-
-  let paymongoClient = null;
-
-  if (PAYMONGO_ENABLED) {
-    const axios = require('axios');
-    paymongoClient = axios.create({
-      baseURL: 'https://api.paymongo.com/v1',
-      headers: {
-        'Authorization': `Basic ${Buffer.from(process.env.PAYMONGO_SECRET_KEY + ':').toString('base64')}`,
-        'Content-Type': 'application/json'
-      }
-    });
-  }
+  const paymentProvider = getPaymentProvider();
+  const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const CHECKOUT_EXPIRY_HOURS = 24;
 
   // ============================================
   // GET STUDENT BALANCE
@@ -160,7 +148,7 @@ function createPaymentsRouter(supabase, logger) {
       logger.info('Creating payment checkout', {
         student_id,
         payment_type,
-        paymongo_enabled: PAYMONGO_ENABLED
+        provider: paymentProvider.name
       });
 
       // 1. Get or create student account
@@ -320,91 +308,54 @@ function createPaymentsRouter(supabase, logger) {
 
       const payment_id = payment.payment_id;
 
-      // 5. Create PayMongo checkout OR mock checkout for offline testing
-      let checkout_url;
-      let checkout_id;
-
-      if (PAYMONGO_ENABLED) {
-        // ONLINE MODE: Use real PayMongo
-        try {
-          const amountInCentavos = Math.round(amount * 100);
-
-          console.log('✅ PayMongo redirect URLs:', {
-            success_url: `http://127.0.0.1:5501/student/payment.html?status=success&payment_id=${payment_id}`,
-            cancel_url: `http://127.0.0.1:5501/student/payment.htmlstatus=cancelled&payment_id=${payment_id}`
-          });
-          const checkoutData = {
-            data: {
-              attributes: {
-                amount: amountInCentavos,
-                currency: 'PHP',
-                description: description,
-                line_items: [{
-                  name: description,
-                  amount: amountInCentavos,
-                  currency: 'PHP',
-                  quantity: 1
-                }],
-                payment_method_types: ['gcash', 'paymaya', 'card', 'grab_pay'],
-                success_url: `http://localhost:3000/student/payment.html?status=success&payment_id=${payment_id}`,
-                cancel_url: `http://localhost:3000/student/payment.html?status=cancelled&payment_id=${payment_id}`,
-                metadata: {
-                  payment_id: payment_id.toString(),
-                  enrollment_id: enrollment_id?.toString() || '',
-                  student_id: student_id.toString(),
-                  payment_type: payment_type,
-                  payment_category: 'tuition', // ✅ Identifies as tuition payment
-                  account_id: account_id.toString()
-                }
-              }
-            }
-          };
-
-          const checkoutResponse = await paymongoClient.post('/checkout_sessions', checkoutData);
-          const checkoutSession = checkoutResponse.data.data;
-
-          checkout_url = checkoutSession.attributes.checkout_url;
-          checkout_id = checkoutSession.id;
-
-          // Save PayMongo transaction
-          await supabase.from('payment_transactions').insert([{
-            payment_id,
-            paymongo_payment_id: checkout_id,
-            amount,
-            currency: 'PHP',
-            status: 'pending',
-            checkout_url,
-            expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-          }]);
-
-        } catch (error) {
-          logger.error('PayMongo error', {
-            error: error.response?.data || error.message
-          });
-          return res.status(500).json({
-            error: 'Payment gateway error',
-            details: error.response?.data?.errors?.[0]?.detail || error.message
-          });
-        }
+      // 5. Create the checkout session with the configured provider
+      let session;
+      try {
+        session = await paymentProvider.createCheckoutSession({
+          amount,
+          description,
+          success_url: `${FRONTEND_URL}/student/payment.html?status=success&payment_id=${payment_id}`,
+          cancel_url: `${FRONTEND_URL}/student/payment.html?status=cancelled&payment_id=${payment_id}`,
+          metadata: {
+            payment_id: payment_id.toString(),
+            enrollment_id: enrollment_id?.toString() || '',
+            student_id: student_id.toString(),
+            payment_type: payment_type,
+            payment_category: 'tuition', // ✅ Identifies as tuition payment
+            account_id: account_id.toString()
+          }
+        });
+      } catch (error) {
+        logger.error('Payment gateway error', {
+          provider: paymentProvider.name,
+          error: error.response?.data || error.message
+        });
+        return res.status(500).json({
+          error: 'Payment gateway error',
+          details: error.response?.data?.errors?.[0]?.detail || error.message
+        });
+      }
 
-      } else {
-        // OFFLINE MODE: Mock checkout for local testing
-        checkout_url = `${process.env.BASE_URL || 'http://localhost:3000'}/payment/mock-checkout?payment_id=${payment_id}`;
-        checkout_id = `mock_checkout_${payment_id}_${Date.now()}`;
+      const checkout_url = session.checkout_url;
+      const checkout_id = session.id;
+      const expires_at = session.expires_at ||
+        new Date(Date.now() + CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
 
-        // Save mock transaction
-        await supabase.from('payment_transactions').insert([{
-          payment_id,
-          paymongo_payment_id: checkout_id,
-          amount,
-          currency: 'PHP',
-          status: 'pending',
-          checkout_url,
-          expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-        }]);
+      await supabase.from('payment_transactions').insert([{
+        payment_id,
+        paymongo_payment_id: checkout_id,
+        amount,
+        currency: 'PHP',
+        status: 'pending',
+        checkout_url,
+        expires_at
+      }]);
 
-        logger.info('Created OFFLINE mock checkout', { payment_id, checkout_id });
-      }
+      logger.info('Created checkout session', {
+        payment_id,
+        checkout_id,
+        provider: paymentProvider.name
+      });
 
       res.json({
         success: true,
@@ -414,8 +365,8 @@ function createPaymentsRouter(supabase, logger) {
         amount,
         payment_type,
         description,
-        is_mock: !PAYMONGO_ENABLED,
-        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        is_mock: paymentProvider.name === 'mock',
+        expires_at
       });
 
     } catch (err) {
@@ -427,8 +378,10 @@ function createPaymentsRouter(supabase, logger) {
   // ============================================
   // MOCK PAYMENT COMPLETION (FOR OFFLINE TESTING)
   // ============================================
+  // Resolves the mock checkout session, which posts a signed webhook back
+  // into the app - the account is updated by the normal webhook path.
   router.post('/mock-complete/:payment_id', async (req, res) => {
-    if (PAYMONGO_ENABLED) {
+    if (paymentProvider.name !== 'mock') {
       return res.status(403).json({
         error: 'Mock payments not allowed in production mode'
       });
@@ -438,313 +391,61 @@ function createPaymentsRouter(supabase, logger) {
       const { payment_id } = req.params;
       const {
         success = true,
-        payment_method = 'mock_payment',
-        completed_by // User who completed/verified the payment
+        outcome = success ? 'paid' : 'failed',
+        payment_method = 'card'
       } = req.body;
 
-      logger.info('Mock payment completion', { payment_id, success });
+      logger.info('Mock payment completion', { payment_id, outcome });
 
-      // Get payment details
-      const { data: payment, error: paymentError } = await supabase
-        .from('payments')
-        .select(`
-          *,
-          accounts:account_id (
-            account_id,
-            total_balance,
-            student_id
-          )
-        `)
+      const { data: transaction, error: transactionError } = await supabase
+        .from('payment_transactions')
+        .select('paymongo_payment_id')
         .eq('payment_id', payment_id)
-        .single();
+        .limit(1)
+        .maybeSingle();
 
-      if (paymentError || !payment) {
+      if (transactionError || !transaction) {
         return res.status(404).json({ error: 'Payment not found' });
       }
 
-      if (success) {
-        // Simulate successful payment
-        const amount = parseFloat(payment.amount);
-        const previous_balance = parseFloat(payment.accounts.total_balance);
-
-        // Update payment status WITH METHOD
-        await supabase
-          .from('payments')
-          .update({
-            status: 'Completed',
-            payment_date: new Date().toISOString(),
-            reference_no: `MOCK_${payment_id}_${Date.now()}`,
-            method: payment_method // ✅ NEW: Set payment method
-          })
-          .eq('payment_id', payment_id);
-
-        // Update transaction
-        await supabase
-          .from('payment_transactions')
-          .update({
-            status: 'paid',
-            paid_at: new Date().toISOString(),
-            payment_method: payment_method
-          })
-          .eq('payment_id', payment_id);
-
-        // Process based on payment type
-        if (payment.payment_type === 'enrollment') {
-          await supabase
-            .from('enrollment_fees')
-            .update({
-              is_paid: true,
-              paid_at: new Date().toISOString()
-            })
-            .eq('enrollment_id', payment.enrollment_id)
-            .eq('is_paid', false);
-
-        } else if (payment.payment_type === 'balance' || payment.payment_type === 'monthly') {
-          const new_balance = Math.max(0, previous_balance - amount);
-
-          await supabase
-            .from('accounts')
-            .update({
-              total_balance: new_balance,
-              last_updated: new Date().toISOString()
-            })
-            .eq('account_id', payment.accounts.account_id);
-
-          if (payment.payment_type === 'monthly' && payment.enrollment_id) {
-            await supabase
-              .from('payment_installments')
-              .update({
-                status: 'paid',
-                paid_at: new Date().toISOString(),
-                payment_id: payment_id
-              })
-              .eq('enrollment_id', payment.enrollment_id)
-              .eq('status', 'pending')
-              .order('due_date', { ascending: true })
-              .limit(1);
-          }
-        }
-
-        // Create transaction log WITH CREATED_BY
-        await supabase.from('account_transactions').insert([{
-          account_id: payment.accounts.account_id,
-          payment_id: payment_id,
-          transaction_type: 'payment',
-          amount,
-          balance_before: previous_balance,
-          balance_after: Math.max(0, previous_balance - amount),
-          description: `Mock Payment - ${payment.payment_type} via ${payment_method}`,
-          created_by: completed_by || payment.created_by, // ✅ NEW: Track who completed
-          payment_date: new Date().toISOString()
-        }]);
+      const result = await paymentProvider.simulate(
+        transaction.paymongo_payment_id,
+        outcome,
+        { payment_method }
+      );
 
-        res.json({
-          success: true,
-          message: 'Mock payment completed successfully',
-          payment_id,
-          new_balance: Math.max(0, previous_balance - amount),
-          payment_method
-        });
+      const { data: payment } = await supabase
+        .from('payments')
+        .select('status, accounts:account_id ( total_balance )')
+        .eq('payment_id', payment_id)
+        .single();
 
-      } else {
-        // Simulate failed payment
-        await supabase
-          .from('payments')
-          .update({
-            status: 'Failed',
-            method: payment_method // ✅ Still record the attempted method
-          })
-          .eq('payment_id', payment_id);
-
-        await supabase
-          .from('payment_transactions')
-          .update({
-            status: 'failed',
-            payment_method: payment_method
-          })
-          .eq('payment_id', payment_id);
-
-        res.json({
-          success: false,
-          message: 'Mock payment failed'
-        });
-      }
+      res.json({
+        success: outcome === 'paid' && result.delivery.status === 200,
+        message: `Mock payment ${outcome}`,
+        payment_id,
+        payment_status: payment?.status,
+        new_balance: payment?.accounts?.total_balance,
+        payment_method,
+        event_id: result.event_id,
+        webhook: result.delivery
+      });
 
     } catch (err) {
       logger.error('Error in mock payment completion', { error: err.message, stack: err.stack });
-      res.status(500).json({ error: 'Internal server error' });
+      res.status(400).json({ error: err.message });
     }
   });
 
   // ============================================
-  // PAYMONGO WEBHOOK HANDLER (MODIFIED)
+  // PAYMONGO WEBHOOK HANDLER
   // ============================================
-  router.post('/webhook', async (req, res) => {
-    try {
-      const event = req.body;
-
-      logger.info('PayMongo webhook received', {
-        type: event.data?.attributes?.type
-      });
-
-      // Verify webhook signature (recommended in production)
-      // const signature = req.headers['paymongo-signature'];
-      // if (!verifyWebhookSignature(signature, req.body)) {
-      //   return res.status(401).json({ error: 'Invalid signature' });
-      // }
-
-      const eventType = event.data?.attributes?.type;
-      const eventData = event.data?.attributes?.data;
-
-      if (eventType === 'checkout_session.payment.paid') {
-        const checkoutSession = eventData;
-        const metadata = checkoutSession.attributes?.metadata;
-        const payment_id = metadata?.payment_id;
-        const payment_method = checkoutSession.attributes?.payments?.[0]?.attributes?.source?.type || 'card';
-
-        if (!payment_id) {
-          logger.error('No payment_id in webhook metadata');
-          return res.status(400).json({ error: 'Missing payment_id' });
-        }
-
-        // ============================================
-        // ✅ ADD THIS ROUTING LOGIC HERE
-        // ============================================
-
-        // Check if this is an enrollment payment
-        if (metadata.enrollment_id && metadata.payment_category === 'enrollment') {
-          logger.info('🎓 ENROLLMENT payment detected', {
-            payment_id,
-            enrollment_id: metadata.enrollment_id
-          });
-
-          // Route to enrollment payment handler
-          await handleEnrollmentPayment(metadata, supabase, logger);
-
-          return res.json({ received: true, type: 'enrollment' });
-        }
-
-        // ============================================
-        // YOUR EXISTING TUITION PAYMENT LOGIC BELOW
-        // ============================================
-
-        logger.info('💰 TUITION payment - using existing logic', {
-          payment_id
-        });
-
-        // Get payment details
-        const { data: payment, error: paymentError } = await supabase
-          .from('payments')
-          .select(`
-            *,
-            accounts:account_id (
-              account_id,
-              total_balance,
-              student_id
-            )
-          `)
-          .eq('payment_id', payment_id)
-          .single();
-
-        if (paymentError || !payment) {
-          logger.error('Payment not found', { payment_id });
-          return res.status(404).json({ error: 'Payment not found' });
-        }
-
-        const amount = parseFloat(payment.amount);
-        const previous_balance = parseFloat(payment.accounts.total_balance);
-
-        // Update payment status
-        await supabase
-          .from('payments')
-          .update({
-            status: 'Completed',
-            payment_date: new Date().toISOString(),
-            reference_no: checkoutSession.id,
-            method: payment_method // ✅ Set payment method from PayMongo
-          })
-          .eq('payment_id', payment_id);
-
-        // Update transaction
-        await supabase
-          .from('payment_transactions')
-          .update({
-            status: 'paid',
-            paid_at: new Date().toISOString(),
-            payment_method: payment_method,
-            paymongo_status: checkoutSession.attributes?.payment_intent?.attributes?.status,
-            webhook_data: checkoutSession
-          })
-          .eq('payment_id', payment_id);
-
-        // Process based on payment type
-        if (payment.payment_type === 'enrollment') {
-          await supabase
-            .from('enrollment_fees')
-            .update({
-              is_paid: true,
-              paid_at: new Date().toISOString()
-            })
-            .eq('enrollment_id', payment.enrollment_id)
-            .eq('is_paid', false);
-
-        } else if (payment.payment_type === 'balance' || payment.payment_type === 'monthly') {
-          const new_balance = Math.max(0, previous_balance - amount);
-
-          await supabase
-            .from('accounts')
-            .update({
-              total_balance: new_balance,
-              last_updated: new Date().toISOString()
-            })
-            .eq('account_id', payment.accounts.account_id);
-
-          if (payment.payment_type === 'monthly' && payment.enrollment_id) {
-            await supabase
-              .from('payment_installments')
-              .update({
-                status: 'paid',
-                paid_at: new Date().toISOString(),
-                payment_id: payment_id
-              })
-              .eq('enrollment_id', payment.enrollment_id)
-              .eq('status', 'pending')
-              .order('due_date', { ascending: true })
-              .limit(1);
-          }
-        }
-
-        // Create transaction log
-        await supabase.from('account_transactions').insert([{
-          account_id: payment.accounts.account_id,
-          payment_id: payment_id,
-          transaction_type: 'payment',
-          amount,
-          balance_before: previous_balance,
-          balance_after: Math.max(0, previous_balance - amount),
-          description: `Payment via ${payment_method} - ${payment.payment_type}`,
-          created_by: payment.created_by, // System/original creator
-          payment_date: new Date().toISOString()
-        }]);
-
-        logger.info('Payment completed via webhook', {
-          payment_id,
-          payment_method,
-          amount
-        });
-
-        res.json({ success: true, message: 'Webhook processed' });
-
-      } else {
-        logger.info('Unhandled webhook event', { eventType });
-        res.json({ success: true, message: 'Event noted' });
-      }
-
-    } catch (err) {
-      logger.error('Webhook processing error', { error: err.message, stack: err.stack });
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
-  });
+  // Verified, stored and dispatched by services/paymongowebhooks.js
+  router.post(
+    '/webhook',
+    express.raw({ type: 'application/json' }),
+    createPaymongoWebhookHandler(supabase, logger)
+  );
 
   // ============================================
   // GET PAYMENT HISTORY
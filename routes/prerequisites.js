@@ -0,0 +1,93 @@
+// routes/prerequisites.js
+const express = require("express");
+const prerequisites = require("../services/prerequisites");
+const { ROLES, requireRole, requireSelfOrRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createPrerequisitesRouter(supabase, logger) {
+  const router = express.Router();
+  const registrar = requireRole(ROLES.REGISTRAR);
+  const selfOrRegistrar = requireSelfOrRole(
+    (req) => ({ student_id: req.query.student_id }),
+    ROLES.REGISTRAR
+  );
+
+  const handleError = createErrorHandler(logger);
+
+  // ============================================
+  // ELIGIBILITY
+  // ============================================
+  // ?student_id&semester_id[&subject_ids=1,2,3][&year_level]
+  // Without subject_ids, the curriculum's subjects for the term are checked
+  router.get("/check", selfOrRegistrar, async (req, res) => {
+    try {
+      const { student_id, semester_id, subject_ids, year_level } = req.query;
+      if (!student_id || !semester_id) {
+        return res.status(400).json({ error: "student_id and semester_id are required" });
+      }
+
+      const student = await prerequisites.getStudent(supabase, student_id);
+      const result = await prerequisites.checkEligibility(supabase, logger, student, {
+        semester_id,
+        subject_ids: subject_ids
+          ? String(subject_ids).split(",").map((id) => parseInt(id)).filter((id) => !isNaN(id))
+          : null,
+        year_standing: year_level ? parseInt(year_level) : null,
+      });
+
+      res.json({ success: true, data: result });
+    } catch (err) {
+      handleError(res, err, "GET /api/prerequisites/check");
+    }
+  });
+
+  // ============================================
+  // CONSENT-OF-CHAIR OVERRIDES
+  // ============================================
+  router.get("/overrides", registrar, async (req, res) => {
+    try {
+      let query = supabase
+        .from("requisite_overrides")
+        .select("*, course_subjects ( subject_code, subject_name )")
+        .order("granted_at", { ascending: false });
+
+      if (req.query.student_id) query = query.eq("student_id", req.query.student_id);
+      if (req.query.active === "true") query = query.is("revoked_at", null);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/prerequisites/overrides");
+    }
+  });
+
+  // Body: { student_id, subject_id, semester_id?, reason, approved_by }
+  router.post("/overrides", registrar, async (req, res) => {
+    try {
+      const override = await prerequisites.grantOverride(supabase, logger, req.body, req.user);
+      res.status(201).json({ success: true, data: override });
+    } catch (err) {
+      handleError(res, err, "POST /api/prerequisites/overrides");
+    }
+  });
+
+  router.delete("/overrides/:override_id", registrar, async (req, res) => {
+    try {
+      const override = await prerequisites.revokeOverride(
+        supabase,
+        logger,
+        req.params.override_id,
+        req.user
+      );
+      res.json({ success: true, data: override });
+    } catch (err) {
+      handleError(res, err, "DELETE /api/prerequisites/overrides/:override_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPrerequisitesRouter;
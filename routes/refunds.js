@@ -0,0 +1,184 @@
+// routes/refunds.js
+const express = require("express");
+const {
+  getPaymentWithAccount,
+  requestRefund,
+  approveRefund,
+  resumeRefund,
+  rejectRefund,
+} = require("../services/refunds");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createRefundsRouter(supabase, logger) {
+  const router = express.Router();
+  const cashierOnly = requireRole(ROLES.CASHIER);
+
+  const handleError = createErrorHandler(logger);
+
+  // ============================================
+  // REQUEST A REFUND (full or partial)
+  // ============================================
+  router.post("/", async (req, res) => {
+    try {
+      const { payment_id, amount, reason } = req.body;
+
+      if (!payment_id || !reason) {
+        return res
+          .status(400)
+          .json({ error: "payment_id and reason are required" });
+      }
+
+      // Students may only request refunds for their own payments
+      if (req.user.role === ROLES.STUDENT) {
+        const payment = await getPaymentWithAccount(supabase, payment_id);
+        if (String(payment.accounts?.student_id) !== String(req.user.student_id)) {
+          return res
+            .status(403)
+            .json({ error: "You can only access your own records" });
+        }
+      }
+
+      const refund = await requestRefund(supabase, logger, {
+        payment_id,
+        amount,
+        reason,
+        requested_by: req.user.user_id,
+      });
+
+      res.status(201).json({ success: true, refund });
+    } catch (err) {
+      handleError(res, err, "POST /api/refunds");
+    }
+  });
+
+  // ============================================
+  // LIST / VIEW REFUNDS
+  // ============================================
+  router.get("/", cashierOnly, async (req, res) => {
+    try {
+      const { status, payment_id, limit = 50, offset = 0 } = req.query;
+
+      let query = supabase
+        .from("refunds")
+        .select(
+          `
+          *,
+          payments:payment_id (
+            payment_id,
+            amount,
+            payment_type,
+            method,
+            reference_no,
+            status
+          ),
+          accounts:account_id (
+            student_id
+          )
+        `,
+          { count: "exact" }
+        )
+        .order("requested_at", { ascending: false })
+        .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+      if (status) query = query.eq("status", status);
+      if (payment_id) query = query.eq("payment_id", payment_id);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        logger.error("Error fetching refunds", { error: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ success: true, data, total: count });
+    } catch (err) {
+      handleError(res, err, "GET /api/refunds");
+    }
+  });
+
+  router.get("/:refund_id", async (req, res) => {
+    try {
+      const { data: refund, error } = await supabase
+        .from("refunds")
+        .select("*, accounts:account_id ( student_id )")
+        .eq("refund_id", req.params.refund_id)
+        .maybeSingle();
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (!refund) {
+        return res.status(404).json({ error: "Refund not found" });
+      }
+
+      if (
+        req.user.role === ROLES.STUDENT &&
+        String(refund.accounts?.student_id) !== String(req.user.student_id)
+      ) {
+        return res
+          .status(403)
+          .json({ error: "You can only access your own records" });
+      }
+
+      res.json({ success: true, refund });
+    } catch (err) {
+      handleError(res, err, "GET /api/refunds/:refund_id");
+    }
+  });
+
+  // ============================================
+  // CASHIER REVIEW
+  // ============================================
+  router.post("/:refund_id/approve", cashierOnly, async (req, res) => {
+    try {
+      const result = await approveRefund(
+        supabase,
+        logger,
+        parseInt(req.params.refund_id),
+        { reviewed_by: req.user.user_id, notes: req.body.notes }
+      );
+
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /api/refunds/:refund_id/approve");
+    }
+  });
+
+  // Finish a refund stuck in "processing" after the provider paid it out.
+  // Body: { provider_refund_id? } when the app never recorded the provider's answer
+  router.post("/:refund_id/resume", cashierOnly, async (req, res) => {
+    try {
+      const result = await resumeRefund(
+        supabase,
+        logger,
+        parseInt(req.params.refund_id),
+        { reviewed_by: req.user.user_id, provider_refund_id: req.body?.provider_refund_id }
+      );
+
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /api/refunds/:refund_id/resume");
+    }
+  });
+
+  router.post("/:refund_id/reject", cashierOnly, async (req, res) => {
+    try {
+      const refund = await rejectRefund(
+        supabase,
+        logger,
+        parseInt(req.params.refund_id),
+        { reviewed_by: req.user.user_id, notes: req.body.notes }
+      );
+
+      res.json({ success: true, refund });
+    } catch (err) {
+      handleError(res, err, "POST /api/refunds/:refund_id/reject");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRefundsRouter;
@@ -0,0 +1,229 @@
+// routes/reminders.js
+const express = require("express");
+const reminders = require("../services/reminders");
+const { CHANNELS } = require("../services/notifications");
+const { createErrorHandler } = require("../services/common");
+
+const RULE_FIELDS = ["code", "name", "timing", "days", "template_key", "channels", "is_active"];
+const CHANNEL_VALUES = Object.values(CHANNELS);
+
+function createRemindersRouter(supabase, logger) {
+  const router = express.Router();
+
+  const handleError = createErrorHandler(logger);
+
+  function pickRule(body) {
+    const rule = {};
+    for (const field of RULE_FIELDS) {
+      if (body[field] !== undefined) rule[field] = body[field];
+    }
+    return rule;
+  }
+
+  function validateRule(rule, { partial = false } = {}) {
+    if (!partial && (!rule.code || !rule.name || !rule.timing)) {
+      return "code, name and timing are required";
+    }
+    if (rule.timing !== undefined && !reminders.TIMINGS.includes(rule.timing)) {
+      return `timing must be one of: ${reminders.TIMINGS.join(", ")}`;
+    }
+    if (rule.days !== undefined && !(Number.isInteger(Number(rule.days)) && Number(rule.days) >= 0)) {
+      return "days must be a whole number, zero or more";
+    }
+    if (rule.timing && rule.timing !== "on" && !partial && !(Number(rule.days) > 0)) {
+      return "days must be more than zero for before/after rules";
+    }
+    if (
+      rule.channels !== undefined &&
+      (!Array.isArray(rule.channels) ||
+        rule.channels.length === 0 ||
+        rule.channels.some((channel) => !CHANNEL_VALUES.includes(channel)))
+    ) {
+      return `channels must be a list of: ${CHANNEL_VALUES.join(", ")}`;
+    }
+    return null;
+  }
+
+  function parseDate(value) {
+    if (!value) return new Date();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // ============================================
+  // RULES
+  // ============================================
+  router.get("/rules", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("reminder_rules")
+        .select("*")
+        .order("rule_id", { ascending: true });
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({
+        success: true,
+        using_defaults: !data.some((rule) => rule.is_active),
+        data: data.length > 0 ? data : reminders.DEFAULT_RULES,
+      });
+    } catch (err) {
+      handleError(res, err, "GET /api/reminders/rules");
+    }
+  });
+
+  router.post("/rules", async (req, res) => {
+    try {
+      const rule = pickRule(req.body);
+      if (rule.timing === "on") rule.days = 0;
+
+      const invalid = validateRule(rule);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { data, error } = await supabase
+        .from("reminder_rules")
+        .insert([
+          {
+            template_key: rule.timing === "after" ? "payment_overdue" : "payment_reminder",
+            channels: ["email", "in_app"],
+            is_active: true,
+            ...rule,
+            days: parseInt(rule.days) || 0,
+            created_by: req.user?.user_id,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Reminder rule created", { rule_id: data.rule_id, ...rule });
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /api/reminders/rules");
+    }
+  });
+
+  router.put("/rules/:rule_id", async (req, res) => {
+    try {
+      const updates = pickRule(req.body);
+      // The code keys sent history, so it cannot change
+      delete updates.code;
+      if (updates.timing === "on") updates.days = 0;
+
+      const invalid = validateRule(updates, { partial: true });
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { data, error } = await supabase
+        .from("reminder_rules")
+        .update(updates)
+        .eq("rule_id", req.params.rule_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Reminder rule not found" });
+
+      logger.info("Reminder rule updated", { rule_id: data.rule_id, ...updates });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/reminders/rules/:rule_id");
+    }
+  });
+
+  // ============================================
+  // SCHEDULE
+  // ============================================
+  router.get("/upcoming", async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+
+      const upcoming = await reminders.previewUpcoming(supabase, {
+        days,
+        semester_id: req.query.semester_id || null,
+      });
+
+      res.json({ success: true, ...upcoming });
+    } catch (err) {
+      handleError(res, err, "GET /api/reminders/upcoming");
+    }
+  });
+
+  // Run now; dry_run plans without sending
+  router.post("/run", async (req, res) => {
+    try {
+      const as_of = parseDate(req.body.as_of);
+      if (!as_of) return res.status(400).json({ error: "Invalid as_of date" });
+
+      const dry_run = req.body.dry_run !== false;
+
+      logger.info("Reminder run triggered manually", {
+        as_of,
+        dry_run,
+        triggered_by: req.user?.user_id,
+      });
+
+      const result = await reminders.runReminders(supabase, logger, {
+        as_of,
+        dry_run,
+        semester_id: req.body.semester_id || null,
+        triggered_by: req.user?.user_id,
+      });
+
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /api/reminders/run");
+    }
+  });
+
+  // ============================================
+  // HISTORY
+  // ============================================
+  router.get("/runs", async (req, res) => {
+    try {
+      const { semester_id, limit = 50 } = req.query;
+
+      let query = supabase
+        .from("reminder_runs")
+        .select("run_id, semester_id, as_of, dry_run, triggered_by, started_at, finished_at, planned, sent, failed")
+        .order("started_at", { ascending: false })
+        .limit(parseInt(limit) || 50);
+
+      if (semester_id) query = query.eq("semester_id", semester_id);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/reminders/runs");
+    }
+  });
+
+  router.get("/runs/:run_id", async (req, res) => {
+    try {
+      const [{ data: run, error }, { data: sends, error: sendsError }] = await Promise.all([
+        supabase.from("reminder_runs").select("*").eq("run_id", req.params.run_id).maybeSingle(),
+        supabase
+          .from("reminder_sends")
+          .select("*")
+          .eq("run_id", req.params.run_id)
+          .order("send_id", { ascending: true }),
+      ]);
+
+      if (error || sendsError) {
+        return res.status(400).json({ error: (error || sendsError).message });
+      }
+      if (!run) return res.status(404).json({ error: "Reminder run not found" });
+
+      res.json({ success: true, data: { ...run, sends } });
+    } catch (err) {
+      handleError(res, err, "GET /api/reminders/runs/:run_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRemindersRouter;
@@ -0,0 +1,318 @@
+// routes/rooms.js
+const express = require("express");
+const rooms = require("../services/rooms");
+const { createErrorHandler } = require("../services/common");
+
+function createRoomsRouter(supabase, logger) {
+  const router = express.Router();
+
+  const handleError = createErrorHandler(logger);
+
+  // Two rooms whose names only differ in case, spaces or dashes are one room
+  async function assertUniqueName(name, room_id = null) {
+    const existing = await rooms.listRooms(supabase);
+    const duplicate = existing.find(
+      (r) =>
+        rooms.normalizeRoomName(r.name) === rooms.normalizeRoomName(name) &&
+        String(r.room_id) !== String(room_id)
+    );
+    if (duplicate) throw new rooms.RoomError(`Room ${duplicate.name} is already registered`, 409);
+  }
+
+  async function replaceAvailability(room_id, windows) {
+    const { error: deleteError } = await supabase.from("room_availability").delete().eq("room_id", room_id);
+    if (deleteError) throw deleteError;
+    if (windows.length === 0) return;
+
+    const { error } = await supabase
+      .from("room_availability")
+      .insert(windows.map((window) => ({ room_id, ...window })));
+    if (error) throw error;
+  }
+
+  // ============================================
+  // BUILDINGS
+  // ============================================
+  router.get("/buildings", async (req, res) => {
+    try {
+      let query = supabase.from("buildings").select("*").order("code", { ascending: true });
+      if (req.query.active === "true") query = query.eq("is_active", true);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/rooms/buildings");
+    }
+  });
+
+  // Body: { code, name }
+  router.post("/buildings", async (req, res) => {
+    try {
+      const { code, name } = req.body;
+      if (!code || !name) return res.status(400).json({ error: "code and name are required" });
+
+      const { data, error } = await supabase
+        .from("buildings")
+        .insert([{ code, name, is_active: true }])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Building created", { building_id: data.building_id, code, by: req.user.user_id });
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /api/rooms/buildings");
+    }
+  });
+
+  router.put("/buildings/:building_id", async (req, res) => {
+    try {
+      const updates = {};
+      for (const field of ["code", "name", "is_active"]) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      }
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      const { data, error } = await supabase
+        .from("buildings")
+        .update(updates)
+        .eq("building_id", req.params.building_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Building not found" });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "PUT /api/rooms/buildings/:building_id");
+    }
+  });
+
+  // ============================================
+  // SEARCH AND UTILIZATION
+  // ============================================
+  // ?semester_id&day&start_time&end_time[&min_capacity][&room_type][&building_id]
+  router.get("/free", async (req, res) => {
+    try {
+      const { semester_id, day, start_time, end_time, min_capacity, room_type, building_id } = req.query;
+      if (!semester_id || !day || !start_time || !end_time) {
+        return res.status(400).json({ error: "semester_id, day, start_time and end_time are required" });
+      }
+
+      const data = await rooms.findFreeRooms(supabase, {
+        semester_id,
+        day,
+        start_time,
+        end_time,
+        min_capacity,
+        room_type,
+        building_id,
+      });
+      res.json({ success: true, count: data.length, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/rooms/free");
+    }
+  });
+
+  // ?semester_id[&building_id][&room_type][&min_capacity]
+  router.get("/utilization", async (req, res) => {
+    try {
+      const { semester_id, building_id, room_type, min_capacity } = req.query;
+      if (!semester_id) return res.status(400).json({ error: "semester_id is required" });
+
+      const data = await rooms.getUtilization(supabase, semester_id, { building_id, room_type, min_capacity });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/rooms/utilization");
+    }
+  });
+
+  // ============================================
+  // ROOMS
+  // ============================================
+  router.get("/", async (req, res) => {
+    try {
+      const { building_id, room_type, min_capacity, active } = req.query;
+      const data = await rooms.listRooms(supabase, {
+        building_id,
+        room_type,
+        min_capacity,
+        active: active === undefined ? undefined : active === "true",
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/rooms");
+    }
+  });
+
+  router.get("/:room_id", async (req, res) => {
+    try {
+      const data = await rooms.getRoom(supabase, req.params.room_id);
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/rooms/:room_id");
+    }
+  });
+
+  // Body: { building_id, name, capacity, room_type,
+  //         availability?: [{ day_of_week, start_time, end_time }] }
+  router.post("/", async (req, res) => {
+    try {
+      const room = rooms.validateRoom(req.body);
+      const windows = req.body.availability ? rooms.validateAvailability(req.body.availability) : [];
+      await assertUniqueName(room.name);
+
+      const { data, error } = await supabase
+        .from("rooms")
+        .insert([{ ...room, is_active: room.is_active ?? true }])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      try {
+        await replaceAvailability(data.room_id, windows);
+      } catch (availabilityError) {
+        await supabase.from("rooms").delete().eq("room_id", data.room_id);
+        throw availabilityError;
+      }
+
+      logger.info("Room created", { room_id: data.room_id, name: data.name, by: req.user.user_id });
+      res.status(201).json({ success: true, data: await rooms.getRoom(supabase, data.room_id) });
+    } catch (err) {
+      handleError(res, err, "POST /api/rooms");
+    }
+  });
+
+  // Renaming a room renames it on its schedules too
+  router.put("/:room_id", async (req, res) => {
+    try {
+      const existing = await rooms.getRoom(supabase, req.params.room_id);
+      const updates = rooms.validateRoom(req.body, { partial: true });
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+      if (updates.name) await assertUniqueName(updates.name, existing.room_id);
+
+      const { error } = await supabase.from("rooms").update(updates).eq("room_id", existing.room_id);
+      if (error) return res.status(400).json({ error: error.message });
+
+      if (updates.name && updates.name !== existing.name) {
+        const { error: scheduleError } = await supabase
+          .from("course_schedules")
+          .update({ room: updates.name })
+          .eq("room_id", existing.room_id);
+        if (scheduleError) return res.status(400).json({ error: scheduleError.message });
+      }
+
+      logger.info("Room updated", {
+        room_id: existing.room_id,
+        fields: Object.keys(updates),
+        by: req.user.user_id,
+      });
+      res.json({ success: true, data: await rooms.getRoom(supabase, existing.room_id) });
+    } catch (err) {
+      handleError(res, err, "PUT /api/rooms/:room_id");
+    }
+  });
+
+  // ============================================
+  // AVAILABILITY AND OUT-OF-SERVICE PERIODS
+  // ============================================
+  // Body: { availability: [{ day_of_week, start_time, end_time }] } replaces
+  // the weekly windows; an empty list opens the room during operating hours
+  router.put("/:room_id/availability", async (req, res) => {
+    try {
+      const existing = await rooms.getRoom(supabase, req.params.room_id);
+      const windows = rooms.validateAvailability(req.body.availability);
+
+      await replaceAvailability(existing.room_id, windows);
+
+      logger.info("Room availability changed", {
+        room_id: existing.room_id,
+        windows: windows.length,
+        by: req.user.user_id,
+      });
+      res.json({ success: true, data: await rooms.getRoom(supabase, existing.room_id) });
+    } catch (err) {
+      handleError(res, err, "PUT /api/rooms/:room_id/availability");
+    }
+  });
+
+  // Body: { starts_on, ends_on, reason }
+  router.post("/:room_id/outages", async (req, res) => {
+    try {
+      const { starts_on, ends_on, reason } = req.body;
+      if (!starts_on || !ends_on || !reason) {
+        return res.status(400).json({ error: "starts_on, ends_on and reason are required" });
+      }
+      if (ends_on < starts_on) {
+        return res.status(400).json({ error: "ends_on must not be before starts_on" });
+      }
+
+      const existing = await rooms.getRoom(supabase, req.params.room_id);
+
+      const { data, error } = await supabase
+        .from("room_outages")
+        .insert([
+          {
+            room_id: existing.room_id,
+            starts_on,
+            ends_on,
+            reason,
+            created_by: req.user.user_id,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      logger.info("Room marked out of service", {
+        room_id: existing.room_id,
+        outage_id: data.outage_id,
+        starts_on,
+        ends_on,
+        by: req.user.user_id,
+      });
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /api/rooms/:room_id/outages");
+    }
+  });
+
+  router.delete("/:room_id/outages/:outage_id", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("room_outages")
+        .delete()
+        .eq("room_id", req.params.room_id)
+        .eq("outage_id", req.params.outage_id)
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Out-of-service period not found" });
+
+      logger.info("Room outage removed", {
+        room_id: req.params.room_id,
+        outage_id: req.params.outage_id,
+        by: req.user.user_id,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      handleError(res, err, "DELETE /api/rooms/:room_id/outages/:outage_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRoomsRouter;
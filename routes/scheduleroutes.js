@@ -14,6 +14,9 @@ router.put('/:id', scheduleController.updateSchedule);
 // Check conflicts only
 router.post('/check-conflicts', scheduleController.checkConflicts);
 
+// Semester-wide conflict audit (must be before /:id)
+router.get('/conflicts', scheduleController.auditConflicts);
+
 // Search schedules (must be before /:id)
 router.get('/search', scheduleController.searchSchedules);
 
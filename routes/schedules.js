@@ -1,5 +1,7 @@
 // routes/schedules.js
 const express = require("express");
+const scheduleService = require("../services/scheduleservice");
+const { RoomError } = require("../services/rooms");
 
 function createSchedulesRouter(supabase) {
   const router = express.Router();
@@ -369,19 +371,21 @@ function createSchedulesRouter(supabase) {
       startTime,
       endTime,
       room,
+      roomId,
       teacherId,
       days,  // Array of days
-      semesterId
+      semesterId,
+      skipConflictCheck
     } = req.body;
 
     try {
       console.log('Creating new schedule:', req.body);
 
       // Validate required fields
-      if (!subjectId || !programId || !yearLevel || !startTime || !endTime || !room) {
+      if (!subjectId || !programId || !yearLevel || !startTime || !endTime || !(room || roomId)) {
         return res.status(400).json({
           error: "Missing required fields",
-          required: ["subjectId", "programId", "yearLevel", "startTime", "endTime", "room"]
+          required: ["subjectId", "programId", "yearLevel", "startTime", "endTime", "room or roomId"]
         });
       }
 
@@ -404,6 +408,32 @@ function createSchedulesRouter(supabase) {
         targetSemesterId = activeSemester?.semester_id;
       }
 
+      // Schedules reference a registered room
+      const roomRecord = await scheduleService.resolveRoom(roomId, room);
+
+      // Room, teacher and section must be free at that time
+      if (!skipConflictCheck) {
+        const conflicts = await scheduleService.checkConflicts(
+          roomRecord.name,
+          days,
+          startTime,
+          endTime,
+          programId,
+          yearLevel,
+          targetSemesterId,
+          null,
+          { teacherId, batch, roomId: roomRecord.room_id }
+        );
+
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            error: "Schedule conflicts detected",
+            conflicts,
+            conflictsByType: scheduleService.groupConflicts(conflicts)
+          });
+        }
+      }
+
       // Step 1: Insert main schedule record
       const { data: scheduleData, error: insertError } = await supabase
         .from("course_schedules")
@@ -414,7 +444,8 @@ function createSchedulesRouter(supabase) {
           batch: batch || null,
           start_time: startTime,
           end_time: endTime,
-          room,
+          room: roomRecord.name,
+          room_id: roomRecord.room_id,
           teacher_id: teacherId || null,
           semester_id: targetSemesterId
         })
@@ -502,6 +533,9 @@ function createSchedulesRouter(supabase) {
       res.status(201).json(response);
 
     } catch (error) {
+      if (error instanceof RoomError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Error creating schedule:", error);
       res.status(500).json({
         error: "Failed to create schedule",
@@ -619,9 +653,11 @@ function createSchedulesRouter(supabase) {
       startTime,
       endTime,
       room,
+      roomId,
       teacherId,
       days,
-      semesterId
+      semesterId,
+      skipConflictCheck
     } = req.body;
 
     try {
@@ -630,7 +666,21 @@ function createSchedulesRouter(supabase) {
       // Check if schedule exists
       const { data: existing, error: checkError } = await supabase
         .from("course_schedules")
-        .select("schedule_id")
+        .select(`
+          schedule_id,
+          program_id,
+          year_level,
+          batch,
+          start_time,
+          end_time,
+          room,
+          room_id,
+          teacher_id,
+          semester_id,
+          schedule_day_mapping (
+            day_of_week
+          )
+        `)
         .eq("schedule_id", id)
         .single();
 
@@ -649,6 +699,39 @@ function createSchedulesRouter(supabase) {
         });
       }
 
+      // A new room must be a registered one
+      const roomRecord = room || roomId ? await scheduleService.resolveRoom(roomId, room) : null;
+
+      // Check the schedule as it will be after the update
+      const criticalFields = [room, roomId, days, startTime, endTime, teacherId, programId, yearLevel, batch, semesterId];
+      if (!skipConflictCheck && criticalFields.some(field => field !== undefined)) {
+        const pick = (value, current) => (value !== undefined ? value : current);
+        const conflicts = await scheduleService.checkConflicts(
+          roomRecord ? roomRecord.name : existing.room,
+          days || existing.schedule_day_mapping?.map(d => d.day_of_week) || [],
+          pick(startTime, existing.start_time),
+          pick(endTime, existing.end_time),
+          pick(programId, existing.program_id),
+          pick(yearLevel, existing.year_level),
+          pick(semesterId, existing.semester_id),
+          id,
+          {
+            teacherId: pick(teacherId, existing.teacher_id),
+            batch: pick(batch, existing.batch),
+            roomId: roomRecord ? roomRecord.room_id : existing.room_id
+          }
+        );
+
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: "Schedule conflicts detected",
+            conflicts,
+            conflictsByType: scheduleService.groupConflicts(conflicts)
+          });
+        }
+      }
+
       // Build update object (only update provided fields)
       const updateData = {};
       if (subjectId !== undefined) updateData.subject_id = subjectId;
@@ -657,7 +740,10 @@ function createSchedulesRouter(supabase) {
       if (batch !== undefined) updateData.batch = batch;
       if (startTime !== undefined) updateData.start_time = startTime;
       if (endTime !== undefined) updateData.end_time = endTime;
-      if (room !== undefined) updateData.room = room;
+      if (roomRecord) {
+        updateData.room = roomRecord.name;
+        updateData.room_id = roomRecord.room_id;
+      }
       if (teacherId !== undefined) updateData.teacher_id = teacherId;
       if (semesterId !== undefined) updateData.semester_id = semesterId;
 
@@ -757,6 +843,9 @@ function createSchedulesRouter(supabase) {
       res.json(response);
 
     } catch (error) {
+      if (error instanceof RoomError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
       console.error("Error updating schedule:", error);
       res.status(500).json({
         success: false,
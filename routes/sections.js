@@ -0,0 +1,113 @@
+// routes/sections.js
+const express = require("express");
+const sections = require("../services/sections");
+const { ROLES, requireRole, requireSelfOrRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createSectionsRouter(supabase, logger) {
+  const router = express.Router();
+  const registrar = requireRole(ROLES.REGISTRAR);
+  const selfOrRegistrar = requireSelfOrRole(
+    (req) => ({ student_id: req.params.student_id }),
+    ROLES.REGISTRAR
+  );
+
+  const handleError = createErrorHandler(logger);
+
+  // ============================================
+  // SECTIONS
+  // ============================================
+  // ?semester_id[&subject_id][&program_id][&year_level][&teacher_id]
+  router.get("/", async (req, res) => {
+    try {
+      const { semester_id, subject_id, program_id, year_level, teacher_id } = req.query;
+      if (!semester_id) return res.status(400).json({ error: "semester_id is required" });
+
+      const data = await sections.listSections(supabase, {
+        semester_id,
+        subject_id,
+        program_id,
+        year_level,
+        teacher_id,
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/sections");
+    }
+  });
+
+  // ?semester_id
+  router.get("/student/:student_id", selfOrRegistrar, async (req, res) => {
+    try {
+      if (!req.query.semester_id) return res.status(400).json({ error: "semester_id is required" });
+
+      const data = await sections.getStudentSections(supabase, req.params.student_id, req.query.semester_id);
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/sections/student/:student_id");
+    }
+  });
+
+  // Instructors get the sections they teach, the registrar any section
+  router.get("/:schedule_id/roster", requireRole(ROLES.INSTRUCTOR, ROLES.REGISTRAR), async (req, res) => {
+    try {
+      const data = await sections.getRoster(supabase, req.params.schedule_id, req.user);
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/sections/:schedule_id/roster");
+    }
+  });
+
+  // Body: { capacity } - null goes back to the room's capacity
+  router.put("/:schedule_id/capacity", registrar, async (req, res) => {
+    try {
+      if (req.body.capacity === undefined) {
+        return res.status(400).json({ error: "capacity is required" });
+      }
+
+      const result = await sections.setCapacity(
+        supabase,
+        logger,
+        req.params.schedule_id,
+        req.body.capacity,
+        req.user
+      );
+      res.json({ success: true, data: result.section, promoted: result.promoted });
+    } catch (err) {
+      handleError(res, err, "PUT /api/sections/:schedule_id/capacity");
+    }
+  });
+
+  // ============================================
+  // WAITLIST
+  // ============================================
+  // Seat waitlisted students if seats are free (e.g. after moving students by hand)
+  router.post("/:schedule_id/promote", registrar, async (req, res) => {
+    try {
+      const promoted = await sections.promoteWaitlist(supabase, logger, req.params.schedule_id);
+      res.json({ success: true, promoted });
+    } catch (err) {
+      handleError(res, err, "POST /api/sections/:schedule_id/promote");
+    }
+  });
+
+  // Students withdraw their own entries; the registrar any entry
+  router.delete("/waitlist/:waitlist_id", requireRole(ROLES.STUDENT, ROLES.REGISTRAR), async (req, res) => {
+    try {
+      const entry = await sections.cancelWaitlist(
+        supabase,
+        logger,
+        req.params.waitlist_id,
+        req.user,
+        req.body?.reason
+      );
+      res.json({ success: true, data: entry });
+    } catch (err) {
+      handleError(res, err, "DELETE /api/sections/waitlist/:waitlist_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSectionsRouter;
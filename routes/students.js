@@ -1,5 +1,8 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
+const ledger = require("../services/ledger");
+const sections = require("../services/sections");
+const { formatBirthdate } = require("../services/studentaccounts");
 
 function createStudentsRouter(supabase, logger) {
   const router = express.Router();
@@ -190,7 +193,7 @@ function createStudentsRouter(supabase, logger) {
         .insert([
           {
             student_id: createdStudentId,
-            total_balance: initialBalance,
+            total_balance: 0,
           },
         ])
         .select()
@@ -206,7 +209,6 @@ function createStudentsRouter(supabase, logger) {
       createdAccountId = accountData.account_id;
       logger.info("Account created successfully", {
         account_id: createdAccountId,
-        total_balance: initialBalance,
       });
 
       // 6. Create enrollment
@@ -224,6 +226,7 @@ function createStudentsRouter(supabase, logger) {
             program_id,
             scheme_id,
             semester_id,
+            year_level,
             status: "Pending",
           },
         ])
@@ -273,28 +276,31 @@ function createStudentsRouter(supabase, logger) {
 
       logger.info(`Found ${subjects.length} subjects to enroll`);
 
-      // 8. Enroll subjects
-      const enrollmentSubjects = subjects.map((subject) => ({
-        enrollment_id: createdEnrollmentId,
-        subject_id: subject.subject_id,
-        status: "Enrolled",
-      }));
-
-      const { data: enrolledSubjects, error: enrollSubjectsError } = await supabase
-        .from("enrollment_subjects")
-        .insert(enrollmentSubjects)
-        .select();
-
-      if (enrollSubjectsError) {
-        logger.error("Failed to enroll subjects", { error: enrollSubjectsError });
-        throw new Error(
-          `Failed to enroll subjects: ${enrollSubjectsError.message}`
-        );
-      }
+      // 8. Enroll subjects: seated in sections, or waitlisted; subjects the
+      // student may not take yet are left for the registrar
+      const placement = await sections.loadTermSubjects(
+        supabase,
+        logger,
+        enrollmentData,
+        subjects.map((subject) => subject.subject_id)
+      );
+      const enrolledSubjects = placement.seated;
 
       logger.info("Subjects enrolled successfully", {
         count: enrolledSubjects.length,
+        waitlisted: placement.waitlisted.length,
+        blocked: placement.blocked.length,
+        enrollment_id: createdEnrollmentId,
+      });
+
+      // 9. Post the tuition assessment to the ledger (last step - journal
+      // entries are immutable, so nothing after this may roll back)
+      await ledger.postCharge(supabase, logger, {
+        account_id: createdAccountId,
+        amount: initialBalance,
+        description: `Tuition assessment - scheme ${scheme_id}`,
         enrollment_id: createdEnrollmentId,
+        reference: `assessment:${createdEnrollmentId}`,
       });
 
       // ✅ Success Response
@@ -322,11 +328,19 @@ function createStudentsRouter(supabase, logger) {
       });
       logger.info("Starting rollback process");
 
-      if (createdEnrollmentId)
+      if (createdEnrollmentId) {
+        await sections
+          .releaseEnrollment(supabase, logger, createdEnrollmentId)
+          .catch((releaseError) =>
+            logger.error("Failed to release enrollment seats", {
+              error: releaseError.message,
+            })
+          );
         await supabase
           .from("enrollments")
           .delete()
           .eq("enrollment_id", createdEnrollmentId);
+      }
       if (createdAccountId)
         await supabase
           .from("accounts")
@@ -359,17 +373,4 @@ function createStudentsRouter(supabase, logger) {
   return router;
 }
 
-function formatBirthdate(dob) {
-  const date = new Date(dob);
-  if (isNaN(date)) {
-    throw new Error("Invalid date of birth");
-  }
-
-  const mm = String(date.getMonth() + 1).padStart(2, "0");
-  const dd = String(date.getDate()).padStart(2, "0");
-  const yyyy = date.getFullYear();
-
-  return `${mm}-${dd}-${yyyy}`;
-}
-
 module.exports = createStudentsRouter;
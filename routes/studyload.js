@@ -0,0 +1,107 @@
+// routes/studyload.js
+const express = require("express");
+const studyload = require("../services/studyload");
+const { ROLES, requireSelfOrRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createStudyLoadRouter(supabase, logger) {
+  const router = express.Router();
+  const selfOrStaff = requireSelfOrRole(
+    (req) => ({ student_id: req.params.student_id }),
+    ROLES.REGISTRAR,
+    ROLES.CASHIER
+  );
+
+  const handleError = createErrorHandler(logger);
+
+  function sendIcs(res, load) {
+    const ics = studyload.buildIcs(load);
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=timetable-${load.student.student_id}-${load.semester.semester_id}.ics`
+    );
+    res.send(ics);
+  }
+
+  // ============================================
+  // CALENDAR FEED (PUBLIC, TOKEN IN THE URL)
+  // ============================================
+  // ?token - calendar apps subscribe to the calendar_url returned below
+  router.get("/feed/:student_id/:semester_id.ics", async (req, res) => {
+    try {
+      const { student_id, semester_id } = req.params;
+      if (!studyload.verifyFeedToken(student_id, semester_id, req.query.token)) {
+        return res.status(404).json({ error: "Calendar not found" });
+      }
+
+      const load = await studyload.buildStudyLoad(supabase, student_id, semester_id);
+      sendIcs(res, load);
+    } catch (err) {
+      handleError(res, err, "GET /api/study-load/feed/:student_id/:semester_id.ics");
+    }
+  });
+
+  // ============================================
+  // STUDY LOAD
+  // ============================================
+  // ?semester_id
+  router.get("/:student_id", selfOrStaff, async (req, res) => {
+    try {
+      const { semester_id } = req.query;
+      if (!semester_id) return res.status(400).json({ error: "semester_id is required" });
+
+      const load = await studyload.buildStudyLoad(supabase, req.params.student_id, semester_id);
+      res.json({
+        success: true,
+        data: load,
+        calendar_url: studyload.feedUrl(load.student.student_id, load.semester.semester_id),
+      });
+    } catch (err) {
+      handleError(res, err, "GET /api/study-load/:student_id");
+    }
+  });
+
+  // ?semester_id
+  router.get("/:student_id/calendar.ics", selfOrStaff, async (req, res) => {
+    try {
+      const { semester_id } = req.query;
+      if (!semester_id) return res.status(400).json({ error: "semester_id is required" });
+
+      const load = await studyload.buildStudyLoad(supabase, req.params.student_id, semester_id);
+      sendIcs(res, load);
+    } catch (err) {
+      handleError(res, err, "GET /api/study-load/:student_id/calendar.ics");
+    }
+  });
+
+  // Certificate of Registration. ?semester_id
+  router.get("/:student_id/pdf", selfOrStaff, async (req, res) => {
+    try {
+      const { semester_id } = req.query;
+      if (!semester_id) return res.status(400).json({ error: "semester_id is required" });
+
+      const load = await studyload.buildStudyLoad(supabase, req.params.student_id, semester_id);
+
+      logger.info("Certificate of registration generated", {
+        student_id: load.student.student_id,
+        semester_id: load.semester.semester_id,
+        enrollment_id: load.enrollment.enrollment_id,
+        by: req.user.user_id,
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=cor-${load.student.student_id}-${load.semester.semester_id}.pdf`
+      );
+      studyload.renderStudyLoadPdf(res, load);
+    } catch (err) {
+      handleError(res, err, "GET /api/study-load/:student_id/pdf");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createStudyLoadRouter;
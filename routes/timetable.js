@@ -0,0 +1,139 @@
+// routes/timetable.js
+const express = require("express");
+const timetable = require("../services/timetable");
+const { createErrorHandler } = require("../services/common");
+
+function createTimetableRouter(supabase, logger) {
+  const router = express.Router();
+
+  // Commit conflicts come back with the error
+  const handleError = createErrorHandler(logger, {
+    body: (message, err) => ({ error: message, ...(err?.details ? { conflicts: err.details } : {}) }),
+  });
+
+  // ============================================
+  // DRAFTS
+  // ============================================
+  // Body: { semester_id, sections?: [{ program_id, year_level, batch, size }],
+  //         options?: { day_start, day_end, slot_minutes, days,
+  //                     max_teacher_daily_hours, max_section_daily_hours } }
+  router.post("/drafts", async (req, res) => {
+    try {
+      const { semester_id, sections, options } = req.body;
+      if (!semester_id) return res.status(400).json({ error: "semester_id is required" });
+
+      const draft = await timetable.generateDraft(
+        supabase,
+        logger,
+        { semester_id, sections, options: options || {} },
+        req.user
+      );
+      res.status(201).json({ success: true, data: draft });
+    } catch (err) {
+      handleError(res, err, "POST /api/timetable/drafts");
+    }
+  });
+
+  router.get("/drafts", async (req, res) => {
+    try {
+      let query = supabase
+        .from("timetable_drafts")
+        .select("draft_id, semester_id, status, created_by, created_at, committed_by, committed_at")
+        .order("created_at", { ascending: false });
+
+      if (req.query.semester_id) query = query.eq("semester_id", req.query.semester_id);
+      if (req.query.status) query = query.eq("status", req.query.status);
+
+      const { data, error } = await query;
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/timetable/drafts");
+    }
+  });
+
+  router.get("/drafts/:draft_id", async (req, res) => {
+    try {
+      const draft = await timetable.getDraft(supabase, req.params.draft_id);
+      res.json({ success: true, data: draft });
+    } catch (err) {
+      handleError(res, err, "GET /api/timetable/drafts/:draft_id");
+    }
+  });
+
+  router.delete("/drafts/:draft_id", async (req, res) => {
+    try {
+      const draft = await timetable.discardDraft(supabase, logger, req.params.draft_id, req.user);
+      res.json({ success: true, data: draft });
+    } catch (err) {
+      handleError(res, err, "DELETE /api/timetable/drafts/:draft_id");
+    }
+  });
+
+  router.post("/drafts/:draft_id/commit", async (req, res) => {
+    try {
+      const result = await timetable.commitDraft(supabase, logger, req.params.draft_id, req.user);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "POST /api/timetable/drafts/:draft_id/commit");
+    }
+  });
+
+  // ============================================
+  // DRAFT ENTRIES
+  // ============================================
+  // Body: { subject_id, program_id, year_level, batch?, section_size?,
+  //         teacher_id?, room_id, days, start_time, end_time }
+  router.post("/drafts/:draft_id/entries", async (req, res) => {
+    try {
+      const result = await timetable.saveEntry(
+        supabase,
+        logger,
+        req.params.draft_id,
+        null,
+        req.body,
+        req.user
+      );
+      res.status(201).json({ success: true, data: result.entry, warnings: result.warnings });
+    } catch (err) {
+      handleError(res, err, "POST /api/timetable/drafts/:draft_id/entries");
+    }
+  });
+
+  // Move, re-room or reassign one class; body holds only the fields to change
+  router.put("/drafts/:draft_id/entries/:entry_id", async (req, res) => {
+    try {
+      const result = await timetable.saveEntry(
+        supabase,
+        logger,
+        req.params.draft_id,
+        req.params.entry_id,
+        req.body,
+        req.user
+      );
+      res.json({ success: true, data: result.entry, warnings: result.warnings });
+    } catch (err) {
+      handleError(res, err, "PUT /api/timetable/drafts/:draft_id/entries/:entry_id");
+    }
+  });
+
+  router.delete("/drafts/:draft_id/entries/:entry_id", async (req, res) => {
+    try {
+      const entry = await timetable.removeEntry(
+        supabase,
+        logger,
+        req.params.draft_id,
+        req.params.entry_id,
+        req.user
+      );
+      res.json({ success: true, data: entry });
+    } catch (err) {
+      handleError(res, err, "DELETE /api/timetable/drafts/:draft_id/entries/:entry_id");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTimetableRouter;
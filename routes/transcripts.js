@@ -0,0 +1,127 @@
+// routes/transcripts.js
+const express = require("express");
+const transcripts = require("../services/transcripts");
+const { ROLES, requireRole, requireSelfOrRole } = require("../middleware/auth");
+const { createErrorHandler } = require("../services/common");
+
+function createTranscriptsRouter(supabase, logger) {
+  const router = express.Router();
+  const registrar = requireRole(ROLES.REGISTRAR);
+  const selfOrRegistrar = requireSelfOrRole(
+    (req) => ({ student_id: req.params.student_id }),
+    ROLES.REGISTRAR
+  );
+
+  const handleError = createErrorHandler(logger);
+
+  // ============================================
+  // VERIFICATION (public)
+  // ============================================
+  router.get("/verify/:control_no", async (req, res) => {
+    try {
+      const result = await transcripts.verifyTranscript(
+        supabase,
+        req.params.control_no,
+        req.query.code
+      );
+
+      logger.info("Transcript verification", {
+        control_no: req.params.control_no,
+        valid: result.valid,
+        reason: result.reason,
+      });
+
+      res.json({ success: true, ...result });
+    } catch (err) {
+      handleError(res, err, "GET /api/transcripts/verify/:control_no");
+    }
+  });
+
+  // ============================================
+  // OFFICIAL COPIES
+  // ============================================
+  router.get("/issued/:control_no/pdf", async (req, res) => {
+    try {
+      const issuance = await transcripts.getIssuance(supabase, req.params.control_no);
+
+      const allowed =
+        [ROLES.ADMIN, ROLES.REGISTRAR].includes(req.user.role) ||
+        (req.user.role === ROLES.STUDENT &&
+          String(req.user.student_id) === String(issuance.student_id));
+      if (!allowed) {
+        return res.status(403).json({ error: "You can only access your own records" });
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename=${issuance.control_no}.pdf`);
+
+      await transcripts.renderTranscriptPdf(res, issuance.snapshot, issuance);
+    } catch (err) {
+      handleError(res, err, "GET /api/transcripts/issued/:control_no/pdf");
+    }
+  });
+
+  router.get("/:student_id/issued", selfOrRegistrar, async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("transcript_issuances")
+        .select("control_no, purpose, signatory, gwa, issued_by, issued_at")
+        .eq("student_id", req.params.student_id)
+        .order("issued_at", { ascending: false });
+
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "GET /api/transcripts/:student_id/issued");
+    }
+  });
+
+  // Body: { purpose?, signatory? }
+  router.post("/:student_id/issue", registrar, async (req, res) => {
+    try {
+      const issuance = await transcripts.issueTranscript(supabase, logger, req.params.student_id, {
+        purpose: req.body.purpose || null,
+        signatory: req.body.signatory || undefined,
+        issued_by: req.user.user_id,
+      });
+
+      const { snapshot, ...data } = issuance;
+      res.status(201).json({ success: true, data });
+    } catch (err) {
+      handleError(res, err, "POST /api/transcripts/:student_id/issue");
+    }
+  });
+
+  // ============================================
+  // UNOFFICIAL COPIES
+  // ============================================
+  router.get("/:student_id", selfOrRegistrar, async (req, res) => {
+    try {
+      const transcript = await transcripts.buildTranscript(supabase, req.params.student_id);
+      res.json({ success: true, official: false, ...transcript });
+    } catch (err) {
+      handleError(res, err, "GET /api/transcripts/:student_id");
+    }
+  });
+
+  router.get("/:student_id/pdf", selfOrRegistrar, async (req, res) => {
+    try {
+      const transcript = await transcripts.buildTranscript(supabase, req.params.student_id);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=transcript-${req.params.student_id}-unofficial.pdf`
+      );
+
+      await transcripts.renderTranscriptPdf(res, transcript);
+    } catch (err) {
+      handleError(res, err, "GET /api/transcripts/:student_id/pdf");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTranscriptsRouter;
@@ -1,4 +1,5 @@
 const express = require('express');
+const { ROLES, STAFF_ROLES } = require('../middleware/auth');
 
 function tuitionnotifsRouter(supabase, logger) {
   const router = express.Router();
@@ -33,13 +34,27 @@ function tuitionnotifsRouter(supabase, logger) {
   router.patch('/:notification_id/read', async (req, res) => {
     try {
       const { notification_id } = req.params;
+      const { role, student_id } = req.user;
+      const isStaff = role === ROLES.ADMIN || STAFF_ROLES.includes(role);
 
-      const { error } = await supabase
+      if (!isStaff && !(role === ROLES.STUDENT && student_id)) {
+        return res.status(403).json({ error: 'You can only access your own records' });
+      }
+
+      let query = supabase
         .from('student_notifications')
         .update({ is_read: true })
         .eq('notification_id', notification_id);
 
+      // Students can only mark their own notifications
+      if (!isStaff) query = query.eq('student_id', student_id);
+
+      const { data, error } = await query.select('notification_id');
+
       if (error) throw error;
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
 
       res.json({ success: true });
     } catch (error) {
@@ -3,6 +3,8 @@ const express = require("express");
 const bcrypt = require("bcrypt");
 const multer = require("multer");
 const XLSX = require("xlsx");
+const ledger = require("../services/ledger");
+const { generateStudentId } = require("../services/studentaccounts");
 
 // Configure multer for file uploads - using memory storage
 const upload = multer({ 
@@ -10,7 +12,8 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-function createUsersRouter() {
+// The router keeps its own anon and service-role clients
+function createUsersRouter(_supabase, logger) {
   const router = express.Router();
 
   // Regular Supabase client (anon key)
@@ -601,7 +604,7 @@ function createUsersRouter() {
       console.log("Using provided student_id:", studentId);
     } else {
       // Generate student ID if not provided
-      studentId = await generateStudentId(studentData.admission_year);
+      studentId = await generateStudentId(supabase, studentData.admission_year);
       console.log("Generated student_id:", studentId);
     }
 
@@ -801,7 +804,7 @@ function createUsersRouter() {
         .insert([
           {
             student_id: studentId,
-            total_balance: studentData.total_balance || 0,
+            total_balance: 0,
           },
         ])
         .select()
@@ -877,6 +880,19 @@ function createUsersRouter() {
         );
       }
 
+      // Step 15: Carry the imported balance over as an opening ledger entry
+      let totalBalance = 0;
+      if (studentData.total_balance) {
+        const posted = await ledger.postAdjustment(supabase, logger, {
+          account_id: accountData.account_id,
+          amount: studentData.total_balance,
+          description: "Opening balance (bulk import)",
+          enrollment_id: enrollment.enrollment_id,
+          reference: `opening:${accountData.account_id}`,
+        });
+        totalBalance = posted.balance_after;
+      }
+
       // Return complete student data
       return {
         student_id: studentId,
@@ -892,7 +908,7 @@ function createUsersRouter() {
         semester: studentData.semester_name,
         scheme: studentData.scheme_name,
         account_id: accountData.account_id,
-        total_balance: accountData.total_balance,
+        total_balance: totalBalance,
         enrollment: {
           enrollment_id: enrollment.enrollment_id,
           status: enrollment.status,
@@ -909,37 +925,6 @@ function createUsersRouter() {
     }
   }
 
-  // Helper function to generate student ID
-  async function generateStudentId(year) {
-    // Get last 2 digits of year (e.g., 2025 -> 25)
-    const yearSuffix = String(year).slice(-2);
-    
-    const { data, error } = await supabase
-      .from("student_id_generator")
-      .select("last_number")
-      .eq("year", year)
-      .single();
-
-    let nextNumber;
-    if (error || !data) {
-      // First student for this year
-      nextNumber = 1;
-      await supabase
-        .from("student_id_generator")
-        .insert([{ year: year, last_number: 1 }]);
-    } else {
-      // Increment the counter
-      nextNumber = data.last_number + 1;
-      await supabase
-        .from("student_id_generator")
-        .update({ last_number: nextNumber })
-        .eq("year", year);
-    }
-
-    // Format: AYY-XXXX (e.g., A25-0001)
-    return `A${yearSuffix}-${String(nextNumber).padStart(4, "0")}`;
-  }
-
   // Helper functions for bulk creation
   async function fetchRoles() {
     const { data, error } = await supabase
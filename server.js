@@ -4,7 +4,7 @@ const cors = require("cors");
 const path = require("path");
 require("dotenv").config();
 const winston = require("winston");
-require('./services/installmentcron');
+const startInstallmentCron = require('./services/installmentcron');
 
 // Configure Winston Logger FIRST
 const logger = winston.createLogger({
@@ -28,6 +28,18 @@ const logger = winston.createLogger({
   ],
 });
 
+// Signing keys have no defaults: refuse to start rather than sign with a
+// guessable key
+const { missingSecrets } = require("./config/secrets");
+const unsetSecrets = missingSecrets();
+if (unsetSecrets.length > 0) {
+  logger.error(`Missing required environment variables: ${unsetSecrets.join(", ")}`);
+  process.exit(1);
+}
+
+// Reminders, overdue processing, the notification outbox and admission sync
+startInstallmentCron(logger);
+
 const createEnrolledStudentsRouter = require("./routes/enrolledstudents");
 
 // Environment variables should be used instead of hardcoded credentials
@@ -46,6 +58,8 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
 const createMainRouter = require("./routes/main");
 const createApplicantsRouter = require("./routes/applicants");
 const createAdmissionsRouter = require("./routes/admissions");
+const createApplicantDocumentsRouter = require("./routes/applicantdocuments");
+const createAdmissionSyncRouter = require("./routes/admissionsync");
 const createEnrollmentRouter = require("./routes/enrollment");
 const createNotificationsRouter = require("./routes/notifications");
 const createEmailRouter = require("./routes/email");
@@ -55,8 +69,36 @@ const createStudentsRouter = require("./routes/students");
 const createDepartmentsRouter = require("./routes/departments");
 const createProgramsRouter = require("./routes/programs");
 const { createEnrollmentPeriodsRouter } = require("./routes/enrollmentPeriods");
+const createAuthRouter = require("./routes/auth");
+const createWebhookRouter = require("./routes/webhook");
+const createLedgerRouter = require("./routes/ledger");
+const createRefundsRouter = require("./routes/refunds");
+const createFeeRulesRouter = require("./routes/feerules");
+const createGrantsRouter = require("./routes/grants");
+const createOverdueRouter = require("./routes/overdue");
+const createHoldsRouter = require("./routes/holds");
+const createReceiptsRouter = require("./routes/receipts");
+const createMessagingRouter = require("./routes/messaging");
+const createRemindersRouter = require("./routes/reminders");
+const createGradingRouter = require("./routes/grading");
+const createTranscriptsRouter = require("./routes/transcripts");
+const { getPaymentProvider } = require("./services/paymentprovider");
+const {
+  ROLES,
+  createAuthenticate,
+  requireRole,
+  requireRoleForWrites,
+  requireSelfOrRole,
+  exceptPaths,
+} = require("./middleware/auth");
 const createSemestersRouter = require("./routes/semesters");
 const subjectsrouter = require("./routes/subjects");
+const createCurriculaRouter = require("./routes/curricula");
+const createPrerequisitesRouter = require("./routes/prerequisites");
+const createTimetableRouter = require("./routes/timetable");
+const createRoomsRouter = require("./routes/rooms");
+const createSectionsRouter = require("./routes/sections");
+const createStudyLoadRouter = require("./routes/studyload");
 const createSchedulesRouter = require("./routes/schedules");
 const createCoursesRouter = require("./routes/courses");
 const createEnrollmentProcessRouter = require("./routes/enrollment");
@@ -88,8 +130,17 @@ app.use(cors());
 
 // CRITICAL: Raw body parser for PayMongo webhook MUST come BEFORE express.json()
 // This preserves the raw request body needed for webhook signature verification
-app.use('/enrollment/webhook/paymongo', express.raw({ type: 'application/json' }));
-app.use('/billing/webhook/paymongo', express.raw({ type: 'application/json' }));
+app.use(
+  [
+    '/enrollment/webhook/paymongo',
+    '/billing/webhook/paymongo',
+    '/receipt/webhook/paymongo',
+    '/api/enrollment-billing/webhook/paymongo',
+    '/api/payments/webhook',
+    '/webhooks/paymongo',
+  ],
+  express.raw({ type: 'application/json' })
+);
 
 // Standard JSON body parser for all other routes
 app.use(express.json());
@@ -102,6 +153,204 @@ app.use("/university-login-page", express.static(path.join(__dirname)));
 // Avoid favicon 404 noise (also available in main router)
 app.get("/favicon.ico", (req, res) => res.status(204).end());
 
+// ============================================
+// AUTHENTICATION & ACCESS CONTROL
+// ============================================
+// Guards are registered before the routers so they run first for the same
+// path. Anything not listed here (health check, applicant registration,
+// PayMongo webhooks and redirects) stays public.
+const authenticate = createAuthenticate(supabase, logger);
+const { REGISTRAR, CASHIER, INSTRUCTOR, STUDENT } = ROLES;
+
+// Paths reached by PayMongo or by the browser after checkout
+const PUBLIC_PAYMENT_PATHS = [
+  "/webhook",
+  "/webhook/paymongo",
+  "/payment/success",
+  "/payment/cancel",
+];
+
+// The main router is mounted on several prefixes
+const mainRoutes = (routePath) =>
+  ["", "/check", "/next-sem", "/tuiton-sem"].map((prefix) => prefix + routePath);
+
+const ownEmail = (req) => ({ email: req.query.email });
+const ownStudent = (req) => ({
+  student_id: req.params.student_id || req.query.student_id,
+  email: req.query.email,
+});
+
+// Owners of records addressed by id, looked up for the ownership checks
+const ownEnrollment = (param) => async (req) => {
+  const { data, error } = await supabase
+    .from("enrollments")
+    .select("student_id")
+    .eq("enrollment_id", req.params[param])
+    .maybeSingle();
+  if (error) throw error;
+  return { student_id: data?.student_id };
+};
+const ownPayment = async (req) => {
+  const { data, error } = await supabase
+    .from("payments")
+    .select("accounts:account_id ( student_id )")
+    .eq("payment_id", req.params.payment_id)
+    .maybeSingle();
+  if (error) throw error;
+  return { student_id: data?.accounts?.student_id };
+};
+
+app.use("/auth", createAuthRouter(supabase, logger));
+
+// Students only see their own profile, subjects, balance and history
+app.get(mainRoutes("/student-profile"), authenticate, requireSelfOrRole(ownEmail));
+app.get(mainRoutes("/next-subjects"), authenticate, requireSelfOrRole(ownStudent));
+app.get(mainRoutes("/user-details"), authenticate, requireSelfOrRole(ownEmail, REGISTRAR));
+app.delete(mainRoutes("/user-details"), authenticate, requireRole(REGISTRAR));
+app.get(
+  ["/api/payments/balance/:student_id", "/api/payments/history/:student_id"],
+  authenticate,
+  requireSelfOrRole(ownStudent)
+);
+app.post(
+  "/api/payments/create-checkout",
+  authenticate,
+  requireSelfOrRole((req) => ({ student_id: req.body.student_id }), CASHIER)
+);
+app.post("/api/payments/mock-complete/:payment_id", authenticate, requireRole(CASHIER));
+app.get("/api/payments/status/:payment_id", authenticate, requireSelfOrRole(ownPayment));
+app.post("/api/payments/cancel/:payment_id", authenticate, requireSelfOrRole(ownPayment, CASHIER));
+app.use("/api/payments", exceptPaths(PUBLIC_PAYMENT_PATHS, authenticate));
+
+// Enrollment: students act on their own records, staff on everyone's
+app.get(["/enrollments", "/api/enrollments"], authenticate, requireRole(REGISTRAR, CASHIER));
+// GET /enrollments/:student_id also matches /enrollments/check-eligibility
+const ownEnrollments = (req) =>
+  req.params.student_id === "check-eligibility"
+    ? { student_id: req.query.student_id }
+    : { student_id: req.params.student_id };
+app.get(
+  [
+    "/enrollments/:student_id",
+    "/enrollments/history/:student_id",
+    "/api/enrollments/:student_id",
+    "/api/enrollments/history/:student_id",
+  ],
+  authenticate,
+  requireSelfOrRole(ownEnrollments)
+);
+app.post(
+  ["/enrollments", "/api/enrollments"],
+  authenticate,
+  requireSelfOrRole((req) => ({ student_id: req.body.student_id }), REGISTRAR)
+);
+app.use(
+  ["/enrollments/:id/subjects", "/api/enrollments/:id/subjects"],
+  authenticate,
+  requireSelfOrRole(ownEnrollment("id"), REGISTRAR)
+);
+app.use(["/enrollments", "/api/enrollments"], authenticate, requireRole(REGISTRAR, CASHIER, STUDENT));
+
+// Billing routers (webhook and checkout redirects stay public)
+const billingRoutes = (routePath) =>
+  ["/enrollment", "/billing", "/receipt", "/api/enrollment-billing"].map(
+    (prefix) => prefix + routePath
+  );
+app.post(billingRoutes("/generate-billing"), authenticate, requireRole(REGISTRAR, CASHIER));
+app.get(billingRoutes("/diagnostic/account/:student_id"), authenticate, requireSelfOrRole(ownStudent));
+app.get(billingRoutes("/billing/:enrollment_id"), authenticate, requireSelfOrRole(ownEnrollment("enrollment_id")));
+app.use(
+  billingRoutes(""),
+  exceptPaths(PUBLIC_PAYMENT_PATHS, authenticate),
+  exceptPaths(PUBLIC_PAYMENT_PATHS, requireRole(REGISTRAR, CASHIER, STUDENT))
+);
+app.get("/api/student-notifications/:student_id", authenticate, requireSelfOrRole(ownStudent));
+app.patch("/api/student-notifications/mark-all-read/:student_id", authenticate, requireSelfOrRole(ownStudent));
+app.use("/api/student-notifications", authenticate);
+app.get("/notifications/:admission_id", authenticate, requireSelfOrRole((req) => ({ admission_id: req.params.admission_id }), REGISTRAR));
+// Applicant document checklists: applicants see their own, the registrar reviews
+app.use("/api/applicant-documents", authenticate);
+
+// Stored webhook events and replay (PayMongo itself posts to /webhooks/paymongo)
+app.use("/webhooks/events", authenticate, requireRole(CASHIER));
+
+// Refunds: students request for their own payments, cashiers review
+app.use("/api/refunds", authenticate, requireRole(CASHIER, STUDENT));
+
+// Holds, clearance and receipts: roles are checked per route, students see their own
+app.use(["/api/holds", "/api/receipts"], authenticate);
+
+// Transcripts: students read their own, the registrar issues official copies;
+// anyone holding a printed copy can verify it
+app.use("/api/transcripts", (req, res, next) =>
+  req.method === "GET" && req.path.startsWith("/verify/") ? next() : authenticate(req, res, next)
+);
+
+// Prerequisite checks: students check their own, the registrar records overrides
+app.use("/api/prerequisites", authenticate);
+
+// Sections: anyone signed in sees seats left; rosters and waitlists are checked per route
+app.use("/api/sections", authenticate);
+
+// Study load and Certificate of Registration: students get their own, staff any;
+// calendar apps subscribe to the feed with the token in its URL
+app.use("/api/study-load", (req, res, next) =>
+  req.method === "GET" && req.path.startsWith("/feed/") ? next() : authenticate(req, res, next)
+);
+
+// Staff-only routers
+app.use(["/ledger", "/api/overdue", "/api/reminders"], authenticate, requireRole(CASHIER));
+app.use("/api/fee-rules", authenticate, requireRole(REGISTRAR, CASHIER), requireRoleForWrites(REGISTRAR));
+app.use("/api/grants", authenticate, requireRole(REGISTRAR, CASHIER));
+app.use("/api/timetable", authenticate, requireRole(REGISTRAR));
+app.use("/api/messaging", authenticate, requireRole(REGISTRAR, CASHIER));
+app.use(["/users", "/roles", "/students", "/api/test"], authenticate, requireRole(REGISTRAR));
+app.use("/api/grading", authenticate, requireRole(REGISTRAR, INSTRUCTOR));
+// The instructor list is the users router: instructors may read it, only the registrar changes users
+app.use("/instructors", authenticate, requireRole(REGISTRAR, INSTRUCTOR), requireRoleForWrites(REGISTRAR));
+app.use(
+  ["/applicants", "/admissions", "/api/email", "/profile", "/search", "/debug-courses"],
+  authenticate,
+  requireRole(REGISTRAR)
+);
+app.use(
+  ["/admission_id", "/preferred_course", "/mobile_number", "/alter_course_1", "/alter_course_2", "/full-address"],
+  authenticate,
+  requireRole(REGISTRAR)
+);
+app.use(
+  ["/api/enrolled-students", "/enrollment-status", "/enrolled", "/pending"],
+  authenticate,
+  requireRole(REGISTRAR, CASHIER)
+);
+app.use(
+  ["/allpayments", "/paymentsum", "/dailypayments", "/weeklypayments", "/monthlypayments", "/yearlypayments", "/percents", "/all"],
+  authenticate,
+  requireRole(CASHIER, REGISTRAR)
+);
+
+// Reference data is public to read; only the registrar can change it
+app.use(
+  ["/departments", "/programs", "/semesters", "/subjects", "/enrollment-periods", "/api/enrollment-periods"],
+  (req, res, next) =>
+    req.method === "GET" ? next() : authenticate(req, res, next),
+  requireRoleForWrites(REGISTRAR)
+);
+// Curricula are reference data too, except a student's own curriculum
+app.use(
+  "/curricula",
+  (req, res, next) =>
+    req.method === "GET" && !req.path.startsWith("/student/") ? next() : authenticate(req, res, next),
+  requireRoleForWrites(REGISTRAR)
+);
+// Staff and instructors look up rooms; only the registrar manages them
+app.use("/api/rooms", authenticate, requireRoleForWrites(REGISTRAR));
+app.use(
+  ["/courses/schedule", "/course/schedules", "/api/schedules", "/create"],
+  authenticate,
+  requireRoleForWrites(REGISTRAR)
+);
+
 // ============================================
 // MOUNT MODULAR ROUTERS
 // ============================================
@@ -111,12 +360,15 @@ app.use("/", createMainRouter(supabase, logger));
 app.use('/check', createMainRouter(supabase,logger));// /check-registration, /user-details, /student-profile
 
 // Domain routers
-app.use("/applicants", createApplicantsRouter(supabase));
-app.use("/admissions", createAdmissionsRouter(supabase));
+app.use("/applicants", createApplicantsRouter(supabase, logger));
+// Before /admissions, whose /:course route would catch /sync
+app.use("/admissions/sync", createAdmissionSyncRouter(supabase, logger));
+app.use("/admissions", createAdmissionsRouter(supabase, logger));
+app.use("/api/applicant-documents", createApplicantDocumentsRouter(supabase, logger));
 app.use("/enrollments", enrollmentRouter);
 app.use("/notifications", createNotificationsRouter(supabase));
 app.use("/roles", createRolesRouter(supabase));
-app.use("/users", createUsersRouter(supabase));
+app.use("/users", createUsersRouter(supabase, logger));
 app.use("/students", createStudentsRouter(supabase, logger));
 app.use("/departments", createDepartmentsRouter(supabase));
 app.use("/programs", createProgramsRouter(supabase));
@@ -126,14 +378,32 @@ app.use('/api/enrollments', enrollmentRouter);
 app.use("/semesters", semestersRouter);
 app.use("/api/enrolled-students", enrolledStudentsRouter);
 app.use("/subjects", subjectsrouter(supabase));
+app.use("/curricula", createCurriculaRouter(supabase, logger));
+app.use("/api/prerequisites", createPrerequisitesRouter(supabase, logger));
+app.use("/api/timetable", createTimetableRouter(supabase, logger));
+app.use("/api/rooms", createRoomsRouter(supabase, logger));
+app.use("/api/sections", createSectionsRouter(supabase, logger));
+app.use("/api/study-load", createStudyLoadRouter(supabase, logger));
 //app.use("/api/schedules", createSchedulesRouter(supabase));
 app.use("/courses/schedule", createSchedulesRouter(supabase));
 app.use('/create', createEnrollmentProcessRouter);
 app.use('/enrollment-status', enrollmentstatus(supabase, logger));
 app.use('/enrolled', enrolledcounts(supabase, logger));
 app.use('/pending', pendingcounts(supabase, logger));
-app.use("/api/email", createEmailRouter(supabase));
+app.use("/api/email", createEmailRouter(supabase, logger));
 app.use('/api/payments', createPaymentsRouter(supabase, logger));
+app.use('/webhooks', createWebhookRouter(supabase, logger));
+app.use('/ledger', createLedgerRouter(supabase, logger));
+app.use('/api/refunds', createRefundsRouter(supabase, logger));
+app.use('/api/fee-rules', createFeeRulesRouter(supabase, logger));
+app.use('/api/grants', createGrantsRouter(supabase, logger));
+app.use('/api/overdue', createOverdueRouter(supabase, logger));
+app.use('/api/holds', createHoldsRouter(supabase, logger));
+app.use('/api/receipts', createReceiptsRouter(supabase, logger));
+app.use('/api/messaging', createMessagingRouter(supabase, logger));
+app.use('/api/reminders', createRemindersRouter(supabase, logger));
+app.use('/api/grading', createGradingRouter(supabase, logger));
+app.use('/api/transcripts', createTranscriptsRouter(supabase, logger));
 
 // Payment aggregation routes
 app.use('/allpayments', getallpayments(supabase, logger));
@@ -709,12 +979,39 @@ app.get("/health", (req, res) => {
 // Mock Payment Checkout Page (for testing without PayMongo)
 app.get("/payment/mock-checkout", async (req, res) => {
   const { payment_id } = req.query;
+  const paymentProvider = getPaymentProvider();
+
+  if (paymentProvider.name !== "mock") {
+    return res.status(404).send("Mock checkout is disabled");
+  }
 
   if (!payment_id) {
     return res.status(400).send("Payment ID is required");
   }
 
   try {
+    // Older links only carry payment_id - resolve the session from it
+    let session_id = req.query.session_id;
+    if (!session_id) {
+      const { data: transaction } = await supabase
+        .from("payment_transactions")
+        .select("paymongo_payment_id")
+        .eq("payment_id", payment_id)
+        .limit(1)
+        .maybeSingle();
+      session_id = transaction?.paymongo_payment_id;
+    }
+
+    const session = session_id
+      ? await paymentProvider.retrieveSession(session_id)
+      : null;
+
+    if (!session) {
+      return res
+        .status(404)
+        .send("Checkout session not found. Please start a new checkout.");
+    }
+
     // Get payment details
     const { data: payment, error } = await supabase
       .from("payments")
@@ -894,6 +1191,10 @@ app.get("/payment/mock-checkout", async (req, res) => {
             <button class="cancel-btn" onclick="cancelPayment()">Cancel</button>
             <button class="pay-btn" onclick="confirmPayment()">Pay Now</button>
           </div>
+          <div class="buttons" style="margin-top: 10px;">
+            <button class="cancel-btn" onclick="simulate('failed')">Simulate Failure</button>
+            <button class="cancel-btn" onclick="simulate('expired')">Simulate Expiry</button>
+          </div>
 
           <div class="loading" id="loading">
             <div class="spinner"></div>
@@ -902,20 +1203,41 @@ app.get("/payment/mock-checkout", async (req, res) => {
         </div>
 
         <script>
+          const sessionId = ${JSON.stringify(session.id)};
+          const successUrl = ${JSON.stringify(session.success_url || "")};
+          const cancelUrl = ${JSON.stringify(session.cancel_url || "")};
+
+          // Resolve the mock session; the provider posts a signed webhook
+          // back to the server, which updates the payment and account
+          async function simulate(outcome) {
+            document.querySelectorAll('.buttons').forEach((el) => el.style.display = 'none');
+            document.getElementById('loading').style.display = 'block';
+
+            const response = await fetch('/payment/mock-checkout/' + sessionId, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ outcome })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+              alert(result.error || 'Mock payment failed');
+              window.location.reload();
+              return;
+            }
+
+            window.location.href = outcome === 'paid' ? successUrl : cancelUrl;
+          }
+
           function confirmPayment() {
             if (confirm('Confirm mock payment of ₱${parseFloat(payment.amount).toLocaleString('en-PH', { minimumFractionDigits: 2 })}?')) {
-              document.querySelector('.buttons').style.display = 'none';
-              document.getElementById('loading').style.display = 'block';
-              
-              setTimeout(() => {
-                window.location.href = '/api/payment/success?payment_id=${payment_id}';
-              }, 2000);
+              simulate('paid');
             }
           }
 
           function cancelPayment() {
             if (confirm('Cancel this payment?')) {
-              window.location.href = '/api/payment/cancel?payment_id=${payment_id}';
+              window.location.href = cancelUrl;
             }
           }
         </script>
@@ -928,6 +1250,36 @@ app.get("/payment/mock-checkout", async (req, res) => {
   }
 });
 
+// Resolve a mock checkout session (paid | failed | expired)
+app.post("/payment/mock-checkout/:session_id", async (req, res) => {
+  const paymentProvider = getPaymentProvider();
+
+  if (paymentProvider.name !== "mock") {
+    return res.status(404).json({ error: "Mock checkout is disabled" });
+  }
+
+  try {
+    const { outcome = "paid", payment_method = "card" } = req.body;
+    const result = await paymentProvider.simulate(
+      req.params.session_id,
+      outcome,
+      { payment_method }
+    );
+
+    logger.info("Mock checkout resolved", {
+      session_id: req.params.session_id,
+      outcome,
+      event_id: result.event_id,
+      webhook_status: result.delivery.status,
+    });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error("Error resolving mock checkout", { error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
 app.listen(port, () => {
   logger.info(`Server running on port ${port}`);
 });
\ No newline at end of file
@@ -0,0 +1,791 @@
+// services/admissions.js
+//
+// Admissions pipeline for applicants in form_responses. An applicant moves
+// through statuses by allowed transitions only; every move is recorded with
+// who made it and when, and a decision (accepted / waitlisted / rejected)
+// sends the applicant a decision letter.
+//
+// admission_statuses: code, label, sort_order, is_decision, is_active
+// admission_transitions: transition_id, from_status, to_status,
+// requires_score (exam | interview | null), requires_documents (every
+// required document verified, see services/applicantdocuments.js)
+// Both tables are optional; without rows the DEFAULT_* pipeline is used.
+//
+// admission_status_history: history_id, admission_id, from_status,
+// to_status, notes, changed_by, changed_by_role, changed_at
+//
+// admission_scores: score_id, admission_id, kind (exam | interview),
+// score, max_score, remarks, evaluated_by, evaluated_at
+// (unique per admission_id and kind)
+//
+// form_responses.applicant_status holds the current status code. Admitting
+// an accepted applicant links both ways: form_responses gains student_id,
+// admitted_at and admitted_by; students gains admission_id and address, and
+// is pinned to the curriculum effective for the admission year.
+const bcrypt = require("bcrypt");
+const notifications = require("./notifications");
+const applicantDocuments = require("./applicantdocuments");
+const curriculum = require("./curriculum");
+const ledger = require("./ledger");
+const sections = require("./sections");
+const {
+  getAdminClient,
+  generateStudentId,
+  formatBirthdate,
+} = require("./studentaccounts");
+const { ServiceError } = require("./common");
+
+const SCORE_KINDS = ["exam", "interview"];
+
+const DEFAULT_STATUSES = [
+  { code: "submitted", label: "Submitted", sort_order: 1, is_decision: false },
+  { code: "documents_verified", label: "Documents Verified", sort_order: 2, is_decision: false },
+  { code: "for_exam", label: "For Entrance Exam", sort_order: 3, is_decision: false },
+  { code: "for_interview", label: "For Interview", sort_order: 4, is_decision: false },
+  { code: "accepted", label: "Accepted", sort_order: 5, is_decision: true },
+  { code: "waitlisted", label: "Waitlisted", sort_order: 6, is_decision: true },
+  { code: "rejected", label: "Rejected", sort_order: 7, is_decision: true },
+];
+
+const DEFAULT_TRANSITIONS = [
+  { from_status: "submitted", to_status: "documents_verified", requires_documents: true },
+  { from_status: "submitted", to_status: "rejected" },
+  { from_status: "documents_verified", to_status: "for_exam" },
+  { from_status: "documents_verified", to_status: "rejected" },
+  { from_status: "for_exam", to_status: "for_interview", requires_score: "exam" },
+  { from_status: "for_exam", to_status: "rejected", requires_score: "exam" },
+  { from_status: "for_interview", to_status: "accepted", requires_score: "interview" },
+  { from_status: "for_interview", to_status: "waitlisted", requires_score: "interview" },
+  { from_status: "for_interview", to_status: "rejected", requires_score: "interview" },
+  { from_status: "waitlisted", to_status: "accepted" },
+  { from_status: "waitlisted", to_status: "rejected" },
+];
+
+// URL shorthand -> preferred_course as written on the admission form
+const COURSE_MAP = {
+  bscs: "BS-Computer Science",
+  bsn: "BS-Nursing",
+  beed: "Bachelor of Elementary Education (Generalist)",
+  associate: "Associate in Computer Studies", // ✅ corrected
+  ab: "AB-Psychology", // make lowercase for key consistency
+  coe: "BS-Computer Engineering",
+  accountancy: "BS-Accountancy",
+  tourism: "BS-Tourism Management",
+  culinary: "BS-Hospitality Management (Culinary)",
+  cruise: "BS-Hospitality Management (Cruise)",
+  bsee: "Bachelor of Secondary Education (English)",
+  bses: "Bachelor of Secondary Education (Science)",
+  bsem: "Bachelor of Secondary Education (Math)",
+  bsef: "Bachelor of Secondary Education (Filipino)",
+  bsess: "Bachelor of Secondary Education (Social Science)",
+  bsahr: "BS-Accountancy (Human Resource)",
+  bsafm: "BS-Accountancy (Financial Management)",
+  bsam: "BS-Accountancy (Marketing)",
+};
+
+// Values written by the old status endpoint
+const LEGACY_STATUSES = {
+  pending: "submitted",
+  "on-hold": "waitlisted",
+};
+
+const DECISION_MESSAGES = {
+  accepted:
+    "Congratulations! You have been accepted for {{course}}. Please watch for instructions on how to enroll.",
+  waitlisted:
+    "Your application for {{course}} has been placed on the waitlist. We will contact you as soon as a slot opens.",
+  rejected:
+    "Thank you for applying for {{course}}. After careful review, we are unable to offer you admission at this time.",
+};
+
+class AdmissionError extends ServiceError {}
+
+const normalizeStatus = (status) =>
+  LEGACY_STATUSES[status] || status || DEFAULT_STATUSES[0].code;
+
+/**
+ * Statuses and transitions in effect (saved configuration or defaults).
+ */
+async function getPipeline(supabase) {
+  const [{ data: statuses, error }, { data: transitions, error: transitionsError }] =
+    await Promise.all([
+      supabase
+        .from("admission_statuses")
+        .select("*")
+        .eq("is_active", true)
+        .order("sort_order", { ascending: true }),
+      supabase.from("admission_transitions").select("*"),
+    ]);
+
+  if (error) throw error;
+  if (transitionsError) throw transitionsError;
+
+  return {
+    source: statuses.length > 0 ? "database" : "default",
+    statuses: statuses.length > 0 ? statuses : DEFAULT_STATUSES,
+    transitions: transitions.length > 0 ? transitions : DEFAULT_TRANSITIONS,
+  };
+}
+
+async function getApplicant(supabase, admission_id) {
+  const { data, error } = await supabase
+    .from("form_responses")
+    .select(
+      "admission_id, firstname, middlename, lastname, suffix, email, mobile_number, preferred_course, applicant_status"
+    )
+    .eq("admission_id", admission_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new AdmissionError("Applicant not found", 404);
+
+  return { ...data, applicant_status: normalizeStatus(data.applicant_status) };
+}
+
+const fullName = (applicant) =>
+  [applicant.firstname, applicant.middlename, applicant.lastname, applicant.suffix]
+    .filter(Boolean)
+    .join(" ");
+
+async function getScores(supabase, admission_id) {
+  const { data, error } = await supabase
+    .from("admission_scores")
+    .select("*")
+    .eq("admission_id", admission_id);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Status, scores, history and the moves available from here.
+ */
+async function getApplicantRecord(supabase, admission_id) {
+  const [applicant, scores, pipeline, { data: history, error }] = await Promise.all([
+    getApplicant(supabase, admission_id),
+    getScores(supabase, admission_id),
+    getPipeline(supabase),
+    supabase
+      .from("admission_status_history")
+      .select("*")
+      .eq("admission_id", admission_id)
+      .order("changed_at", { ascending: true }),
+  ]);
+
+  if (error) throw error;
+
+  return {
+    applicant,
+    scores,
+    history,
+    next_statuses: pipeline.transitions
+      .filter((t) => t.from_status === applicant.applicant_status)
+      .map((t) => ({
+        to_status: t.to_status,
+        requires_score: t.requires_score || null,
+        requires_documents: Boolean(t.requires_documents),
+      })),
+  };
+}
+
+async function recordScore(
+  supabase,
+  logger,
+  admission_id,
+  kind,
+  { score, max_score = 100, remarks = null, evaluated_by }
+) {
+  if (!SCORE_KINDS.includes(kind)) {
+    throw new AdmissionError(`kind must be one of: ${SCORE_KINDS.join(", ")}`);
+  }
+
+  const value = parseFloat(score);
+  const max = parseFloat(max_score);
+  if (isNaN(value) || isNaN(max) || max <= 0 || value < 0 || value > max) {
+    throw new AdmissionError("score must be between 0 and max_score");
+  }
+
+  // Make sure the applicant exists before storing anything
+  await getApplicant(supabase, admission_id);
+
+  const { data, error } = await supabase
+    .from("admission_scores")
+    .upsert(
+      [
+        {
+          admission_id,
+          kind,
+          score: value,
+          max_score: max,
+          remarks,
+          evaluated_by,
+          evaluated_at: new Date().toISOString(),
+        },
+      ],
+      { onConflict: "admission_id,kind" }
+    )
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info("Admission score recorded", { admission_id, kind, score: value, evaluated_by });
+  return data;
+}
+
+/**
+ * Email + in-app decision letter for a decided applicant.
+ */
+async function sendDecisionLetter(supabase, logger, applicant, decision, { notes = null } = {}) {
+  const template = DECISION_MESSAGES[decision];
+  if (!template) {
+    throw new AdmissionError(`No decision letter for status "${decision}"`);
+  }
+
+  const course = applicant.preferred_course || "your chosen program";
+  const message =
+    notifications.renderTemplate({ body: template }, { course }).body +
+    (notes ? `\n\n${notes}` : "");
+
+  return notifications.notify(supabase, logger, {
+    template: "admission_decision",
+    channels: ["email", "in_app"],
+    to: {
+      admission_id: applicant.admission_id,
+      email: applicant.email,
+      name: fullName(applicant),
+    },
+    variables: {
+      decision: decision.charAt(0).toUpperCase() + decision.slice(1),
+      message,
+      course,
+    },
+  });
+}
+
+/**
+ * Move an applicant to another status if the pipeline allows it.
+ */
+async function transitionApplicant(
+  supabase,
+  logger,
+  admission_id,
+  to_status,
+  { changed_by, changed_by_role = null, notes = null, send_letter = true } = {}
+) {
+  const [applicant, pipeline] = await Promise.all([
+    getApplicant(supabase, admission_id),
+    getPipeline(supabase),
+  ]);
+  const from_status = applicant.applicant_status;
+
+  const target = pipeline.statuses.find((s) => s.code === to_status);
+  if (!target) throw new AdmissionError(`Unknown status "${to_status}"`);
+
+  const transition = pipeline.transitions.find(
+    (t) => t.from_status === from_status && t.to_status === to_status
+  );
+  if (!transition) {
+    throw new AdmissionError(`Cannot move an applicant from ${from_status} to ${to_status}`, 409);
+  }
+
+  if (transition.requires_score) {
+    const scores = await getScores(supabase, admission_id);
+    if (!scores.some((s) => s.kind === transition.requires_score)) {
+      throw new AdmissionError(
+        `Record the ${transition.requires_score} score before moving to ${to_status}`,
+        409
+      );
+    }
+  }
+
+  if (transition.requires_documents) {
+    const checklist = await applicantDocuments.getChecklist(supabase, admission_id);
+    if (!checklist.complete) {
+      throw new AdmissionError(
+        `Documents are ${checklist.completeness}% verified; still waiting on ${checklist.outstanding
+          .map((doc) => doc.document_type)
+          .join(", ")}`,
+        409
+      );
+    }
+  }
+
+  // Guard on the old status so two reviewers cannot both move the applicant.
+  // Rows may still hold a legacy value (or nothing) for the same status.
+  const stored = [
+    from_status,
+    ...Object.keys(LEGACY_STATUSES).filter((legacy) => LEGACY_STATUSES[legacy] === from_status),
+  ];
+  let update = supabase
+    .from("form_responses")
+    .update({ applicant_status: to_status })
+    .eq("admission_id", admission_id);
+  update =
+    from_status === DEFAULT_STATUSES[0].code
+      ? update.or(`applicant_status.is.null,applicant_status.in.(${stored.join(",")})`)
+      : update.in("applicant_status", stored);
+
+  const { data: updated, error } = await update.select("admission_id").maybeSingle();
+  if (error) throw error;
+  if (!updated) {
+    throw new AdmissionError("The applicant's status changed in the meantime; reload and try again", 409);
+  }
+
+  const { data: history, error: historyError } = await supabase
+    .from("admission_status_history")
+    .insert([
+      {
+        admission_id,
+        from_status,
+        to_status,
+        notes,
+        changed_by,
+        changed_by_role,
+        changed_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (historyError) throw historyError;
+
+  logger.info("Applicant status changed", { admission_id, from_status, to_status, changed_by });
+
+  let letter = null;
+  if (target.is_decision && send_letter && DECISION_MESSAGES[to_status]) {
+    try {
+      letter = await sendDecisionLetter(supabase, logger, applicant, to_status, { notes });
+    } catch (err) {
+      logger.error("Failed to send decision letter", { admission_id, to_status, error: err.message });
+    }
+  }
+
+  return { applicant: { ...applicant, applicant_status: to_status }, history, letter };
+}
+
+/**
+ * Program for an applicant: an explicit program_id, else the program whose
+ * name is the preferred course, else the one whose code is its shorthand.
+ */
+async function resolveProgram(supabase, preferred_course, program_id = null) {
+  if (program_id) {
+    const { data, error } = await supabase
+      .from("programs")
+      .select("program_id, program_code, program_name, department_id")
+      .eq("program_id", program_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AdmissionError("Program not found", 404);
+    return data;
+  }
+
+  if (preferred_course) {
+    const { data: byName, error } = await supabase
+      .from("programs")
+      .select("program_id, program_code, program_name, department_id")
+      .ilike("program_name", preferred_course)
+      .limit(1);
+
+    if (error) throw error;
+    if (byName.length > 0) return byName[0];
+
+    const shorthand = Object.keys(COURSE_MAP).find(
+      (key) => COURSE_MAP[key] === preferred_course
+    );
+    if (shorthand) {
+      const { data: byCode, error: codeError } = await supabase
+        .from("programs")
+        .select("program_id, program_code, program_name, department_id")
+        .ilike("program_code", shorthand)
+        .limit(1);
+
+      if (codeError) throw codeError;
+      if (byCode.length > 0) return byCode[0];
+    }
+  }
+
+  throw new AdmissionError(
+    `No program matches the preferred course "${preferred_course || ""}"; pass program_id`,
+    422
+  );
+}
+
+/**
+ * Turn an accepted applicant into a student: student number, Supabase Auth
+ * login, users/students/accounts rows and optionally a first enrollment
+ * with its subjects. Everything created is removed again if a step fails.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.program_id] - Overrides the preferred course
+ * @param {number} [options.year_level] - Default 1
+ * @param {number} [options.admission_year] - Default this year
+ * @param {Object} [options.enroll] - { semester_id, scheme_id } for a first enrollment
+ */
+async function admitApplicant(
+  supabase,
+  logger,
+  admission_id,
+  {
+    program_id = null,
+    year_level = 1,
+    admission_year = new Date().getFullYear(),
+    enroll = null,
+    admitted_by = null,
+  } = {}
+) {
+  const { data: applicant, error } = await supabase
+    .from("form_responses")
+    .select(
+      "admission_id, firstname, middlename, lastname, suffix, email, birth_date, preferred_course, applicant_status, street, baranggay, municipality, province, home_address, student_id"
+    )
+    .eq("admission_id", admission_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!applicant) throw new AdmissionError("Applicant not found", 404);
+  if (applicant.student_id) {
+    throw new AdmissionError(`Applicant was already admitted as ${applicant.student_id}`, 409);
+  }
+  if (normalizeStatus(applicant.applicant_status) !== "accepted") {
+    throw new AdmissionError("Only accepted applicants can be admitted", 409);
+  }
+  if (!applicant.email || !applicant.birth_date) {
+    throw new AdmissionError("The applicant needs an email and birth date on file");
+  }
+
+  const program = await resolveProgram(supabase, applicant.preferred_course, program_id);
+
+  const { data: role, error: roleError } = await supabase
+    .from("roles")
+    .select("role_id")
+    .eq("role_name", "Student")
+    .single();
+
+  if (roleError || !role) throw new Error("Student role not found");
+
+  const student_id = await generateStudentId(supabase, admission_year);
+  const email = String(applicant.email).toLowerCase().trim();
+  const first_name = applicant.firstname;
+  const last_name = [applicant.lastname, applicant.suffix].filter(Boolean).join(" ");
+  const password = formatBirthdate(applicant.birth_date);
+  const address =
+    applicant.home_address ||
+    [applicant.street, applicant.baranggay, applicant.municipality, applicant.province]
+      .filter(Boolean)
+      .join(", ");
+
+  const supabaseAdmin = getAdminClient();
+  const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
+    email,
+    password,
+    email_confirm: true,
+    user_metadata: {
+      username: student_id,
+      role_id: role.role_id,
+      student_id,
+      first_name,
+      last_name,
+    },
+  });
+
+  if (authError) {
+    throw new AdmissionError(`Auth creation failed: ${authError.message}`, 409);
+  }
+
+  const created = {};
+  try {
+    const { data: user, error: userError } = await supabase
+      .from("users")
+      .insert([
+        {
+          id: authData.user.id,
+          username: student_id,
+          password_hash: await bcrypt.hash(password, 10),
+          role_id: role.role_id,
+          email,
+        },
+      ])
+      .select()
+      .single();
+
+    if (userError) throw new Error(`User insert failed: ${userError.message}`);
+    created.user_id = user.user_id;
+
+    const effectiveCurriculum = await curriculum.findEffectiveCurriculum(
+      supabase,
+      program.program_id,
+      admission_year
+    );
+
+    const { data: student, error: studentError } = await supabase
+      .from("students")
+      .insert([
+        {
+          student_id,
+          user_id: user.user_id,
+          first_name,
+          last_name,
+          dob: applicant.birth_date,
+          email,
+          address: address || null,
+          program_id: program.program_id,
+          department_id: program.department_id,
+          year_level,
+          admission_year,
+          admission_id: applicant.admission_id,
+          curriculum_id: effectiveCurriculum?.curriculum_id || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (studentError) throw new Error(`Student insert failed: ${studentError.message}`);
+    created.student_id = student.student_id;
+
+    const { data: account, error: accountError } = await supabase
+      .from("accounts")
+      .insert([{ student_id, total_balance: 0 }])
+      .select()
+      .single();
+
+    if (accountError) throw new Error(`Account creation failed: ${accountError.message}`);
+    created.account_id = account.account_id;
+
+    let enrollment = null;
+    if (enroll?.semester_id) {
+      enrollment = await createFirstEnrollment(supabase, logger, {
+        student_id,
+        program_id: program.program_id,
+        year_level,
+        semester_id: enroll.semester_id,
+        scheme_id: enroll.scheme_id,
+        curriculum_id: student.curriculum_id,
+      });
+      created.enrollment_id = enrollment.enrollment_id;
+    }
+
+    // Link the applicant last; the guard stops a second admit racing this one
+    const { data: linked, error: linkError } = await supabase
+      .from("form_responses")
+      .update({
+        student_id,
+        admitted_at: new Date().toISOString(),
+        admitted_by,
+      })
+      .eq("admission_id", applicant.admission_id)
+      .is("student_id", null)
+      .select("admission_id")
+      .maybeSingle();
+
+    if (linkError) throw new Error(`Linking applicant failed: ${linkError.message}`);
+    if (!linked) throw new AdmissionError("Applicant was admitted in the meantime", 409);
+
+    logger.info("Applicant admitted", {
+      admission_id: applicant.admission_id,
+      student_id,
+      program_id: program.program_id,
+      enrollment_id: enrollment?.enrollment_id,
+      admitted_by,
+    });
+
+    return {
+      admission_id: applicant.admission_id,
+      student_id,
+      user_id: user.user_id,
+      auth_id: authData.user.id,
+      username: student_id,
+      email,
+      program,
+      account_id: account.account_id,
+      enrollment,
+    };
+  } catch (err) {
+    logger.error("Admitting applicant failed, rolling back", {
+      admission_id,
+      student_id,
+      error: err.message,
+    });
+
+    if (created.enrollment_id) {
+      await releaseEnrollment(supabase, logger, created.enrollment_id);
+      await supabase.from("enrollments").delete().eq("enrollment_id", created.enrollment_id);
+    }
+    if (created.account_id) await supabase.from("accounts").delete().eq("account_id", created.account_id);
+    if (created.student_id) await supabase.from("students").delete().eq("student_id", created.student_id);
+    if (created.user_id) await supabase.from("users").delete().eq("user_id", created.user_id);
+    await supabaseAdmin.auth.admin.deleteUser(authData.user.id);
+
+    throw err;
+  }
+}
+
+// Rollback of a failed admission: the seats the enrollment took go to the
+// waitlists. Failures are logged so the original error is what surfaces.
+async function releaseEnrollment(supabase, logger, enrollment_id) {
+  try {
+    await sections.releaseEnrollment(supabase, logger, enrollment_id);
+  } catch (err) {
+    logger.error("Releasing the enrollment's seats failed", { enrollment_id, error: err.message });
+  }
+}
+
+// Pending enrollment with the curriculum's subjects for the year and
+// semester, seated in sections like any enrollment; billing is generated
+// from it later as usual
+async function createFirstEnrollment(
+  supabase,
+  logger,
+  { student_id, program_id, year_level, semester_id, scheme_id, curriculum_id }
+) {
+  if (!scheme_id) {
+    const { data: scheme, error } = await supabase
+      .from("tuition_schemes")
+      .select("scheme_id")
+      .eq("program_id", program_id)
+      .eq("year", year_level)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!scheme) throw new AdmissionError("No tuition scheme found for this program and year", 422);
+    scheme_id = scheme.scheme_id;
+  }
+
+  const subjects = await curriculum.getTermSubjects(supabase, {
+    program_id,
+    curriculum_id,
+    year_level,
+    semester_id,
+  });
+
+  if (subjects.length === 0) {
+    throw new AdmissionError(
+      `No subjects found for program ${program_id}, year ${year_level}, semester ${semester_id}`,
+      422
+    );
+  }
+
+  const { data: enrollment, error } = await supabase
+    .from("enrollments")
+    .insert([{ student_id, program_id, scheme_id, semester_id, year_level, status: "Pending" }])
+    .select()
+    .single();
+
+  if (error) throw new Error(`Enrollment creation failed: ${error.message}`);
+
+  let placement;
+  try {
+    placement = await sections.loadTermSubjects(
+      supabase,
+      logger,
+      enrollment,
+      subjects.map((subject) => subject.subject_id)
+    );
+  } catch (err) {
+    await releaseEnrollment(supabase, logger, enrollment.enrollment_id);
+    await supabase.from("enrollments").delete().eq("enrollment_id", enrollment.enrollment_id);
+    throw new Error(`Subjects enrollment failed: ${err.message}`);
+  }
+
+  return {
+    ...enrollment,
+    subjects_loaded: placement.seated.length,
+    waitlisted_subject_ids: placement.waitlisted.map((entry) => entry.subject_id),
+    blocked_subject_ids: placement.blocked.map((subject) => subject.subject_id),
+  };
+}
+
+/**
+ * Applicant counts per preferred course and status, with average scores.
+ */
+async function buildReport(supabase, { course = null } = {}) {
+  const applicantsQuery = () => {
+    const query = supabase
+      .from("form_responses")
+      .select("admission_id, preferred_course, applicant_status")
+      .order("admission_id", { ascending: true });
+    return course ? query.eq("preferred_course", course) : query;
+  };
+
+  // Paged: a single select stops at the API's row limit
+  const [applicants, scores, pipeline] = await Promise.all([
+    ledger.fetchAll(applicantsQuery),
+    ledger.fetchAll(() =>
+      supabase
+        .from("admission_scores")
+        .select("admission_id, kind, score, max_score")
+        .order("score_id", { ascending: true })
+    ),
+    getPipeline(supabase),
+  ]);
+
+  const scoresByApplicant = new Map();
+  for (const s of scores) {
+    if (!scoresByApplicant.has(s.admission_id)) scoresByApplicant.set(s.admission_id, []);
+    scoresByApplicant.get(s.admission_id).push(s);
+  }
+
+  const courses = new Map();
+  for (const applicant of applicants) {
+    const key = applicant.preferred_course || "Unspecified";
+    if (!courses.has(key)) {
+      courses.set(key, {
+        preferred_course: key,
+        total: 0,
+        by_status: Object.fromEntries(pipeline.statuses.map((s) => [s.code, 0])),
+        score_totals: { exam: [0, 0], interview: [0, 0] },
+      });
+    }
+
+    const row = courses.get(key);
+    const status = normalizeStatus(applicant.applicant_status);
+    row.total++;
+    row.by_status[status] = (row.by_status[status] || 0) + 1;
+
+    for (const s of scoresByApplicant.get(applicant.admission_id) || []) {
+      // Averages are in percent so different max scores compare
+      row.score_totals[s.kind][0] += (parseFloat(s.score) / parseFloat(s.max_score)) * 100;
+      row.score_totals[s.kind][1]++;
+    }
+  }
+
+  const average = ([sum, count]) => (count ? Math.round((sum / count) * 100) / 100 : null);
+  const report = [...courses.values()]
+    .map(({ score_totals, ...row }) => {
+      const accepted = row.by_status.accepted || 0;
+      const decided = accepted + (row.by_status.waitlisted || 0) + (row.by_status.rejected || 0);
+      return {
+        ...row,
+        average_exam_percent: average(score_totals.exam),
+        average_interview_percent: average(score_totals.interview),
+        acceptance_rate: decided ? Math.round((accepted / decided) * 10000) / 100 : null,
+      };
+    })
+    .sort((a, b) => a.preferred_course.localeCompare(b.preferred_course));
+
+  return {
+    statuses: pipeline.statuses.map((s) => s.code),
+    total: applicants.length,
+    courses: report,
+  };
+}
+
+module.exports = {
+  SCORE_KINDS,
+  COURSE_MAP,
+  DEFAULT_STATUSES,
+  DEFAULT_TRANSITIONS,
+  AdmissionError,
+  normalizeStatus,
+  getPipeline,
+  getApplicant,
+  getApplicantRecord,
+  recordScore,
+  sendDecisionLetter,
+  transitionApplicant,
+  resolveProgram,
+  admitApplicant,
+  buildReport,
+};
@@ -0,0 +1,505 @@
+// services/admissionsync.js
+//
+// Pulls admission form submissions into form_responses. The source is the
+// Google Form's responses sheet (GOOGLE_SHEET_ID, GOOGLE_SHEET_RANGE) or a
+// CSV/XLSX export of it for offline use. Rows are matched to applicants by
+// email; a later submission from the same email updates the applicant instead
+// of adding a second one. Files attached through the form (Drive links) are
+// copied into the uploads bucket under applicant_<admission_id>/<folder>.
+//
+// admission_sync_columns: header, field (form_responses column, or
+// "file:<document_type>" for an upload column). Optional; overrides the
+// header matching in DEFAULT_COLUMNS.
+//
+// admission_sync_runs: run_id, source (sheet | csv), source_ref, dry_run,
+// triggered_by, started_at, finished_at, total_rows, inserted, updated,
+// unchanged, duplicates, failed, files_copied, unmapped_headers (jsonb)
+//
+// admission_sync_errors: error_id, run_id, row_number, email, field, message
+//
+// Google access uses a service account: GOOGLE_APPLICATION_CREDENTIALS (key
+// file) or GOOGLE_SERVICE_ACCOUNT_JSON (key contents). Share the sheet and
+// the form's upload folder with the service account.
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("xlsx");
+const { google } = require("googleapis");
+const admissions = require("./admissions");
+const { DOCUMENT_TYPES } = require("./applicantdocuments");
+const { ServiceError } = require("./common");
+
+const SOURCES = ["sheet", "csv"];
+
+const GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID || null;
+const GOOGLE_SHEET_RANGE = process.env.GOOGLE_SHEET_RANGE || "Form Responses 1";
+// Offline source for scheduled syncs, and the folder its file columns point into
+const ADMISSION_SYNC_CSV = process.env.ADMISSION_SYNC_CSV || null;
+const ADMISSION_SYNC_FILES_DIR = process.env.ADMISSION_SYNC_FILES_DIR || null;
+
+// form_responses column -> form question titles it is read from
+const DEFAULT_COLUMNS = {
+  timestamp: ["timestamp"],
+  email: ["email", "email address"],
+  firstname: ["first name", "firstname", "given name"],
+  middlename: ["middle name", "middlename"],
+  lastname: ["last name", "lastname", "surname"],
+  suffix: ["suffix"],
+  birth_date: ["birth date", "date of birth", "birthday"],
+  age: ["age"],
+  birth_place: ["birth place", "place of birth"],
+  gender: ["gender", "sex"],
+  citizenship: ["citizenship", "nationality"],
+  civilstatus: ["civil status", "civilstatus"],
+  religion: ["religion"],
+  ethnicity: ["ethnicity"],
+  mobile_number: ["mobile number", "contact number", "cellphone number"],
+  street: ["street"],
+  baranggay: ["barangay", "baranggay"],
+  municipality: ["municipality", "city", "city municipality"],
+  province: ["province"],
+  home_address: ["home address", "complete address"],
+  last_school_attended: ["last school attended", "name of school"],
+  strand_taken: ["strand", "strand taken", "shs strand"],
+  school_address: ["school address"],
+  school_type: ["school type"],
+  year_graduated: ["year graduated"],
+  father: ["father", "father s name", "name of father"],
+  father_occupation: ["father s occupation", "father occupation"],
+  mother: ["mother", "mother s name", "name of mother"],
+  mother_occupation: ["mother s occupation", "mother occupation"],
+  parent_number: ["parent number", "parent contact number", "guardian contact number"],
+  family_income: ["family income", "monthly family income"],
+  preferred_course: ["preferred course", "first choice"],
+  alter_course_1: ["alternative course 1", "second choice"],
+  alter_course_2: ["alternative course 2", "third choice"],
+  applicant_type: ["applicant type"],
+  "file:photo": ["2x2 photo", "2x2 picture", "id picture"],
+  "file:transcript": ["form 138", "report card", "transcript of records"],
+  "file:goodmoral": ["good moral", "certificate of good moral character"],
+  "file:medical": ["medical certificate"],
+  "file:birthcert": ["psa birth certificate", "birth certificate", "psa"],
+  "file:honorable_dismissal": ["honorable dismissal"],
+};
+
+// Never taken from the sheet
+const PROTECTED_FIELDS = ["admission_id", "applicant_status", "student_id"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AdmissionSyncError extends ServiceError {}
+
+let syncRunning = false;
+
+// "Father's Name:" -> "father s name"
+const normalizeHeader = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+function getGoogleAuth() {
+  const scopes = [
+    "https://www.googleapis.com/auth/spreadsheets.readonly",
+    "https://www.googleapis.com/auth/drive.readonly",
+  ];
+
+  if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
+    return new google.auth.GoogleAuth({
+      credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON),
+      scopes,
+    });
+  }
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    return new google.auth.GoogleAuth({
+      keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+      scopes,
+    });
+  }
+  return null;
+}
+
+/**
+ * Header -> field mapping in effect (saved overrides over DEFAULT_COLUMNS).
+ */
+async function getColumnOverrides(supabase) {
+  const { data, error } = await supabase.from("admission_sync_columns").select("header, field");
+  if (error) throw error;
+
+  const overrides = {};
+  for (const row of data) overrides[normalizeHeader(row.header)] = row.field;
+  return overrides;
+}
+
+function mapHeaders(headers, overrides) {
+  const aliases = {};
+  for (const [field, titles] of Object.entries(DEFAULT_COLUMNS)) {
+    for (const title of titles) aliases[normalizeHeader(title)] = field;
+  }
+
+  const columns = [];
+  const unmapped = [];
+  const used = new Set();
+
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    const field = overrides[key] || aliases[key];
+    // First matching column wins, so a repeated question cannot overwrite it
+    if (!field || used.has(field)) {
+      if (key) unmapped.push(header);
+      return;
+    }
+    used.add(field);
+    columns.push({ index, header, field });
+  });
+
+  return { columns, unmapped };
+}
+
+async function readSheet() {
+  if (!GOOGLE_SHEET_ID) {
+    throw new AdmissionSyncError("GOOGLE_SHEET_ID is not configured", 409);
+  }
+  const auth = getGoogleAuth();
+  if (!auth) {
+    throw new AdmissionSyncError("Google service account credentials are not configured", 409);
+  }
+
+  const sheets = google.sheets({ version: "v4", auth });
+  const { data } = await sheets.spreadsheets.values.get({
+    spreadsheetId: GOOGLE_SHEET_ID,
+    range: GOOGLE_SHEET_RANGE,
+    valueRenderOption: "FORMATTED_VALUE",
+  });
+
+  return data.values || [];
+}
+
+function readSpreadsheetBuffer(buffer) {
+  const workbook = XLSX.read(buffer, { type: "buffer", raw: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "", raw: false });
+}
+
+function toDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Row values -> form_responses fields and attached file references
+function parseRow(values, columns) {
+  const record = {};
+  const files = [];
+
+  for (const { index, field } of columns) {
+    const value = String(values[index] ?? "").trim();
+    if (!value) continue;
+
+    if (field.startsWith("file:")) {
+      const document_type = field.slice(5);
+      for (const ref of value.split(/,\s*/).filter(Boolean)) files.push({ document_type, ref });
+    } else if (!PROTECTED_FIELDS.includes(field)) {
+      record[field] = value;
+    }
+  }
+
+  if (record.email) record.email = record.email.toLowerCase();
+  if (record.timestamp) {
+    const timestamp = toDate(record.timestamp);
+    record.timestamp = timestamp ? timestamp.toISOString() : undefined;
+  }
+  if (record.birth_date) {
+    const birthDate = toDate(record.birth_date);
+    record.birth_date = birthDate ? birthDate.toISOString().split("T")[0] : undefined;
+  }
+  if (record.applicant_type) record.applicant_type = record.applicant_type.toLowerCase();
+
+  return { record, files };
+}
+
+const driveFileId = (ref) => {
+  const match = ref.match(/[?&]id=([\w-]+)|\/d\/([\w-]+)/);
+  return match ? match[1] || match[2] : null;
+};
+
+async function listFolder(supabase, folder) {
+  const { data, error } = await supabase.storage.from("uploads").list(folder);
+  if (error) throw error;
+  return new Set((data || []).map((item) => item.name));
+}
+
+/**
+ * Copy one attached file into the applicant's folder. Files are stored as
+ * <source id>_<name>, so a file copied by an earlier run is not fetched again.
+ */
+async function copyFile(supabase, drive, admission_id, { document_type, ref }) {
+  const documentType = DOCUMENT_TYPES[document_type];
+  if (!documentType) throw new Error(`Unknown document type "${document_type}"`);
+
+  const folder = `applicant_${admission_id}/${documentType.folder}`;
+  const existing = await listFolder(supabase, folder);
+  let name;
+  let body;
+  let contentType;
+
+  const fileId = driveFileId(ref);
+  if (fileId) {
+    if (!drive) throw new Error("Google credentials are needed to copy Drive files");
+
+    const { data: meta } = await drive.files.get({ fileId, fields: "name, mimeType" });
+    name = `${fileId}_${meta.name}`;
+    if (existing.has(name)) return null;
+
+    const { data } = await drive.files.get(
+      { fileId, alt: "media" },
+      { responseType: "arraybuffer" }
+    );
+    body = Buffer.from(data);
+    contentType = meta.mimeType;
+  } else {
+    if (!ADMISSION_SYNC_FILES_DIR) throw new Error(`Not a Drive link: ${ref}`);
+
+    // Only file names are accepted, relative to ADMISSION_SYNC_FILES_DIR
+    const fileName = path.basename(ref);
+    name = `local_${fileName}`;
+    if (existing.has(name)) return null;
+
+    body = await fs.promises.readFile(path.join(ADMISSION_SYNC_FILES_DIR, fileName));
+  }
+
+  const { error } = await supabase.storage
+    .from("uploads")
+    .upload(`${folder}/${name}`, body, { contentType, upsert: true });
+  if (error) throw error;
+
+  return `${folder}/${name}`;
+}
+
+async function findExisting(supabase, emails) {
+  const existing = new Map();
+  // Keep the IN list short enough for the query string
+  for (let i = 0; i < emails.length; i += 200) {
+    const { data, error } = await supabase
+      .from("form_responses")
+      .select("admission_id, email, timestamp")
+      .in("email", emails.slice(i, i + 200));
+
+    if (error) throw error;
+    for (const row of data) existing.set(row.email.toLowerCase(), row);
+  }
+  return existing;
+}
+
+async function startRun(supabase, fields) {
+  const { data, error } = await supabase
+    .from("admission_sync_runs")
+    .insert([{ ...fields, started_at: new Date().toISOString() }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Import sheet rows (first row holds the question titles). With dry_run the
+ * rows are checked and counted but nothing is written.
+ */
+async function syncRows(
+  supabase,
+  logger,
+  rows,
+  { source, source_ref = null, dry_run = false, triggered_by = null }
+) {
+  if (syncRunning) throw new AdmissionSyncError("An admission sync is already running", 409);
+  syncRunning = true;
+
+  try {
+    const [headers = [], ...dataRows] = rows;
+    const { columns, unmapped } = mapHeaders(headers, await getColumnOverrides(supabase));
+    if (!columns.some((column) => column.field === "email")) {
+      throw new AdmissionSyncError("The sheet has no email column");
+    }
+
+    const run = await startRun(supabase, {
+      source,
+      source_ref,
+      dry_run,
+      triggered_by,
+      unmapped_headers: unmapped,
+    });
+
+    const summary = {
+      run_id: run.run_id,
+      source,
+      dry_run,
+      total_rows: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      duplicates: 0,
+      failed: 0,
+      files_copied: 0,
+      unmapped_headers: unmapped,
+    };
+    const errors = [];
+
+    // Latest submission per email
+    const latest = new Map();
+    dataRows.forEach((values, index) => {
+      if (!values.some((value) => String(value ?? "").trim())) return;
+      summary.total_rows++;
+
+      const row_number = index + 2;
+      const { record, files } = parseRow(values, columns);
+
+      if (!record.email || !EMAIL_PATTERN.test(record.email)) {
+        summary.failed++;
+        errors.push({ row_number, email: record.email || null, field: "email", message: "Missing or invalid email" });
+        return;
+      }
+
+      const previous = latest.get(record.email);
+      if (previous) {
+        summary.duplicates++;
+        if (record.timestamp && previous.record.timestamp && record.timestamp < previous.record.timestamp) {
+          return;
+        }
+      }
+      latest.set(record.email, { row_number, record, files });
+    });
+
+    const existing = await findExisting(supabase, [...latest.keys()]);
+    const auth = getGoogleAuth();
+    const drive = auth ? google.drive({ version: "v3", auth }) : null;
+
+    for (const { row_number, record, files } of latest.values()) {
+      const current = existing.get(record.email);
+
+      try {
+        let admission_id = current?.admission_id;
+
+        if (
+          current &&
+          current.timestamp &&
+          record.timestamp &&
+          new Date(record.timestamp) <= new Date(current.timestamp)
+        ) {
+          summary.unchanged++;
+          continue;
+        } else if (current) {
+          if (!dry_run) {
+            const { error } = await supabase
+              .from("form_responses")
+              .update(record)
+              .eq("admission_id", current.admission_id);
+            if (error) throw error;
+          }
+          summary.updated++;
+        } else {
+          if (!dry_run) {
+            const { data, error } = await supabase
+              .from("form_responses")
+              .insert([{ ...record, applicant_status: admissions.DEFAULT_STATUSES[0].code }])
+              .select("admission_id")
+              .single();
+            if (error) throw error;
+            admission_id = data.admission_id;
+          }
+          summary.inserted++;
+        }
+
+        if (dry_run) continue;
+
+        // A failed file does not undo the applicant's row
+        for (const file of files) {
+          try {
+            if (await copyFile(supabase, drive, admission_id, file)) summary.files_copied++;
+          } catch (err) {
+            errors.push({
+              row_number,
+              email: record.email,
+              field: `file:${file.document_type}`,
+              message: err.message,
+            });
+          }
+        }
+      } catch (err) {
+        summary.failed++;
+        errors.push({ row_number, email: record.email, field: null, message: err.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      const { error } = await supabase
+        .from("admission_sync_errors")
+        .insert(errors.map((rowError) => ({ run_id: run.run_id, ...rowError })));
+      if (error) throw error;
+    }
+
+    const { error: finishError } = await supabase
+      .from("admission_sync_runs")
+      .update({
+        finished_at: new Date().toISOString(),
+        total_rows: summary.total_rows,
+        inserted: summary.inserted,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        duplicates: summary.duplicates,
+        failed: summary.failed,
+        files_copied: summary.files_copied,
+      })
+      .eq("run_id", run.run_id);
+
+    if (finishError) throw finishError;
+
+    logger.info("Admission sync finished", { ...summary, errors: errors.length });
+    return { ...summary, errors };
+  } finally {
+    syncRunning = false;
+  }
+}
+
+/**
+ * Sync from the configured Google Form responses sheet.
+ */
+async function syncFromSheet(supabase, logger, options = {}) {
+  const rows = await readSheet();
+  return syncRows(supabase, logger, rows, {
+    ...options,
+    source: "sheet",
+    source_ref: `${GOOGLE_SHEET_ID}!${GOOGLE_SHEET_RANGE}`,
+  });
+}
+
+/**
+ * Sync from a CSV/XLSX export: an uploaded buffer, or ADMISSION_SYNC_CSV.
+ */
+async function syncFromFile(supabase, logger, { buffer = null, file_name = null, ...options } = {}) {
+  if (!buffer) {
+    if (!ADMISSION_SYNC_CSV) {
+      throw new AdmissionSyncError("Upload a file or configure ADMISSION_SYNC_CSV");
+    }
+    buffer = await fs.promises.readFile(ADMISSION_SYNC_CSV);
+    file_name = ADMISSION_SYNC_CSV;
+  }
+
+  return syncRows(supabase, logger, readSpreadsheetBuffer(buffer), {
+    ...options,
+    source: "csv",
+    source_ref: file_name,
+  });
+}
+
+module.exports = {
+  SOURCES,
+  DEFAULT_COLUMNS,
+  GOOGLE_SHEET_ID,
+  ADMISSION_SYNC_CSV,
+  AdmissionSyncError,
+  normalizeHeader,
+  getColumnOverrides,
+  mapHeaders,
+  syncRows,
+  syncFromSheet,
+  syncFromFile,
+};
@@ -0,0 +1,272 @@
+// services/applicantdocuments.js
+//
+// Document checklist for applicants. Which documents are required depends
+// on the applicant type; each document's state combines what is in the
+// `uploads` storage bucket with the registrar's review.
+//
+// document_requirements: requirement_id, applicant_type, document_type,
+// is_required, sort_order, is_active (unique per applicant_type and
+// document_type). Without rows DEFAULT_REQUIREMENTS is used.
+//
+// applicant_documents: document_id, admission_id, document_type, status
+// (verified | rejected | reupload_requested), notes, file_path,
+// reviewed_by, reviewed_at, requested_at (unique per admission_id and
+// document_type)
+//
+// form_responses gains applicant_type (freshman | transferee | returnee;
+// null counts as freshman).
+//
+// A document is "missing" until a file is uploaded, then "uploaded" until
+// reviewed. A re-upload request turns back into "uploaded" once a newer file
+// arrives. Completeness is the share of required documents that are verified.
+const notifications = require("./notifications");
+const { ServiceError } = require("./common");
+
+const APPLICANT_TYPES = ["freshman", "transferee", "returnee"];
+
+const DOCUMENT_STATUSES = {
+  MISSING: "missing",
+  UPLOADED: "uploaded",
+  VERIFIED: "verified",
+  REJECTED: "rejected",
+  REUPLOAD_REQUESTED: "reupload_requested",
+};
+
+// Storage folders under applicant_<admission_id>/ in the uploads bucket
+const DOCUMENT_TYPES = {
+  photo: { name: "2x2 photo", folder: "applicant_uploads_2x2" },
+  transcript: { name: "transcript", folder: "applicant_uploads_transcript" },
+  goodmoral: { name: "good moral", folder: "applicant_uploads_good_moral" },
+  medical: { name: "medical certificate", folder: "applicant_uploads_medical_certificate" },
+  birthcert: { name: "birth certificate", folder: "applicant_uploads_psa" },
+  honorable_dismissal: {
+    name: "honorable dismissal",
+    folder: "applicant_uploads_honorable_dismissal",
+  },
+};
+
+const DEFAULT_REQUIREMENTS = {
+  freshman: ["photo", "transcript", "goodmoral", "medical", "birthcert"],
+  transferee: ["photo", "transcript", "honorable_dismissal", "goodmoral", "birthcert"],
+  returnee: ["photo", "transcript", "birthcert"],
+};
+
+class DocumentError extends ServiceError {}
+
+/**
+ * Required documents for an applicant type (saved rows or defaults).
+ */
+async function getRequirements(supabase, applicant_type) {
+  const { data, error } = await supabase
+    .from("document_requirements")
+    .select("*")
+    .eq("applicant_type", applicant_type)
+    .eq("is_active", true)
+    .order("sort_order", { ascending: true });
+
+  if (error) throw error;
+  if (data.length > 0) return data;
+
+  return (DEFAULT_REQUIREMENTS[applicant_type] || []).map((document_type, index) => ({
+    applicant_type,
+    document_type,
+    is_required: true,
+    sort_order: index + 1,
+    source: "default",
+  }));
+}
+
+async function getApplicantForDocuments(supabase, admission_id) {
+  const { data, error } = await supabase
+    .from("form_responses")
+    .select("admission_id, firstname, lastname, email, mobile_number, applicant_type")
+    .eq("admission_id", admission_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new DocumentError("Applicant not found", 404);
+
+  return { ...data, applicant_type: data.applicant_type || "freshman" };
+}
+
+// Newest file in a document's folder, or null
+async function findUpload(supabase, admission_id, document_type) {
+  const folder = `applicant_${admission_id}/${DOCUMENT_TYPES[document_type]?.folder || document_type}`;
+  const { data: items, error } = await supabase.storage.from("uploads").list(folder);
+
+  if (error || !items) return null;
+
+  const files = items
+    .filter((item) => item.id)
+    .sort((a, b) => String(b.updated_at || b.created_at).localeCompare(String(a.updated_at || a.created_at)));
+
+  return files.length > 0
+    ? { path: `${folder}/${files[0].name}`, uploaded_at: files[0].updated_at || files[0].created_at }
+    : null;
+}
+
+/**
+ * Checklist of required documents with their status and completeness.
+ */
+async function getChecklist(supabase, admission_id) {
+  const applicant = await getApplicantForDocuments(supabase, admission_id);
+
+  const [requirements, { data: reviews, error }] = await Promise.all([
+    getRequirements(supabase, applicant.applicant_type),
+    supabase.from("applicant_documents").select("*").eq("admission_id", admission_id),
+  ]);
+
+  if (error) throw error;
+
+  const documents = await Promise.all(
+    requirements.map(async (requirement) => {
+      const type = requirement.document_type;
+      const upload = await findUpload(supabase, admission_id, type);
+      const review = reviews.find((row) => row.document_type === type);
+
+      let status = upload ? DOCUMENT_STATUSES.UPLOADED : DOCUMENT_STATUSES.MISSING;
+      if (review) {
+        const resubmitted =
+          review.status === DOCUMENT_STATUSES.REUPLOAD_REQUESTED &&
+          upload &&
+          review.requested_at &&
+          new Date(upload.uploaded_at) > new Date(review.requested_at);
+        if (!resubmitted) status = review.status;
+      }
+
+      return {
+        document_type: type,
+        name: DOCUMENT_TYPES[type]?.name || type,
+        is_required: requirement.is_required !== false,
+        status,
+        file_path: upload?.path || null,
+        uploaded_at: upload?.uploaded_at || null,
+        notes: review?.notes || null,
+        reviewed_by: review?.reviewed_by || null,
+        reviewed_at: review?.reviewed_at || null,
+      };
+    })
+  );
+
+  const required = documents.filter((doc) => doc.is_required);
+  const verified = required.filter((doc) => doc.status === DOCUMENT_STATUSES.VERIFIED);
+
+  return {
+    admission_id: applicant.admission_id,
+    applicant_type: applicant.applicant_type,
+    completeness: required.length
+      ? Math.round((verified.length / required.length) * 10000) / 100
+      : 100,
+    complete: verified.length === required.length,
+    outstanding: required
+      .filter((doc) => doc.status !== DOCUMENT_STATUSES.VERIFIED)
+      .map((doc) => ({ document_type: doc.document_type, status: doc.status })),
+    documents,
+  };
+}
+
+async function saveReview(supabase, admission_id, document_type, fields) {
+  const { data, error } = await supabase
+    .from("applicant_documents")
+    .upsert([{ admission_id, document_type, ...fields }], {
+      onConflict: "admission_id,document_type",
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+function assertDocumentType(document_type) {
+  if (!DOCUMENT_TYPES[document_type]) {
+    throw new DocumentError(
+      `document_type must be one of: ${Object.keys(DOCUMENT_TYPES).join(", ")}`
+    );
+  }
+}
+
+/**
+ * Mark an uploaded document verified or rejected.
+ */
+async function reviewDocument(supabase, logger, admission_id, document_type, { status, notes = null, reviewed_by }) {
+  assertDocumentType(document_type);
+  if (![DOCUMENT_STATUSES.VERIFIED, DOCUMENT_STATUSES.REJECTED].includes(status)) {
+    throw new DocumentError("status must be verified or rejected");
+  }
+  if (status === DOCUMENT_STATUSES.REJECTED && !notes) {
+    throw new DocumentError("Give the applicant a reason when rejecting a document");
+  }
+
+  await getApplicantForDocuments(supabase, admission_id);
+  const upload = await findUpload(supabase, admission_id, document_type);
+  if (!upload) {
+    throw new DocumentError(`No ${DOCUMENT_TYPES[document_type].name} has been uploaded`, 409);
+  }
+
+  const review = await saveReview(supabase, admission_id, document_type, {
+    status,
+    notes,
+    file_path: upload.path,
+    reviewed_by,
+    reviewed_at: new Date().toISOString(),
+  });
+
+  logger.info("Applicant document reviewed", { admission_id, document_type, status, reviewed_by });
+  return review;
+}
+
+/**
+ * Ask the applicant for a new file and tell them why.
+ */
+async function requestReupload(supabase, logger, admission_id, document_type, { notes, requested_by }) {
+  assertDocumentType(document_type);
+  if (!notes) throw new DocumentError("Tell the applicant what to fix in notes");
+
+  const applicant = await getApplicantForDocuments(supabase, admission_id);
+  const review = await saveReview(supabase, admission_id, document_type, {
+    status: DOCUMENT_STATUSES.REUPLOAD_REQUESTED,
+    notes,
+    reviewed_by: requested_by,
+    reviewed_at: new Date().toISOString(),
+    requested_at: new Date().toISOString(),
+  });
+
+  let messages = [];
+  try {
+    messages = await notifications.notify(supabase, logger, {
+      template: "document_reupload",
+      channels: ["email", "in_app"],
+      to: {
+        admission_id: applicant.admission_id,
+        email: applicant.email,
+        name: [applicant.firstname, applicant.lastname].filter(Boolean).join(" "),
+      },
+      variables: {
+        document: DOCUMENT_TYPES[document_type].name,
+        notes,
+      },
+    });
+  } catch (err) {
+    logger.error("Failed to notify applicant about re-upload", {
+      admission_id,
+      document_type,
+      error: err.message,
+    });
+  }
+
+  logger.info("Document re-upload requested", { admission_id, document_type, requested_by });
+  return { review, messages };
+}
+
+module.exports = {
+  APPLICANT_TYPES,
+  DOCUMENT_STATUSES,
+  DOCUMENT_TYPES,
+  DEFAULT_REQUIREMENTS,
+  DocumentError,
+  getRequirements,
+  getChecklist,
+  reviewDocument,
+  requestReupload,
+};
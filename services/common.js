@@ -0,0 +1,52 @@
+// services/common.js
+//
+// Helpers shared by the services and their routers: the error services
+// throw for problems with a request, the routers' error handler, and money
+// and date formatting.
+
+/**
+ * An error the caller can fix (bad input, missing record, wrong state).
+ * Each service subclasses it (LedgerError, GrantError, ...); routers answer
+ * with its status instead of a 500.
+ */
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+  }
+}
+
+/**
+ * A router's handleError(res, err, context): service errors get their
+ * status and message, anything else is logged and answered with a 500.
+ *
+ * @param {Object} logger
+ * @param {Object} [options]
+ * @param {Function} [options.body] - (message, err) => response body
+ */
+function createErrorHandler(logger, { body = (message) => ({ error: message }) } = {}) {
+  return function handleError(res, err, context) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json(body(err.message, err));
+    }
+    logger.error(`Unexpected error in ${context}`, {
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json(body("Internal server error"));
+  };
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// "YYYY-MM-DD" (UTC) of a date or date string; today without one
+const toDateString = (date) =>
+  (date ? new Date(date) : new Date()).toISOString().split("T")[0];
+
+module.exports = {
+  ServiceError,
+  createErrorHandler,
+  roundMoney,
+  toDateString,
+};
@@ -0,0 +1,384 @@
+// services/curriculum.js
+//
+// Curriculum (prospectus) versions. A program can have several curricula,
+// each effective for a range of admission years, with its own subject list
+// and prerequisite / co-requisite rules. Students are pinned to the
+// curriculum they were admitted under, so a revised curriculum only
+// applies to later batches.
+//
+// curricula: curriculum_id, program_id, code (unique), name,
+// effective_from_year, effective_to_year (null = still in effect),
+// is_active, created_by, created_at
+//
+// curriculum_subjects: curriculum_subject_id, curriculum_id, subject_id,
+// year_level, term (1st Semester | 2nd Semester | Summer), is_elective,
+// min_year_standing, sort_order (unique per curriculum_id and subject_id)
+//
+// curriculum_requisites: requisite_id, curriculum_id, subject_id,
+// requisite_subject_id, kind (prerequisite | corequisite), group_no
+// (unique per curriculum_id, subject_id and requisite_subject_id).
+// Requisites sharing a group_no are alternatives (any one will do); every
+// group, and every requisite without one, is required. How they are
+// evaluated lives in services/prerequisites.js.
+//
+// students gains curriculum_id.
+//
+// Programs without a curriculum keep using course_subjects directly
+// (program_id, year_level, semester_id, prerequisite_id); every reader goes
+// through getProgramSubjects / getTermSubjects, which return both in the
+// same shape.
+
+const { ServiceError } = require("./common");
+
+const TERMS = ["1st Semester", "2nd Semester", "Summer"];
+const REQUISITE_KINDS = ["prerequisite", "corequisite"];
+
+const SUBJECT_COLUMNS = "subject_id, subject_code, subject_name, units, has_lab, subject_type";
+
+class CurriculumError extends ServiceError {}
+
+async function getCurriculum(supabase, curriculum_id) {
+  const { data, error } = await supabase
+    .from("curricula")
+    .select("*")
+    .eq("curriculum_id", curriculum_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new CurriculumError("Curriculum not found", 404);
+  return data;
+}
+
+/**
+ * Curriculum of a program in effect for an admission year, or null.
+ */
+async function findEffectiveCurriculum(supabase, program_id, admission_year) {
+  const { data, error } = await supabase
+    .from("curricula")
+    .select("*")
+    .eq("program_id", program_id)
+    .eq("is_active", true)
+    .lte("effective_from_year", admission_year)
+    .order("effective_from_year", { ascending: false });
+
+  if (error) throw error;
+  return (
+    data.find((c) => c.effective_to_year === null || c.effective_to_year >= admission_year) || null
+  );
+}
+
+/**
+ * The student's curriculum. A student who is not pinned yet is pinned to the
+ * curriculum effective for their admission year. Returns null when the
+ * program has none.
+ */
+async function resolveStudentCurriculum(supabase, logger, student) {
+  if (student.curriculum_id) return getCurriculum(supabase, student.curriculum_id);
+
+  const curriculum = await findEffectiveCurriculum(
+    supabase,
+    student.program_id,
+    student.admission_year || new Date().getFullYear()
+  );
+  if (!curriculum) return null;
+
+  const { error } = await supabase
+    .from("students")
+    .update({ curriculum_id: curriculum.curriculum_id })
+    .eq("student_id", student.student_id)
+    .is("curriculum_id", null);
+
+  if (error) throw error;
+
+  logger.info("Student pinned to curriculum", {
+    student_id: student.student_id,
+    curriculum_id: curriculum.curriculum_id,
+  });
+  return curriculum;
+}
+
+function groupRequisites(requisites) {
+  const bySubject = {};
+  for (const req of requisites) {
+    (bySubject[req.subject_id] = bySubject[req.subject_id] || []).push({
+      requisite_id: req.requisite_id,
+      requisite_subject_id: req.requisite_subject_id,
+      kind: req.kind,
+      group_no: req.group_no ?? null,
+    });
+  }
+  return bySubject;
+}
+
+// Normalized subject shape shared by curricula and course_subjects
+function withRequisites(subject, requisites) {
+  return {
+    ...subject,
+    requisites,
+    prerequisite_ids: requisites
+      .filter((req) => req.kind === "prerequisite")
+      .map((req) => req.requisite_subject_id),
+    corequisite_ids: requisites
+      .filter((req) => req.kind === "corequisite")
+      .map((req) => req.requisite_subject_id),
+  };
+}
+
+/**
+ * Subjects of a curriculum with their year level, term and requisites.
+ */
+async function getCurriculumSubjects(supabase, curriculum_id) {
+  const [{ data: subjects, error }, { data: requisites, error: reqError }] = await Promise.all([
+    supabase
+      .from("curriculum_subjects")
+      .select(
+        `year_level, term, is_elective, min_year_standing, sort_order, course_subjects ( ${SUBJECT_COLUMNS} )`
+      )
+      .eq("curriculum_id", curriculum_id)
+      .order("year_level", { ascending: true })
+      .order("sort_order", { ascending: true }),
+    supabase
+      .from("curriculum_requisites")
+      .select("requisite_id, subject_id, requisite_subject_id, kind, group_no")
+      .eq("curriculum_id", curriculum_id),
+  ]);
+
+  if (error) throw error;
+  if (reqError) throw reqError;
+
+  const requisitesBySubject = groupRequisites(requisites);
+
+  return subjects
+    .filter((row) => row.course_subjects)
+    .map((row) =>
+      withRequisites(
+        {
+          ...row.course_subjects,
+          year_level: row.year_level,
+          term: row.term,
+          semester_id: null,
+          is_elective: Boolean(row.is_elective),
+          min_year_standing: row.min_year_standing ?? null,
+        },
+        requisitesBySubject[row.course_subjects.subject_id] || []
+      )
+    );
+}
+
+async function getLegacySubjects(supabase, program_id) {
+  const { data, error } = await supabase
+    .from("course_subjects")
+    .select(`${SUBJECT_COLUMNS}, year_level, semester_id, is_elective, prerequisite_id, semesters ( semester_name )`)
+    .eq("program_id", program_id);
+
+  if (error) throw error;
+
+  return data.map(({ semesters, prerequisite_id, ...subject }) =>
+    withRequisites(
+      {
+        ...subject,
+        term: semesters?.semester_name || null,
+        is_elective: Boolean(subject.is_elective),
+        min_year_standing: null,
+      },
+      prerequisite_id
+        ? [{ requisite_id: null, requisite_subject_id: prerequisite_id, kind: "prerequisite", group_no: null }]
+        : []
+    )
+  );
+}
+
+/**
+ * Every subject a student's program requires: from the curriculum when one
+ * is given, else from course_subjects.
+ */
+async function getProgramSubjects(supabase, { program_id, curriculum_id = null }) {
+  return curriculum_id
+    ? getCurriculumSubjects(supabase, curriculum_id)
+    : getLegacySubjects(supabase, program_id);
+}
+
+/**
+ * Subjects for one year level in one semester. Curriculum subjects match by
+ * term name; course_subjects rows by their own semester_id.
+ */
+function subjectsForTerm(subjects, { year_level, semester }) {
+  return subjects.filter(
+    (subject) =>
+      Number(subject.year_level) === Number(year_level) &&
+      (subject.semester_id !== null && subject.semester_id !== undefined
+        ? subject.semester_id === semester.semester_id
+        : subject.term === semester.semester_name)
+  );
+}
+
+async function getTermSubjects(supabase, { program_id, curriculum_id = null, year_level, semester_id }) {
+  const { data: semester, error } = await supabase
+    .from("semesters")
+    .select("semester_id, semester_name")
+    .eq("semester_id", semester_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!semester) return [];
+
+  const subjects = await getProgramSubjects(supabase, { program_id, curriculum_id });
+  return subjectsForTerm(subjects, { year_level, semester });
+}
+
+// True when adding subject -> requisite would close a prerequisite loop
+function createsCycle(requisites, subject_id, requisite_subject_id) {
+  const graph = {};
+  for (const req of requisites) {
+    (graph[req.subject_id] = graph[req.subject_id] || []).push(req.requisite_subject_id);
+  }
+
+  const stack = [requisite_subject_id];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (String(current) === String(subject_id)) return true;
+    if (seen.has(String(current))) continue;
+    seen.add(String(current));
+    stack.push(...(graph[current] || []));
+  }
+  return false;
+}
+
+/**
+ * Curricula with students pinned to them are frozen; revise by copying.
+ */
+async function assertEditable(supabase, curriculum_id) {
+  const { count, error } = await supabase
+    .from("students")
+    .select("student_id", { count: "exact", head: true })
+    .eq("curriculum_id", curriculum_id);
+
+  if (error) throw error;
+  if (count > 0) {
+    throw new CurriculumError(
+      `${count} student(s) follow this curriculum; create a new version (copy_from) instead`,
+      409
+    );
+  }
+}
+
+async function addRequisite(supabase, curriculum_id, { subject_id, requisite_subject_id, kind, group_no = null }) {
+  if (!REQUISITE_KINDS.includes(kind)) {
+    throw new CurriculumError(`kind must be one of: ${REQUISITE_KINDS.join(", ")}`);
+  }
+  if (String(subject_id) === String(requisite_subject_id)) {
+    throw new CurriculumError("A subject cannot be its own requisite");
+  }
+
+  await assertEditable(supabase, curriculum_id);
+
+  const [{ data: members, error }, { data: requisites, error: reqError }] = await Promise.all([
+    supabase
+      .from("curriculum_subjects")
+      .select("subject_id")
+      .eq("curriculum_id", curriculum_id)
+      .in("subject_id", [subject_id, requisite_subject_id]),
+    supabase
+      .from("curriculum_requisites")
+      .select("subject_id, requisite_subject_id, kind")
+      .eq("curriculum_id", curriculum_id),
+  ]);
+
+  if (error) throw error;
+  if (reqError) throw reqError;
+  if (members.length < 2) {
+    throw new CurriculumError("Both subjects must be part of the curriculum");
+  }
+  if (
+    kind === "prerequisite" &&
+    createsCycle(
+      requisites.filter((req) => req.kind === "prerequisite"),
+      subject_id,
+      requisite_subject_id
+    )
+  ) {
+    throw new CurriculumError("This prerequisite would create a cycle", 409);
+  }
+
+  const { data, error: insertError } = await supabase
+    .from("curriculum_requisites")
+    .insert([{ curriculum_id, subject_id, requisite_subject_id, kind, group_no }])
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+  return data;
+}
+
+/**
+ * Copy subjects and requisites from another curriculum, or (source
+ * "legacy") from the program's course_subjects.
+ */
+async function copySubjects(supabase, curriculum, source) {
+  let subjects;
+  if (source === "legacy") {
+    subjects = await getLegacySubjects(supabase, curriculum.program_id);
+  } else {
+    const from = await getCurriculum(supabase, source);
+    if (from.program_id !== curriculum.program_id) {
+      throw new CurriculumError("Can only copy a curriculum of the same program");
+    }
+    subjects = await getCurriculumSubjects(supabase, from.curriculum_id);
+  }
+
+  const rows = subjects
+    .filter((subject) => subject.term)
+    .map((subject, index) => ({
+      curriculum_id: curriculum.curriculum_id,
+      subject_id: subject.subject_id,
+      year_level: subject.year_level,
+      term: subject.term,
+      is_elective: subject.is_elective,
+      min_year_standing: subject.min_year_standing,
+      sort_order: index + 1,
+    }));
+  if (rows.length === 0) return { subjects: 0, requisites: 0 };
+
+  const { error } = await supabase.from("curriculum_subjects").insert(rows);
+  if (error) throw error;
+
+  const included = new Set(rows.map((row) => String(row.subject_id)));
+  const requisites = subjects.flatMap((subject) =>
+    subject.requisites
+      .filter(
+        (req) =>
+          included.has(String(req.requisite_subject_id)) && included.has(String(subject.subject_id))
+      )
+      .map((req) => ({
+        curriculum_id: curriculum.curriculum_id,
+        subject_id: subject.subject_id,
+        requisite_subject_id: req.requisite_subject_id,
+        kind: req.kind,
+        group_no: req.group_no,
+      }))
+  );
+
+  if (requisites.length > 0) {
+    const { error: reqError } = await supabase.from("curriculum_requisites").insert(requisites);
+    if (reqError) throw reqError;
+  }
+
+  return { subjects: rows.length, requisites: requisites.length };
+}
+
+module.exports = {
+  TERMS,
+  REQUISITE_KINDS,
+  CurriculumError,
+  getCurriculum,
+  findEffectiveCurriculum,
+  resolveStudentCurriculum,
+  getCurriculumSubjects,
+  getProgramSubjects,
+  subjectsForTerm,
+  getTermSubjects,
+  assertEditable,
+  addRequisite,
+  copySubjects,
+};
@@ -0,0 +1,298 @@
+// services/feeengine.js
+//
+// Fee rules engine. Tuition, laboratory and miscellaneous fees live in the
+// database so the registrar can change them without a deploy.
+//
+// fee_rules: rule_id, code, name, category, amount, program_id, year_level,
+// semester_id, subject_id, effective_from, effective_to, is_active,
+// created_by, created_at, updated_at
+//
+//   category "tuition" - amount is a per-unit rate
+//   category "lab"     - amount per laboratory subject (course_subjects.has_lab);
+//                        subject_id narrows a rule to one subject
+//   category "misc"    - flat amount (library, ID, insurance, ...)
+//
+// program_id / year_level / semester_id / subject_id left null mean "any".
+// Rules sharing a code compete: the most specific one wins, so a rule with a
+// semester_id overrides the standing rate for that semester only. An amount
+// of 0 waives the fee.
+
+const curriculum = require("./curriculum");
+const { ServiceError, roundMoney, toDateString } = require("./common");
+
+const FEE_CATEGORIES = {
+  TUITION: "tuition",
+  LAB: "lab",
+  MISC: "misc",
+};
+
+// enrollment_fees.fee_type for each category
+const FEE_TYPES = {
+  tuition: "Tuition",
+  lab: "Laboratory",
+  misc: "Miscellaneous",
+};
+
+class FeeRuleError extends ServiceError {}
+
+// A rule column left null applies to any value; otherwise it must match
+const appliesTo = (ruleValue, value) =>
+  ruleValue === null || ruleValue === undefined || (value != null && String(ruleValue) === String(value));
+
+/**
+ * Active rules in effect on `as_of` that could apply to the given context.
+ * Scoping is done here rather than in a PostgREST filter string, so request
+ * values never end up inside a filter expression.
+ */
+async function getApplicableRules(supabase, { program_id, year_level, semester_id, as_of }) {
+  const day = toDateString(as_of);
+
+  const { data, error } = await supabase
+    .from("fee_rules")
+    .select("*")
+    .eq("is_active", true)
+    .lte("effective_from", day)
+    .order("rule_id", { ascending: true });
+
+  if (error) throw error;
+  return (data || []).filter(
+    (rule) =>
+      (!rule.effective_to || rule.effective_to >= day) &&
+      appliesTo(rule.program_id, program_id || null) &&
+      appliesTo(rule.year_level, year_level || null) &&
+      appliesTo(rule.semester_id, semester_id || null)
+  );
+}
+
+function specificity(rule) {
+  return (
+    (rule.subject_id ? 8 : 0) +
+    (rule.semester_id ? 4 : 0) +
+    (rule.program_id ? 2 : 0) +
+    (rule.year_level ? 1 : 0)
+  );
+}
+
+/**
+ * Most specific rule among candidates; ties go to the latest effective_from.
+ */
+function pickRule(candidates) {
+  return candidates.reduce((best, rule) => {
+    if (!best) return rule;
+    const diff = specificity(rule) - specificity(best);
+    if (diff !== 0) return diff > 0 ? rule : best;
+    if (rule.effective_from !== best.effective_from) {
+      return rule.effective_from > best.effective_from ? rule : best;
+    }
+    return rule.rule_id > best.rule_id ? rule : best;
+  }, null);
+}
+
+function groupByCode(rules) {
+  const groups = new Map();
+  for (const rule of rules) {
+    if (!groups.has(rule.code)) groups.set(rule.code, []);
+    groups.get(rule.code).push(rule);
+  }
+  return groups;
+}
+
+/**
+ * Subjects an enrollment is assessed on: its enrollment_subjects if already
+ * created, otherwise the curriculum subjects it will be given on payment
+ * (from the student's curriculum_id when given).
+ */
+async function getAssessmentSubjects(
+  supabase,
+  { enrollment_id, program_id, semester_id, year_level, curriculum_id = null }
+) {
+  const columns = "subject_id, subject_code, subject_name, units, has_lab";
+
+  if (enrollment_id) {
+    const { data, error } = await supabase
+      .from("enrollment_subjects")
+      .select(`subject_id, course_subjects ( ${columns} )`)
+      .eq("enrollment_id", enrollment_id);
+
+    if (error) throw error;
+    const subjects = (data || []).map((row) => row.course_subjects).filter(Boolean);
+    if (subjects.length > 0) return subjects;
+  }
+
+  if (!program_id || !semester_id || !year_level) return [];
+
+  return curriculum.getTermSubjects(supabase, {
+    program_id,
+    curriculum_id,
+    year_level,
+    semester_id,
+  });
+}
+
+/**
+ * Build an itemized assessment from the fee rules.
+ *
+ * @param {Object} context
+ * @param {number} context.program_id
+ * @param {number} context.year_level
+ * @param {number} context.semester_id
+ * @param {Array} context.subjects - { subject_id, subject_code, units, has_lab }
+ * @param {string|Date} [context.as_of] - Date the rules must be effective on
+ * @returns {{ items, total_units, tuition, laboratory, miscellaneous, total }}
+ */
+async function computeAssessment(supabase, context) {
+  const { subjects = [] } = context;
+  const rules = await getApplicableRules(supabase, context);
+  const totalUnits = subjects.reduce(
+    (sum, subject) => sum + (parseFloat(subject.units) || 0),
+    0
+  );
+
+  const items = [];
+  const addItem = (rule, item) => {
+    if (!(item.amount > 0)) return;
+    items.push({
+      key: item.key || rule.code,
+      code: rule.code,
+      rule_id: rule.rule_id,
+      category: rule.category,
+      fee_type: FEE_TYPES[rule.category],
+      description: item.description || rule.name,
+      quantity: item.quantity ?? 1,
+      rate: parseFloat(rule.amount),
+      amount: roundMoney(item.amount),
+      subject_id: item.subject_id || null,
+    });
+  };
+
+  // Tuition: per-unit rate on the total load
+  for (const candidates of groupByCode(
+    rules.filter((r) => r.category === FEE_CATEGORIES.TUITION)
+  ).values()) {
+    const rule = pickRule(candidates);
+    addItem(rule, {
+      description: `${rule.name} (${totalUnits} units @ ₱${parseFloat(rule.amount).toFixed(2)})`,
+      quantity: totalUnits,
+      amount: parseFloat(rule.amount) * totalUnits,
+    });
+  }
+
+  // Laboratory: one line per lab subject, subject-specific rules first
+  const labSubjects = subjects.filter((subject) => subject.has_lab);
+  for (const candidates of groupByCode(
+    rules.filter((r) => r.category === FEE_CATEGORIES.LAB)
+  ).values()) {
+    for (const subject of labSubjects) {
+      const rule = pickRule(
+        candidates.filter(
+          (r) => !r.subject_id || String(r.subject_id) === String(subject.subject_id)
+        )
+      );
+      if (!rule) continue;
+      addItem(rule, {
+        key: `${rule.code}:${subject.subject_id}`,
+        description: `${rule.name} - ${subject.subject_code}`,
+        amount: parseFloat(rule.amount),
+        subject_id: subject.subject_id,
+      });
+    }
+  }
+
+  // Miscellaneous: flat fees
+  for (const candidates of groupByCode(
+    rules.filter((r) => r.category === FEE_CATEGORIES.MISC)
+  ).values()) {
+    const rule = pickRule(candidates);
+    addItem(rule, { amount: parseFloat(rule.amount) });
+  }
+
+  const sumOf = (category) =>
+    roundMoney(
+      items
+        .filter((item) => item.category === category)
+        .reduce((sum, item) => sum + item.amount, 0)
+    );
+
+  const tuition = sumOf(FEE_CATEGORIES.TUITION);
+  const laboratory = sumOf(FEE_CATEGORIES.LAB);
+  const miscellaneous = sumOf(FEE_CATEGORIES.MISC);
+
+  return {
+    items,
+    total_units: totalUnits,
+    tuition,
+    laboratory,
+    miscellaneous,
+    total: roundMoney(tuition + laboratory + miscellaneous),
+  };
+}
+
+/**
+ * Assessment for an enrollment (program, year level and semester are read
+ * from the enrollment and its student).
+ */
+async function assessEnrollment(supabase, enrollment, { as_of } = {}) {
+  const { data: student, error } = await supabase
+    .from("students")
+    .select("year_level, curriculum_id")
+    .eq("student_id", enrollment.student_id)
+    .single();
+
+  if (error) throw error;
+
+  const context = {
+    enrollment_id: enrollment.enrollment_id,
+    program_id: enrollment.program_id,
+    semester_id: enrollment.semester_id,
+    year_level: enrollment.year_level || student.year_level,
+    curriculum_id: student.curriculum_id,
+    as_of,
+  };
+
+  const subjects = await getAssessmentSubjects(supabase, context);
+  return computeAssessment(supabase, { ...context, subjects });
+}
+
+/**
+ * Price a tuition scheme against an assessment. The scheme keeps its
+ * discount, downpayment and number of months; the amount comes from the
+ * fee rules. Without any applicable rules the scheme's own amount is used.
+ */
+function priceScheme(scheme, assessment) {
+  const fromRules = assessment && assessment.total > 0;
+  const amount = fromRules ? assessment.total : parseFloat(scheme.amount) || 0;
+  const discount = parseFloat(scheme.discount) || 0;
+  const finalAmount = roundMoney(amount - discount);
+
+  const priced = {
+    source: fromRules ? "fee_rules" : "scheme",
+    amount,
+    discount,
+    final_amount: finalAmount,
+  };
+
+  if (scheme.scheme_type !== "installment") return priced;
+
+  const months = parseInt(scheme.months) || 4;
+  const downpayment = Math.min(parseFloat(scheme.downpayment) || 0, finalAmount);
+
+  return {
+    ...priced,
+    downpayment,
+    months,
+    monthly_payment: fromRules
+      ? roundMoney((finalAmount - downpayment) / months)
+      : parseFloat(scheme.monthly_payment) || 0,
+  };
+}
+
+module.exports = {
+  FEE_CATEGORIES,
+  FEE_TYPES,
+  FeeRuleError,
+  getApplicableRules,
+  getAssessmentSubjects,
+  computeAssessment,
+  assessEnrollment,
+  priceScheme,
+};
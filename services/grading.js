@@ -0,0 +1,598 @@
+// services/grading.js
+//
+// Grade encoding for instructors. Each class (a course_schedules row) has one
+// grade sheet: the instructor saves drafts, submits the sheet (which locks
+// it), and the registrar approves it, which writes the grades onto
+// enrollment_subjects, or returns it for corrections. Once approved, grades
+// only change through a grade change request the registrar reviews.
+//
+// grade_sheets: sheet_id, schedule_id (unique), semester_id, subject_id,
+// teacher_id, status (draft | submitted | returned | approved),
+// submitted_by, submitted_at, reviewed_by, reviewed_at, return_reason,
+// updated_at
+//
+// grade_entries: entry_id, sheet_id, enrollment_subject_id, midterm_grade,
+// final_grade, grade_code (INC | DRP | null), updated_by, updated_at
+// (unique per sheet_id and enrollment_subject_id)
+//
+// grade_change_requests: request_id, sheet_id, enrollment_subject_id,
+// old_values, new_values (jsonb: midterm_grade, final_grade, grade_code),
+// reason, status (pending | approved | rejected), requested_by,
+// requested_at, reviewed_by, reviewed_at, review_notes
+//
+// grade_audit_log: audit_id, sheet_id, enrollment_subject_id, action,
+// old_values, new_values, reason, actor, actor_role, created_at
+//
+// enrollment_subjects gains grade_remark (Passed | Failed | INC | DRP).
+// final_grade stays numeric (null for INC/DRP) so the next-subjects rule
+// "final_grade <= 3.0 is passed" keeps working.
+//
+// A class roster is the students seated in the schedule's section
+// (enrollment_subjects.schedule_id, see services/sections.js) whose
+// enrollment is "Enrolled". Rows without a section are on no roster until
+// the registrar seats them.
+const { ROLES } = require("../middleware/auth");
+const { ServiceError } = require("./common");
+
+const SHEET_STATUSES = {
+  DRAFT: "draft",
+  SUBMITTED: "submitted",
+  RETURNED: "returned",
+  APPROVED: "approved",
+};
+
+const CHANGE_STATUSES = ["pending", "approved", "rejected"];
+
+// 1.0 (highest) to 5.0 in quarter steps; 3.0 is the lowest passing grade.
+// Grades between 3.0 and 5.0 (e.g. a conditional 4.0) count as failed.
+const GRADE_STEP = 0.25;
+const GRADE_SCALE = Array.from({ length: 17 }, (_, i) => 1.0 + i * GRADE_STEP);
+const PASSING_GRADE = 3.0;
+const GRADE_CODES = {
+  INC: "Incomplete",
+  DRP: "Dropped",
+};
+
+const EDITABLE_STATUSES = [SHEET_STATUSES.DRAFT, SHEET_STATUSES.RETURNED];
+
+class GradingError extends ServiceError {}
+
+const isRegistrar = (actor) => [ROLES.ADMIN, ROLES.REGISTRAR].includes(actor?.role);
+
+/**
+ * Validate one grade cell. Returns a number, a code from GRADE_CODES
+ * (final grade only) or null when blank.
+ */
+function parseGrade(value, { allowCode = false } = {}) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const code = String(value).trim().toUpperCase();
+  if (GRADE_CODES[code]) {
+    if (!allowCode) throw new GradingError(`${code} is only valid as a final grade`);
+    return code;
+  }
+
+  const grade = Number(value);
+  if (!GRADE_SCALE.includes(grade)) {
+    throw new GradingError(
+      `Invalid grade "${value}"; use ${GRADE_SCALE[0].toFixed(2)} to ` +
+        `${GRADE_SCALE[GRADE_SCALE.length - 1].toFixed(2)} in steps of ${GRADE_STEP}` +
+        (allowCode ? ` or ${Object.keys(GRADE_CODES).join("/")}` : "")
+    );
+  }
+  return grade;
+}
+
+// Stored columns for a validated { midterm_grade, final_grade } pair
+function toEntryValues({ midterm_grade, final_grade }) {
+  const midterm = parseGrade(midterm_grade);
+  const final = parseGrade(final_grade, { allowCode: true });
+
+  return {
+    midterm_grade: midterm,
+    final_grade: typeof final === "number" ? final : null,
+    grade_code: typeof final === "string" ? final : null,
+  };
+}
+
+function gradeRemark(entry) {
+  if (entry.grade_code) return entry.grade_code;
+  if (entry.final_grade === null || entry.final_grade === undefined) return null;
+  return Number(entry.final_grade) <= PASSING_GRADE ? "Passed" : "Failed";
+}
+
+async function audit(supabase, fields) {
+  const { error } = await supabase
+    .from("grade_audit_log")
+    .insert((Array.isArray(fields) ? fields : [fields]).map((row) => ({
+      ...row,
+      created_at: new Date().toISOString(),
+    })));
+  if (error) throw error;
+}
+
+const auditActor = (actor) => ({ actor: actor?.user_id || null, actor_role: actor?.role || null });
+
+/**
+ * Class (schedule) with subject and semester; instructors only reach their own.
+ */
+async function getClass(supabase, schedule_id, actor) {
+  const { data, error } = await supabase
+    .from("course_schedules")
+    .select(
+      `
+      schedule_id,
+      subject_id,
+      program_id,
+      year_level,
+      batch,
+      semester_id,
+      teacher_id,
+      room,
+      start_time,
+      end_time,
+      course_subjects ( subject_code, subject_name, units ),
+      semesters ( semester_name, school_year )
+    `
+    )
+    .eq("schedule_id", schedule_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new GradingError("Class not found", 404);
+  if (!isRegistrar(actor) && String(data.teacher_id) !== String(actor?.teacher_id)) {
+    throw new GradingError("This class is not assigned to you", 403);
+  }
+  return data;
+}
+
+/**
+ * Classes of a teacher, with their grade sheet status.
+ */
+async function listClasses(supabase, { teacher_id, semester_id = null }) {
+  let query = supabase
+    .from("course_schedules")
+    .select(
+      `
+      schedule_id,
+      subject_id,
+      program_id,
+      year_level,
+      batch,
+      semester_id,
+      room,
+      start_time,
+      end_time,
+      course_subjects ( subject_code, subject_name, units ),
+      grade_sheets ( sheet_id, status, submitted_at, reviewed_at )
+    `
+    )
+    .eq("teacher_id", teacher_id)
+    .order("schedule_id", { ascending: true });
+
+  if (semester_id) query = query.eq("semester_id", semester_id);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data.map(({ grade_sheets, ...schedule }) => {
+    const sheet = Array.isArray(grade_sheets) ? grade_sheets[0] : grade_sheets;
+    return { ...schedule, sheet_id: sheet?.sheet_id || null, sheet_status: sheet?.status || null };
+  });
+}
+
+async function fetchRoster(supabase, schedule) {
+  const { data, error } = await supabase
+    .from("enrollment_subjects")
+    .select(
+      `
+      enrollment_subject_id,
+      enrollment_id,
+      schedule_id,
+      status,
+      midterm_grade,
+      final_grade,
+      grade_remark,
+      enrollments!inner (
+        status,
+        students!inner ( student_id, first_name, last_name )
+      )
+    `
+    )
+    .eq("schedule_id", schedule.schedule_id)
+    .eq("status", "Enrolled")
+    .eq("enrollments.status", "Enrolled");
+
+  if (error) throw error;
+
+  return data
+    .map((row) => ({
+      enrollment_subject_id: row.enrollment_subject_id,
+      enrollment_id: row.enrollment_id,
+      student_id: row.enrollments.students.student_id,
+      first_name: row.enrollments.students.first_name,
+      last_name: row.enrollments.students.last_name,
+      recorded: {
+        midterm_grade: row.midterm_grade,
+        final_grade: row.final_grade,
+        grade_remark: row.grade_remark,
+      },
+    }))
+    .sort((a, b) => `${a.last_name} ${a.first_name}`.localeCompare(`${b.last_name} ${b.first_name}`));
+}
+
+async function findSheet(supabase, schedule_id) {
+  const { data, error } = await supabase
+    .from("grade_sheets")
+    .select("*")
+    .eq("schedule_id", schedule_id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function getSheetById(supabase, sheet_id) {
+  const { data, error } = await supabase
+    .from("grade_sheets")
+    .select("*")
+    .eq("sheet_id", sheet_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new GradingError("Grade sheet not found", 404);
+  return data;
+}
+
+async function getEntries(supabase, sheet_id) {
+  const { data, error } = await supabase
+    .from("grade_entries")
+    .select("*")
+    .eq("sheet_id", sheet_id);
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Roster of a class with the sheet's grades next to each student.
+ */
+async function getClassSheet(supabase, schedule_id, actor) {
+  const schedule = await getClass(supabase, schedule_id, actor);
+  const [roster, sheet] = await Promise.all([
+    fetchRoster(supabase, schedule),
+    findSheet(supabase, schedule_id),
+  ]);
+  const entries = sheet ? await getEntries(supabase, sheet.sheet_id) : [];
+
+  return {
+    schedule,
+    sheet: sheet || { status: SHEET_STATUSES.DRAFT, sheet_id: null },
+    students: roster.map((student) => {
+      const entry = entries.find((e) => e.enrollment_subject_id === student.enrollment_subject_id);
+      return {
+        ...student,
+        midterm_grade: entry?.midterm_grade ?? null,
+        final_grade: entry?.grade_code || entry?.final_grade || null,
+        remark: entry ? gradeRemark(entry) : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Save grades on an editable sheet (created on first save).
+ * `grades`: [{ enrollment_subject_id, midterm_grade, final_grade }]
+ */
+async function saveDraft(supabase, logger, schedule_id, grades, actor) {
+  if (!Array.isArray(grades) || grades.length === 0) {
+    throw new GradingError("grades must be a non-empty list");
+  }
+
+  const schedule = await getClass(supabase, schedule_id, actor);
+  let sheet = await findSheet(supabase, schedule_id);
+
+  if (sheet && !EDITABLE_STATUSES.includes(sheet.status)) {
+    throw new GradingError(`The grade sheet is ${sheet.status} and can no longer be edited`, 409);
+  }
+
+  const roster = await fetchRoster(supabase, schedule);
+  const rows = grades.map((grade, index) => {
+    const student = roster.find(
+      (s) => String(s.enrollment_subject_id) === String(grade.enrollment_subject_id)
+    );
+    if (!student) {
+      throw new GradingError(`Row ${index + 1}: student is not on this class roster`);
+    }
+    try {
+      return { enrollment_subject_id: student.enrollment_subject_id, ...toEntryValues(grade) };
+    } catch (err) {
+      if (err instanceof GradingError) throw new GradingError(`Row ${index + 1}: ${err.message}`);
+      throw err;
+    }
+  });
+
+  if (!sheet) {
+    const { data, error } = await supabase
+      .from("grade_sheets")
+      .insert([
+        {
+          schedule_id: schedule.schedule_id,
+          semester_id: schedule.semester_id,
+          subject_id: schedule.subject_id,
+          teacher_id: schedule.teacher_id,
+          status: SHEET_STATUSES.DRAFT,
+          updated_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+    if (error) throw error;
+    sheet = data;
+  }
+
+  const now = new Date().toISOString();
+  const { data: saved, error } = await supabase
+    .from("grade_entries")
+    .upsert(
+      rows.map((row) => ({ ...row, sheet_id: sheet.sheet_id, updated_by: actor.user_id, updated_at: now })),
+      { onConflict: "sheet_id,enrollment_subject_id" }
+    )
+    .select();
+  if (error) throw error;
+
+  await supabase.from("grade_sheets").update({ updated_at: now }).eq("sheet_id", sheet.sheet_id);
+  await audit(
+    supabase,
+    rows.map((row) => ({
+      sheet_id: sheet.sheet_id,
+      enrollment_subject_id: row.enrollment_subject_id,
+      action: "draft_saved",
+      new_values: row,
+      ...auditActor(actor),
+    }))
+  );
+
+  logger.info("Grade draft saved", { sheet_id: sheet.sheet_id, rows: rows.length, by: actor.user_id });
+  return { sheet, entries: saved };
+}
+
+// Move a sheet between statuses, guarded on the status it was read in
+async function moveSheet(supabase, sheet, to_status, fields) {
+  const { data, error } = await supabase
+    .from("grade_sheets")
+    .update({ status: to_status, ...fields, updated_at: new Date().toISOString() })
+    .eq("sheet_id", sheet.sheet_id)
+    .eq("status", sheet.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new GradingError("The grade sheet was changed by someone else; reload it", 409);
+  return data;
+}
+
+/**
+ * Submit a complete sheet for approval; it stays locked until reviewed.
+ */
+async function submitSheet(supabase, logger, schedule_id, actor) {
+  const { schedule, sheet, students } = await getClassSheet(supabase, schedule_id, actor);
+
+  if (!sheet.sheet_id) throw new GradingError("Save grades before submitting", 409);
+  if (!EDITABLE_STATUSES.includes(sheet.status)) {
+    throw new GradingError(`The grade sheet is already ${sheet.status}`, 409);
+  }
+
+  const missing = students.filter((student) => student.final_grade === null);
+  if (missing.length > 0) {
+    throw new GradingError(
+      `Final grades missing for: ${missing.map((s) => `${s.last_name}, ${s.first_name}`).join("; ")}`,
+      409
+    );
+  }
+
+  const submitted = await moveSheet(supabase, sheet, SHEET_STATUSES.SUBMITTED, {
+    submitted_by: actor.user_id,
+    submitted_at: new Date().toISOString(),
+    return_reason: null,
+  });
+
+  await audit(supabase, { sheet_id: sheet.sheet_id, action: "submitted", ...auditActor(actor) });
+  logger.info("Grade sheet submitted", {
+    sheet_id: sheet.sheet_id,
+    schedule_id: schedule.schedule_id,
+    by: actor.user_id,
+  });
+  return submitted;
+}
+
+// Write entries onto enrollment_subjects
+async function applyEntries(supabase, entries) {
+  for (const entry of entries) {
+    const { error } = await supabase
+      .from("enrollment_subjects")
+      .update({
+        midterm_grade: entry.midterm_grade,
+        final_grade: entry.final_grade,
+        grade_remark: gradeRemark(entry),
+      })
+      .eq("enrollment_subject_id", entry.enrollment_subject_id);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Registrar approval: post the grades to the students' records.
+ */
+async function approveSheet(supabase, logger, sheet_id, actor) {
+  const sheet = await getSheetById(supabase, sheet_id);
+  if (sheet.status !== SHEET_STATUSES.SUBMITTED) {
+    throw new GradingError(`Only submitted sheets can be approved (this one is ${sheet.status})`, 409);
+  }
+
+  const approved = await moveSheet(supabase, sheet, SHEET_STATUSES.APPROVED, {
+    reviewed_by: actor.user_id,
+    reviewed_at: new Date().toISOString(),
+  });
+  const entries = await getEntries(supabase, sheet_id);
+  await applyEntries(supabase, entries);
+
+  await audit(supabase, { sheet_id, action: "approved", ...auditActor(actor) });
+  logger.info("Grade sheet approved", { sheet_id, entries: entries.length, by: actor.user_id });
+  return { sheet: approved, posted: entries.length };
+}
+
+/**
+ * Registrar sends a submitted sheet back to the instructor.
+ */
+async function returnSheet(supabase, logger, sheet_id, reason, actor) {
+  if (!reason) throw new GradingError("A reason is required to return a grade sheet");
+
+  const sheet = await getSheetById(supabase, sheet_id);
+  if (sheet.status !== SHEET_STATUSES.SUBMITTED) {
+    throw new GradingError(`Only submitted sheets can be returned (this one is ${sheet.status})`, 409);
+  }
+
+  const returned = await moveSheet(supabase, sheet, SHEET_STATUSES.RETURNED, {
+    reviewed_by: actor.user_id,
+    reviewed_at: new Date().toISOString(),
+    return_reason: reason,
+  });
+
+  await audit(supabase, { sheet_id, action: "returned", reason, ...auditActor(actor) });
+  logger.info("Grade sheet returned", { sheet_id, by: actor.user_id });
+  return returned;
+}
+
+/**
+ * Ask to change a grade on an approved sheet.
+ */
+async function requestChange(supabase, logger, { enrollment_subject_id, reason, ...grade }, actor) {
+  if (!reason) throw new GradingError("A reason is required for a grade change");
+
+  const { data: entry, error } = await supabase
+    .from("grade_entries")
+    .select("*, grade_sheets!inner ( sheet_id, schedule_id, status )")
+    .eq("enrollment_subject_id", enrollment_subject_id)
+    .eq("grade_sheets.status", SHEET_STATUSES.APPROVED)
+    .order("updated_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!entry) throw new GradingError("No approved grade found for this student and subject", 404);
+
+  // Ownership check for instructors
+  await getClass(supabase, entry.grade_sheets.schedule_id, actor);
+
+  const new_values = toEntryValues({
+    midterm_grade: grade.midterm_grade === undefined ? entry.midterm_grade : grade.midterm_grade,
+    final_grade: grade.final_grade === undefined ? entry.grade_code || entry.final_grade : grade.final_grade,
+  });
+  const old_values = {
+    midterm_grade: entry.midterm_grade,
+    final_grade: entry.final_grade,
+    grade_code: entry.grade_code,
+  };
+
+  const { data: pending } = await supabase
+    .from("grade_change_requests")
+    .select("request_id")
+    .eq("enrollment_subject_id", enrollment_subject_id)
+    .eq("status", "pending")
+    .maybeSingle();
+  if (pending) {
+    throw new GradingError(`Grade change request #${pending.request_id} is still pending`, 409);
+  }
+
+  const { data: request, error: insertError } = await supabase
+    .from("grade_change_requests")
+    .insert([
+      {
+        sheet_id: entry.sheet_id,
+        enrollment_subject_id,
+        old_values,
+        new_values,
+        reason,
+        status: "pending",
+        requested_by: actor.user_id,
+        requested_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+  if (insertError) throw insertError;
+
+  await audit(supabase, {
+    sheet_id: entry.sheet_id,
+    enrollment_subject_id,
+    action: "change_requested",
+    old_values,
+    new_values,
+    reason,
+    ...auditActor(actor),
+  });
+  logger.info("Grade change requested", { request_id: request.request_id, by: actor.user_id });
+  return request;
+}
+
+/**
+ * Approve (apply) or reject a pending grade change request.
+ */
+async function reviewChange(supabase, logger, request_id, { approve, notes = null }, actor) {
+  const { data: request, error } = await supabase
+    .from("grade_change_requests")
+    .update({
+      status: approve ? "approved" : "rejected",
+      reviewed_by: actor.user_id,
+      reviewed_at: new Date().toISOString(),
+      review_notes: notes,
+    })
+    .eq("request_id", request_id)
+    .eq("status", "pending")
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!request) throw new GradingError("Pending grade change request not found", 404);
+
+  if (approve) {
+    const entry = { enrollment_subject_id: request.enrollment_subject_id, ...request.new_values };
+    const { error: entryError } = await supabase
+      .from("grade_entries")
+      .update({ ...request.new_values, updated_by: actor.user_id, updated_at: new Date().toISOString() })
+      .eq("sheet_id", request.sheet_id)
+      .eq("enrollment_subject_id", request.enrollment_subject_id);
+    if (entryError) throw entryError;
+    await applyEntries(supabase, [entry]);
+  }
+
+  await audit(supabase, {
+    sheet_id: request.sheet_id,
+    enrollment_subject_id: request.enrollment_subject_id,
+    action: approve ? "change_approved" : "change_rejected",
+    old_values: request.old_values,
+    new_values: request.new_values,
+    reason: notes,
+    ...auditActor(actor),
+  });
+  logger.info("Grade change reviewed", { request_id, approved: Boolean(approve), by: actor.user_id });
+  return request;
+}
+
+module.exports = {
+  SHEET_STATUSES,
+  CHANGE_STATUSES,
+  GRADE_SCALE,
+  PASSING_GRADE,
+  GRADE_CODES,
+  GradingError,
+  parseGrade,
+  gradeRemark,
+  getClass,
+  listClasses,
+  getClassSheet,
+  saveDraft,
+  submitSheet,
+  approveSheet,
+  returnSheet,
+  requestChange,
+  reviewChange,
+};
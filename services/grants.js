@@ -0,0 +1,462 @@
+// services/grants.js
+//
+// Scholarships, discounts and third-party sponsors.
+//
+// grant_types: grant_type_id, code, name, kind (scholarship | discount |
+// sponsor), value_type (percentage | fixed), value, applies_to (tuition |
+// all), stackable, max_amount, sponsor_id, priority, is_active, created_at
+//
+// student_grants: student_grant_id, student_id, grant_type_id, semester_id,
+// value_override, status (pending | approved | rejected | revoked), notes,
+// requested_by, requested_at, reviewed_by, reviewed_at, review_notes
+//
+// sponsors: sponsor_id, name, sponsor_type (lgu | company | other),
+// contact_name, contact_email, contact_number, address, is_active, created_at
+//
+// Only approved grants count. Scholarships and discounts reduce the bill;
+// non-stackable ones cannot be combined, so the student gets whichever is
+// worth more: the best single non-stackable grant or all stackable ones
+// together. Sponsors then pay part of what is left, which moves that share
+// from the student's account to the sponsor's account.
+const ledger = require("./ledger");
+const { ServiceError, roundMoney } = require("./common");
+
+const GRANT_KINDS = {
+  SCHOLARSHIP: "scholarship",
+  DISCOUNT: "discount",
+  SPONSOR: "sponsor",
+};
+
+const GRANT_STATUSES = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  REVOKED: "revoked",
+};
+
+// Combined scholarships/discounts may not exceed this share of the bill
+const MAX_COMBINED_DISCOUNT_PERCENT = parseFloat(
+  process.env.GRANT_MAX_COMBINED_PERCENT || 100
+);
+
+class GrantError extends ServiceError {}
+
+/**
+ * Approved grants of a student for a semester, with their type and sponsor.
+ */
+async function getApprovedGrants(supabase, student_id, semester_id) {
+  const { data, error } = await supabase
+    .from("student_grants")
+    .select(
+      `
+      *,
+      grant_types (
+        *,
+        sponsors ( sponsor_id, name, sponsor_type )
+      )
+    `
+    )
+    .eq("student_id", student_id)
+    .eq("semester_id", semester_id)
+    .eq("status", GRANT_STATUSES.APPROVED);
+
+  if (error) throw error;
+  return (data || []).filter((grant) => grant.grant_types?.is_active !== false);
+}
+
+/**
+ * Split a bill between discounts, sponsors and the student.
+ *
+ * @param {Array} grants - Approved student_grants with grant_types
+ * @param {Object} bill
+ * @param {number} bill.tuition - Tuition part of the bill
+ * @param {number} bill.total - Whole bill (after any scheme discount)
+ * @returns {{ discounts, sponsorships, total_discount, total_sponsored, student_share }}
+ */
+function allocateGrants(grants, { tuition, total }) {
+  const gross = { tuition: Math.min(tuition, total), all: total };
+
+  const byPriority = (a, b) =>
+    (a.grant_types.priority || 0) - (b.grant_types.priority || 0) ||
+    a.student_grant_id - b.student_grant_id;
+
+  // Apply grants in order against what is still unpaid in their scope
+  const apply = (list, remaining, { ofRemaining = false } = {}) => {
+    const lines = [];
+    for (const grant of list) {
+      const type = grant.grant_types;
+      const scope = type.applies_to === "tuition" ? "tuition" : "all";
+      const value = parseFloat(grant.value_override ?? type.value) || 0;
+
+      let amount =
+        type.value_type === "percentage"
+          ? ((ofRemaining ? remaining[scope] : gross[scope]) * value) / 100
+          : value;
+      if (type.max_amount) amount = Math.min(amount, parseFloat(type.max_amount));
+      amount = roundMoney(Math.min(amount, remaining[scope]));
+      if (!(amount > 0)) continue;
+
+      remaining.all = roundMoney(remaining.all - amount);
+      remaining.tuition = Math.min(
+        scope === "tuition" ? roundMoney(remaining.tuition - amount) : remaining.tuition,
+        remaining.all
+      );
+
+      lines.push({
+        student_grant_id: grant.student_grant_id,
+        grant_type_id: type.grant_type_id,
+        code: type.code,
+        name: type.name,
+        kind: type.kind,
+        applies_to: scope,
+        amount,
+        sponsor_id: type.sponsor_id || null,
+        sponsor_name: type.sponsors?.name || null,
+      });
+    }
+    return lines;
+  };
+
+  const sum = (lines) => roundMoney(lines.reduce((s, line) => s + line.amount, 0));
+
+  // Scholarships and discounts: best of stackable-together vs. best exclusive
+  const reductions = grants
+    .filter((g) => g.grant_types.kind !== GRANT_KINDS.SPONSOR)
+    .sort(byPriority);
+
+  const options = [
+    apply(reductions.filter((g) => g.grant_types.stackable), { ...gross }),
+    ...reductions
+      .filter((g) => !g.grant_types.stackable)
+      .map((g) => apply([g], { ...gross })),
+  ];
+  let discounts = options.reduce((best, lines) =>
+    sum(lines) > sum(best) ? lines : best
+  );
+
+  // Combined cap: trim the lowest-priority grants first
+  let excess = roundMoney(
+    sum(discounts) - (total * MAX_COMBINED_DISCOUNT_PERCENT) / 100
+  );
+  discounts = discounts
+    .slice()
+    .reverse()
+    .map((line) => {
+      const cut = Math.min(Math.max(excess, 0), line.amount);
+      excess = roundMoney(excess - cut);
+      return { ...line, amount: roundMoney(line.amount - cut) };
+    })
+    .reverse()
+    .filter((line) => line.amount > 0);
+
+  const totalDiscount = sum(discounts);
+
+  // Sponsors cover a share of what the student still owes
+  const afterDiscounts = {
+    all: roundMoney(total - totalDiscount),
+    tuition: Math.max(
+      0,
+      roundMoney(
+        gross.tuition -
+          sum(discounts.filter((line) => line.applies_to === "tuition"))
+      )
+    ),
+  };
+  afterDiscounts.tuition = Math.min(afterDiscounts.tuition, afterDiscounts.all);
+
+  const sponsorships = apply(
+    grants.filter((g) => g.grant_types.kind === GRANT_KINDS.SPONSOR).sort(byPriority),
+    afterDiscounts,
+    { ofRemaining: true }
+  );
+  const totalSponsored = sum(sponsorships);
+
+  return {
+    discounts,
+    sponsorships,
+    total_discount: totalDiscount,
+    total_sponsored: totalSponsored,
+    student_share: roundMoney(total - totalDiscount - totalSponsored),
+  };
+}
+
+// Journal entry types a grant allocation posts
+const GRANT_ENTRY_TYPES = ["discount", "sponsorship", "sponsor_charge"];
+
+// Reposted lines get a #<n> suffix, since references are unique
+const baseReference = (reference) => reference.split("#")[0];
+
+/**
+ * Grant entries of an enrollment that are still in effect (not reversed),
+ * plus how many times each reference has been posted so far.
+ */
+async function getPostedGrantEntries(supabase, enrollment_id) {
+  const { data, error } = await supabase
+    .from("journal_entries")
+    .select("entry_id, entry_type, amount, reference, reverses_entry_id")
+    .eq("enrollment_id", enrollment_id)
+    .in("entry_type", GRANT_ENTRY_TYPES);
+
+  if (error) throw error;
+
+  const entries = data || [];
+  const reversed = new Set(
+    entries.filter((entry) => entry.reverses_entry_id).map((entry) => String(entry.reverses_entry_id))
+  );
+  const prefixes = [`grant:${enrollment_id}:`, `sponsor:${enrollment_id}:`];
+  const grantEntries = entries.filter(
+    (entry) => entry.reference && prefixes.some((prefix) => entry.reference.startsWith(prefix))
+  );
+
+  const postings = new Map();
+  for (const entry of grantEntries) {
+    const key = baseReference(entry.reference);
+    postings.set(key, (postings.get(key) || 0) + 1);
+  }
+
+  return {
+    live: grantEntries.filter((entry) => !reversed.has(String(entry.entry_id))),
+    postings,
+  };
+}
+
+/**
+ * Post an allocation to the ledger: discounts against the student's account,
+ * sponsor shares moved to each sponsor's account. Safe to run again after
+ * grants change: entries the new allocation no longer has, or has at another
+ * amount, are reversed and the new amounts posted in their place.
+ */
+async function postGrantAllocation(
+  supabase,
+  logger,
+  { enrollment_id, account_id, allocation, created_by }
+) {
+  const desired = [];
+  for (const line of allocation.discounts) {
+    desired.push({
+      reference: `grant:${enrollment_id}:${line.student_grant_id}`,
+      entry_type: "discount",
+      amount: line.amount,
+      description: `${line.name} (${line.kind})`,
+    });
+  }
+
+  for (const line of allocation.sponsorships) {
+    const sponsorAccount = await ledger.getOrCreateSponsorAccount(
+      supabase,
+      line.sponsor_id
+    );
+
+    desired.push({
+      reference: `grant:${enrollment_id}:${line.student_grant_id}`,
+      entry_type: "sponsorship",
+      amount: line.amount,
+      description: `Covered by sponsor ${line.sponsor_name} - ${line.name}`,
+    });
+    desired.push({
+      reference: `sponsor:${enrollment_id}:${line.student_grant_id}`,
+      entry_type: "sponsor_charge",
+      amount: line.amount,
+      description: `Sponsored share of enrollment #${enrollment_id} - ${line.name}`,
+      account_id: sponsorAccount.account_id,
+    });
+  }
+
+  const { live, postings } = await getPostedGrantEntries(supabase, enrollment_id);
+  const sameLine = (entry, line) =>
+    baseReference(entry.reference) === line.reference &&
+    entry.entry_type === line.entry_type &&
+    roundMoney(parseFloat(entry.amount)) === line.amount;
+
+  let reversed = 0;
+  for (const entry of live) {
+    if (desired.some((line) => sameLine(entry, line))) continue;
+
+    await ledger.reverseEntry(supabase, logger, entry.entry_id, {
+      reason: "Grant allocation changed",
+      created_by,
+    });
+    reversed += 1;
+  }
+
+  for (const line of desired) {
+    if (live.some((entry) => sameLine(entry, line))) continue;
+
+    const count = postings.get(line.reference) || 0;
+    await ledger.postEntry(supabase, logger, {
+      account_id: line.account_id || account_id,
+      entry_type: line.entry_type,
+      amount: line.amount,
+      description: line.description,
+      enrollment_id,
+      reference: count > 0 ? `${line.reference}#${count + 1}` : line.reference,
+      created_by,
+    });
+  }
+
+  logger.info("Grants applied to enrollment", {
+    enrollment_id,
+    total_discount: allocation.total_discount,
+    total_sponsored: allocation.total_sponsored,
+    reversed,
+  });
+}
+
+// ============================================
+// ASSIGNMENT & APPROVAL
+// ============================================
+async function assignGrant(
+  supabase,
+  logger,
+  { student_id, grant_type_id, semester_id, value_override, notes, requested_by }
+) {
+  if (!student_id || !grant_type_id || !semester_id) {
+    throw new GrantError("student_id, grant_type_id and semester_id are required");
+  }
+
+  const { data: type, error: typeError } = await supabase
+    .from("grant_types")
+    .select("grant_type_id, kind, value_type, is_active")
+    .eq("grant_type_id", grant_type_id)
+    .maybeSingle();
+
+  if (typeError) throw typeError;
+  if (!type || !type.is_active) throw new GrantError("Grant type not found", 404);
+
+  if (value_override != null) {
+    const value = parseFloat(value_override);
+    if (isNaN(value) || value < 0 || (type.value_type === "percentage" && value > 100)) {
+      throw new GrantError("Invalid value_override");
+    }
+  }
+
+  const { data: duplicate } = await supabase
+    .from("student_grants")
+    .select("student_grant_id")
+    .eq("student_id", student_id)
+    .eq("grant_type_id", grant_type_id)
+    .eq("semester_id", semester_id)
+    .in("status", [GRANT_STATUSES.PENDING, GRANT_STATUSES.APPROVED])
+    .limit(1);
+
+  if (duplicate?.length > 0) {
+    throw new GrantError("Student already has this grant for the semester", 409);
+  }
+
+  const { data: grant, error } = await supabase
+    .from("student_grants")
+    .insert([
+      {
+        student_id,
+        grant_type_id,
+        semester_id,
+        value_override: value_override ?? null,
+        notes: notes || null,
+        status: GRANT_STATUSES.PENDING,
+        requested_by,
+        requested_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info("Grant assigned", {
+    student_grant_id: grant.student_grant_id,
+    student_id,
+    grant_type_id,
+    semester_id,
+  });
+
+  return grant;
+}
+
+/**
+ * Move a grant between statuses. Approval must come from someone other than
+ * the person who assigned it; revoking reverses any ledger entries it made.
+ */
+async function reviewGrant(supabase, logger, student_grant_id, { status, reviewed_by, notes }) {
+  const allowedFrom = {
+    [GRANT_STATUSES.APPROVED]: [GRANT_STATUSES.PENDING],
+    [GRANT_STATUSES.REJECTED]: [GRANT_STATUSES.PENDING],
+    [GRANT_STATUSES.REVOKED]: [GRANT_STATUSES.APPROVED],
+  };
+
+  if (!allowedFrom[status]) throw new GrantError(`Invalid status: ${status}`);
+  if (status !== GRANT_STATUSES.APPROVED && !notes) {
+    throw new GrantError("A reason is required");
+  }
+
+  const { data: current, error: fetchError } = await supabase
+    .from("student_grants")
+    .select("student_grant_id, status, requested_by")
+    .eq("student_grant_id", student_grant_id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!current) throw new GrantError("Grant not found", 404);
+
+  if (
+    status === GRANT_STATUSES.APPROVED &&
+    reviewed_by &&
+    String(current.requested_by) === String(reviewed_by)
+  ) {
+    throw new GrantError("A grant cannot be approved by the person who assigned it", 403);
+  }
+
+  const { data: grant, error } = await supabase
+    .from("student_grants")
+    .update({
+      status,
+      reviewed_by,
+      reviewed_at: new Date().toISOString(),
+      review_notes: notes || null,
+    })
+    .eq("student_grant_id", student_grant_id)
+    .in("status", allowedFrom[status])
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!grant) {
+    throw new GrantError(`Grant is ${current.status} and cannot be ${status}`, 409);
+  }
+
+  // Take back what a revoked grant already took off students' bills,
+  // including lines reposted after an allocation changed (#<n> suffix)
+  if (status === GRANT_STATUSES.REVOKED) {
+    const id = parseInt(grant.student_grant_id, 10);
+    const { data: entries, error: entriesError } = await supabase
+      .from("journal_entries")
+      .select("entry_id")
+      .or(
+        [`grant:%:${id}`, `grant:%:${id}#%`, `sponsor:%:${id}`, `sponsor:%:${id}#%`]
+          .map((pattern) => `reference.like.${pattern}`)
+          .join(",")
+      );
+
+    if (entriesError) throw entriesError;
+
+    for (const entry of entries || []) {
+      await ledger.reverseEntry(supabase, logger, entry.entry_id, {
+        reason: `Grant revoked - ${notes}`,
+        created_by: reviewed_by,
+      });
+    }
+  }
+
+  logger.info("Grant reviewed", { student_grant_id, status, reviewed_by });
+  return grant;
+}
+
+module.exports = {
+  GRANT_KINDS,
+  GRANT_STATUSES,
+  GrantError,
+  getApprovedGrants,
+  allocateGrants,
+  postGrantAllocation,
+  assignGrant,
+  reviewGrant,
+};
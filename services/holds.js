@@ -0,0 +1,264 @@
+// services/holds.js
+//
+// Holds block a student from enrolling until they are lifted. Each office
+// (cashier, library, registrar, guidance) manages its own holds and signs
+// off a student's clearance for the semester.
+//
+// student_holds: hold_id, student_id, office, hold_type, reason,
+// enrollment_id, source_reference, blocks_enrollment, status (active |
+// lifted), placed_by, placed_at, lifted_by, lifted_at, lift_reason
+//
+// student_clearances: clearance_id, student_id, semester_id, office,
+// cleared_by, cleared_at, notes (unique per student, semester and office)
+//
+// Holds placed by a system job carry a source_reference (e.g.
+// "overdue:<enrollment_id>") so the same condition never places two holds
+// and the job can lift them once the condition clears.
+const { ROLES } = require("../middleware/auth");
+const { ServiceError } = require("./common");
+
+const HOLD_STATUSES = {
+  ACTIVE: "active",
+  LIFTED: "lifted",
+};
+
+// Office -> role that manages its holds and clearance (admins manage all)
+const HOLD_OFFICES = {
+  cashier: ROLES.CASHIER,
+  library: ROLES.LIBRARIAN,
+  registrar: ROLES.REGISTRAR,
+  guidance: ROLES.GUIDANCE,
+};
+
+class HoldError extends ServiceError {}
+
+/**
+ * Whether the caller may place, lift or clear for an office.
+ */
+function canManageOffice(user, office) {
+  if (!user || !HOLD_OFFICES[office]) return false;
+  return user.role === ROLES.ADMIN || user.role === HOLD_OFFICES[office];
+}
+
+/**
+ * Active holds of a student; `blockingOnly` keeps the ones that stop enrollment.
+ */
+async function getActiveHolds(supabase, student_id, { blockingOnly = false } = {}) {
+  let query = supabase
+    .from("student_holds")
+    .select("*")
+    .eq("student_id", student_id)
+    .eq("status", HOLD_STATUSES.ACTIVE)
+    .order("placed_at", { ascending: true });
+
+  if (blockingOnly) query = query.eq("blocks_enrollment", true);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function placeHold(
+  supabase,
+  logger,
+  {
+    student_id,
+    office,
+    hold_type,
+    reason,
+    enrollment_id = null,
+    source_reference = null,
+    blocks_enrollment = true,
+    placed_by = null,
+  }
+) {
+  if (!student_id || !office || !reason) {
+    throw new HoldError("student_id, office and reason are required");
+  }
+  if (!HOLD_OFFICES[office]) {
+    throw new HoldError(`office must be one of: ${Object.keys(HOLD_OFFICES).join(", ")}`);
+  }
+
+  if (source_reference) {
+    const { data: existing, error } = await supabase
+      .from("student_holds")
+      .select("*")
+      .eq("source_reference", source_reference)
+      .eq("status", HOLD_STATUSES.ACTIVE)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (existing) return { hold: existing, duplicate: true };
+  }
+
+  const { data: hold, error } = await supabase
+    .from("student_holds")
+    .insert([
+      {
+        student_id,
+        office,
+        hold_type: hold_type || office,
+        reason,
+        enrollment_id,
+        source_reference,
+        blocks_enrollment,
+        status: HOLD_STATUSES.ACTIVE,
+        placed_by,
+        placed_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info("Hold placed", {
+    hold_id: hold.hold_id,
+    student_id,
+    office,
+    source_reference,
+  });
+
+  return { hold, duplicate: false };
+}
+
+async function liftHold(supabase, logger, hold_id, { lifted_by = null, lift_reason }) {
+  const { data: hold, error } = await supabase
+    .from("student_holds")
+    .update({
+      status: HOLD_STATUSES.LIFTED,
+      lifted_by,
+      lifted_at: new Date().toISOString(),
+      lift_reason,
+    })
+    .eq("hold_id", hold_id)
+    .eq("status", HOLD_STATUSES.ACTIVE)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!hold) throw new HoldError("Hold not found or already lifted", 404);
+
+  logger.info("Hold lifted", { hold_id, student_id: hold.student_id, lifted_by });
+  return hold;
+}
+
+/**
+ * Lift the active hold a system condition placed, if there is one.
+ */
+async function liftHoldBySource(supabase, logger, source_reference, { lifted_by = null, lift_reason }) {
+  const { data: hold, error } = await supabase
+    .from("student_holds")
+    .select("hold_id")
+    .eq("source_reference", source_reference)
+    .eq("status", HOLD_STATUSES.ACTIVE)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!hold) return null;
+
+  return liftHold(supabase, logger, hold.hold_id, { lifted_by, lift_reason });
+}
+
+/**
+ * Clearance checklist for a semester: one line per office with its
+ * sign-off and any holds it still has on the student.
+ */
+async function getClearance(supabase, student_id, semester_id) {
+  const [activeHolds, { data: signoffs, error }] = await Promise.all([
+    getActiveHolds(supabase, student_id),
+    supabase
+      .from("student_clearances")
+      .select("*")
+      .eq("student_id", student_id)
+      .eq("semester_id", semester_id),
+  ]);
+
+  if (error) throw error;
+
+  const offices = Object.keys(HOLD_OFFICES).map((office) => {
+    const signoff = (signoffs || []).find((s) => s.office === office);
+    const officeHolds = activeHolds.filter((hold) => hold.office === office);
+
+    return {
+      office,
+      cleared: Boolean(signoff) && officeHolds.length === 0,
+      cleared_by: signoff?.cleared_by || null,
+      cleared_at: signoff?.cleared_at || null,
+      notes: signoff?.notes || null,
+      active_holds: officeHolds.map((hold) => ({
+        hold_id: hold.hold_id,
+        hold_type: hold.hold_type,
+        reason: hold.reason,
+        blocks_enrollment: hold.blocks_enrollment,
+        placed_at: hold.placed_at,
+      })),
+    };
+  });
+
+  return {
+    student_id,
+    semester_id,
+    fully_cleared: offices.every((line) => line.cleared),
+    offices,
+  };
+}
+
+/**
+ * Sign off an office's clearance. Refused while the office still has
+ * active holds on the student.
+ */
+async function clearStudent(supabase, logger, { student_id, semester_id, office, cleared_by, notes }) {
+  if (!student_id || !semester_id || !office) {
+    throw new HoldError("student_id, semester_id and office are required");
+  }
+  if (!HOLD_OFFICES[office]) {
+    throw new HoldError(`office must be one of: ${Object.keys(HOLD_OFFICES).join(", ")}`);
+  }
+
+  const officeHolds = (await getActiveHolds(supabase, student_id)).filter(
+    (hold) => hold.office === office
+  );
+  if (officeHolds.length > 0) {
+    throw new HoldError(
+      `The ${office} office still has ${officeHolds.length} active hold(s) on this student`,
+      409
+    );
+  }
+
+  const { data: clearance, error } = await supabase
+    .from("student_clearances")
+    .upsert(
+      [
+        {
+          student_id,
+          semester_id,
+          office,
+          cleared_by,
+          cleared_at: new Date().toISOString(),
+          notes: notes || null,
+        },
+      ],
+      { onConflict: "student_id,semester_id,office" }
+    )
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info("Student cleared", { student_id, semester_id, office, cleared_by });
+  return clearance;
+}
+
+module.exports = {
+  HOLD_STATUSES,
+  HOLD_OFFICES,
+  HoldError,
+  canManageOffice,
+  getActiveHolds,
+  placeHold,
+  liftHold,
+  liftHoldBySource,
+  getClearance,
+  clearStudent,
+};
@@ -1,5 +1,8 @@
 const cron = require('node-cron');
-const { sendInstallmentReminder } = require('./installmentreminder');
+const { runReminders, REMINDER_TIME } = require('./reminders');
+const { processOverdueInstallments } = require('./overdue');
+const { processOutbox } = require('./notifications');
+const admissionSync = require('./admissionsync');
 const { createClient } = require('@supabase/supabase-js');
 
 const supabase = createClient(
@@ -7,45 +10,75 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY 
 );
 
-// Run every Monday at 9 AM
-cron.schedule('0 9 * * 1', async () => {
-  console.log('Checking for upcoming installments...');
-  
-  const today = new Date().toISOString().split('T')[0];
-  const sevenDaysLater = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-  
-  const { data, error } = await supabase
-    .from('payment_installments')
-    .select(`
-      email:students(email),
-      first_name:students(first_name),
-      installment_number,
-      due_date,
-      amount,
-      enrollments!inner(semester_id)
-    `)
-    .eq('status', 'pending')
-    .in('enrollments.semester_id', [4, 5])
-    .gte('due_date', today)
-    .lte('due_date', sevenDaysLater);
-  
-  if (error) {
-    console.error('Error fetching installments:', error);
-    return;
-  }
-  
-  for (const installment of data) {
+const [reminderHour, reminderMinute] = REMINDER_TIME.split(':').map(Number);
+const ADMISSION_SYNC_CRON = process.env.ADMISSION_SYNC_CRON || '*/15 * * * *';
+
+// Schedule the background jobs. They log through the app's logger.
+function startInstallmentCron(logger) {
+  // Run every day at REMINDER_TIME: send the installment reminders whose
+  // rule fires today (see services/reminders.js)
+  cron.schedule(`${reminderMinute || 0} ${reminderHour} * * *`, async () => {
+    logger.info('Sending installment reminders...');
+
     try {
-      await sendInstallmentReminder({
-        email: installment.email,
-        first_name: installment.first_name,
-        installment_number: installment.installment_number,
-        due_date: installment.due_date,
-        amount: installment.amount
+      const summary = await runReminders(supabase, logger);
+      logger.info('Reminder run done', {
+        run_id: summary.run_id,
+        semester_id: summary.semester_id,
+        planned: summary.planned,
+        sent: summary.sent,
+        failed: summary.failed,
       });
-      console.log(`Sent reminder to ${installment.email}`);
     } catch (error) {
-      console.error(`Failed to send to ${installment.email}:`, error);
+      logger.error('Error sending installment reminders', { error: error.message });
+    }
+  });
+
+  // Run every day at 1 AM: flag overdue installments, charge penalties and
+  // place holds on plans that are too far behind
+  cron.schedule('0 1 * * *', async () => {
+    logger.info('Processing overdue installments...');
+
+    try {
+      const summary = await processOverdueInstallments(supabase, logger);
+      logger.info('Overdue processing done', summary);
+    } catch (error) {
+      logger.error('Error processing overdue installments', { error: error.message });
     }
+  });
+
+  // Every 5 minutes: retry notifications whose delivery failed
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const summary = await processOutbox(supabase, logger);
+      if (summary.processed > 0) {
+        logger.info('Notification outbox processed', summary);
+      }
+    } catch (error) {
+      logger.error('Error processing notification outbox', { error: error.message });
+    }
+  });
+
+  // Every ADMISSION_SYNC_CRON (default every 15 minutes): pull new admission
+  // form submissions from the Google responses sheet, or the offline export
+  if (admissionSync.GOOGLE_SHEET_ID || admissionSync.ADMISSION_SYNC_CSV) {
+    cron.schedule(ADMISSION_SYNC_CRON, async () => {
+      try {
+        const summary = admissionSync.GOOGLE_SHEET_ID
+          ? await admissionSync.syncFromSheet(supabase, logger)
+          : await admissionSync.syncFromFile(supabase, logger);
+        logger.info('Admission sync done', {
+          run_id: summary.run_id,
+          inserted: summary.inserted,
+          updated: summary.updated,
+          failed: summary.failed,
+          files_copied: summary.files_copied,
+        });
+      } catch (error) {
+        logger.error('Error syncing admission responses', { error: error.message });
+      }
+    });
   }
-});
\ No newline at end of file
+}
+
+module.exports = startInstallmentCron;
\ No newline at end of file
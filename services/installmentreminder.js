@@ -1,78 +1,56 @@
-const sgMail = require('@sendgrid/mail');
 const { createClient } = require('@supabase/supabase-js');
-
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+const notifications = require('./notifications');
+const { INSTALLMENT_PERIODS } = require('./reminders');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-async function sendInstallmentReminder(student) {
-  const periodNames = {
-    1: 'Prelim',
-    2: 'Midterms', 
-    3: 'Semi-Finals',
-    4: 'Finals'
-  };
-
-  const msg = {
-    to: student.email,
-    from: process.env.SENDGRID_FROM,
-    subject: `${periodNames[student.installment_number]} Payment Reminder`,
-    html: `
-      <p>Hi ${student.first_name},</p>
-      <p>This is a reminder that your <strong>${periodNames[student.installment_number]}</strong> installment payment is due.</p>
-      <p><strong>Amount Due:</strong> ₱${student.amount}</p>
-      <p><strong>Due Date:</strong> ${new Date(student.due_date).toLocaleDateString()}</p>
-      <p>Please settle your payment on or before the due date.</p>
-    `
-  };
+async function sendInstallmentReminder(student, logger = console) {
+  const period = INSTALLMENT_PERIODS[student.installment_number];
 
   try {
-    // Send email
-    await sgMail.send(msg);
-    console.log('Email sent successfully to', student.email);
-
-    // Save notification to database
-    await saveNotificationToDatabase(student, periodNames[student.installment_number]);
-    
-  } catch (error) {
-    console.error('Error sending reminder:', error);
-    throw error;
-  }
-}
-
-async function saveNotificationToDatabase(student, period) {
-  try {
-    // Get student_id from email
+    // Link the in-app note to the student when the email is on file
     const { data: studentData } = await supabase
       .from('students')
       .select('student_id')
       .eq('email', student.email)
-      .single();
+      .maybeSingle();
 
     if (!studentData) {
       console.error('Student not found for email:', student.email);
-      return;
     }
 
-    // Insert notification
-    const { error } = await supabase
-      .from('student_notifications')
-      .insert({
-        student_id: studentData.student_id,
-        type: 'payment_reminder',
-        title: `${period} Payment Reminder`,
-        message: `Your ${period} installment payment of ₱${student.amount} is due on ${new Date(student.due_date).toLocaleDateString()}`,
-        is_read: false,
-        created_at: new Date().toISOString()
-      });
+    const messages = await notifications.notify(supabase, logger, {
+      template: 'payment_reminder',
+      channels: studentData ? ['email', 'in_app'] : ['email'],
+      to: {
+        student_id: studentData?.student_id,
+        email: student.email,
+        first_name: student.first_name,
+        name: student.first_name,
+      },
+      variables: {
+        period,
+        amount: student.amount,
+        due_date: new Date(student.due_date).toLocaleDateString(),
+      },
+      dedupe_key: student.installment_id
+        ? `payment_reminder:${student.installment_id}:${student.due_date}`
+        : null,
+    });
+
+    const email = messages.find((message) => message.channel === 'email');
+    if (email && email.status !== 'sent') {
+      throw new Error(`Reminder email queued for retry: ${email.last_error}`);
+    }
 
-    if (error) throw error;
-    console.log('Notification saved to database');
+    console.log('Reminder sent to', student.email);
+    return messages;
   } catch (error) {
-    console.error('Error saving notification:', error);
+    console.error('Error sending reminder:', error);
+    throw error;
   }
 }
 
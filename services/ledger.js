@@ -0,0 +1,510 @@
+// services/ledger.js
+//
+// Double-entry student ledger. Every charge, payment, discount, refund and
+// adjustment is an immutable journal entry that debits one ledger account
+// and credits another. A student's balance is the net debit of their
+// receivable account; `accounts.total_balance` is only a cached copy that is
+// re-derived after every posting. Third-party sponsors have accounts too
+// (accounts.sponsor_id instead of student_id) on the same journal.
+//
+// journal_entries: entry_id, account_id, entry_type, debit_account,
+// credit_account, amount (> 0), description, enrollment_id, payment_id,
+// reference (unique, optional), reverses_entry_id, created_by, created_at
+//
+// Entries are never updated or deleted; corrections are posted as
+// reversals or adjustments.
+//
+// Accounts that predate the journal carry their balance only in
+// total_balance. Before anything is posted to such an account (or its
+// balance re-derived) that balance is journaled as an "opening" entry,
+// reference opening:<account_id>; POST /ledger/opening-balances backfills
+// every account at once.
+
+const { ServiceError, roundMoney } = require("./common");
+
+const LEDGER_ACCOUNTS = {
+  RECEIVABLE: "student_receivable",
+  CASH: "cash",
+  TUITION_REVENUE: "tuition_revenue",
+  FEE_REVENUE: "fee_revenue",
+  DISCOUNTS: "discounts",
+  ADJUSTMENTS: "adjustments",
+  SPONSOR_TRANSFERS: "sponsor_transfers",
+  PENALTY_REVENUE: "penalty_revenue",
+};
+
+const {
+  RECEIVABLE,
+  CASH,
+  TUITION_REVENUE,
+  DISCOUNTS,
+  ADJUSTMENTS,
+  SPONSOR_TRANSFERS,
+  PENALTY_REVENUE,
+} = LEDGER_ACCOUNTS;
+
+// Debit/credit sides for each entry type (amounts are always positive)
+const ENTRY_RULES = {
+  charge: { debit: RECEIVABLE, credit: TUITION_REVENUE },
+  payment: { debit: CASH, credit: RECEIVABLE },
+  discount: { debit: DISCOUNTS, credit: RECEIVABLE },
+  refund: { debit: RECEIVABLE, credit: CASH },
+  adjustment: { debit: RECEIVABLE, credit: ADJUSTMENTS },
+  penalty: { debit: RECEIVABLE, credit: PENALTY_REVENUE },
+  // A sponsor takes over part of a student's bill: the student's receivable
+  // goes down by the same amount the sponsor's goes up
+  sponsorship: { debit: SPONSOR_TRANSFERS, credit: RECEIVABLE },
+  sponsor_charge: { debit: RECEIVABLE, credit: SPONSOR_TRANSFERS },
+  opening: { debit: RECEIVABLE, credit: ADJUSTMENTS },
+};
+
+// Entry types whose amount may be negative (the sides are swapped)
+const SIGNED_ENTRY_TYPES = ["adjustment", "opening"];
+
+// Payment types settled through enrollment_fees vs payment_installments
+const FEE_PAYMENT_TYPES = ["enrollment", "full_payment", "downpayment"];
+const INSTALLMENT_PAYMENT_TYPES = ["installment", "monthly"];
+
+const PAGE_SIZE = 1000;
+
+class LedgerError extends ServiceError {}
+
+/**
+ * Fetch every row of a query, paging past Supabase's 1000-row limit.
+ * `buildQuery` must return a fresh query builder each call.
+ */
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Net effect of an entry on the student's receivable (positive = owes more).
+ */
+function receivableEffect(entry) {
+  const amount = parseFloat(entry.amount);
+  let effect = 0;
+  if (entry.debit_account === RECEIVABLE) effect += amount;
+  if (entry.credit_account === RECEIVABLE) effect -= amount;
+  return effect;
+}
+
+/**
+ * Derive an account's balance from its journal.
+ */
+async function getDerivedBalance(supabase, account_id) {
+  const entries = await fetchAll(() =>
+    supabase
+      .from("journal_entries")
+      .select("entry_id, debit_account, credit_account, amount")
+      .eq("account_id", account_id)
+      .order("entry_id", { ascending: true })
+  );
+
+  return roundMoney(entries.reduce((sum, e) => sum + receivableEffect(e), 0));
+}
+
+/**
+ * Derived balance for every account that has journal entries.
+ * @returns {Map<number, number>} account_id -> balance
+ */
+async function getDerivedBalances(supabase) {
+  const entries = await fetchAll(() =>
+    supabase
+      .from("journal_entries")
+      .select("account_id, debit_account, credit_account, amount")
+      .or(`debit_account.eq.${RECEIVABLE},credit_account.eq.${RECEIVABLE}`)
+      .order("entry_id", { ascending: true })
+  );
+
+  const balances = new Map();
+  for (const entry of entries) {
+    balances.set(
+      entry.account_id,
+      (balances.get(entry.account_id) || 0) + receivableEffect(entry)
+    );
+  }
+  for (const [account_id, balance] of balances) {
+    balances.set(account_id, roundMoney(balance));
+  }
+  return balances;
+}
+
+/**
+ * Find the student's account or open one with a zero balance.
+ */
+async function getOrCreateAccount(supabase, student_id) {
+  const { data: existing, error } = await supabase
+    .from("accounts")
+    .select("account_id, student_id, total_balance")
+    .eq("student_id", student_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (existing) return existing;
+
+  const { data: created, error: createError } = await supabase
+    .from("accounts")
+    .insert([{ student_id, total_balance: 0 }])
+    .select("account_id, student_id, total_balance")
+    .single();
+
+  if (createError) throw createError;
+  return created;
+}
+
+/**
+ * Find a sponsor's account (accounts.sponsor_id, no student) or open one.
+ */
+async function getOrCreateSponsorAccount(supabase, sponsor_id) {
+  const { data: existing, error } = await supabase
+    .from("accounts")
+    .select("account_id, sponsor_id, total_balance")
+    .eq("sponsor_id", sponsor_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (existing) return existing;
+
+  const { data: created, error: createError } = await supabase
+    .from("accounts")
+    .insert([{ sponsor_id, student_id: null, total_balance: 0 }])
+    .select("account_id, sponsor_id, total_balance")
+    .single();
+
+  if (createError) throw createError;
+  return created;
+}
+
+/**
+ * Journal the stored balance of an account that has no entries yet, so the
+ * first posting or sync does not wipe it.
+ * @returns {Object|null} The opening entry, or null when none was needed
+ */
+async function ensureOpeningBalance(supabase, logger, account_id, { created_by = null } = {}) {
+  const { count, error: countError } = await supabase
+    .from("journal_entries")
+    .select("entry_id", { count: "exact", head: true })
+    .eq("account_id", account_id);
+
+  if (countError) throw countError;
+  if (count > 0) return null;
+
+  const { data: account, error } = await supabase
+    .from("accounts")
+    .select("account_id, total_balance")
+    .eq("account_id", account_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!account) throw new LedgerError("Account not found", 404);
+
+  const opening = roundMoney(parseFloat(account.total_balance || 0));
+  if (!opening) return null;
+
+  const result = await postEntry(supabase, logger, {
+    account_id,
+    entry_type: "opening",
+    amount: opening,
+    description: "Opening balance (carried over from before the ledger)",
+    reference: `opening:${account_id}`,
+    created_by,
+  });
+  return result.entry;
+}
+
+/**
+ * Post the opening entry of every account with a stored balance and no
+ * journal yet.
+ * @returns {{ checked, posted, entries }}
+ */
+async function backfillOpeningBalances(supabase, logger, { created_by = null } = {}) {
+  const accounts = await fetchAll(() =>
+    supabase
+      .from("accounts")
+      .select("account_id, total_balance")
+      .neq("total_balance", 0)
+      .order("account_id", { ascending: true })
+  );
+
+  const entries = [];
+  for (const account of accounts) {
+    const entry = await ensureOpeningBalance(supabase, logger, account.account_id, { created_by });
+    if (entry) entries.push(entry);
+  }
+
+  logger.info("Opening balances backfilled", { checked: accounts.length, posted: entries.length });
+  return { checked: accounts.length, posted: entries.length, entries };
+}
+
+/**
+ * Re-derive accounts.total_balance from the journal.
+ * @returns {{ balance_before, balance_after }}
+ */
+async function syncAccountBalance(supabase, logger, account_id) {
+  await ensureOpeningBalance(supabase, logger, account_id);
+
+  const { data: account, error } = await supabase
+    .from("accounts")
+    .select("total_balance")
+    .eq("account_id", account_id)
+    .single();
+
+  if (error) throw error;
+
+  const balance_before = parseFloat(account.total_balance || 0);
+  const balance_after = await getDerivedBalance(supabase, account_id);
+
+  const { error: updateError } = await supabase
+    .from("accounts")
+    .update({
+      total_balance: balance_after,
+      last_updated: new Date().toISOString(),
+    })
+    .eq("account_id", account_id);
+
+  if (updateError) throw updateError;
+
+  return { balance_before, balance_after };
+}
+
+/**
+ * Post a journal entry and refresh the cached balance.
+ *
+ * @param {Object} entry
+ * @param {number} entry.account_id - Student account
+ * @param {string} entry.entry_type - charge | payment | discount | refund |
+ *   adjustment | penalty | sponsorship | sponsor_charge | opening
+ * @param {number} entry.amount - Positive amount; adjustments and opening
+ *   balances may be negative
+ * @param {string} [entry.reference] - Idempotency key, e.g. "payment:42"
+ * @returns {{ entry, duplicate, balance_before, balance_after }}
+ */
+async function postEntry(supabase, logger, entry) {
+  const {
+    account_id,
+    entry_type,
+    description,
+    enrollment_id = null,
+    payment_id = null,
+    reference = null,
+    reverses_entry_id = null,
+    created_by = null,
+  } = entry;
+  let { debit_account, credit_account } = entry;
+  let amount = roundMoney(parseFloat(entry.amount));
+
+  if (!account_id) throw new LedgerError("account_id is required");
+  if (!amount) throw new LedgerError("Amount must be non-zero");
+
+  const rule = ENTRY_RULES[entry_type];
+  if (!rule && !(debit_account && credit_account)) {
+    throw new LedgerError(`Unknown entry type: ${entry_type}`);
+  }
+
+  if (!debit_account || !credit_account) {
+    ({ debit: debit_account, credit: credit_account } = rule);
+
+    // A negative adjustment lowers the balance: swap the sides
+    if (amount < 0) {
+      if (!SIGNED_ENTRY_TYPES.includes(entry_type)) {
+        throw new LedgerError("Amount must be positive");
+      }
+      [debit_account, credit_account] = [credit_account, debit_account];
+      amount = -amount;
+    }
+  }
+
+  if (amount < 0) throw new LedgerError("Amount must be positive");
+
+  if (entry_type !== "opening") {
+    await ensureOpeningBalance(supabase, logger, account_id, { created_by });
+  }
+
+  if (reference) {
+    const { data: existing } = await supabase
+      .from("journal_entries")
+      .select("*")
+      .eq("reference", reference)
+      .maybeSingle();
+
+    if (existing) {
+      logger.info("Journal entry already posted", { reference });
+      return { entry: existing, duplicate: true };
+    }
+  }
+
+  const { data: posted, error } = await supabase
+    .from("journal_entries")
+    .insert([
+      {
+        account_id,
+        entry_type,
+        debit_account,
+        credit_account,
+        amount,
+        description,
+        enrollment_id,
+        payment_id,
+        reference,
+        reverses_entry_id,
+        created_by,
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  // Unique reference: a concurrent request posted the same entry
+  if (error && error.code === "23505") {
+    return { entry: null, duplicate: true };
+  }
+  if (error) throw error;
+
+  const { balance_before, balance_after } = await syncAccountBalance(
+    supabase,
+    logger,
+    account_id
+  );
+
+  // Human-readable history shown on statements and receipts
+  await supabase.from("account_transactions").insert([
+    {
+      account_id,
+      payment_id,
+      transaction_type: entry_type,
+      amount: posted.amount,
+      balance_before,
+      balance_after,
+      description,
+      created_by,
+      payment_date: posted.created_at,
+    },
+  ]);
+
+  logger.info("Journal entry posted", {
+    entry_id: posted.entry_id,
+    account_id,
+    entry_type,
+    amount,
+    balance_after,
+  });
+
+  return { entry: posted, duplicate: false, balance_before, balance_after };
+}
+
+/**
+ * Post the mirror image of an entry. The original stays untouched.
+ */
+async function reverseEntry(supabase, logger, entry_id, { reason, created_by } = {}) {
+  const { data: original, error } = await supabase
+    .from("journal_entries")
+    .select("*")
+    .eq("entry_id", entry_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!original) throw new LedgerError("Journal entry not found", 404);
+  if (original.reverses_entry_id) {
+    throw new LedgerError("A reversal cannot itself be reversed");
+  }
+
+  return postEntry(supabase, logger, {
+    account_id: original.account_id,
+    entry_type: original.entry_type,
+    debit_account: original.credit_account,
+    credit_account: original.debit_account,
+    amount: original.amount,
+    description: `Reversal of #${original.entry_id}${reason ? ` - ${reason}` : ""}`,
+    enrollment_id: original.enrollment_id,
+    payment_id: original.payment_id,
+    reference: `reversal:${original.entry_id}`,
+    reverses_entry_id: original.entry_id,
+    created_by,
+  });
+}
+
+// Convenience wrappers used by billing and payments
+const postCharge = (supabase, logger, entry) =>
+  postEntry(supabase, logger, { ...entry, entry_type: "charge" });
+const postPayment = (supabase, logger, entry) =>
+  postEntry(supabase, logger, { ...entry, entry_type: "payment" });
+const postDiscount = (supabase, logger, entry) =>
+  postEntry(supabase, logger, { ...entry, entry_type: "discount" });
+const postRefund = (supabase, logger, entry) =>
+  postEntry(supabase, logger, { ...entry, entry_type: "refund" });
+const postAdjustment = (supabase, logger, entry) =>
+  postEntry(supabase, logger, { ...entry, entry_type: "adjustment" });
+const postPenalty = (supabase, logger, entry) =>
+  postEntry(supabase, logger, { ...entry, entry_type: "penalty" });
+
+/**
+ * Compare every account's stored total_balance with its journal.
+ * @returns {{ checked, mismatched, accounts: Array }}
+ */
+async function reconcileAccounts(supabase, { tolerance = 0.01 } = {}) {
+  const [accounts, derived] = await Promise.all([
+    fetchAll(() =>
+      supabase
+        .from("accounts")
+        .select("account_id, student_id, sponsor_id, total_balance, last_updated")
+        .order("account_id", { ascending: true })
+    ),
+    getDerivedBalances(supabase),
+  ]);
+
+  const mismatches = [];
+  for (const account of accounts) {
+    const stored = roundMoney(parseFloat(account.total_balance || 0));
+    const journal = derived.get(account.account_id) || 0;
+    const difference = roundMoney(stored - journal);
+
+    if (Math.abs(difference) > tolerance) {
+      mismatches.push({
+        account_id: account.account_id,
+        student_id: account.student_id,
+        sponsor_id: account.sponsor_id,
+        stored_balance: stored,
+        journal_balance: journal,
+        difference,
+        has_journal: derived.has(account.account_id),
+        last_updated: account.last_updated,
+      });
+    }
+  }
+
+  return {
+    checked: accounts.length,
+    mismatched: mismatches.length,
+    accounts: mismatches,
+  };
+}
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  FEE_PAYMENT_TYPES,
+  INSTALLMENT_PAYMENT_TYPES,
+  LedgerError,
+  fetchAll,
+  getOrCreateAccount,
+  getOrCreateSponsorAccount,
+  getDerivedBalance,
+  getDerivedBalances,
+  ensureOpeningBalance,
+  backfillOpeningBalances,
+  syncAccountBalance,
+  postEntry,
+  postCharge,
+  postPayment,
+  postDiscount,
+  postRefund,
+  postAdjustment,
+  postPenalty,
+  reverseEntry,
+  reconcileAccounts,
+};
@@ -0,0 +1,198 @@
+// services/mockpaymentprovider.js
+//
+// Fully local payment provider for offline development. Checkout sessions
+// live in memory; simulating an outcome builds a PayMongo-shaped event,
+// signs it like PayMongo does and posts it to our own webhook endpoint, so
+// the real webhook -> account update path is exercised end to end.
+//
+// Only enabled with PAYMENT_PROVIDER=mock outside production, and it signs
+// with PAYMONGO_WEBHOOK_SECRET like the real provider (there is no default).
+const crypto = require("crypto");
+const { PaymentProvider, toCentavos } = require("./paymentprovider");
+const { verifyPaymongoSignature } = require("./paymongowebhooks");
+
+const CHECKOUT_EXPIRY_HOURS = 24;
+const OUTCOME_EVENTS = {
+  paid: "checkout_session.payment.paid",
+  failed: "payment.failed",
+  expired: "checkout_session.expired",
+};
+
+function randomId(prefix) {
+  return `${prefix}_mock_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super("mock");
+    this.sessions = new Map();
+    this.baseUrl = process.env.BASE_URL || "http://localhost:3000";
+    this.webhookUrl =
+      process.env.MOCK_WEBHOOK_URL || `${this.baseUrl}/webhooks/paymongo`;
+    this.webhookSecret = process.env.PAYMONGO_WEBHOOK_SECRET;
+    if (!this.webhookSecret) {
+      throw new Error("PAYMONGO_WEBHOOK_SECRET is not set (the mock provider signs its webhooks with it)");
+    }
+  }
+
+  async createCheckoutSession(params) {
+    const { amount, description, metadata = {}, success_url, cancel_url } =
+      params;
+    const id = randomId("cs");
+
+    const session = {
+      id,
+      checkout_url: `${this.baseUrl}/payment/mock-checkout?session_id=${id}&payment_id=${metadata.payment_id || ""}`,
+      status: "active",
+      amount: parseFloat(amount),
+      currency: "PHP",
+      description,
+      payment_method: null,
+      payment_reference: null,
+      metadata,
+      success_url,
+      cancel_url,
+      expires_at: new Date(
+        Date.now() + CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000
+      ).toISOString(),
+    };
+
+    this.sessions.set(id, session);
+    return { ...session, raw: session };
+  }
+
+  async retrieveSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (session.status === "active" && new Date(session.expires_at) < new Date()) {
+      session.status = "expired";
+    }
+    return { ...session, raw: session };
+  }
+
+  async refund({ payment_reference, amount, reason, notes }) {
+    return {
+      id: randomId("ref"),
+      status: "succeeded",
+      amount: parseFloat(amount),
+      raw: { payment_reference, reason, notes, mock: true },
+    };
+  }
+
+  parseWebhook(rawBody, signatureHeader) {
+    const event = JSON.parse(rawBody);
+    verifyPaymongoSignature(rawBody, signatureHeader, this.webhookSecret, {
+      livemode: false,
+    });
+    return event;
+  }
+
+  /**
+   * Build the PayMongo-shaped event for a session outcome.
+   */
+  buildEvent(session, outcome) {
+    const paymentId = session.payment_reference || randomId("pay");
+    const payment = {
+      id: paymentId,
+      type: "payment",
+      attributes: {
+        amount: toCentavos(session.amount),
+        currency: "PHP",
+        status: outcome === "paid" ? "paid" : "failed",
+        source: { type: session.payment_method || "card" },
+        metadata: session.metadata,
+      },
+    };
+
+    // payment.* events carry the payment, checkout_session.* the session
+    const data =
+      outcome === "failed"
+        ? payment
+        : {
+            id: session.id,
+            type: "checkout_session",
+            attributes: {
+              checkout_url: session.checkout_url,
+              status: outcome === "expired" ? "expired" : "active",
+              metadata: session.metadata,
+              payments: outcome === "paid" ? [payment] : [],
+              payment_intent: {
+                attributes: { status: outcome === "paid" ? "succeeded" : null },
+              },
+            },
+          };
+
+    return {
+      data: {
+        id: randomId("evt"),
+        type: "event",
+        attributes: {
+          type: OUTCOME_EVENTS[outcome],
+          livemode: false,
+          data,
+          created_at: Math.floor(Date.now() / 1000),
+        },
+      },
+    };
+  }
+
+  /**
+   * Sign an event the way PayMongo does (t=..,te=..,li=).
+   */
+  signEvent(rawBody) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto
+      .createHmac("sha256", this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest("hex");
+    return `t=${timestamp},te=${signature},li=`;
+  }
+
+  /**
+   * Resolve a session as paid, failed or expired and deliver the signed
+   * webhook to the app.
+   * @returns {{ session, event_id, delivery: { status, body } }}
+   */
+  async simulate(sessionId, outcome, { payment_method = "card" } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(
+        "Mock checkout session not found (mock sessions are kept in memory; create a new checkout)"
+      );
+    }
+    if (!OUTCOME_EVENTS[outcome]) {
+      throw new Error(`Unknown mock outcome: ${outcome}`);
+    }
+    if (session.status !== "active") {
+      throw new Error(`Mock checkout session is already ${session.status}`);
+    }
+
+    session.status = outcome;
+    session.payment_method = payment_method;
+    if (outcome === "paid") session.payment_reference = randomId("pay");
+
+    const event = this.buildEvent(session, outcome);
+    const rawBody = JSON.stringify(event);
+
+    const response = await fetch(this.webhookUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Paymongo-Signature": this.signEvent(rawBody),
+      },
+      body: rawBody,
+    });
+
+    return {
+      session: { ...session },
+      event_id: event.data.id,
+      delivery: {
+        status: response.status,
+        body: await response.json().catch(() => null),
+      },
+    };
+  }
+}
+
+module.exports = MockPaymentProvider;
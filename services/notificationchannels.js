@@ -0,0 +1,253 @@
+// services/notificationchannels.js
+//
+// Delivery adapters for the notification outbox. Like payment providers,
+// the outbox talks to a NotificationChannel per channel (email, sms,
+// in_app) and the transport behind it is picked from the environment:
+//
+//   EMAIL_TRANSPORT=sendgrid|smtp|local  (default: sendgrid when
+//                                         SENDGRID_API_KEY is set, smtp when
+//                                         SMTP_HOST is set, else local)
+//   SMS_TRANSPORT=semaphore|local        (default: semaphore when
+//                                         SEMAPHORE_API_KEY is set, else local)
+//
+// The local transport appends every message to NOTIFICATIONS_LOG_FILE
+// (default notifications.log in the OS temp directory, outside the working
+// tree since messages carry student details) and logs it, so development
+// needs no keys.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CHANNELS = {
+  EMAIL: "email",
+  SMS: "sms",
+  IN_APP: "in_app",
+};
+
+/**
+ * Interface every channel adapter implements.
+ *
+ * Messages are outbox rows:
+ *   { message_id, channel, recipient, student_id, admission_id,
+ *     subject, body, html, template_key }
+ */
+class NotificationChannel {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver one message. Throws when delivery fails so the outbox can retry.
+   * @returns {Promise<{ provider_message_id: string|null }>}
+   */
+  async send(message) {
+    throw new Error(`${this.name}: send not implemented`);
+  }
+}
+
+class SendGridChannel extends NotificationChannel {
+  constructor() {
+    super("sendgrid");
+    this.client = require("@sendgrid/mail");
+    this.client.setApiKey(process.env.SENDGRID_API_KEY);
+    this.from = process.env.SENDGRID_FROM;
+  }
+
+  async send(message) {
+    if (!this.from) {
+      throw new Error("Sender email not configured. Set SENDGRID_FROM.");
+    }
+
+    const [response] = await this.client.send({
+      to: message.recipient,
+      from: this.from,
+      subject: message.subject,
+      text: message.body,
+      html: message.html || undefined,
+    });
+
+    return {
+      provider_message_id: response?.headers?.["x-message-id"] || null,
+    };
+  }
+}
+
+class SmtpChannel extends NotificationChannel {
+  constructor() {
+    super("smtp");
+    const nodemailer = require("nodemailer");
+    this.transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    this.from = process.env.SMTP_FROM || process.env.SENDGRID_FROM;
+  }
+
+  async send(message) {
+    const info = await this.transport.sendMail({
+      to: message.recipient,
+      from: this.from,
+      subject: message.subject,
+      text: message.body,
+      html: message.html || undefined,
+    });
+
+    return { provider_message_id: info.messageId || null };
+  }
+}
+
+// Semaphore (semaphore.co) is the usual SMS gateway for PH numbers
+class SemaphoreSmsChannel extends NotificationChannel {
+  constructor() {
+    super("semaphore");
+    this.apiKey = process.env.SEMAPHORE_API_KEY;
+    this.senderName = process.env.SEMAPHORE_SENDER_NAME;
+  }
+
+  async send(message) {
+    const response = await fetch("https://api.semaphore.co/api/v4/messages", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        apikey: this.apiKey,
+        number: message.recipient,
+        message: message.body,
+        ...(this.senderName && { sendername: this.senderName }),
+      }),
+    });
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(
+        `Semaphore responded ${response.status}: ${JSON.stringify(result)}`
+      );
+    }
+
+    const sent = Array.isArray(result) ? result[0] : result;
+    return { provider_message_id: sent?.message_id ? String(sent.message_id) : null };
+  }
+}
+
+// In-app notes: students read student_notifications, applicants read
+// notifications (keyed by admission_id)
+class InAppChannel extends NotificationChannel {
+  constructor(supabase) {
+    super("in_app");
+    this.supabase = supabase;
+  }
+
+  async send(message) {
+    let result;
+
+    if (message.student_id) {
+      result = await this.supabase
+        .from("student_notifications")
+        .insert({
+          student_id: message.student_id,
+          type: message.template_key,
+          title: message.subject,
+          message: message.body,
+          is_read: false,
+          created_at: new Date().toISOString(),
+        })
+        .select("notification_id")
+        .single();
+    } else if (message.admission_id) {
+      result = await this.supabase
+        .from("notifications")
+        .insert({ admission_id: message.admission_id, message: message.body })
+        .select("notification_id")
+        .single();
+    } else {
+      throw new Error("In-app messages need a student_id or admission_id");
+    }
+
+    if (result.error) throw result.error;
+    return { provider_message_id: String(result.data.notification_id) };
+  }
+}
+
+class LocalChannel extends NotificationChannel {
+  constructor(channel, logger) {
+    super(`local-${channel}`);
+    this.logger = logger;
+    this.file = path.resolve(
+      process.env.NOTIFICATIONS_LOG_FILE || path.join(os.tmpdir(), "notifications.log")
+    );
+  }
+
+  async send(message) {
+    const entry = {
+      at: new Date().toISOString(),
+      channel: message.channel,
+      to: message.recipient,
+      subject: message.subject,
+      body: message.body,
+    };
+
+    await fs.promises.appendFile(this.file, JSON.stringify(entry) + "\n");
+    this.logger.info("Notification written to local outbox file", {
+      message_id: message.message_id,
+      channel: message.channel,
+      to: message.recipient,
+    });
+
+    return { provider_message_id: `local-${message.message_id}` };
+  }
+}
+
+function resolveTransport(channel) {
+  if (channel === CHANNELS.EMAIL) {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT.toLowerCase();
+    if (process.env.SENDGRID_API_KEY) return "sendgrid";
+    if (process.env.SMTP_HOST) return "smtp";
+    return "local";
+  }
+  if (channel === CHANNELS.SMS) {
+    if (process.env.SMS_TRANSPORT) return process.env.SMS_TRANSPORT.toLowerCase();
+    return process.env.SEMAPHORE_API_KEY ? "semaphore" : "local";
+  }
+  if (channel === CHANNELS.IN_APP) return "in_app";
+
+  throw new Error(`Unknown notification channel: ${channel}`);
+}
+
+const activeChannels = new Map();
+
+/**
+ * Return the process-wide adapter for a channel. In-app notes are written
+ * with the caller's client, so that adapter is not shared.
+ */
+function getChannelAdapter(channel, supabase, logger) {
+  if (activeChannels.has(channel)) return activeChannels.get(channel);
+
+  const transport = resolveTransport(channel);
+  if (transport === "in_app") return new InAppChannel(supabase);
+
+  let adapter;
+
+  if (transport === "sendgrid") {
+    adapter = new SendGridChannel();
+  } else if (transport === "smtp") {
+    adapter = new SmtpChannel();
+  } else if (transport === "semaphore") {
+    adapter = new SemaphoreSmsChannel();
+  } else if (transport === "local") {
+    adapter = new LocalChannel(channel, logger);
+  } else {
+    throw new Error(`Unknown ${channel} transport: ${transport}`);
+  }
+
+  activeChannels.set(channel, adapter);
+  return adapter;
+}
+
+module.exports = {
+  CHANNELS,
+  NotificationChannel,
+  getChannelAdapter,
+};
@@ -0,0 +1,537 @@
+// services/notifications.js
+//
+// One way to tell a student or applicant something: render a named
+// template, queue one outbox message per channel and deliver it through
+// the channel adapter. Failed deliveries stay in the outbox and are
+// retried with backoff by processOutbox.
+//
+// notification_templates: template_id, key, channel (email | sms |
+// in_app), subject, body, html, is_active, updated_by, updated_at
+// (unique per key and channel). Rows override DEFAULT_TEMPLATES below.
+//
+// notification_outbox: message_id, template_key, channel, recipient,
+// student_id, admission_id, subject, body, html, variables, dedupe_key
+// (unique), status (pending | sending | sent | failed), attempts,
+// max_attempts, next_attempt_at, last_error, transport,
+// provider_message_id, created_at, sent_at
+//
+// While a message is "sending", next_attempt_at is when its claim expires.
+// A sender that crashed mid-delivery leaves the claim behind; processOutbox
+// puts expired claims back in the queue (counted as an attempt, so a
+// message can be delivered twice but never gets stuck).
+//
+// Templates use {{variable}} placeholders. Values are HTML-escaped in the
+// html part only.
+const { CHANNELS, getChannelAdapter } = require("./notificationchannels");
+const { ServiceError } = require("./common");
+
+const MESSAGE_STATUSES = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MINUTES = 5;
+const CLAIM_TIMEOUT_MINUTES = parseInt(process.env.NOTIFICATION_CLAIM_TIMEOUT_MINUTES) || 10;
+
+const DEFAULT_TEMPLATES = {
+  payment_reminder: {
+    email: {
+      subject: "{{period}} Payment Reminder",
+      body:
+        "Hi {{first_name}},\n\nThis is a reminder that your {{period}} installment payment is due.\n" +
+        "Amount Due: ₱{{amount}}\nDue Date: {{due_date}}\n\n" +
+        "Please settle your payment on or before the due date.",
+      html:
+        "<p>Hi {{first_name}},</p>" +
+        "<p>This is a reminder that your <strong>{{period}}</strong> installment payment is due.</p>" +
+        "<p><strong>Amount Due:</strong> ₱{{amount}}</p>" +
+        "<p><strong>Due Date:</strong> {{due_date}}</p>" +
+        "<p>Please settle your payment on or before the due date.</p>",
+    },
+    in_app: {
+      subject: "{{period}} Payment Reminder",
+      body: "Your {{period}} installment payment of ₱{{amount}} is due on {{due_date}}",
+    },
+    sms: {
+      body: "Reminder: your {{period}} installment of P{{amount}} is due on {{due_date}}.",
+    },
+  },
+  payment_overdue: {
+    email: {
+      subject: "{{title}}",
+      body: "Hi {{first_name}},\n\n{{message}}\n\nPlease settle your balance as soon as possible{{warning}}.",
+      html:
+        "<p>Hi {{first_name}},</p><p>{{message}}</p>" +
+        "<p>Please settle your balance as soon as possible{{warning}}.</p>",
+    },
+    in_app: {
+      subject: "{{title}}",
+      body: "{{message}}",
+    },
+    sms: {
+      body: "{{title}}: {{message}}",
+    },
+  },
+  payment_confirmation: {
+    email: {
+      subject: "Payment Received - {{or_number}}",
+      body:
+        "Hi {{first_name}},\n\nWe received your payment of ₱{{amount}} ({{payment_type}}) on {{paid_at}}.\n" +
+        "Official Receipt: {{or_number}}\nRemaining balance: ₱{{balance}}\n\nThank you.",
+      html:
+        "<p>Hi {{first_name}},</p>" +
+        "<p>We received your payment of <strong>₱{{amount}}</strong> ({{payment_type}}) on {{paid_at}}.</p>" +
+        "<p><strong>Official Receipt:</strong> {{or_number}}<br/>" +
+        "<strong>Remaining balance:</strong> ₱{{balance}}</p><p>Thank you.</p>",
+    },
+    in_app: {
+      subject: "Payment Received",
+      body: "Your payment of ₱{{amount}} ({{payment_type}}) was received. OR {{or_number}}.",
+    },
+  },
+  refund_processed: {
+    email: {
+      subject: "Refund Processed",
+      body:
+        "Hi {{first_name}},\n\nA refund of ₱{{amount}} for payment #{{payment_id}} has been processed.\n" +
+        "Reason: {{reason}}",
+      html:
+        "<p>Hi {{first_name}},</p>" +
+        "<p>A refund of <strong>₱{{amount}}</strong> for payment #{{payment_id}} has been processed.</p>" +
+        "<p>Reason: {{reason}}</p>",
+    },
+    in_app: {
+      subject: "Refund Processed",
+      body: "A refund of ₱{{amount}} for payment #{{payment_id}} has been processed. Reason: {{reason}}",
+    },
+  },
+  admission_decision: {
+    email: {
+      subject: "Your Application: {{decision}}",
+      body: "Hello {{name}},\n\n{{message}}",
+      html: "<p>Hello {{name}},</p><p>{{message}}</p>",
+    },
+    in_app: {
+      subject: "Application {{decision}}",
+      body: "{{message}}",
+    },
+    sms: {
+      body: "Hello {{name}}, your application status: {{decision}}. {{message}}",
+    },
+  },
+  document_reupload: {
+    email: {
+      subject: "Please re-upload your {{document}}",
+      body: "Hello {{name}},\n\nWe could not accept your {{document}}: {{notes}}\n\nPlease upload a new copy through the admission portal.",
+      html: "<p>Hello {{name}},</p><p>We could not accept your {{document}}: {{notes}}</p><p>Please upload a new copy through the admission portal.</p>",
+    },
+    in_app: {
+      subject: "Re-upload your {{document}}",
+      body: "{{notes}}",
+    },
+    sms: {
+      body: "Hello {{name}}, please re-upload your {{document}}: {{notes}}",
+    },
+  },
+  waitlist_promoted: {
+    email: {
+      subject: "You have a seat in {{subject_code}}",
+      body:
+        "Hi {{first_name}},\n\nA seat opened up in {{subject_code}} {{subject_name}} (section {{section}}) " +
+        "and you have been moved off the waitlist. The subject is now part of your enrollment.",
+      html:
+        "<p>Hi {{first_name}},</p>" +
+        "<p>A seat opened up in <strong>{{subject_code}} {{subject_name}}</strong> (section {{section}}) " +
+        "and you have been moved off the waitlist.</p><p>The subject is now part of your enrollment.</p>",
+    },
+    in_app: {
+      subject: "Seat available: {{subject_code}}",
+      body: "You have been moved off the waitlist into {{subject_code}} (section {{section}}).",
+    },
+  },
+  // Free-form message from staff; callers pass subject/message
+  general: {
+    email: {
+      subject: "{{subject}}",
+      body: "Hello {{name}},\n\n{{message}}",
+      html: "<p>Hello {{name}},</p><p>{{message}}</p>",
+    },
+    in_app: {
+      subject: "{{subject}}",
+      body: "{{message}}",
+    },
+    sms: {
+      body: "{{message}}",
+    },
+  },
+};
+
+class NotificationError extends ServiceError {}
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function fill(text, variables, escape) {
+  if (!text) return text || null;
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    const value = name
+      .split(".")
+      .reduce((obj, key) => (obj == null ? undefined : obj[key]), variables);
+    if (value === undefined || value === null) return "";
+    return escape ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * Render a template's parts with the given variables.
+ */
+function renderTemplate(template, variables = {}) {
+  return {
+    subject: fill(template.subject, variables, false),
+    body: fill(template.body, variables, false),
+    html: fill(template.html, variables, true),
+  };
+}
+
+/**
+ * Template for a key and channel: the active DB row, else the built-in one.
+ */
+async function getTemplate(supabase, key, channel) {
+  const { data, error } = await supabase
+    .from("notification_templates")
+    .select("*")
+    .eq("key", key)
+    .eq("channel", channel)
+    .eq("is_active", true)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) return { ...data, source: "database" };
+
+  const fallback = DEFAULT_TEMPLATES[key]?.[channel];
+  return fallback ? { key, channel, ...fallback, source: "default" } : null;
+}
+
+// Fill in the student's email and name when only student_id was given
+async function resolveRecipient(supabase, to) {
+  if (!to.student_id || (to.email && to.name)) return to;
+
+  const { data: student, error } = await supabase
+    .from("students")
+    .select("student_id, first_name, last_name, email")
+    .eq("student_id", to.student_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!student) return to;
+
+  return {
+    ...to,
+    email: to.email || student.email,
+    first_name: to.first_name || student.first_name,
+    name: to.name || `${student.first_name} ${student.last_name}`,
+  };
+}
+
+function recipientFor(channel, to) {
+  if (channel === CHANNELS.EMAIL) return to.email || null;
+  if (channel === CHANNELS.SMS) return to.phone || null;
+  if (to.student_id) return `student:${to.student_id}`;
+  if (to.admission_id) return `applicant:${to.admission_id}`;
+  return null;
+}
+
+const retryDelayMs = (attempts) =>
+  RETRY_BASE_MINUTES * 60 * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+
+/**
+ * Attempt one outbox message. The row is claimed first so the cron and an
+ * inline send never deliver the same message twice.
+ */
+async function deliverMessage(supabase, logger, message) {
+  const { data: claimed, error: claimError } = await supabase
+    .from("notification_outbox")
+    .update({
+      status: MESSAGE_STATUSES.SENDING,
+      next_attempt_at: new Date(Date.now() + CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString(),
+    })
+    .eq("message_id", message.message_id)
+    .eq("status", MESSAGE_STATUSES.PENDING)
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return message;
+
+  const attempts = (claimed.attempts || 0) + 1;
+  let updates;
+
+  try {
+    const adapter = getChannelAdapter(claimed.channel, supabase, logger);
+    const { provider_message_id } = await adapter.send(claimed);
+
+    updates = {
+      status: MESSAGE_STATUSES.SENT,
+      attempts,
+      transport: adapter.name,
+      provider_message_id,
+      last_error: null,
+      sent_at: new Date().toISOString(),
+    };
+  } catch (err) {
+    const detail = err.response?.body ? JSON.stringify(err.response.body) : err.message;
+    const giveUp = attempts >= (claimed.max_attempts || MAX_ATTEMPTS);
+
+    updates = {
+      status: giveUp ? MESSAGE_STATUSES.FAILED : MESSAGE_STATUSES.PENDING,
+      attempts,
+      last_error: detail,
+      next_attempt_at: new Date(Date.now() + retryDelayMs(attempts)).toISOString(),
+    };
+
+    logger.warn("Notification delivery failed", {
+      message_id: claimed.message_id,
+      channel: claimed.channel,
+      attempts,
+      giving_up: giveUp,
+      error: detail,
+    });
+  }
+
+  const { data: updated, error } = await supabase
+    .from("notification_outbox")
+    .update(updates)
+    .eq("message_id", claimed.message_id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return updated;
+}
+
+/**
+ * Render a template for each channel, queue the messages and (by default)
+ * deliver them right away.
+ *
+ * @param {Object} params
+ * @param {string} params.template - Template key
+ * @param {string[]} params.channels - Channels to send on
+ * @param {Object} params.to - { student_id, admission_id, email, phone, name, first_name }
+ * @param {Object} [params.variables]
+ * @param {string} [params.dedupe_key] - Queue each channel at most once per key
+ * @param {boolean} [params.deliver] - Deliver inline (default true)
+ * @returns {Promise<Object[]>} Outbox rows
+ */
+async function notify(
+  supabase,
+  logger,
+  { template, channels, to = {}, variables = {}, dedupe_key = null, deliver = true }
+) {
+  if (!template || !Array.isArray(channels) || channels.length === 0) {
+    throw new NotificationError("template and channels are required");
+  }
+
+  const recipient = await resolveRecipient(supabase, to);
+  const vars = {
+    name: recipient.name,
+    first_name: recipient.first_name || recipient.name,
+    ...variables,
+  };
+  const messages = [];
+
+  for (const channel of channels) {
+    const address = recipientFor(channel, recipient);
+    if (!address) {
+      logger.warn("Notification skipped: no recipient for channel", {
+        template,
+        channel,
+        student_id: recipient.student_id,
+        admission_id: recipient.admission_id,
+      });
+      continue;
+    }
+
+    const found = await getTemplate(supabase, template, channel);
+    if (!found) {
+      throw new NotificationError(`No ${channel} template named "${template}"`, 404);
+    }
+
+    const rendered = renderTemplate(found, vars);
+    const channelKey = dedupe_key ? `${dedupe_key}:${channel}` : null;
+
+    if (channelKey) {
+      const { data: existing, error } = await supabase
+        .from("notification_outbox")
+        .select("*")
+        .eq("dedupe_key", channelKey)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (existing) {
+        messages.push(existing);
+        continue;
+      }
+    }
+
+    const { data: queued, error } = await supabase
+      .from("notification_outbox")
+      .insert([
+        {
+          template_key: template,
+          channel,
+          recipient: address,
+          student_id: recipient.student_id || null,
+          admission_id: recipient.admission_id || null,
+          subject: rendered.subject,
+          body: rendered.body,
+          html: rendered.html,
+          variables: vars,
+          dedupe_key: channelKey,
+          status: MESSAGE_STATUSES.PENDING,
+          attempts: 0,
+          max_attempts: MAX_ATTEMPTS,
+          next_attempt_at: new Date().toISOString(),
+          created_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    // Lost a race with another sender for the same dedupe key
+    if (error?.code === "23505" && channelKey) continue;
+    if (error) throw error;
+
+    messages.push(deliver ? await deliverMessage(supabase, logger, queued) : queued);
+  }
+
+  logger.info("Notification queued", {
+    template,
+    channels,
+    student_id: recipient.student_id,
+    admission_id: recipient.admission_id,
+    statuses: messages.map((message) => message.status),
+  });
+
+  return messages;
+}
+
+/**
+ * Put messages whose sender never finished (expired "sending" claims) back
+ * in the queue, or mark them failed once they are out of attempts.
+ * @returns {number} Messages reclaimed
+ */
+async function reclaimStaleMessages(supabase, logger) {
+  const { data: stale, error } = await supabase
+    .from("notification_outbox")
+    .select("message_id, attempts, max_attempts, next_attempt_at")
+    .eq("status", MESSAGE_STATUSES.SENDING)
+    .lte("next_attempt_at", new Date().toISOString());
+
+  if (error) throw error;
+
+  let reclaimed = 0;
+  for (const message of stale || []) {
+    const attempts = (message.attempts || 0) + 1;
+    const giveUp = attempts >= (message.max_attempts || MAX_ATTEMPTS);
+
+    // Only if nobody finished or reclaimed it in the meantime
+    const { data: updated, error: updateError } = await supabase
+      .from("notification_outbox")
+      .update({
+        status: giveUp ? MESSAGE_STATUSES.FAILED : MESSAGE_STATUSES.PENDING,
+        attempts,
+        last_error: "Delivery interrupted before it finished",
+        next_attempt_at: new Date().toISOString(),
+      })
+      .eq("message_id", message.message_id)
+      .eq("status", MESSAGE_STATUSES.SENDING)
+      .eq("next_attempt_at", message.next_attempt_at)
+      .select("message_id")
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!updated) continue;
+
+    reclaimed++;
+    logger.warn("Reclaimed stale notification claim", {
+      message_id: message.message_id,
+      attempts,
+      giving_up: giveUp,
+    });
+  }
+
+  return reclaimed;
+}
+
+/**
+ * Deliver pending messages that are due, after reclaiming stale claims. Run
+ * from the cron; safe to run alongside inline sends.
+ */
+async function processOutbox(supabase, logger, { limit = 50 } = {}) {
+  const reclaimed = await reclaimStaleMessages(supabase, logger);
+
+  const { data: due, error } = await supabase
+    .from("notification_outbox")
+    .select("*")
+    .eq("status", MESSAGE_STATUSES.PENDING)
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const summary = { reclaimed, processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+  for (const message of due || []) {
+    const result = await deliverMessage(supabase, logger, message);
+    summary.processed++;
+    if (result.status === MESSAGE_STATUSES.SENT) summary.sent++;
+    else if (result.status === MESSAGE_STATUSES.FAILED) summary.failed++;
+    else summary.retrying++;
+  }
+
+  return summary;
+}
+
+/**
+ * Put a failed message back in the queue for another round of attempts.
+ */
+async function retryMessage(supabase, logger, message_id) {
+  const { data: message, error } = await supabase
+    .from("notification_outbox")
+    .update({
+      status: MESSAGE_STATUSES.PENDING,
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    })
+    .eq("message_id", message_id)
+    .eq("status", MESSAGE_STATUSES.FAILED)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!message) throw new NotificationError("Message not found or not failed", 404);
+
+  return deliverMessage(supabase, logger, message);
+}
+
+module.exports = {
+  CHANNELS,
+  MESSAGE_STATUSES,
+  DEFAULT_TEMPLATES,
+  NotificationError,
+  renderTemplate,
+  getTemplate,
+  notify,
+  deliverMessage,
+  reclaimStaleMessages,
+  processOutbox,
+  retryMessage,
+};
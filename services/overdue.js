@@ -0,0 +1,320 @@
+// services/overdue.js
+//
+// Daily overdue processing for installment plans: flag late installments,
+// charge penalties to the ledger, send escalating notices and place a
+// financial hold when a plan is badly behind.
+//
+// penalty_rules: rule_id, name, semester_id (null = default rule),
+// penalty_type (flat | percent_per_month), amount, grace_days, max_penalty,
+// places_hold, hold_after_days, is_active, created_by, created_at
+//
+//   flat              - `amount` once, when the grace period ends
+//   percent_per_month - `amount`% of the installment for every started
+//                       30 days past the grace period
+//
+// payment_installments gains: is_overdue, overdue_since, penalty_amount,
+// reminder_level. Status stays "pending" until paid so checkout and the
+// payment RPC keep working unchanged.
+const ledger = require("./ledger");
+const holds = require("./holds");
+const notifications = require("./notifications");
+const { roundMoney, toDateString } = require("./common");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Escalating notices by days overdue
+const REMINDER_LEVELS = [
+  { level: 1, days: 1, title: "Payment Overdue" },
+  { level: 2, days: 7, title: "Second Notice: Payment Overdue" },
+  { level: 3, days: 30, title: "Final Notice: Payment Overdue" },
+];
+
+function daysBetween(from, to) {
+  return Math.floor(
+    (Date.parse(toDateString(to)) - Date.parse(from)) / DAY_MS
+  );
+}
+
+/**
+ * Penalty rule for a semester, falling back to the default rule. The
+ * semester is matched here, not in a PostgREST filter string.
+ */
+async function getPenaltyRule(supabase, semester_id) {
+  const { data, error } = await supabase
+    .from("penalty_rules")
+    .select("*")
+    .eq("is_active", true)
+    .order("rule_id", { ascending: false });
+
+  if (error) throw error;
+  return (
+    (data || []).find(
+      (rule) => rule.semester_id && String(rule.semester_id) === String(semester_id)
+    ) ||
+    (data || []).find((rule) => !rule.semester_id) ||
+    null
+  );
+}
+
+/**
+ * Penalty charges an installment should have by now, one per period, so a
+ * rerun only posts the periods that are new.
+ */
+function computePenalties(rule, installment, daysLate) {
+  if (!rule) return [];
+
+  const lateAfterGrace = daysLate - (parseInt(rule.grace_days) || 0);
+  if (lateAfterGrace <= 0) return [];
+
+  const charges = [];
+  if (rule.penalty_type === "flat") {
+    charges.push({ period: 1, amount: parseFloat(rule.amount) });
+  } else if (rule.penalty_type === "percent_per_month") {
+    const months = Math.ceil(lateAfterGrace / 30);
+    const monthly = roundMoney(
+      (parseFloat(installment.amount) * parseFloat(rule.amount)) / 100
+    );
+    for (let period = 1; period <= months; period++) {
+      charges.push({ period, amount: monthly });
+    }
+  }
+
+  // Cap the running total
+  const cap = rule.max_penalty ? parseFloat(rule.max_penalty) : Infinity;
+  let total = 0;
+  return charges
+    .map((charge) => {
+      const amount = roundMoney(Math.min(charge.amount, Math.max(cap - total, 0)));
+      total = roundMoney(total + amount);
+      return { ...charge, amount };
+    })
+    .filter((charge) => charge.amount > 0);
+}
+
+async function notifyOverdue(supabase, logger, { student, installment, daysLate, reminder, penaltyTotal }) {
+  const message =
+    `Installment ${installment.installment_number} of ₱${parseFloat(installment.amount).toFixed(2)} ` +
+    `was due on ${new Date(installment.due_date).toLocaleDateString()} and is ${daysLate} day(s) overdue.` +
+    (penaltyTotal > 0 ? ` Penalties so far: ₱${penaltyTotal.toFixed(2)}.` : "");
+
+  try {
+    await notifications.notify(supabase, logger, {
+      template: "payment_overdue",
+      channels: ["email", "in_app"],
+      to: {
+        student_id: student.student_id,
+        email: student.email,
+        first_name: student.first_name,
+        name: `${student.first_name} ${student.last_name}`,
+      },
+      variables: {
+        title: reminder.title,
+        message,
+        warning:
+          reminder.level === REMINDER_LEVELS.length
+            ? " to avoid a hold on your enrollment"
+            : "",
+      },
+      dedupe_key: `overdue:${installment.installment_id}:${reminder.level}`,
+    });
+  } catch (err) {
+    logger.warn("Failed to send overdue notice", {
+      installment_id: installment.installment_id,
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Lift the overdue hold of an enrollment once none of its installments are
+ * overdue any more.
+ */
+async function releaseSettledHolds(supabase, logger, enrollment_id) {
+  const { data: stillOverdue, error } = await supabase
+    .from("payment_installments")
+    .select("installment_id")
+    .eq("enrollment_id", enrollment_id)
+    .eq("status", "pending")
+    .eq("is_overdue", true)
+    .limit(1);
+
+  if (error) throw error;
+  if (stillOverdue?.length > 0) return null;
+
+  return holds.liftHoldBySource(supabase, logger, `overdue:${enrollment_id}`, {
+    lift_reason: "Overdue installments settled",
+  });
+}
+
+/**
+ * Run the overdue pass.
+ * @param {Object} [options]
+ * @param {Date} [options.as_of] - Treat this as "today"
+ * @returns {{ processed, flagged, penalties_posted, penalty_total, reminders_sent, holds_placed, holds_lifted }}
+ */
+async function processOverdueInstallments(supabase, logger, { as_of = new Date() } = {}) {
+  const today = toDateString(as_of);
+  const summary = {
+    as_of: today,
+    processed: 0,
+    flagged: 0,
+    penalties_posted: 0,
+    penalty_total: 0,
+    reminders_sent: 0,
+    holds_placed: 0,
+    holds_lifted: 0,
+  };
+
+  const installments = await ledger.fetchAll(() =>
+    supabase
+      .from("payment_installments")
+      .select(
+        `
+        *,
+        enrollments!inner (
+          enrollment_id,
+          student_id,
+          semester_id,
+          students ( student_id, first_name, last_name, email )
+        )
+      `
+      )
+      .eq("status", "pending")
+      .lt("due_date", today)
+      .order("installment_id", { ascending: true })
+  );
+
+  const rules = new Map();
+  const overdueEnrollments = new Map();
+
+  for (const installment of installments) {
+    try {
+      const enrollment = installment.enrollments;
+      const student = enrollment.students;
+      const daysLate = daysBetween(installment.due_date, as_of);
+
+      if (!rules.has(enrollment.semester_id)) {
+        rules.set(
+          enrollment.semester_id,
+          await getPenaltyRule(supabase, enrollment.semester_id)
+        );
+      }
+      const rule = rules.get(enrollment.semester_id);
+
+      // 1. Penalties as ledger charges (idempotent per installment and period)
+      const account = await ledger.getOrCreateAccount(supabase, enrollment.student_id);
+      const penalties = computePenalties(rule, installment, daysLate);
+
+      for (const penalty of penalties) {
+        const posted = await ledger.postPenalty(supabase, logger, {
+          account_id: account.account_id,
+          amount: penalty.amount,
+          description:
+            rule.penalty_type === "flat"
+              ? `Late payment penalty - installment ${installment.installment_number}`
+              : `Late payment penalty (month ${penalty.period}) - installment ${installment.installment_number}`,
+          enrollment_id: enrollment.enrollment_id,
+          reference: `penalty:${installment.installment_id}:${penalty.period}`,
+        });
+
+        if (!posted.duplicate) {
+          summary.penalties_posted++;
+          summary.penalty_total = roundMoney(summary.penalty_total + penalty.amount);
+        }
+      }
+
+      const penaltyTotal = roundMoney(
+        penalties.reduce((sum, penalty) => sum + penalty.amount, 0)
+      );
+
+      // 2. Escalating notice when a new level is reached
+      const reminder = REMINDER_LEVELS.filter((r) => daysLate >= r.days).pop();
+      const sendReminder =
+        reminder && reminder.level > (installment.reminder_level || 0);
+
+      if (sendReminder) {
+        await notifyOverdue(supabase, logger, {
+          student,
+          installment,
+          daysLate,
+          reminder,
+          penaltyTotal,
+        });
+        summary.reminders_sent++;
+      }
+
+      // 3. Flag the installment
+      const { error: flagError } = await supabase
+        .from("payment_installments")
+        .update({
+          is_overdue: true,
+          overdue_since: installment.overdue_since || installment.due_date,
+          penalty_amount: penaltyTotal,
+          ...(sendReminder && { reminder_level: reminder.level }),
+        })
+        .eq("installment_id", installment.installment_id);
+
+      if (flagError) throw flagError;
+      if (!installment.is_overdue) summary.flagged++;
+
+      // 4. Hold, once the plan is far enough behind
+      if (rule?.places_hold && daysLate >= (parseInt(rule.hold_after_days) || 0)) {
+        overdueEnrollments.set(enrollment.enrollment_id, {
+          student_id: enrollment.student_id,
+          installment,
+          daysLate,
+        });
+      }
+
+      summary.processed++;
+    } catch (err) {
+      logger.error("Failed to process overdue installment", {
+        installment_id: installment.installment_id,
+        error: err.message,
+      });
+    }
+  }
+
+  for (const [enrollment_id, { student_id, installment, daysLate }] of overdueEnrollments) {
+    try {
+      const { duplicate } = await holds.placeHold(supabase, logger, {
+        student_id,
+        office: "cashier",
+        hold_type: "financial",
+        reason: `Installment ${installment.installment_number} is ${daysLate} day(s) overdue`,
+        enrollment_id,
+        source_reference: `overdue:${enrollment_id}`,
+      });
+      if (!duplicate) summary.holds_placed++;
+    } catch (err) {
+      logger.error("Failed to place overdue hold", { enrollment_id, error: err.message });
+    }
+  }
+
+  // Holds whose installments have since been paid
+  const { data: activeHolds, error: holdsError } = await supabase
+    .from("student_holds")
+    .select("enrollment_id")
+    .like("source_reference", "overdue:%")
+    .eq("status", holds.HOLD_STATUSES.ACTIVE);
+
+  if (holdsError) throw holdsError;
+
+  for (const hold of activeHolds || []) {
+    if (overdueEnrollments.has(hold.enrollment_id)) continue;
+    if (await releaseSettledHolds(supabase, logger, hold.enrollment_id)) {
+      summary.holds_lifted++;
+    }
+  }
+
+  logger.info("Overdue processing finished", summary);
+  return summary;
+}
+
+module.exports = {
+  REMINDER_LEVELS,
+  getPenaltyRule,
+  computePenalties,
+  releaseSettledHolds,
+  processOverdueInstallments,
+};
@@ -0,0 +1,108 @@
+// services/paymentprovider.js
+//
+// Payment gateway abstraction. Routes talk to a PaymentProvider instead of
+// building their own PayMongo clients, so the same create-checkout -> webhook
+// -> account update flow runs against PayMongo or the local mock provider.
+
+/**
+ * Interface every payment provider implements.
+ *
+ * Sessions are normalized to:
+ *   { id, checkout_url, status, amount, currency, payment_method,
+ *     payment_reference, metadata, expires_at, raw }
+ * where status is one of 'active' | 'paid' | 'failed' | 'expired'.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a hosted checkout session.
+   * @param {Object} params
+   * @param {number} params.amount - Amount in pesos
+   * @param {string} params.description
+   * @param {Object} params.metadata - Echoed back in webhooks
+   * @param {string} params.success_url
+   * @param {string} params.cancel_url
+   * @param {string[]} [params.payment_method_types]
+   */
+  async createCheckoutSession(params) {
+    throw new Error(`${this.name}: createCheckoutSession not implemented`);
+  }
+
+  /**
+   * Fetch the current state of a checkout session.
+   */
+  async retrieveSession(sessionId) {
+    throw new Error(`${this.name}: retrieveSession not implemented`);
+  }
+
+  /**
+   * Refund a captured payment (full or partial).
+   * @param {Object} params
+   * @param {string} params.payment_reference - Provider payment id
+   * @param {number} params.amount - Amount in pesos
+   * @param {string} [params.reason]
+   * @param {string} [params.notes]
+   */
+  async refund(params) {
+    throw new Error(`${this.name}: refund not implemented`);
+  }
+
+  /**
+   * Verify and parse a raw webhook delivery. Throws WebhookSignatureError
+   * when the signature does not check out.
+   * @returns {Object} The parsed PayMongo-shaped event
+   */
+  parseWebhook(rawBody, signatureHeader) {
+    throw new Error(`${this.name}: parseWebhook not implemented`);
+  }
+}
+
+// Centavos <-> pesos helpers shared by providers
+const toCentavos = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCentavos = (amount) => Math.round(amount) / 100;
+
+let activeProvider = null;
+
+/**
+ * Which provider to use. PayMongo unless PAYMENT_PROVIDER names another one;
+ * the mock provider (which lets anyone mark a checkout paid) is never picked
+ * implicitly and never runs in production.
+ */
+function resolveProviderName() {
+  const name = (process.env.PAYMENT_PROVIDER || "paymongo").toLowerCase();
+
+  if (name === "mock" && process.env.NODE_ENV === "production") {
+    throw new Error("The mock payment provider cannot be used in production");
+  }
+  return name;
+}
+
+/**
+ * Return the process-wide payment provider.
+ */
+function getPaymentProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = resolveProviderName();
+  if (name === "paymongo") {
+    const PaymongoProvider = require("./paymongoprovider");
+    activeProvider = new PaymongoProvider();
+  } else if (name === "mock") {
+    const MockPaymentProvider = require("./mockpaymentprovider");
+    activeProvider = new MockPaymentProvider();
+  } else {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return activeProvider;
+}
+
+module.exports = {
+  PaymentProvider,
+  getPaymentProvider,
+  toCentavos,
+  fromCentavos,
+};
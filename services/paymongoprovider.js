@@ -0,0 +1,142 @@
+// services/paymongoprovider.js
+const {
+  PaymentProvider,
+  toCentavos,
+  fromCentavos,
+} = require("./paymentprovider");
+const { verifyPaymongoSignature } = require("./paymongowebhooks");
+
+const DEFAULT_METHODS = ["gcash", "paymaya", "card", "grab_pay"];
+const CHECKOUT_EXPIRY_HOURS = 24;
+
+// PayMongo only accepts these refund reasons
+const REFUND_REASONS = [
+  "duplicate",
+  "fraudulent",
+  "requested_by_customer",
+  "others",
+];
+
+class PaymongoProvider extends PaymentProvider {
+  constructor() {
+    super("paymongo");
+    if (!process.env.PAYMONGO_SECRET_KEY) {
+      throw new Error("PAYMONGO_SECRET_KEY is not set (use PAYMENT_PROVIDER=mock for local development)");
+    }
+    // Shared axios client (base URL + basic auth with the secret key)
+    this.client = require("../config/paymonggo");
+  }
+
+  /**
+   * Map a PayMongo checkout session onto the normalized session shape.
+   */
+  normalizeSession(session) {
+    const attributes = session.attributes || {};
+    const payment = attributes.payments?.[0];
+    const paymentStatus = payment?.attributes?.status;
+
+    let status = "active";
+    if (paymentStatus === "paid") status = "paid";
+    else if (paymentStatus === "failed") status = "failed";
+    else if (attributes.status === "expired") status = "expired";
+
+    const amount = (attributes.line_items || []).reduce(
+      (sum, item) => sum + item.amount * (item.quantity || 1),
+      0
+    );
+
+    return {
+      id: session.id,
+      checkout_url: attributes.checkout_url,
+      status,
+      amount: fromCentavos(amount),
+      currency: "PHP",
+      payment_method: payment?.attributes?.source?.type || null,
+      payment_reference: payment?.id || null,
+      metadata: attributes.metadata || {},
+      expires_at: null,
+      raw: session,
+    };
+  }
+
+  async createCheckoutSession(params) {
+    const {
+      amount,
+      description,
+      metadata = {},
+      success_url,
+      cancel_url,
+      payment_method_types = DEFAULT_METHODS,
+    } = params;
+    const amountInCentavos = toCentavos(amount);
+
+    const response = await this.client.post("/checkout_sessions", {
+      data: {
+        attributes: {
+          send_email_receipt: true,
+          show_description: true,
+          show_line_items: true,
+          description,
+          line_items: [
+            {
+              currency: "PHP",
+              amount: amountInCentavos,
+              name: description,
+              description,
+              quantity: 1,
+            },
+          ],
+          payment_method_types,
+          success_url,
+          cancel_url,
+          metadata,
+        },
+      },
+    });
+
+    const session = this.normalizeSession(response.data.data);
+    session.expires_at = new Date(
+      Date.now() + CHECKOUT_EXPIRY_HOURS * 60 * 60 * 1000
+    ).toISOString();
+    return session;
+  }
+
+  async retrieveSession(sessionId) {
+    const response = await this.client.get(`/checkout_sessions/${sessionId}`);
+    return this.normalizeSession(response.data.data);
+  }
+
+  async refund({ payment_reference, amount, reason, notes }) {
+    const response = await this.client.post("/refunds", {
+      data: {
+        attributes: {
+          amount: toCentavos(amount),
+          payment_id: payment_reference,
+          reason: REFUND_REASONS.includes(reason) ? reason : "others",
+          notes,
+        },
+      },
+    });
+
+    const refund = response.data.data;
+    return {
+      id: refund.id,
+      status: refund.attributes.status,
+      amount: fromCentavos(refund.attributes.amount),
+      raw: refund,
+    };
+  }
+
+  parseWebhook(rawBody, signatureHeader) {
+    const event = JSON.parse(rawBody);
+
+    // Without a secret every delivery is rejected, never accepted unchecked
+    verifyPaymongoSignature(rawBody, signatureHeader, process.env.PAYMONGO_WEBHOOK_SECRET, {
+      livemode: event.data?.attributes?.livemode === true,
+    });
+
+    return event;
+  }
+}
+
+module.exports = PaymongoProvider;
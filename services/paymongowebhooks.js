@@ -0,0 +1,447 @@
+// services/paymongowebhooks.js
+//
+// Single ingestion path for PayMongo webhooks. Every delivery is verified,
+// stored in `webhook_events` (keyed by the PayMongo event id) and dispatched
+// once, so retries from PayMongo can no longer credit an account twice.
+//
+// webhook_events: event_id (PK), event_type, livemode, payload (jsonb),
+// signature, status ('processing' | 'processed' | 'ignored' | 'failed'),
+// attempts, last_error, received_at, processing_started_at, processed_at
+//
+// An event left in 'processing' (the server died mid-way) is retried by the
+// next delivery once PROCESSING_LEASE_MINUTES have passed.
+const crypto = require("crypto");
+const { getPaymentProvider } = require("./paymentprovider");
+
+const SIGNATURE_TOLERANCE_SECONDS =
+  parseInt(process.env.PAYMONGO_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+const PROCESSING_LEASE_MINUTES =
+  parseInt(process.env.PAYMONGO_WEBHOOK_LEASE_MINUTES) || 10;
+
+const HANDLED_EVENTS = [
+  "checkout_session.payment.paid",
+  "payment.paid",
+  "payment.failed",
+  "checkout_session.expired",
+];
+
+class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookSignatureError";
+  }
+}
+
+/**
+ * Parse a `Paymongo-Signature` header: t=<timestamp>,te=<test sig>,li=<live sig>
+ */
+function parseSignatureHeader(header) {
+  return String(header || "")
+    .split(",")
+    .reduce((parts, pair) => {
+      const index = pair.indexOf("=");
+      if (index > 0) {
+        parts[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+      }
+      return parts;
+    }, {});
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || "");
+  const right = Buffer.from(b || "");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify a PayMongo webhook signature.
+ * The signed payload is `<t>.<raw body>`; `te` carries the test-mode
+ * signature and `li` the live-mode one.
+ */
+function verifyPaymongoSignature(rawBody, header, secret, options = {}) {
+  const { livemode = false, tolerance = SIGNATURE_TOLERANCE_SECONDS } = options;
+  const parts = parseSignatureHeader(header);
+
+  if (!secret) {
+    throw new WebhookSignatureError("Webhook secret is not configured");
+  }
+  if (!parts.t) {
+    throw new WebhookSignatureError("Missing signature timestamp");
+  }
+
+  const timestamp = parseInt(parts.t);
+  const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+  if (!timestamp || age > tolerance) {
+    throw new WebhookSignatureError("Signature timestamp outside tolerance");
+  }
+
+  const received = livemode ? parts.li : parts.te;
+  if (!received) {
+    throw new WebhookSignatureError(
+      `Missing ${livemode ? "live" : "test"} mode signature`
+    );
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${parts.t}.${rawBody}`)
+    .digest("hex");
+
+  if (!safeEqual(expected, received)) {
+    throw new WebhookSignatureError("Signature mismatch");
+  }
+
+  return true;
+}
+
+function getRawBody(body) {
+  if (Buffer.isBuffer(body)) return body.toString("utf8");
+  if (typeof body === "string") return body;
+  return JSON.stringify(body || {});
+}
+
+// ============================================
+// EVENT DISPATCH
+// ============================================
+
+async function markCheckoutPaid(supabase, payment, checkoutSession) {
+  const attributes = checkoutSession?.attributes || {};
+  const payment_method =
+    attributes.payments?.[0]?.attributes?.source?.type ||
+    attributes.payment_method_used ||
+    "card";
+
+  await supabase
+    .from("payments")
+    .update({
+      method: payment_method,
+      // Provider payment id (needed for refunds), else the session id
+      reference_no: attributes.payments?.[0]?.id || checkoutSession?.id,
+    })
+    .eq("payment_id", payment.payment_id);
+
+  await supabase
+    .from("payment_transactions")
+    .update({
+      status: "paid",
+      paid_at: new Date().toISOString(),
+      payment_method,
+      paymongo_status: attributes.payment_intent?.attributes?.status,
+      webhook_data: checkoutSession,
+    })
+    .eq("payment_id", payment.payment_id);
+}
+
+async function handlePaidEvent(supabase, logger, eventData) {
+  // Required lazily: billing.js mounts the webhook handler from this module
+  const {
+    handleEnrollmentPayment,
+    processPaymentCompletion,
+  } = require("../routes/billing");
+
+  const metadata = eventData?.attributes?.metadata || {};
+  const payment_id = parseInt(metadata.payment_id);
+
+  if (!payment_id) {
+    throw new Error("Missing payment_id in webhook metadata");
+  }
+
+  const { data: payment, error } = await supabase
+    .from("payments")
+    .select("*")
+    .eq("payment_id", payment_id)
+    .single();
+
+  if (error || !payment) {
+    throw new Error(`Payment ${payment_id} not found`);
+  }
+
+  if (payment.status === "Completed") {
+    logger.info("Payment already completed - skipping", { payment_id });
+    return { payment_id, already_processed: true };
+  }
+
+  await markCheckoutPaid(supabase, payment, eventData);
+
+  if (metadata.enrollment_id && metadata.payment_category === "enrollment") {
+    await handleEnrollmentPayment(metadata, supabase, logger);
+    return { payment_id, handler: "enrollment" };
+  }
+
+  await processPaymentCompletion(supabase, logger, payment_id, payment);
+  return { payment_id, handler: "tuition" };
+}
+
+async function handleFailedEvent(supabase, logger, eventData) {
+  const metadata = eventData?.attributes?.metadata || {};
+  const payment_id = parseInt(metadata.payment_id);
+
+  if (!payment_id) {
+    return { skipped: true };
+  }
+
+  await supabase
+    .from("payments")
+    .update({ status: "Failed" })
+    .eq("payment_id", payment_id)
+    .eq("status", "Pending");
+
+  await supabase
+    .from("payment_transactions")
+    .update({ status: "failed", webhook_data: eventData })
+    .eq("payment_id", payment_id);
+
+  logger.warn("Payment marked as failed via webhook", { payment_id });
+  return { payment_id, handler: "failed" };
+}
+
+async function handleExpiredEvent(supabase, logger, eventData) {
+  const metadata = eventData?.attributes?.metadata || {};
+  const payment_id = parseInt(metadata.payment_id);
+
+  if (!payment_id) {
+    return { skipped: true };
+  }
+
+  await supabase
+    .from("payments")
+    .update({ status: "Expired" })
+    .eq("payment_id", payment_id)
+    .eq("status", "Pending");
+
+  await supabase
+    .from("payment_transactions")
+    .update({ status: "expired" })
+    .eq("payment_id", payment_id)
+    .eq("status", "pending");
+
+  logger.info("Checkout session expired", { payment_id });
+  return { payment_id, handler: "expired" };
+}
+
+/**
+ * Dispatch a parsed PayMongo event to the enrollment or tuition handlers.
+ */
+async function dispatchEvent(supabase, logger, event) {
+  const eventType = event.data?.attributes?.type;
+  const eventData = event.data?.attributes?.data;
+
+  switch (eventType) {
+    case "checkout_session.payment.paid":
+    case "payment.paid":
+      return handlePaidEvent(supabase, logger, eventData);
+    case "payment.failed":
+      return handleFailedEvent(supabase, logger, eventData);
+    case "checkout_session.expired":
+      return handleExpiredEvent(supabase, logger, eventData);
+    default:
+      return { skipped: true };
+  }
+}
+
+// ============================================
+// STORAGE + PROCESSING
+// ============================================
+
+async function updateEventStatus(supabase, event_id, fields) {
+  await supabase.from("webhook_events").update(fields).eq("event_id", event_id);
+}
+
+/**
+ * Run a stored event through the dispatcher and record the outcome.
+ */
+async function processStoredEvent(supabase, logger, storedEvent) {
+  const { event_id, payload } = storedEvent;
+  const eventType = payload.data?.attributes?.type;
+
+  if (!HANDLED_EVENTS.includes(eventType)) {
+    await updateEventStatus(supabase, event_id, {
+      status: "ignored",
+      processed_at: new Date().toISOString(),
+    });
+    logger.info("Unhandled webhook event stored", { event_id, eventType });
+    return { event_id, status: "ignored" };
+  }
+
+  try {
+    const result = await dispatchEvent(supabase, logger, payload);
+
+    await updateEventStatus(supabase, event_id, {
+      status: "processed",
+      last_error: null,
+      processed_at: new Date().toISOString(),
+    });
+
+    logger.info("Webhook event processed", { event_id, eventType, result });
+    return { event_id, status: "processed", result };
+  } catch (err) {
+    await updateEventStatus(supabase, event_id, {
+      status: "failed",
+      last_error: err.message,
+    });
+    logger.error("Webhook event processing failed", {
+      event_id,
+      error: err.message,
+      stack: err.stack,
+    });
+    throw err;
+  }
+}
+
+// Failed events, and events whose processing lease ran out, may be run again
+function isRetryable(storedEvent) {
+  if (storedEvent.status === "failed") return true;
+  if (storedEvent.status !== "processing") return false;
+
+  const started = Date.parse(storedEvent.processing_started_at || storedEvent.received_at);
+  return !(started > Date.now() - PROCESSING_LEASE_MINUTES * 60 * 1000);
+}
+
+/**
+ * Verify, store and process a webhook delivery.
+ * Returns `{ duplicate: true }` when the event was already handled.
+ */
+async function ingestWebhook(supabase, logger, { rawBody, signature }) {
+  const provider = getPaymentProvider();
+  const event = provider.parseWebhook(rawBody, signature);
+  const event_id = event.data?.id;
+  const attributes = event.data?.attributes || {};
+
+  if (!event_id) {
+    throw new WebhookSignatureError("Missing event id");
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from("webhook_events")
+    .select("*")
+    .eq("event_id", event_id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  if (existing && !isRetryable(existing)) {
+    logger.info("Duplicate webhook delivery ignored", {
+      event_id,
+      status: existing.status,
+    });
+    return { event_id, duplicate: true, status: existing.status };
+  }
+
+  let storedEvent = existing;
+
+  if (existing) {
+    // PayMongo retry of a failed or stalled event; only one delivery takes it over
+    let claim = supabase
+      .from("webhook_events")
+      .update({
+        status: "processing",
+        attempts: (existing.attempts || 0) + 1,
+        processing_started_at: new Date().toISOString(),
+      })
+      .eq("event_id", event_id)
+      .eq("status", existing.status);
+    if (existing.status === "processing") {
+      claim = existing.processing_started_at
+        ? claim.eq("processing_started_at", existing.processing_started_at)
+        : claim.is("processing_started_at", null);
+    }
+
+    const { data, error } = await claim.select().maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { event_id, duplicate: true };
+    storedEvent = data;
+  } else {
+    const { data, error } = await supabase
+      .from("webhook_events")
+      .insert([
+        {
+          event_id,
+          event_type: attributes.type,
+          livemode: attributes.livemode === true,
+          payload: event,
+          signature: signature || null,
+          status: "processing",
+          attempts: 1,
+          received_at: new Date().toISOString(),
+          processing_started_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    // Unique violation: a concurrent delivery of the same event won the race
+    if (error && error.code === "23505") {
+      return { event_id, duplicate: true };
+    }
+    if (error) throw error;
+    storedEvent = data;
+  }
+
+  return processStoredEvent(supabase, logger, storedEvent);
+}
+
+/**
+ * Re-run a stored event regardless of its current status (admin replay).
+ */
+async function replayWebhookEvent(supabase, logger, event_id) {
+  const { data: storedEvent, error } = await supabase
+    .from("webhook_events")
+    .select("*")
+    .eq("event_id", event_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!storedEvent) return null;
+
+  await updateEventStatus(supabase, event_id, {
+    status: "processing",
+    attempts: (storedEvent.attempts || 0) + 1,
+    processing_started_at: new Date().toISOString(),
+  });
+
+  logger.info("Replaying webhook event", { event_id });
+  return processStoredEvent(supabase, logger, storedEvent);
+}
+
+/**
+ * Express handler shared by every PayMongo webhook URL.
+ * Expects the route to be mounted behind express.raw().
+ */
+function createPaymongoWebhookHandler(supabase, logger) {
+  return async function paymongoWebhook(req, res) {
+    try {
+      const result = await ingestWebhook(supabase, logger, {
+        rawBody: getRawBody(req.body),
+        signature: req.headers["paymongo-signature"],
+      });
+
+      res.json({ received: true, ...result });
+    } catch (err) {
+      if (err instanceof WebhookSignatureError) {
+        logger.error("Rejected PayMongo webhook", { error: err.message });
+        return res.status(401).json({ error: "Invalid webhook signature" });
+      }
+      if (err instanceof SyntaxError) {
+        return res.status(400).json({ error: "Invalid webhook payload" });
+      }
+
+      logger.error("Webhook processing error", {
+        error: err.message,
+        stack: err.stack,
+      });
+      // Non-2xx so PayMongo retries; the stored event is marked failed
+      res.status(500).json({ error: "Webhook processing failed" });
+    }
+  };
+}
+
+module.exports = {
+  WebhookSignatureError,
+  parseSignatureHeader,
+  verifyPaymongoSignature,
+  ingestWebhook,
+  replayWebhookEvent,
+  createPaymongoWebhookHandler,
+};
@@ -0,0 +1,53 @@
+// services/pdflayout.js
+//
+// Layout pieces shared by the generated PDFs (receipts, statements,
+// transcripts, certificates of registration).
+const SCHOOL_NAME = process.env.SCHOOL_NAME || "Enrollment & Cashiering Office";
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString("en-PH") : "-";
+
+const peso = (value) =>
+  `PHP ${parseFloat(value || 0).toLocaleString("en-PH", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+function drawHeader(doc, title) {
+  doc.fontSize(14).text(SCHOOL_NAME, { align: "center" });
+  doc.fontSize(18).text(title, { align: "center" });
+  doc.moveDown();
+}
+
+// Simple fixed-width table: columns = [{ label, width, align }]
+function drawTable(doc, columns, rows) {
+  const startX = doc.page.margins.left;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    let x = startX;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ""), x, y, {
+        width: columns[i].width,
+        align: columns[i].align || "left",
+      });
+      x += columns[i].width;
+    });
+    doc.x = startX;
+    doc.moveDown(0.3);
+  };
+
+  drawRow(columns.map((c) => c.label), { bold: true });
+  rows.forEach((row) => drawRow(row));
+  doc.font("Helvetica").moveDown(0.5);
+}
+
+module.exports = {
+  SCHOOL_NAME,
+  formatDate,
+  peso,
+  drawHeader,
+  drawTable,
+};
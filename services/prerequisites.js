@@ -0,0 +1,365 @@
+// services/prerequisites.js
+//
+// Prerequisite rules engine. Decides whether a student may take a subject
+// and, when not, says why. Every place that picks subjects for an
+// enrollment (/next-subjects, eligibility checks, enrollment creation) asks
+// this module instead of checking prerequisite_id itself.
+//
+// Rules come from the student's curriculum (services/curriculum.js):
+//   prerequisite   - must have been passed; requisites sharing a group_no
+//                    are alternatives (CS101 AND (MATH1 OR MATH2))
+//   corequisite    - passed, or taken in the same term
+//   year standing  - curriculum_subjects.min_year_standing
+// Programs still on course_subjects only have the single prerequisite_id.
+//
+// requisite_overrides: override_id, student_id, subject_id, semester_id
+// (null = any term), reason, approved_by (the chair giving consent),
+// granted_by, granted_at, revoked_at, revoked_by
+// An active override waives every rule for that student and subject.
+
+const curriculum = require("./curriculum");
+const { PASSING_GRADE } = require("./grading");
+const { ServiceError } = require("./common");
+
+const RULES = {
+  PREREQUISITE: "prerequisite",
+  COREQUISITE: "corequisite",
+  YEAR_STANDING: "year_standing",
+  NOT_IN_CURRICULUM: "not_in_curriculum",
+};
+
+const YEAR_NAMES = { 1: "1st", 2: "2nd", 3: "3rd" };
+
+class PrerequisiteError extends ServiceError {}
+
+const yearName = (year) => `${YEAR_NAMES[year] || `${year}th`} year`;
+
+async function getStudent(supabase, student_id) {
+  const { data, error } = await supabase
+    .from("students")
+    .select("student_id, program_id, year_level, admission_year, curriculum_id")
+    .eq("student_id", student_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new PrerequisiteError("Student not found", 404);
+  return data;
+}
+
+/**
+ * Subjects the student has earned credit for, and those they are taking in
+ * `semester_id` (which count toward co-requisites).
+ */
+async function getAcademicRecord(supabase, student_id, semester_id = null) {
+  const { data, error } = await supabase
+    .from("enrollment_subjects")
+    .select("subject_id, final_grade, status, enrollments!inner ( student_id, semester_id, status )")
+    .eq("enrollments.student_id", student_id);
+
+  if (error) throw error;
+
+  const passed = new Set();
+  const inProgress = new Set();
+  for (const row of data) {
+    const grade = row.final_grade === null || row.final_grade === undefined ? null : parseFloat(row.final_grade);
+    if (row.status === "Credited" || (grade !== null && !isNaN(grade) && grade <= PASSING_GRADE)) {
+      passed.add(String(row.subject_id));
+    } else if (
+      semester_id &&
+      grade === null &&
+      String(row.enrollments.semester_id) === String(semester_id) &&
+      ["Pending", "Enrolled"].includes(row.enrollments.status)
+    ) {
+      inProgress.add(String(row.subject_id));
+    }
+  }
+  return { passed, inProgress };
+}
+
+async function getActiveOverrides(supabase, student_id, semester_id = null) {
+  const { data, error } = await supabase
+    .from("requisite_overrides")
+    .select("*")
+    .eq("student_id", student_id)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+  return data.filter(
+    (override) =>
+      override.semester_id === null ||
+      !semester_id ||
+      String(override.semester_id) === String(semester_id)
+  );
+}
+
+/**
+ * Everything the rules need about one student for one term.
+ *
+ * @param {Object} student - students row (see getStudent)
+ * @param {Object} options
+ * @param {number} [options.semester_id] - Term being enrolled in
+ * @param {number} [options.year_standing] - Default students.year_level
+ */
+async function buildContext(supabase, logger, student, { semester_id = null, year_standing = null } = {}) {
+  const studentCurriculum = await curriculum.resolveStudentCurriculum(supabase, logger, student);
+
+  const [subjects, record, overrides] = await Promise.all([
+    curriculum.getProgramSubjects(supabase, {
+      program_id: student.program_id,
+      curriculum_id: studentCurriculum?.curriculum_id || null,
+    }),
+    getAcademicRecord(supabase, student.student_id, semester_id),
+    getActiveOverrides(supabase, student.student_id, semester_id),
+  ]);
+
+  return {
+    student,
+    curriculum: studentCurriculum,
+    semester_id,
+    year_standing: Number(year_standing || student.year_level) || 1,
+    subjects,
+    subjectsById: new Map(subjects.map((subject) => [String(subject.subject_id), subject])),
+    passed: record.passed,
+    inProgress: record.inProgress,
+    overrides: new Map(overrides.map((override) => [String(override.subject_id), override])),
+  };
+}
+
+function codeOf(context, subject_id) {
+  return context.subjectsById.get(String(subject_id))?.subject_code || `subject ${subject_id}`;
+}
+
+// Requisites of one kind as AND-ed groups of OR-ed subject ids
+function requisiteGroups(subject, kind) {
+  const groups = new Map();
+  for (const req of subject.requisites.filter((r) => r.kind === kind)) {
+    const key = req.group_no === null ? `single:${req.requisite_subject_id}` : `group:${req.group_no}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(req.requisite_subject_id);
+  }
+  return [...groups.values()];
+}
+
+function describeOptions(context, ids) {
+  const codes = ids.map((id) => codeOf(context, id));
+  return codes.length === 1 ? codes[0] : `one of ${codes.join(", ")}`;
+}
+
+/**
+ * Evaluate one subject. `offered` are the subjects being taken alongside it
+ * this term, which satisfy co-requisites.
+ *
+ * @returns {{ subject_id, subject_code, eligible, overridden, override_id, blocked_by }}
+ *   blocked_by: [{ rule, message, requisite_subject_ids?, required_year? }]
+ */
+function evaluateSubject(subject, context, offered = []) {
+  const offeredIds = new Set(offered.map(String));
+  const blockedBy = [];
+
+  for (const options of requisiteGroups(subject, RULES.PREREQUISITE)) {
+    if (!options.some((id) => context.passed.has(String(id)))) {
+      blockedBy.push({
+        rule: RULES.PREREQUISITE,
+        requisite_subject_ids: options,
+        message: `Prerequisite not yet passed: ${describeOptions(context, options)}`,
+      });
+    }
+  }
+
+  for (const options of requisiteGroups(subject, RULES.COREQUISITE)) {
+    const met = options.some(
+      (id) =>
+        context.passed.has(String(id)) ||
+        context.inProgress.has(String(id)) ||
+        offeredIds.has(String(id))
+    );
+    if (!met) {
+      blockedBy.push({
+        rule: RULES.COREQUISITE,
+        requisite_subject_ids: options,
+        message: `Must be taken together with ${describeOptions(context, options)}`,
+      });
+    }
+  }
+
+  if (subject.min_year_standing && context.year_standing < subject.min_year_standing) {
+    blockedBy.push({
+      rule: RULES.YEAR_STANDING,
+      required_year: subject.min_year_standing,
+      message: `Requires ${yearName(subject.min_year_standing)} standing (currently ${yearName(context.year_standing)})`,
+    });
+  }
+
+  const override = context.overrides.get(String(subject.subject_id)) || null;
+
+  return {
+    subject_id: subject.subject_id,
+    subject_code: subject.subject_code,
+    eligible: blockedBy.length === 0 || Boolean(override),
+    overridden: blockedBy.length > 0 && Boolean(override),
+    override_id: override?.override_id || null,
+    blocked_by: blockedBy,
+  };
+}
+
+/**
+ * Evaluate a set of subjects taken together. A co-requisite only counts if
+ * it can itself be taken, so blocked subjects are dropped from the set until
+ * the result settles. Ids outside the student's curriculum come back blocked
+ * with rule "not_in_curriculum".
+ */
+function evaluateSubjects(context, subject_ids) {
+  let offered = subject_ids;
+  let results = evaluateOffered(context, subject_ids, offered);
+
+  while (results.some((r) => !r.eligible && offered.some((id) => String(id) === String(r.subject_id)))) {
+    const blocked = new Set(results.filter((r) => !r.eligible).map((r) => String(r.subject_id)));
+    offered = offered.filter((id) => !blocked.has(String(id)));
+    results = evaluateOffered(context, subject_ids, offered);
+  }
+  return results;
+}
+
+function evaluateOffered(context, subject_ids, offered) {
+  return subject_ids.map((subject_id) => {
+    const subject = context.subjectsById.get(String(subject_id));
+    if (!subject) {
+      return {
+        subject_id,
+        subject_code: null,
+        eligible: false,
+        overridden: false,
+        override_id: null,
+        blocked_by: [
+          {
+            rule: RULES.NOT_IN_CURRICULUM,
+            message: "Subject is not part of the student's curriculum",
+          },
+        ],
+      };
+    }
+    return evaluateSubject(subject, context, offered);
+  });
+}
+
+/**
+ * Per-subject eligibility for a term. Without `subject_ids`, the
+ * curriculum's subjects for the year standing and term are checked.
+ *
+ * @returns {{ student_id, curriculum_id, year_standing, can_enroll, subjects,
+ *             eligible_subject_ids, blocked_subject_ids }}
+ */
+async function checkEligibility(
+  supabase,
+  logger,
+  student,
+  { semester_id, subject_ids = null, year_standing = null }
+) {
+  const context = await buildContext(supabase, logger, student, { semester_id, year_standing });
+
+  let ids = subject_ids;
+  if (!ids || ids.length === 0) {
+    const { data: semester, error } = await supabase
+      .from("semesters")
+      .select("semester_id, semester_name")
+      .eq("semester_id", semester_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!semester) throw new PrerequisiteError("Semester not found", 404);
+
+    ids = curriculum
+      .subjectsForTerm(context.subjects, { year_level: context.year_standing, semester })
+      .filter((subject) => !context.passed.has(String(subject.subject_id)))
+      .map((subject) => subject.subject_id);
+  }
+
+  const subjects = evaluateSubjects(context, ids);
+
+  return {
+    student_id: student.student_id,
+    curriculum_id: context.curriculum?.curriculum_id || null,
+    year_standing: context.year_standing,
+    can_enroll: subjects.some((s) => s.eligible),
+    subjects,
+    eligible_subject_ids: subjects.filter((s) => s.eligible).map((s) => s.subject_id),
+    blocked_subject_ids: subjects.filter((s) => !s.eligible).map((s) => s.subject_id),
+  };
+}
+
+/**
+ * Record a chair's consent for a student to take a subject despite unmet
+ * requisites.
+ */
+async function grantOverride(supabase, logger, { student_id, subject_id, semester_id, reason, approved_by }, user) {
+  if (!student_id || !subject_id) {
+    throw new PrerequisiteError("student_id and subject_id are required");
+  }
+  if (!reason || !approved_by) {
+    throw new PrerequisiteError("reason and approved_by (the consenting chair) are required");
+  }
+
+  await getStudent(supabase, student_id);
+
+  const existing = await getActiveOverrides(supabase, student_id, semester_id || null);
+  if (existing.some((o) => String(o.subject_id) === String(subject_id))) {
+    throw new PrerequisiteError("An active override already exists for this subject", 409);
+  }
+
+  const { data, error } = await supabase
+    .from("requisite_overrides")
+    .insert([
+      {
+        student_id,
+        subject_id,
+        semester_id: semester_id || null,
+        reason,
+        approved_by,
+        granted_by: user.user_id,
+        granted_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info("Requisite override granted", {
+    override_id: data.override_id,
+    student_id,
+    subject_id,
+    approved_by,
+    granted_by: user.user_id,
+  });
+  return data;
+}
+
+async function revokeOverride(supabase, logger, override_id, user) {
+  const { data, error } = await supabase
+    .from("requisite_overrides")
+    .update({ revoked_at: new Date().toISOString(), revoked_by: user.user_id })
+    .eq("override_id", override_id)
+    .is("revoked_at", null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new PrerequisiteError("Active override not found", 404);
+
+  logger.info("Requisite override revoked", { override_id, revoked_by: user.user_id });
+  return data;
+}
+
+module.exports = {
+  RULES,
+  PrerequisiteError,
+  getStudent,
+  getAcademicRecord,
+  getActiveOverrides,
+  buildContext,
+  evaluateSubject,
+  evaluateSubjects,
+  checkEligibility,
+  grantOverride,
+  revokeOverride,
+};
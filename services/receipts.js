@@ -0,0 +1,481 @@
+// services/receipts.js
+//
+// Official receipts (OR) and statements of account.
+//
+// official_receipts: receipt_id, or_number (unique), or_year, or_sequence,
+// payment_id (unique), account_id, student_id, amount, payment_method,
+// reference_no, verification_code, issued_by, issued_at
+//
+// OR numbers run per calendar year without gaps: OR-2026-000001, ... The
+// verification code is an HMAC over the receipt's key fields, so a printed
+// receipt can be checked against the database by the cashier (or by
+// scanning its QR code).
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const ledger = require("./ledger");
+const { getSecret } = require("../config/secrets");
+const { formatDate, peso, drawHeader, drawTable } = require("./pdflayout");
+const { ServiceError } = require("./common");
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
+
+// Payments that were actually received (possibly refunded later)
+const RECEIPTABLE_STATUSES = ["Completed", "Partially Refunded", "Refunded"];
+
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+class ReceiptError extends ServiceError {}
+
+function computeVerificationCode({ or_number, payment_id, amount, issued_at }) {
+  return crypto
+    .createHmac("sha256", getSecret("receipts"))
+    .update(
+      [or_number, payment_id, parseFloat(amount).toFixed(2), new Date(issued_at).toISOString()].join("|")
+    )
+    .digest("hex")
+    .slice(0, 12)
+    .toUpperCase();
+}
+
+// What the QR code on a receipt points to
+function verificationUrl(receipt) {
+  return `${BASE_URL}/api/receipts/verify/${encodeURIComponent(
+    receipt.or_number
+  )}?code=${receipt.verification_code}`;
+}
+
+async function getPaymentDetails(supabase, payment_id) {
+  const { data: payment, error } = await supabase
+    .from("payments")
+    .select(
+      `
+      *,
+      accounts:account_id (
+        account_id,
+        student_id,
+        students ( student_id, first_name, last_name, email, program_id, year_level )
+      )
+    `
+    )
+    .eq("payment_id", payment_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!payment) throw new ReceiptError("Payment not found", 404);
+  return payment;
+}
+
+/**
+ * Issue the official receipt for a payment, or return the one it already has.
+ */
+async function issueReceipt(supabase, logger, payment_id, { issued_by = null } = {}) {
+  const { data: existing, error: existingError } = await supabase
+    .from("official_receipts")
+    .select("*")
+    .eq("payment_id", payment_id)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing) return existing;
+
+  const payment = await getPaymentDetails(supabase, payment_id);
+
+  if (!RECEIPTABLE_STATUSES.includes(payment.status)) {
+    throw new ReceiptError(
+      `No receipt for a payment that is ${payment.status || "not completed"}`,
+      409
+    );
+  }
+
+  const year = new Date().getFullYear();
+
+  // Next number in the year; a unique violation means another receipt took
+  // it first, so read the sequence again and retry
+  for (let attempt = 1; attempt <= MAX_NUMBERING_ATTEMPTS; attempt++) {
+    const { data: last, error: lastError } = await supabase
+      .from("official_receipts")
+      .select("or_sequence")
+      .eq("or_year", year)
+      .order("or_sequence", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (lastError) throw lastError;
+
+    const or_sequence = (last?.or_sequence || 0) + 1;
+    const or_number = `OR-${year}-${String(or_sequence).padStart(6, "0")}`;
+    const issued_at = new Date().toISOString();
+    const amount = parseFloat(payment.amount);
+
+    const { data: receipt, error } = await supabase
+      .from("official_receipts")
+      .insert([
+        {
+          or_number,
+          or_year: year,
+          or_sequence,
+          payment_id: payment.payment_id,
+          account_id: payment.account_id,
+          student_id: payment.accounts?.student_id,
+          amount,
+          payment_method: payment.method,
+          reference_no: payment.reference_no,
+          verification_code: computeVerificationCode({
+            or_number,
+            payment_id: payment.payment_id,
+            amount,
+            issued_at,
+          }),
+          issued_by,
+          issued_at,
+        },
+      ])
+      .select()
+      .single();
+
+    if (!error) {
+      logger.info("Official receipt issued", {
+        or_number,
+        payment_id: payment.payment_id,
+        amount,
+      });
+      return receipt;
+    }
+
+    if (error.code !== "23505") throw error;
+
+    // The payment itself may have been receipted concurrently
+    const { data: raced } = await supabase
+      .from("official_receipts")
+      .select("*")
+      .eq("payment_id", payment_id)
+      .maybeSingle();
+    if (raced) return raced;
+  }
+
+  throw new ReceiptError("Could not allocate an OR number, please retry", 503);
+}
+
+/**
+ * Check a receipt number and code against the database. The code printed on
+ * the receipt is required: a receipt number alone proves nothing.
+ */
+async function verifyReceipt(supabase, or_number, code) {
+  const given = String(code || "").trim().toUpperCase();
+  if (!given) return { valid: false, reason: "missing_code" };
+
+  const { data: receipt, error } = await supabase
+    .from("official_receipts")
+    .select("*, payments:payment_id ( status )")
+    .eq("or_number", or_number)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!receipt) return { valid: false, reason: "unknown_receipt" };
+
+  const expected = computeVerificationCode(receipt);
+  const matchesStored = receipt.verification_code === expected;
+  const matchesGiven =
+    given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+
+  if (!matchesStored) return { valid: false, reason: "tampered_record" };
+  if (!matchesGiven) return { valid: false, reason: "code_mismatch" };
+
+  return {
+    valid: true,
+    receipt: {
+      or_number: receipt.or_number,
+      amount: parseFloat(receipt.amount),
+      student_id: receipt.student_id,
+      payment_id: receipt.payment_id,
+      payment_method: receipt.payment_method,
+      reference_no: receipt.reference_no,
+      issued_at: receipt.issued_at,
+      payment_status: receipt.payments?.status || null,
+    },
+  };
+}
+
+// ============================================
+// STATEMENT OF ACCOUNT
+// ============================================
+/**
+ * Everything billed and paid for a student's enrollment in a semester, with
+ * the running balance taken from the ledger.
+ */
+async function buildStatement(supabase, student_id, semester_id) {
+  const { data: student, error: studentError } = await supabase
+    .from("students")
+    .select("student_id, first_name, last_name, email, program_id, year_level, programs ( program_code, program_name )")
+    .eq("student_id", student_id)
+    .maybeSingle();
+
+  if (studentError) throw studentError;
+  if (!student) throw new ReceiptError("Student not found", 404);
+
+  const { data: enrollment, error: enrollmentError } = await supabase
+    .from("enrollments")
+    .select(
+      `
+      enrollment_id,
+      status,
+      payment_status,
+      semesters ( semester_id, semester_name, school_year ),
+      tuition_schemes ( scheme_name, scheme_type )
+    `
+    )
+    .eq("student_id", student_id)
+    .eq("semester_id", semester_id)
+    .order("enrollment_id", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (enrollmentError) throw enrollmentError;
+  if (!enrollment) {
+    throw new ReceiptError("No enrollment found for this semester", 404);
+  }
+
+  const enrollment_id = enrollment.enrollment_id;
+
+  const [feesResult, installmentsResult, paymentsResult, entries] = await Promise.all([
+    supabase
+      .from("enrollment_fees")
+      .select("fee_id, fee_type, description, amount, is_paid, paid_at")
+      .eq("enrollment_id", enrollment_id)
+      .order("fee_id", { ascending: true }),
+    supabase
+      .from("payment_installments")
+      .select("installment_id, installment_number, amount, due_date, status, paid_at, penalty_amount")
+      .eq("enrollment_id", enrollment_id)
+      .order("installment_number", { ascending: true }),
+    supabase
+      .from("payments")
+      .select(
+        "payment_id, amount, payment_type, method, reference_no, status, payment_date, official_receipts ( or_number )"
+      )
+      .eq("enrollment_id", enrollment_id)
+      .order("payment_id", { ascending: true }),
+    ledger.fetchAll(() =>
+      supabase
+        .from("journal_entries")
+        .select("entry_id, entry_type, debit_account, credit_account, amount, description, created_at")
+        .eq("enrollment_id", enrollment_id)
+        .order("entry_id", { ascending: true })
+    ),
+  ]);
+
+  for (const result of [feesResult, installmentsResult, paymentsResult]) {
+    if (result.error) throw result.error;
+  }
+
+  let running = 0;
+  const activity = entries
+    .map((entry) => {
+      const amount = parseFloat(entry.amount);
+      const effect =
+        (entry.debit_account === ledger.LEDGER_ACCOUNTS.RECEIVABLE ? amount : 0) -
+        (entry.credit_account === ledger.LEDGER_ACCOUNTS.RECEIVABLE ? amount : 0);
+      if (effect === 0) return null;
+      running = Math.round((running + effect) * 100) / 100;
+      return {
+        date: entry.created_at,
+        entry_type: entry.entry_type,
+        description: entry.description,
+        debit: effect > 0 ? effect : 0,
+        credit: effect < 0 ? -effect : 0,
+        balance: running,
+      };
+    })
+    .filter(Boolean);
+
+  // One receipt per payment; PostgREST may embed it as an object or an array
+  const payments = (paymentsResult.data || []).map(({ official_receipts, ...payment }) => {
+    const receipt = Array.isArray(official_receipts) ? official_receipts[0] : official_receipts;
+    return { ...payment, or_number: receipt?.or_number || null };
+  });
+
+  return {
+    student,
+    semester: enrollment.semesters,
+    enrollment: {
+      enrollment_id,
+      status: enrollment.status,
+      payment_status: enrollment.payment_status,
+      scheme: enrollment.tuition_schemes,
+    },
+    fees: feesResult.data || [],
+    installments: installmentsResult.data || [],
+    payments,
+    activity,
+    totals: {
+      charges: Math.round(activity.reduce((s, l) => s + l.debit, 0) * 100) / 100,
+      credits: Math.round(activity.reduce((s, l) => s + l.credit, 0) * 100) / 100,
+      balance: running,
+    },
+    generated_at: new Date().toISOString(),
+  };
+}
+
+// ============================================
+// PDF RENDERING
+// ============================================
+/**
+ * Render an official receipt as a PDF into `stream`.
+ */
+async function renderReceiptPdf(stream, receipt, payment) {
+  const student = payment.accounts?.students || {};
+  const qr = await QRCode.toBuffer(verificationUrl(receipt), { margin: 1, width: 110 });
+
+  const doc = new PDFDocument({ size: "A5", margin: 40 });
+  doc.pipe(stream);
+
+  drawHeader(doc, "OFFICIAL RECEIPT");
+
+  doc.fontSize(11).text(`OR No.: ${receipt.or_number}`, { align: "right" });
+  doc.fontSize(9).text(`Date: ${formatDate(receipt.issued_at)}`, { align: "right" });
+  doc.moveDown();
+
+  doc.fontSize(10);
+  doc.text(`Received from: ${student.first_name || ""} ${student.last_name || ""}`);
+  doc.text(`Student ID: ${receipt.student_id || "-"}`);
+  doc.moveDown(0.5);
+  doc.text(`Amount: ${peso(receipt.amount)}`);
+  doc.text(`For: ${payment.description || payment.payment_type || "Payment"}`);
+  doc.text(`Payment method: ${receipt.payment_method || "N/A"}`);
+  doc.text(`Reference no.: ${receipt.reference_no || "N/A"}`);
+  if (payment.status !== "Completed") {
+    doc.moveDown(0.5).fillColor("red").text(`Status: ${payment.status}`).fillColor("black");
+  }
+
+  const qrY = doc.y + 15;
+  doc.image(qr, doc.page.margins.left, qrY, { width: 90 });
+  doc
+    .fontSize(8)
+    .text(`Verification code: ${receipt.verification_code}`, doc.page.margins.left + 100, qrY + 20)
+    .text("Scan the code or present this receipt to the cashier to verify.", {
+      width: 200,
+    });
+
+  doc.fontSize(7).text("This is a computer-generated official receipt.", doc.page.margins.left, qrY + 105, {
+    align: "center",
+  });
+
+  doc.end();
+}
+
+/**
+ * Render a statement of account (from buildStatement) as a PDF into `stream`.
+ */
+function renderStatementPdf(stream, statement) {
+  const { student, semester, enrollment } = statement;
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(stream);
+
+  drawHeader(doc, "STATEMENT OF ACCOUNT");
+
+  doc.fontSize(10);
+  doc.text(`Student: ${student.first_name} ${student.last_name} (${student.student_id})`);
+  doc.text(
+    `Program: ${student.programs?.program_code || "-"}   Year level: ${student.year_level || "-"}`
+  );
+  doc.text(`Semester: ${semester?.semester_name || "-"} ${semester?.school_year || ""}`);
+  doc.text(`Payment scheme: ${enrollment.scheme?.scheme_name || "-"}`);
+  doc.text(`Generated: ${formatDate(statement.generated_at)}`);
+  doc.moveDown();
+
+  doc.fontSize(12).text("Assessment");
+  drawTable(
+    doc,
+    [
+      { label: "Fee", width: 120 },
+      { label: "Description", width: 230 },
+      { label: "Amount", width: 90, align: "right" },
+      { label: "Paid", width: 75, align: "center" },
+    ],
+    statement.fees.map((fee) => [
+      fee.fee_type,
+      fee.description,
+      peso(fee.amount),
+      fee.is_paid ? "Yes" : "No",
+    ])
+  );
+
+  if (statement.installments.length > 0) {
+    doc.fontSize(12).text("Installment Schedule");
+    drawTable(
+      doc,
+      [
+        { label: "#", width: 40 },
+        { label: "Due date", width: 110 },
+        { label: "Amount", width: 110, align: "right" },
+        { label: "Penalty", width: 100, align: "right" },
+        { label: "Status", width: 155 },
+      ],
+      statement.installments.map((inst) => [
+        inst.installment_number,
+        formatDate(inst.due_date),
+        peso(inst.amount),
+        peso(inst.penalty_amount),
+        inst.status,
+      ])
+    );
+  }
+
+  doc.fontSize(12).text("Payments");
+  drawTable(
+    doc,
+    [
+      { label: "Date", width: 80 },
+      { label: "OR No.", width: 110 },
+      { label: "Type", width: 100 },
+      { label: "Method", width: 80 },
+      { label: "Amount", width: 80, align: "right" },
+      { label: "Status", width: 65 },
+    ],
+    statement.payments.map((payment) => [
+      formatDate(payment.payment_date),
+      payment.or_number || "-",
+      payment.payment_type,
+      payment.method || "-",
+      peso(payment.amount),
+      payment.status,
+    ])
+  );
+
+  doc.fontSize(12).text("Account Activity");
+  drawTable(
+    doc,
+    [
+      { label: "Date", width: 75 },
+      { label: "Description", width: 200 },
+      { label: "Charges", width: 80, align: "right" },
+      { label: "Credits", width: 80, align: "right" },
+      { label: "Balance", width: 80, align: "right" },
+    ],
+    statement.activity.map((line) => [
+      formatDate(line.date),
+      line.description,
+      line.debit ? peso(line.debit) : "",
+      line.credit ? peso(line.credit) : "",
+      peso(line.balance),
+    ])
+  );
+
+  doc.fontSize(11).text(`Balance due: ${peso(statement.totals.balance)}`, { align: "right" });
+  doc.moveDown(2);
+  doc.fontSize(7).text("This is a computer-generated statement of account.", { align: "center" });
+
+  doc.end();
+}
+
+module.exports = {
+  ReceiptError,
+  getPaymentDetails,
+  issueReceipt,
+  verifyReceipt,
+  buildStatement,
+  renderReceiptPdf,
+  renderStatementPdf,
+};
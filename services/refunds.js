@@ -0,0 +1,452 @@
+// services/refunds.js
+//
+// Refund workflow for completed payments:
+//   requested --(cashier approves)--> processing --> completed | failed
+//   requested --(cashier rejects)---> rejected
+//
+// refunds: refund_id, payment_id, account_id, amount, reason, status,
+// requested_by, requested_at, reviewed_by, reviewed_at, review_notes,
+// provider_refund_id, provider_status, failure_reason, completed_at
+//
+// payments.refund_reserved holds the total of the payment's active refunds
+// (null until its first refund under this scheme). It only changes through
+// a compare-and-set update, so concurrent requests cannot reserve more than
+// was paid.
+//
+// The provider's answer is stored on the refund as soon as it arrives. If a
+// later step fails the refund stays "processing" with a provider_refund_id
+// and POST /api/refunds/:refund_id/resume finishes it.
+const { getPaymentProvider } = require("./paymentprovider");
+const ledger = require("./ledger");
+const notifications = require("./notifications");
+const { ServiceError, roundMoney } = require("./common");
+
+const { FEE_PAYMENT_TYPES, INSTALLMENT_PAYMENT_TYPES } = ledger;
+
+// Refunds that count against the refundable amount of a payment
+const ACTIVE_REFUND_STATUSES = ["requested", "processing", "completed"];
+
+class RefundError extends ServiceError {}
+
+async function getPaymentWithAccount(supabase, payment_id) {
+  const { data: payment, error } = await supabase
+    .from("payments")
+    .select(
+      "*, accounts:account_id ( account_id, student_id, total_balance )"
+    )
+    .eq("payment_id", payment_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!payment) throw new RefundError("Payment not found", 404);
+  return payment;
+}
+
+/**
+ * Sum of a payment's refunds in the given statuses (default: pending or done).
+ */
+async function getRefundTotal(supabase, payment_id, statuses = ACTIVE_REFUND_STATUSES) {
+  const { data, error } = await supabase
+    .from("refunds")
+    .select("refund_id, amount")
+    .eq("payment_id", payment_id)
+    .in("status", statuses);
+
+  if (error) throw error;
+
+  return roundMoney(
+    (data || []).reduce((sum, refund) => sum + parseFloat(refund.amount), 0)
+  );
+}
+
+const RESERVE_ATTEMPTS = 3;
+
+/**
+ * Move payments.refund_reserved by `change` if nobody else moved it since it
+ * was read. `decide(reserved, tracked)` returns the change to apply, or
+ * throws; untracked payments start from the total of their active refunds.
+ * @returns {number} The change that was applied
+ */
+async function updateReservation(supabase, payment_id, decide) {
+  for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt++) {
+    const { data: payment, error } = await supabase
+      .from("payments")
+      .select("payment_id, refund_reserved")
+      .eq("payment_id", payment_id)
+      .single();
+
+    if (error) throw error;
+
+    const tracked = payment.refund_reserved !== null && payment.refund_reserved !== undefined;
+    const reserved = tracked
+      ? roundMoney(parseFloat(payment.refund_reserved))
+      : await getRefundTotal(supabase, payment_id);
+    const change = decide(reserved, tracked);
+
+    let query = supabase
+      .from("payments")
+      .update({ refund_reserved: roundMoney(Math.max(reserved + change, 0)) })
+      .eq("payment_id", payment_id);
+    query = tracked
+      ? query.eq("refund_reserved", payment.refund_reserved)
+      : query.is("refund_reserved", null);
+
+    const { data: updated, error: updateError } = await query.select("payment_id");
+    if (updateError) throw updateError;
+    if (updated.length > 0) return change;
+  }
+
+  throw new RefundError("The payment was changed by another request; try again", 409);
+}
+
+// Give back the reservation of a refund that was rejected or failed. An
+// untracked total is counted from active refunds, which no longer include it.
+function releaseReservation(supabase, refund) {
+  return updateReservation(supabase, refund.payment_id, (reserved, tracked) =>
+    tracked ? -parseFloat(refund.amount) : 0
+  );
+}
+
+/**
+ * Request a full (amount omitted) or partial refund against a payment.
+ */
+async function requestRefund(supabase, logger, { payment_id, amount, reason, requested_by }) {
+  if (!reason) throw new RefundError("A reason is required");
+
+  const payment = await getPaymentWithAccount(supabase, payment_id);
+
+  if (!["Completed", "Partially Refunded"].includes(payment.status)) {
+    throw new RefundError(
+      `Only completed payments can be refunded (status: ${payment.status})`
+    );
+  }
+
+  const paid = parseFloat(payment.amount);
+  const refundAmount = await updateReservation(supabase, payment.payment_id, (reserved) => {
+    const refundable = roundMoney(paid - reserved);
+    const requested = roundMoney(amount ? parseFloat(amount) : refundable);
+
+    if (!(requested > 0)) {
+      throw new RefundError("Refund amount must be greater than zero");
+    }
+    if (requested > refundable) {
+      throw new RefundError(
+        `Refund exceeds refundable amount (₱${refundable.toFixed(2)} remaining)`
+      );
+    }
+    return requested;
+  });
+
+  const { data: refund, error } = await supabase
+    .from("refunds")
+    .insert([
+      {
+        payment_id: payment.payment_id,
+        account_id: payment.account_id,
+        amount: refundAmount,
+        reason,
+        status: "requested",
+        requested_by,
+        requested_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    await releaseReservation(supabase, { payment_id: payment.payment_id, amount: refundAmount });
+    throw error;
+  }
+
+  logger.info("Refund requested", {
+    refund_id: refund.refund_id,
+    payment_id,
+    amount: refundAmount,
+  });
+
+  return refund;
+}
+
+/**
+ * Put the fees / installments this payment settled back to unpaid after a
+ * full refund. Fees paid by other payments stay paid.
+ */
+async function restorePaymentObligations(supabase, logger, payment) {
+  if (!payment.enrollment_id) return;
+
+  if (FEE_PAYMENT_TYPES.includes(payment.payment_type)) {
+    const { data: restored, error } = await supabase
+      .from("enrollment_fees")
+      .update({ is_paid: false, paid_at: null, payment_id: null })
+      .eq("enrollment_id", payment.enrollment_id)
+      .eq("payment_id", payment.payment_id)
+      .select("fee_id");
+    if (error) throw error;
+
+    // Fees settled before enrollment_fees.payment_id existed: only the
+    // Downpayment fee of a downpayment can be attributed safely
+    if (restored.length === 0 && payment.payment_type === "downpayment") {
+      const { error: legacyError } = await supabase
+        .from("enrollment_fees")
+        .update({ is_paid: false, paid_at: null })
+        .eq("enrollment_id", payment.enrollment_id)
+        .eq("fee_type", "Downpayment")
+        .eq("is_paid", true)
+        .is("payment_id", null);
+      if (legacyError) throw legacyError;
+    } else if (restored.length === 0) {
+      logger.warn("No fees are linked to the refunded payment; fees left as they are", {
+        payment_id: payment.payment_id,
+        enrollment_id: payment.enrollment_id,
+      });
+    }
+  }
+
+  if (INSTALLMENT_PAYMENT_TYPES.includes(payment.payment_type)) {
+    const { error } = await supabase
+      .from("payment_installments")
+      .update({ status: "pending", paid_at: null, payment_id: null })
+      .eq("payment_id", payment.payment_id);
+    if (error) throw error;
+  }
+}
+
+async function notifyStudent(supabase, logger, student_id, refund, payment) {
+  try {
+    await notifications.notify(supabase, logger, {
+      template: "refund_processed",
+      channels: ["in_app", "email"],
+      to: { student_id },
+      variables: {
+        amount: parseFloat(refund.amount).toFixed(2),
+        payment_id: payment.payment_id,
+        reason: refund.reason,
+      },
+      dedupe_key: `refund:${refund.refund_id}`,
+    });
+  } catch (err) {
+    logger.warn("Failed to notify student about refund", {
+      refund_id: refund.refund_id,
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Cashier approval: refund through the provider, then finish the refund.
+ */
+async function approveRefund(supabase, logger, refund_id, { reviewed_by, notes } = {}) {
+  // Claim the refund so a double click cannot refund twice
+  const { data: refund, error: claimError } = await supabase
+    .from("refunds")
+    .update({
+      status: "processing",
+      reviewed_by,
+      reviewed_at: new Date().toISOString(),
+      review_notes: notes || null,
+    })
+    .eq("refund_id", refund_id)
+    .eq("status", "requested")
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!refund) {
+    throw new RefundError("Refund not found or no longer awaiting approval", 409);
+  }
+
+  const payment = await getPaymentWithAccount(supabase, refund.payment_id);
+  const provider = getPaymentProvider();
+
+  let providerRefund;
+  try {
+    providerRefund = await provider.refund({
+      payment_reference: payment.reference_no,
+      amount: parseFloat(refund.amount),
+      reason: "requested_by_customer",
+      notes: refund.reason,
+    });
+  } catch (err) {
+    const failure_reason =
+      err.response?.data?.errors?.[0]?.detail || err.message;
+
+    await supabase
+      .from("refunds")
+      .update({ status: "failed", failure_reason })
+      .eq("refund_id", refund_id);
+    await releaseReservation(supabase, refund);
+
+    logger.error("Provider refund failed", { refund_id, error: failure_reason });
+    throw new RefundError(`Payment provider refused the refund: ${failure_reason}`, 502);
+  }
+
+  // Record the money movement before anything else can fail
+  const { data: recorded, error: recordError } = await supabase
+    .from("refunds")
+    .update({
+      provider_refund_id: providerRefund.id,
+      provider_status: providerRefund.status,
+    })
+    .eq("refund_id", refund_id)
+    .select()
+    .single();
+
+  if (recordError) {
+    logger.error("Provider refund succeeded but could not be recorded", {
+      refund_id,
+      provider_refund_id: providerRefund.id,
+      error: recordError.message,
+    });
+    throw recordError;
+  }
+
+  return finishRefund(supabase, logger, recorded, payment, { reviewed_by, provider: provider.name });
+}
+
+/**
+ * Finish a refund the provider has paid out: journal the reversal, restore
+ * fees/installments on a full refund, complete it and notify the student.
+ * Every step is idempotent, so it can run again after a failure.
+ */
+async function finishRefund(supabase, logger, refund, payment, { reviewed_by, provider }) {
+  // Reversing ledger entry (also writes the account_transactions row)
+  await ledger.postRefund(supabase, logger, {
+    account_id: payment.account_id,
+    amount: parseFloat(refund.amount),
+    description: `Refund #${refund.refund_id} of payment #${payment.payment_id} - ${refund.reason}`,
+    enrollment_id: payment.enrollment_id,
+    payment_id: payment.payment_id,
+    reference: `refund:${refund.refund_id}`,
+    created_by: reviewed_by,
+  });
+
+  // This refund is still "processing" at this point
+  const refundedTotal = await getRefundTotal(supabase, payment.payment_id, [
+    "processing",
+    "completed",
+  ]);
+  const isFullRefund = refundedTotal >= parseFloat(payment.amount) - 0.01;
+
+  if (isFullRefund) {
+    await restorePaymentObligations(supabase, logger, payment);
+  }
+
+  const { error: paymentError } = await supabase
+    .from("payments")
+    .update({ status: isFullRefund ? "Refunded" : "Partially Refunded" })
+    .eq("payment_id", payment.payment_id);
+
+  if (paymentError) throw paymentError;
+
+  const { data: completed, error: completeError } = await supabase
+    .from("refunds")
+    .update({
+      status: "completed",
+      completed_at: new Date().toISOString(),
+    })
+    .eq("refund_id", refund.refund_id)
+    .select()
+    .single();
+
+  if (completeError) throw completeError;
+
+  await notifyStudent(supabase, logger, payment.accounts?.student_id, refund, payment);
+
+  logger.info("Refund completed", {
+    refund_id: refund.refund_id,
+    payment_id: payment.payment_id,
+    amount: refund.amount,
+    full_refund: isFullRefund,
+    provider,
+  });
+
+  return {
+    refund: completed,
+    full_refund: isFullRefund,
+    balance_after: await ledger.getDerivedBalance(supabase, payment.account_id),
+  };
+}
+
+/**
+ * Finish a refund left in "processing". Needs the provider's refund id: the
+ * one recorded at approval, or - if the app stopped before recording it -
+ * the one the cashier looked up with the provider.
+ */
+async function resumeRefund(supabase, logger, refund_id, { reviewed_by, provider_refund_id } = {}) {
+  const { data: refund, error } = await supabase
+    .from("refunds")
+    .select("*")
+    .eq("refund_id", refund_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!refund) throw new RefundError("Refund not found", 404);
+  if (refund.status !== "processing") {
+    throw new RefundError(`Only processing refunds can be resumed (status: ${refund.status})`, 409);
+  }
+
+  let resumable = refund;
+  if (!refund.provider_refund_id) {
+    if (!provider_refund_id) {
+      throw new RefundError(
+        "No provider refund is recorded; check the payment provider and pass its provider_refund_id",
+        409
+      );
+    }
+
+    const { data: recorded, error: recordError } = await supabase
+      .from("refunds")
+      .update({ provider_refund_id, provider_status: "succeeded" })
+      .eq("refund_id", refund_id)
+      .eq("status", "processing")
+      .select()
+      .single();
+
+    if (recordError) throw recordError;
+    resumable = recorded;
+  }
+
+  logger.info("Resuming refund", { refund_id, provider_refund_id: resumable.provider_refund_id, reviewed_by });
+
+  const payment = await getPaymentWithAccount(supabase, refund.payment_id);
+  return finishRefund(supabase, logger, resumable, payment, {
+    reviewed_by: refund.reviewed_by || reviewed_by,
+    provider: getPaymentProvider().name,
+  });
+}
+
+async function rejectRefund(supabase, logger, refund_id, { reviewed_by, notes }) {
+  if (!notes) throw new RefundError("A rejection reason is required");
+
+  const { data: refund, error } = await supabase
+    .from("refunds")
+    .update({
+      status: "rejected",
+      reviewed_by,
+      reviewed_at: new Date().toISOString(),
+      review_notes: notes,
+    })
+    .eq("refund_id", refund_id)
+    .eq("status", "requested")
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!refund) {
+    throw new RefundError("Refund not found or no longer awaiting approval", 409);
+  }
+
+  await releaseReservation(supabase, refund);
+
+  logger.info("Refund rejected", { refund_id, reviewed_by });
+  return refund;
+}
+
+module.exports = {
+  RefundError,
+  getPaymentWithAccount,
+  requestRefund,
+  approveRefund,
+  resumeRefund,
+  rejectRefund,
+};
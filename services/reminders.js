@@ -0,0 +1,387 @@
+// services/reminders.js
+//
+// Installment reminders driven by rules instead of a fixed weekly query.
+// Each rule fires a set number of days before, on, or after an
+// installment's due date; every installment gets each rule at most once.
+//
+// reminder_rules: rule_id, code (unique), name, timing (before | on |
+// after), days, template_key, channels (text[]), is_active, created_by,
+// created_at
+//
+// reminder_runs: run_id, semester_id, as_of, dry_run, triggered_by,
+// started_at, finished_at, planned, sent, failed, summary (jsonb)
+//
+// reminder_sends: send_id, run_id, rule_code, installment_id, student_id,
+// status (sent | queued | failed), error, sent_at
+// (unique per rule_code and installment_id)
+//
+// Runs target the semester of the active enrollment period (or the most
+// recent period when none is open). A rule still fires up to
+// CATCH_UP_DAYS late, so a missed cron day does not drop reminders; a
+// failed send is retried by the runs inside that window too.
+const ledger = require("./ledger");
+const notifications = require("./notifications");
+const { ServiceError, toDateString } = require("./common");
+
+const TIMINGS = ["before", "on", "after"];
+const CATCH_UP_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily run time (24h, server time)
+const REMINDER_TIME = process.env.REMINDER_TIME || "09:00";
+
+// Used when no rules have been saved yet
+const DEFAULT_RULES = [
+  {
+    code: "due-in-7-days",
+    name: "Due in 7 days",
+    timing: "before",
+    days: 7,
+    template_key: "payment_reminder",
+    channels: ["email", "in_app"],
+  },
+  {
+    code: "due-today",
+    name: "Due today",
+    timing: "on",
+    days: 0,
+    template_key: "payment_reminder",
+    channels: ["email", "in_app"],
+  },
+];
+
+const INSTALLMENT_PERIODS = {
+  1: "Prelim",
+  2: "Midterms",
+  3: "Semi-Finals",
+  4: "Finals",
+};
+
+class ReminderError extends ServiceError {}
+
+const addDays = (dateString, days) =>
+  toDateString(new Date(Date.parse(dateString) + days * DAY_MS));
+
+// Signed offset of the rule's fire date from the due date
+function ruleOffset(rule) {
+  if (rule.timing === "before") return -rule.days;
+  if (rule.timing === "after") return rule.days;
+  return 0;
+}
+
+/**
+ * Semester of the active enrollment period, else of the latest period.
+ */
+async function resolveTargetSemester(supabase) {
+  const { data: active, error } = await supabase
+    .from("enrollment_periods")
+    .select("semester_id")
+    .eq("is_active", true)
+    .order("enrollment_start_date", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (active) return active.semester_id;
+
+  const { data: latest, error: latestError } = await supabase
+    .from("enrollment_periods")
+    .select("semester_id")
+    .order("enrollment_start_date", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+  return latest?.semester_id || null;
+}
+
+async function getActiveRules(supabase) {
+  const { data, error } = await supabase
+    .from("reminder_rules")
+    .select("*")
+    .eq("is_active", true)
+    .order("rule_id", { ascending: true });
+
+  if (error) throw error;
+  return data && data.length > 0 ? data : DEFAULT_RULES;
+}
+
+// Pending installments of the semester that any rule could fire for
+// between `from` and `to`
+async function fetchCandidates(supabase, semester_id, rules, from, to) {
+  const offsets = rules.map(ruleOffset);
+  const earliestDue = addDays(from, -Math.max(...offsets) - CATCH_UP_DAYS);
+  const latestDue = addDays(to, -Math.min(...offsets));
+
+  return ledger.fetchAll(() =>
+    supabase
+      .from("payment_installments")
+      .select(
+        `
+        installment_id,
+        installment_number,
+        amount,
+        due_date,
+        status,
+        enrollments!inner (
+          enrollment_id,
+          semester_id,
+          students ( student_id, first_name, last_name, email )
+        )
+      `
+      )
+      .eq("status", "pending")
+      .eq("enrollments.semester_id", semester_id)
+      .gte("due_date", earliestDue)
+      .lte("due_date", latestDue)
+      .order("installment_id", { ascending: true })
+  );
+}
+
+// Sends that went out or are queued; failed ones are tried again
+async function fetchSentKeys(supabase, installmentIds) {
+  const sent = new Set();
+  // Keep the IN list short enough for the query string
+  for (let i = 0; i < installmentIds.length; i += 200) {
+    const { data, error } = await supabase
+      .from("reminder_sends")
+      .select("rule_code, installment_id")
+      .in("installment_id", installmentIds.slice(i, i + 200))
+      .neq("status", "failed");
+
+    if (error) throw error;
+    for (const send of data) sent.add(`${send.rule_code}:${send.installment_id}`);
+  }
+  return sent;
+}
+
+/**
+ * Which reminders are due on a date. `sentKeys` ("<rule_code>:<installment_id>")
+ * is updated so a multi-day preview does not plan a send twice.
+ */
+function planReminders(rules, installments, day, sentKeys) {
+  const planned = [];
+
+  for (const installment of installments) {
+    for (const rule of rules) {
+      const key = `${rule.code}:${installment.installment_id}`;
+      if (sentKeys.has(key)) continue;
+
+      const fireDate = addDays(installment.due_date, ruleOffset(rule));
+      const lateBy = (Date.parse(day) - Date.parse(fireDate)) / DAY_MS;
+      if (lateBy < 0 || lateBy > CATCH_UP_DAYS) continue;
+      // A "before" reminder is pointless once the due date has passed
+      if (rule.timing === "before" && day > installment.due_date) continue;
+
+      sentKeys.add(key);
+      planned.push({
+        rule_code: rule.code,
+        rule_name: rule.name,
+        installment_id: installment.installment_id,
+        installment_number: installment.installment_number,
+        due_date: installment.due_date,
+        amount: parseFloat(installment.amount),
+        student_id: installment.enrollments.students?.student_id,
+        student_name: installment.enrollments.students
+          ? `${installment.enrollments.students.first_name} ${installment.enrollments.students.last_name}`
+          : null,
+        rule,
+        installment,
+      });
+    }
+  }
+
+  return planned;
+}
+
+// Strip the raw rows before returning a plan to a client
+const summarizePlan = (planned) =>
+  planned.map(({ rule, installment, ...send }) => send);
+
+function reminderVariables(rule, installment) {
+  const period =
+    INSTALLMENT_PERIODS[installment.installment_number] ||
+    `Installment ${installment.installment_number}`;
+  const amount = parseFloat(installment.amount).toFixed(2);
+  const dueDate = new Date(installment.due_date).toLocaleDateString();
+
+  return {
+    period,
+    amount,
+    due_date: dueDate,
+    days: rule.days,
+    title: rule.timing === "after" ? `${period} Payment Overdue` : `${period} Payment Reminder`,
+    message:
+      rule.timing === "after"
+        ? `Your ${period} installment of ₱${amount} was due on ${dueDate}.`
+        : `Your ${period} installment of ₱${amount} is due on ${dueDate}.`,
+    warning: "",
+  };
+}
+
+/**
+ * Reminders the scheduler would send over the next `days` days.
+ */
+async function previewUpcoming(supabase, { days = 7, semester_id = null, from = new Date() } = {}) {
+  const semester = semester_id || (await resolveTargetSemester(supabase));
+  if (!semester) return { semester_id: null, run_time: REMINDER_TIME, runs: [] };
+
+  const rules = await getActiveRules(supabase);
+  const start = toDateString(from);
+  const end = addDays(start, days - 1);
+  const installments = await fetchCandidates(supabase, semester, rules, start, end);
+  const sentKeys = await fetchSentKeys(
+    supabase,
+    installments.map((installment) => installment.installment_id)
+  );
+
+  const runs = [];
+  for (let i = 0; i < days; i++) {
+    const day = addDays(start, i);
+    const planned = planReminders(rules, installments, day, sentKeys);
+    runs.push({ date: day, count: planned.length, reminders: summarizePlan(planned) });
+  }
+
+  return { semester_id: semester, run_time: REMINDER_TIME, runs };
+}
+
+/**
+ * Send (or with dry_run, only plan) the reminders due today and record
+ * the run in reminder_runs.
+ */
+async function runReminders(
+  supabase,
+  logger,
+  { as_of = new Date(), dry_run = false, semester_id = null, triggered_by = null } = {}
+) {
+  const day = toDateString(as_of);
+  const semester = semester_id || (await resolveTargetSemester(supabase));
+  if (!semester) {
+    throw new ReminderError("No enrollment period to take the semester from", 409);
+  }
+
+  const { data: run, error: runError } = await supabase
+    .from("reminder_runs")
+    .insert([
+      {
+        semester_id: semester,
+        as_of: day,
+        dry_run,
+        triggered_by,
+        started_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (runError) throw runError;
+
+  const rules = await getActiveRules(supabase);
+  const installments = await fetchCandidates(supabase, semester, rules, day, day);
+  const sentKeys = await fetchSentKeys(
+    supabase,
+    installments.map((installment) => installment.installment_id)
+  );
+  const planned = planReminders(rules, installments, day, sentKeys);
+
+  const summary = {
+    run_id: run.run_id,
+    semester_id: semester,
+    as_of: day,
+    dry_run,
+    planned: planned.length,
+    sent: 0,
+    failed: 0,
+  };
+
+  if (!dry_run) {
+    for (const send of planned) {
+      let status = "sent";
+      let sendError = null;
+
+      try {
+        const messages = await notifications.notify(supabase, logger, {
+          template: send.rule.template_key || "payment_reminder",
+          channels: send.rule.channels || ["email", "in_app"],
+          to: {
+            student_id: send.installment.enrollments.students?.student_id,
+            email: send.installment.enrollments.students?.email,
+            first_name: send.installment.enrollments.students?.first_name,
+          },
+          variables: reminderVariables(send.rule, send.installment),
+          dedupe_key: `reminder:${send.rule_code}:${send.installment_id}`,
+        });
+
+        // Undelivered messages stay in the outbox for its retries
+        if (messages.some((message) => message.status !== "sent")) status = "queued";
+        summary.sent++;
+      } catch (err) {
+        status = "failed";
+        sendError = err.message;
+        summary.failed++;
+        logger.error("Failed to send installment reminder", {
+          rule_code: send.rule_code,
+          installment_id: send.installment_id,
+          error: err.message,
+        });
+      }
+
+      const record = {
+        run_id: run.run_id,
+        status,
+        error: sendError,
+        sent_at: new Date().toISOString(),
+      };
+      const { error } = await supabase.from("reminder_sends").insert([
+        {
+          ...record,
+          rule_code: send.rule_code,
+          installment_id: send.installment_id,
+          student_id: send.student_id,
+        },
+      ]);
+
+      // Already recorded: a retry of a failed send replaces that record;
+      // otherwise another run recorded this send first
+      if (error && error.code !== "23505") throw error;
+      if (error) {
+        const { error: retryError } = await supabase
+          .from("reminder_sends")
+          .update(record)
+          .eq("rule_code", send.rule_code)
+          .eq("installment_id", send.installment_id)
+          .eq("status", "failed");
+        if (retryError) throw retryError;
+      }
+    }
+  }
+
+  const { error: finishError } = await supabase
+    .from("reminder_runs")
+    .update({
+      finished_at: new Date().toISOString(),
+      planned: summary.planned,
+      sent: summary.sent,
+      failed: summary.failed,
+      summary: { reminders: summarizePlan(planned) },
+    })
+    .eq("run_id", run.run_id);
+
+  if (finishError) throw finishError;
+
+  logger.info("Reminder run finished", summary);
+  return { ...summary, reminders: summarizePlan(planned) };
+}
+
+module.exports = {
+  TIMINGS,
+  REMINDER_TIME,
+  DEFAULT_RULES,
+  INSTALLMENT_PERIODS,
+  ReminderError,
+  resolveTargetSemester,
+  getActiveRules,
+  planReminders,
+  previewUpcoming,
+  runReminders,
+};
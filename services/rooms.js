@@ -0,0 +1,359 @@
+// services/rooms.js
+//
+// Rooms and facilities registry. course_schedules.room used to be free
+// text, so "Rm 101" and "RM101" were two rooms to the conflict checks;
+// schedules now carry room_id and keep `room` as the display name.
+//
+// buildings: building_id, code, name, is_active
+//
+// rooms: room_id, building_id, name, capacity, room_type (lecture |
+// computer_lab | science_lab | gym), is_active
+//
+// room_availability: availability_id, room_id, day_of_week, start_time,
+// end_time. A room without rows is open OPERATING_HOURS on every DAYS day.
+//
+// room_outages: outage_id, room_id, starts_on, ends_on (dates, inclusive),
+// reason, created_by, created_at
+//
+// course_schedules.room_id references rooms; rows from before the registry
+// only have `room` and are matched to a room by normalized name.
+//
+// While the registry is being filled in, schedules may still name a room
+// that is not registered: it is kept as free text (room_id null) and
+// conflict-checked by name. Set REQUIRE_REGISTERED_ROOMS=true once every
+// room in use is registered.
+
+const { ServiceError, toDateString } = require("./common");
+
+const ROOM_TYPES = ["lecture", "computer_lab", "science_lab", "gym"];
+const LAB_ROOM_TYPES = ["computer_lab", "science_lab"];
+
+const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const WEEKDAYS = ["Sunday", ...DAYS];
+
+const OPERATING_HOURS = { start_time: "07:00", end_time: "21:00" };
+
+const REQUIRE_REGISTERED_ROOMS = process.env.REQUIRE_REGISTERED_ROOMS === "true";
+
+const ROOM_SELECT = `
+  room_id, building_id, name, capacity, room_type, is_active,
+  buildings ( building_id, code, name ),
+  room_availability ( availability_id, day_of_week, start_time, end_time ),
+  room_outages ( outage_id, starts_on, ends_on, reason )
+`;
+
+class RoomError extends ServiceError {}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+// "Rm 101", "RM101" and "rm-101" are the same room
+const normalizeRoomName = (name) => String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const toDate = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+
+/**
+ * Validate room fields. With `partial`, only the fields present are checked.
+ */
+function validateRoom(body, { partial = false } = {}) {
+  const room = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) throw new RoomError("name is required");
+    room.name = String(body.name).trim();
+  }
+  if (body.building_id !== undefined || !partial) {
+    if (!body.building_id) throw new RoomError("building_id is required");
+    room.building_id = body.building_id;
+  }
+  if (body.capacity !== undefined || !partial) {
+    const capacity = parseInt(body.capacity);
+    if (isNaN(capacity) || capacity <= 0) throw new RoomError("capacity must be a positive number");
+    room.capacity = capacity;
+  }
+  if (body.room_type !== undefined || !partial) {
+    if (!ROOM_TYPES.includes(body.room_type)) {
+      throw new RoomError(`room_type must be one of: ${ROOM_TYPES.join(", ")}`);
+    }
+    room.room_type = body.room_type;
+  }
+  if (body.is_active !== undefined) room.is_active = Boolean(body.is_active);
+
+  return room;
+}
+
+/**
+ * Weekly windows: [{ day_of_week, start_time, end_time }]
+ */
+function validateAvailability(windows) {
+  if (!Array.isArray(windows)) throw new RoomError("availability must be an array");
+
+  return windows.map((window) => {
+    if (!DAYS.includes(window.day_of_week)) {
+      throw new RoomError(`day_of_week must be one of: ${DAYS.join(", ")}`);
+    }
+    if (!window.start_time || !window.end_time || toMinutes(window.start_time) >= toMinutes(window.end_time)) {
+      throw new RoomError("Each window needs a start_time before its end_time");
+    }
+    return { day_of_week: window.day_of_week, start_time: window.start_time, end_time: window.end_time };
+  });
+}
+
+async function getRoom(supabase, room_id) {
+  const { data, error } = await supabase
+    .from("rooms")
+    .select(ROOM_SELECT)
+    .eq("room_id", room_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new RoomError("Room not found", 404);
+  return data;
+}
+
+async function listRooms(supabase, { building_id, room_type, min_capacity, active } = {}) {
+  let query = supabase.from("rooms").select(ROOM_SELECT).order("name", { ascending: true });
+
+  if (building_id) query = query.eq("building_id", building_id);
+  if (room_type) query = query.eq("room_type", room_type);
+  if (min_capacity) query = query.gte("capacity", parseInt(min_capacity));
+  if (active !== undefined) query = query.eq("is_active", active);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * The registered room a schedule refers to, by room_id or by name.
+ * Throws when the room is inactive, or unknown once registration is
+ * required; until then an unknown name comes back as { room_id: null, name }.
+ */
+async function resolveRoom(supabase, { room_id = null, room = null }) {
+  if (room_id) {
+    const found = await getRoom(supabase, room_id);
+    if (!found.is_active) throw new RoomError(`Room ${found.name} is not active`, 422);
+    return found;
+  }
+
+  if (!room) throw new RoomError("room_id or room is required");
+
+  const rooms = await listRooms(supabase);
+  const matches = rooms.filter((r) => normalizeRoomName(r.name) === normalizeRoomName(room));
+  const found = matches.find((r) => r.is_active) || matches[0];
+  if (found && !found.is_active) throw new RoomError(`Room ${found.name} is not active`, 422);
+  if (found) return found;
+
+  if (REQUIRE_REGISTERED_ROOMS) throw new RoomError(`Room "${room}" is not registered`, 404);
+  return { room_id: null, name: String(room).trim(), registered: false };
+}
+
+function windowsOf(room) {
+  if (room.room_availability?.length) return room.room_availability;
+  return DAYS.map((day_of_week) => ({ day_of_week, ...OPERATING_HOURS }));
+}
+
+// Dates within [from, to] falling on one of `days`; one week is enough to know
+function outageDays(outage, days, semester) {
+  let from = toDate(outage.starts_on);
+  let to = toDate(outage.ends_on);
+  if (semester?.start_date && toDate(semester.start_date) > from) from = toDate(semester.start_date);
+  if (semester?.end_date && toDate(semester.end_date) < to) to = toDate(semester.end_date);
+
+  const hit = [];
+  for (let offset = 0; offset < 7; offset++) {
+    const date = new Date(from);
+    date.setUTCDate(date.getUTCDate() + offset);
+    if (date > to) break;
+
+    const day = WEEKDAYS[date.getUTCDay()];
+    if (days.includes(day)) hit.push(day);
+  }
+  return hit;
+}
+
+/**
+ * Why a room cannot hold a weekly meeting in a semester: outside its
+ * availability windows, or out of service on one of the meeting days.
+ *
+ * @param {Object} room - rooms row with room_availability and room_outages
+ * @param {Object} [semester] - { start_date, end_date }; without it, every
+ *   outage that has not ended yet counts
+ * @returns {Array<{ reason, message, days, outage? }>}
+ */
+function availabilityIssues(room, days, startTime, endTime, semester = null) {
+  const issues = [];
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+
+  const closed = days.filter(
+    (day) =>
+      !windowsOf(room).some(
+        (w) => w.day_of_week === day && toMinutes(w.start_time) <= start && end <= toMinutes(w.end_time)
+      )
+  );
+  if (closed.length > 0) {
+    issues.push({
+      reason: "outside_availability",
+      message: `Room ${room.name} is not available at that time on ${closed.join(", ")}`,
+      days: closed,
+    });
+  }
+
+  const today = toDateString(new Date());
+  for (const outage of room.room_outages || []) {
+    if (!semester && String(outage.ends_on).slice(0, 10) < today) continue;
+    const hit = outageDays(outage, days, semester);
+    if (hit.length === 0) continue;
+    issues.push({
+      reason: "out_of_service",
+      message: `Room ${room.name} is out of service from ${outage.starts_on} to ${outage.ends_on}${
+        outage.reason ? ` (${outage.reason})` : ""
+      }`,
+      days: hit,
+      outage,
+    });
+  }
+
+  return issues;
+}
+
+async function getSemester(supabase, semester_id) {
+  const { data, error } = await supabase
+    .from("semesters")
+    .select("semester_id, semester_name, school_year, start_date, end_date")
+    .eq("semester_id", semester_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new RoomError("Semester not found", 404);
+  return data;
+}
+
+async function getSemesterBookings(supabase, semester_id) {
+  const { data, error } = await supabase
+    .from("course_schedules")
+    .select(
+      `schedule_id, room_id, room, start_time, end_time, program_id, year_level, batch,
+       course_subjects ( subject_code, subject_name ),
+       schedule_day_mapping ( day_of_week )`
+    )
+    .eq("semester_id", semester_id);
+
+  if (error) throw error;
+  return data.map((schedule) => ({
+    schedule_id: schedule.schedule_id,
+    room_id: schedule.room_id,
+    room: schedule.room,
+    subject_code: schedule.course_subjects?.subject_code,
+    subject_name: schedule.course_subjects?.subject_name,
+    program_id: schedule.program_id,
+    year_level: schedule.year_level,
+    batch: schedule.batch,
+    start_time: schedule.start_time,
+    end_time: schedule.end_time,
+    days: schedule.schedule_day_mapping?.map((d) => d.day_of_week) || [],
+  }));
+}
+
+function isBookingFor(booking, room) {
+  if (booking.room_id) return String(booking.room_id) === String(room.room_id);
+  return normalizeRoomName(booking.room) === normalizeRoomName(room.name);
+}
+
+const meetingMinutes = (booking) =>
+  Math.max(0, toMinutes(booking.end_time) - toMinutes(booking.start_time)) * booking.days.length;
+
+/**
+ * Weekly hours booked against weekly hours open, per room. Schedules whose
+ * room matches nothing in the registry are listed under `unmatched`.
+ */
+async function getUtilization(supabase, semester_id, filters = {}) {
+  const semester = await getSemester(supabase, semester_id);
+  const [rooms, bookings] = await Promise.all([
+    listRooms(supabase, { ...filters, active: true }),
+    getSemesterBookings(supabase, semester_id),
+  ]);
+
+  const matched = new Set();
+  const utilization = rooms.map((room) => {
+    const roomBookings = bookings.filter((booking) => isBookingFor(booking, room));
+    roomBookings.forEach((booking) => matched.add(booking.schedule_id));
+
+    const booked = roomBookings.reduce((sum, booking) => sum + meetingMinutes(booking), 0);
+    const open = windowsOf(room).reduce((sum, w) => sum + toMinutes(w.end_time) - toMinutes(w.start_time), 0);
+
+    return {
+      room_id: room.room_id,
+      name: room.name,
+      building: room.buildings?.code || null,
+      room_type: room.room_type,
+      capacity: room.capacity,
+      schedule_count: roomBookings.length,
+      booked_hours: Math.round((booked / 60) * 100) / 100,
+      available_hours: Math.round((open / 60) * 100) / 100,
+      utilization_percent: open > 0 ? Math.round((booked / open) * 10000) / 100 : 0,
+    };
+  });
+
+  return {
+    semester,
+    rooms: utilization,
+    unmatched: filters.building_id || filters.room_type || filters.min_capacity
+      ? []
+      : bookings.filter((booking) => !matched.has(booking.schedule_id)),
+  };
+}
+
+/**
+ * Active rooms that are open, in service and not booked for a time slot.
+ *
+ * @param {Object} slot - { semester_id, day, start_time, end_time,
+ *   min_capacity?, room_type?, building_id? }
+ */
+async function findFreeRooms(supabase, { semester_id, day, start_time, end_time, min_capacity, room_type, building_id }) {
+  if (!DAYS.includes(day)) throw new RoomError(`day must be one of: ${DAYS.join(", ")}`);
+  if (toMinutes(start_time) >= toMinutes(end_time)) {
+    throw new RoomError("start_time must be before end_time");
+  }
+
+  const semester = await getSemester(supabase, semester_id);
+  const [rooms, bookings] = await Promise.all([
+    listRooms(supabase, { building_id, room_type, min_capacity, active: true }),
+    getSemesterBookings(supabase, semester_id),
+  ]);
+
+  const start = toMinutes(start_time);
+  const end = toMinutes(end_time);
+
+  return rooms.filter((room) => {
+    if (availabilityIssues(room, [day], start_time, end_time, semester).length > 0) return false;
+    return !bookings.some(
+      (booking) =>
+        isBookingFor(booking, room) &&
+        booking.days.includes(day) &&
+        toMinutes(booking.start_time) < end &&
+        start < toMinutes(booking.end_time)
+    );
+  });
+}
+
+module.exports = {
+  ROOM_TYPES,
+  LAB_ROOM_TYPES,
+  DAYS,
+  OPERATING_HOURS,
+  RoomError,
+  normalizeRoomName,
+  validateRoom,
+  validateAvailability,
+  getRoom,
+  listRooms,
+  resolveRoom,
+  availabilityIssues,
+  getSemester,
+  getUtilization,
+  findFreeRooms,
+};
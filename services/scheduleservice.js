@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const rooms = require('./rooms');
 
 // Initialize Supabase client directly
 const supabase = createClient(
@@ -6,6 +7,71 @@ const supabase = createClient(
     process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+const CONFLICT_TYPES = ['room', 'teacher', 'section'];
+
+// "8:00", "08:00" and "08:00:00" compare as minutes
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+// Registered rooms compare by room_id, older schedules by normalized name
+const sameRoom = (a, b) => {
+    if (a.room_id && b.room_id) return String(a.room_id) === String(b.room_id);
+    return Boolean(a.room && b.room) && rooms.normalizeRoomName(a.room) === rooms.normalizeRoomName(b.room);
+};
+
+const sameSection = (a, b) =>
+    Boolean(a.program_id) &&
+    String(a.program_id) === String(b.program_id) &&
+    String(a.year_level) === String(b.year_level) &&
+    (!a.batch || !b.batch || String(a.batch) === String(b.batch));
+
+/**
+ * Conflicts between two schedules, one per type they clash on
+ */
+function findScheduleConflicts(candidate, schedule) {
+    const overlappingDays = (candidate.days || []).filter(day => (schedule.days || []).includes(day));
+    if (overlappingDays.length === 0) return [];
+
+    const isOverlapping =
+        toMinutes(candidate.start_time) < toMinutes(schedule.end_time) &&
+        toMinutes(schedule.start_time) < toMinutes(candidate.end_time);
+    if (!isOverlapping) return [];
+
+    const types = [];
+    if (sameRoom(candidate, schedule)) types.push('room');
+    if (candidate.teacher_id && String(candidate.teacher_id) === String(schedule.teacher_id)) types.push('teacher');
+    if (sameSection(candidate, schedule)) types.push('section');
+
+    return types.map(type => ({
+        type,
+        schedule_id: schedule.schedule_id,
+        subject_name: schedule.subject_name,
+        room: schedule.room,
+        room_id: schedule.room_id,
+        teacher_id: schedule.teacher_id,
+        program_id: schedule.program_id,
+        year_level: schedule.year_level,
+        batch: schedule.batch,
+        start_time: schedule.start_time,
+        end_time: schedule.end_time,
+        days: schedule.days,
+        overlapping_days: overlappingDays
+    }));
+}
+
+/**
+ * { room: [...], teacher: [...], section: [...] }
+ */
+function groupConflicts(conflicts) {
+    const grouped = {};
+    CONFLICT_TYPES.forEach(type => {
+        grouped[type] = conflicts.filter(conflict => conflict.type === type);
+    });
+    return grouped;
+}
+
 class ScheduleService {
 
     /**
@@ -34,76 +100,151 @@ class ScheduleService {
 
     /**
      * Check for schedule conflicts
-     * Now includes semester_id to only check conflicts within the same semester
+     * Now includes semester_id to only check conflicts within the same semester.
+     * A schedule conflicts when it overlaps in time and day with another one
+     * that uses the same room, the same teacher or the same section
+     * (program, year level and batch; a schedule without a batch is for the
+     * whole year level). Each conflict carries its `type`: room, teacher or section.
+     * With a roomId, the room's availability windows and out-of-service
+     * periods are checked too; those room conflicts carry a `reason`.
      */
-    async checkConflicts(room, days, startTime, endTime, programId, yearLevel, semesterId, excludeScheduleId = null) {
+    async checkConflicts(room, days, startTime, endTime, programId, yearLevel, semesterId, excludeScheduleId = null, { teacherId = null, batch = null, roomId = null } = {}) {
         try {
-            // Build query to check for overlapping schedules
-            let query = supabase
-                .from('course_schedules')
-                .select(`
-                    schedule_id,
-                    room,
-                    start_time,
-                    end_time,
-                    course_subjects (
-                        subject_name
-                    ),
-                    schedule_day_mapping (
-                        day_of_week
-                    )
-                `)
-                .eq('room', room)
-                .eq('semester_id', semesterId);
-
-            // Exclude current schedule if updating
-            if (excludeScheduleId) {
-                query = query.neq('schedule_id', excludeScheduleId);
-            }
+            const schedules = await this.getSemesterSchedules(semesterId);
+
+            const candidate = {
+                schedule_id: excludeScheduleId,
+                room,
+                room_id: roomId,
+                teacher_id: teacherId,
+                program_id: programId,
+                year_level: yearLevel,
+                batch,
+                start_time: startTime,
+                end_time: endTime,
+                days
+            };
 
-            const { data, error } = await query;
+            const conflicts = [];
+            schedules.forEach(schedule => {
+                if (excludeScheduleId && String(schedule.schedule_id) === String(excludeScheduleId)) return;
+                conflicts.push(...findScheduleConflicts(candidate, schedule));
+            });
 
-            if (error) {
-                console.error('Error checking conflicts:', error);
-                throw error;
+            if (roomId) {
+                const [roomRecord, semester] = await Promise.all([
+                    rooms.getRoom(supabase, roomId),
+                    rooms.getSemester(supabase, semesterId)
+                ]);
+                rooms.availabilityIssues(roomRecord, days, startTime, endTime, semester).forEach(issue => {
+                    conflicts.push({
+                        type: 'room',
+                        reason: issue.reason,
+                        message: issue.message,
+                        room: roomRecord.name,
+                        room_id: roomRecord.room_id,
+                        overlapping_days: issue.days
+                    });
+                });
             }
 
-            // Filter for time and day conflicts
-            const conflicts = [];
-            data.forEach(schedule => {
-                const scheduleDays = schedule.schedule_day_mapping?.map(d => d.day_of_week) || [];
-                const hasOverlappingDays = days.some(day => scheduleDays.includes(day));
-
-                if (hasOverlappingDays) {
-                    // Check time overlap
-                    const existingStart = schedule.start_time;
-                    const existingEnd = schedule.end_time;
+            return conflicts;
+        } catch (error) {
+            console.error('Error in checkConflicts:', error);
+            throw error;
+        }
+    }
 
-                    const isOverlapping = 
-                        (startTime >= existingStart && startTime < existingEnd) ||
-                        (endTime > existingStart && endTime <= existingEnd) ||
-                        (startTime <= existingStart && endTime >= existingEnd);
+    /**
+     * Every pair of clashing schedules in a semester
+     */
+    async auditConflicts(semesterId) {
+        try {
+            const schedules = await this.getSemesterSchedules(semesterId);
 
-                    if (isOverlapping) {
+            const conflicts = [];
+            for (let i = 0; i < schedules.length; i++) {
+                for (let j = i + 1; j < schedules.length; j++) {
+                    findScheduleConflicts(schedules[i], schedules[j]).forEach(conflict => {
                         conflicts.push({
-                            schedule_id: schedule.schedule_id,
-                            subject_name: schedule.course_subjects?.subject_name,
-                            room: schedule.room,
-                            start_time: existingStart,
-                            end_time: existingEnd,
-                            days: scheduleDays
+                            ...conflict,
+                            schedule: {
+                                schedule_id: schedules[i].schedule_id,
+                                subject_name: schedules[i].subject_name,
+                                room: schedules[i].room,
+                                room_id: schedules[i].room_id,
+                                teacher_id: schedules[i].teacher_id,
+                                program_id: schedules[i].program_id,
+                                year_level: schedules[i].year_level,
+                                batch: schedules[i].batch,
+                                start_time: schedules[i].start_time,
+                                end_time: schedules[i].end_time,
+                                days: schedules[i].days
+                            }
                         });
-                    }
+                    });
                 }
-            });
+            }
 
             return conflicts;
         } catch (error) {
-            console.error('Error in checkConflicts:', error);
+            console.error('Error in auditConflicts:', error);
             throw error;
         }
     }
 
+    /**
+     * Schedules of a semester with their days, for conflict checks
+     */
+    async getSemesterSchedules(semesterId) {
+        const { data, error } = await supabase
+            .from('course_schedules')
+            .select(`
+                schedule_id,
+                room,
+                room_id,
+                teacher_id,
+                program_id,
+                year_level,
+                batch,
+                start_time,
+                end_time,
+                course_subjects (
+                    subject_name
+                ),
+                schedule_day_mapping (
+                    day_of_week
+                )
+            `)
+            .eq('semester_id', semesterId);
+
+        if (error) {
+            console.error('Error checking conflicts:', error);
+            throw error;
+        }
+
+        return data.map(schedule => ({
+            schedule_id: schedule.schedule_id,
+            subject_name: schedule.course_subjects?.subject_name,
+            room: schedule.room,
+            room_id: schedule.room_id,
+            teacher_id: schedule.teacher_id,
+            program_id: schedule.program_id,
+            year_level: schedule.year_level,
+            batch: schedule.batch,
+            start_time: schedule.start_time,
+            end_time: schedule.end_time,
+            days: schedule.schedule_day_mapping?.map(d => d.day_of_week) || []
+        }));
+    }
+
+    /**
+     * Registered room a schedule refers to, by id or by name
+     */
+    async resolveRoom(roomId, room) {
+        return rooms.resolveRoom(supabase, { room_id: roomId, room });
+    }
+
     /**
      * Insert schedule (step 1)
      * Now includes semester_id
@@ -127,6 +268,7 @@ class ScheduleService {
                     start_time: scheduleData.startTime,
                     end_time: scheduleData.endTime,
                     room: scheduleData.room,
+                    room_id: scheduleData.roomId || null,
                     teacher_id: scheduleData.teacherId,
                     semester_id: semesterId
                 })
@@ -194,6 +336,7 @@ class ScheduleService {
                     start_time,
                     end_time,
                     room,
+                    room_id,
                     teacher_id,
                     semester_id,
                     semesters (
@@ -241,6 +384,7 @@ class ScheduleService {
                 start_time: data.start_time,
                 end_time: data.end_time,
                 room: data.room,
+                room_id: data.room_id,
                 teacher_id: data.teacher_id,
                 teacher_name: data.teachers
                     ? `${data.teachers.first_name} ${data.teachers.last_name}`
@@ -277,6 +421,7 @@ class ScheduleService {
                     start_time,
                     end_time,
                     room,
+                    room_id,
                     teacher_id,
                     semester_id,
                     semesters (
@@ -297,6 +442,7 @@ class ScheduleService {
             if (filters.programId) query = query.eq('program_id', filters.programId);
             if (filters.yearLevel) query = query.eq('year_level', filters.yearLevel);
             if (filters.room) query = query.eq('room', filters.room);
+            if (filters.roomId) query = query.eq('room_id', filters.roomId);
             if (filters.teacherId) query = query.eq('teacher_id', filters.teacherId);
             if (filters.semesterId) query = query.eq('semester_id', filters.semesterId);
             
@@ -330,6 +476,7 @@ class ScheduleService {
                 start_time: schedule.start_time,
                 end_time: schedule.end_time,
                 room: schedule.room,
+                room_id: schedule.room_id,
                 teacher_id: schedule.teacher_id,
                 teacher_name: schedule.teachers
                     ? `${schedule.teachers.first_name} ${schedule.teachers.last_name}`
@@ -395,6 +542,7 @@ class ScheduleService {
             if (scheduleData.startTime) updateData.start_time = scheduleData.startTime;
             if (scheduleData.endTime) updateData.end_time = scheduleData.endTime;
             if (scheduleData.room) updateData.room = scheduleData.room;
+            if (scheduleData.roomId) updateData.room_id = scheduleData.roomId;
             if (scheduleData.teacherId) updateData.teacher_id = scheduleData.teacherId;
             if (scheduleData.semesterId) updateData.semester_id = scheduleData.semesterId;
 
@@ -451,4 +599,7 @@ class ScheduleService {
     }
 }
 
-module.exports = new ScheduleService();
\ No newline at end of file
+module.exports = new ScheduleService();
+module.exports.CONFLICT_TYPES = CONFLICT_TYPES;
+module.exports.groupConflicts = groupConflicts;
+module.exports.findScheduleConflicts = findScheduleConflicts;
\ No newline at end of file
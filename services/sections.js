@@ -0,0 +1,687 @@
+// services/sections.js
+//
+// Class sections and waitlists. A section is one course_schedules row: a
+// subject taught to a program, year level and batch at a set time. Students
+// are seated in a section when they enroll; when the sections of a subject
+// are full they join a waitlist and are seated, oldest first, as seats free
+// up (a dropped subject or a raised capacity).
+//
+// course_schedules.capacity: seats in the section. Null falls back to the
+// room's capacity (services/rooms.js); with neither the section is unlimited.
+//
+// enrollment_subjects.schedule_id: the section the student sits in. Rows
+// from before sections have none and take no seat.
+//
+// section_waitlist: waitlist_id, schedule_id, enrollment_id, student_id,
+// subject_id, status (waiting | promoted | cancelled), created_at,
+// promoted_at, cancelled_at, cancel_reason
+const notifications = require("./notifications");
+const prerequisites = require("./prerequisites");
+const { ROLES } = require("../middleware/auth");
+const { ServiceError } = require("./common");
+
+const WAITLIST_STATUSES = {
+  WAITING: "waiting",
+  PROMOTED: "promoted",
+  CANCELLED: "cancelled",
+};
+
+// Enrollments whose subjects hold a seat
+const ACTIVE_ENROLLMENT_STATUSES = ["Pending", "Enrolled", "Validated"];
+
+const SECTION_SELECT = `
+  schedule_id, subject_id, program_id, year_level, batch, semester_id,
+  teacher_id, room, room_id, capacity, start_time, end_time,
+  course_subjects ( subject_code, subject_name, units ),
+  rooms ( name, capacity ),
+  teachers ( first_name, last_name ),
+  schedule_day_mapping ( day_of_week )
+`;
+
+class SectionError extends ServiceError {}
+
+const capacityOf = (section) => section.capacity ?? section.rooms?.capacity ?? null;
+
+function formatSection(section, seated = 0, waitlisted = 0) {
+  const capacity = capacityOf(section);
+  return {
+    schedule_id: section.schedule_id,
+    subject_id: section.subject_id,
+    subject_code: section.course_subjects?.subject_code,
+    subject_name: section.course_subjects?.subject_name,
+    program_id: section.program_id,
+    year_level: section.year_level,
+    batch: section.batch,
+    semester_id: section.semester_id,
+    teacher_id: section.teacher_id,
+    teacher_name: section.teachers ? `${section.teachers.first_name} ${section.teachers.last_name}` : null,
+    room: section.room,
+    room_id: section.room_id,
+    days: section.schedule_day_mapping?.map((d) => d.day_of_week) || [],
+    start_time: section.start_time,
+    end_time: section.end_time,
+    capacity,
+    seated,
+    seats_left: capacity === null ? null : Math.max(0, capacity - seated),
+    waitlisted,
+  };
+}
+
+async function getSection(supabase, schedule_id) {
+  const { data, error } = await supabase
+    .from("course_schedules")
+    .select(SECTION_SELECT)
+    .eq("schedule_id", schedule_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new SectionError("Section not found", 404);
+  return data;
+}
+
+// Seated enrollment_subjects rows of the given sections, oldest first
+async function getSeats(supabase, schedule_ids) {
+  if (schedule_ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("enrollment_subjects")
+    .select(
+      `enrollment_subject_id, enrollment_id, subject_id, schedule_id,
+       enrollments!inner ( student_id, status )`
+    )
+    .in("schedule_id", schedule_ids)
+    .eq("status", "Enrolled")
+    .order("enrollment_subject_id", { ascending: true });
+
+  if (error) throw error;
+  return data.filter((row) => ACTIVE_ENROLLMENT_STATUSES.includes(row.enrollments.status));
+}
+
+async function getWaitlist(supabase, schedule_ids) {
+  if (schedule_ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("section_waitlist")
+    .select("*")
+    .in("schedule_id", schedule_ids)
+    .eq("status", WAITLIST_STATUSES.WAITING)
+    .order("created_at", { ascending: true })
+    .order("waitlist_id", { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+const countBy = (rows) =>
+  rows.reduce((counts, row) => counts.set(String(row.schedule_id), (counts.get(String(row.schedule_id)) || 0) + 1), new Map());
+
+/**
+ * Sections with seats taken and left.
+ *
+ * @param {Object} filters - { semester_id, subject_id?, program_id?, year_level?, teacher_id? }
+ */
+async function listSections(supabase, { semester_id, subject_id, program_id, year_level, teacher_id } = {}) {
+  let query = supabase
+    .from("course_schedules")
+    .select(SECTION_SELECT)
+    .order("subject_id", { ascending: true })
+    .order("batch", { ascending: true })
+    .order("schedule_id", { ascending: true });
+
+  if (semester_id) query = query.eq("semester_id", semester_id);
+  if (subject_id) query = query.eq("subject_id", subject_id);
+  if (program_id) query = query.eq("program_id", program_id);
+  if (year_level) query = query.eq("year_level", year_level);
+  if (teacher_id) query = query.eq("teacher_id", teacher_id);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const ids = data.map((section) => section.schedule_id);
+  const [seats, waitlist] = await Promise.all([getSeats(supabase, ids), getWaitlist(supabase, ids)]);
+  const seated = countBy(seats);
+  const waiting = countBy(waitlist);
+
+  return data.map((section) =>
+    formatSection(section, seated.get(String(section.schedule_id)) || 0, waiting.get(String(section.schedule_id)) || 0)
+  );
+}
+
+/**
+ * Seat a student in a section. The row is inserted first and then counted,
+ * so two students racing for the last seat cannot both keep it: whoever
+ * landed past the capacity is taken back out.
+ *
+ * @returns {Promise<Object|null>} The enrollment_subjects row, or null when full
+ */
+async function claimSeat(supabase, section, { enrollment_id, subject_id, is_additional = false }) {
+  const { data: row, error } = await supabase
+    .from("enrollment_subjects")
+    .insert([
+      {
+        enrollment_id,
+        subject_id,
+        schedule_id: section.schedule_id,
+        status: "Enrolled",
+        ...(is_additional ? { is_additional: true } : {}),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const capacity = capacityOf(section);
+  if (capacity === null) return row;
+
+  const seats = await getSeats(supabase, [section.schedule_id]);
+  const position = seats.findIndex((seat) => String(seat.enrollment_subject_id) === String(row.enrollment_subject_id));
+  if (position === -1 || position < capacity) return row;
+
+  const { error: undoError } = await supabase
+    .from("enrollment_subjects")
+    .delete()
+    .eq("enrollment_subject_id", row.enrollment_subject_id);
+  if (undoError) throw undoError;
+  return null;
+}
+
+async function waitlistPosition(supabase, entry) {
+  const waitlist = await getWaitlist(supabase, [entry.schedule_id]);
+  return waitlist.findIndex((w) => String(w.waitlist_id) === String(entry.waitlist_id)) + 1;
+}
+
+async function joinWaitlist(supabase, logger, { schedule_id, enrollment_id, student_id, subject_id }) {
+  const { data: existing, error: existingError } = await supabase
+    .from("section_waitlist")
+    .select("*")
+    .eq("enrollment_id", enrollment_id)
+    .eq("subject_id", subject_id)
+    .eq("status", WAITLIST_STATUSES.WAITING)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing) return { ...existing, position: await waitlistPosition(supabase, existing) };
+
+  const { data, error } = await supabase
+    .from("section_waitlist")
+    .insert([
+      {
+        schedule_id,
+        enrollment_id,
+        student_id,
+        subject_id,
+        status: WAITLIST_STATUSES.WAITING,
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const position = await waitlistPosition(supabase, data);
+  logger.info("Student waitlisted", { waitlist_id: data.waitlist_id, schedule_id, student_id, subject_id, position });
+  return { ...data, position };
+}
+
+function assertSectionOf(section, subject_id, semester_id) {
+  if (String(section.subject_id) !== String(subject_id) || String(section.semester_id) !== String(semester_id)) {
+    throw new SectionError(`Section ${section.schedule_id} is not a section of subject ${subject_id} this term`);
+  }
+}
+
+/**
+ * Check requested sections before anything is written.
+ *
+ * @param {Array} subjects - [{ subject_id, schedule_id? }]
+ */
+async function checkRequestedSections(supabase, semester_id, subjects) {
+  for (const subject of subjects.filter((s) => s.schedule_id)) {
+    assertSectionOf(await getSection(supabase, subject.schedule_id), subject.subject_id, semester_id);
+  }
+}
+
+// Sections a student of this enrollment may sit in for a subject, most free seats first
+async function sectionsFor(supabase, enrollment, subject_id) {
+  const sections = await listSections(supabase, {
+    semester_id: enrollment.semester_id,
+    subject_id,
+    program_id: enrollment.program_id,
+    year_level: enrollment.year_level,
+  });
+  return sections.sort((a, b) => (b.seats_left ?? Infinity) - (a.seats_left ?? Infinity));
+}
+
+/**
+ * Seat an enrollment's subjects. A subject with a requested schedule_id
+ * goes to that section or its waitlist; otherwise the section with the most
+ * free seats is used, and the least crowded waitlist when all are full.
+ * Subjects that have no sections this term are added unsectioned.
+ *
+ * @param {Object} enrollment - { enrollment_id, student_id, program_id, year_level, semester_id }
+ * @param {Array} subjects - [{ subject_id, schedule_id? }]
+ * @returns {Promise<{ seated: Object[], waitlisted: Object[] }>}
+ */
+async function assignSections(supabase, logger, enrollment, subjects, { is_additional = false } = {}) {
+  const seated = [];
+  const waitlisted = [];
+
+  for (const subject of subjects) {
+    const subject_id = parseInt(subject.subject_id);
+    let candidates = await sectionsFor(supabase, enrollment, subject_id);
+
+    if (subject.schedule_id) {
+      const requested = await getSection(supabase, subject.schedule_id);
+      assertSectionOf(requested, subject_id, enrollment.semester_id);
+      candidates = [formatSection(requested)];
+    }
+
+    if (candidates.length === 0) {
+      const { data, error } = await supabase
+        .from("enrollment_subjects")
+        .insert([
+          {
+            enrollment_id: enrollment.enrollment_id,
+            subject_id,
+            status: "Enrolled",
+            ...(is_additional ? { is_additional: true } : {}),
+          },
+        ])
+        .select()
+        .single();
+      if (error) throw error;
+      seated.push({ ...data, schedule_id: null });
+      continue;
+    }
+
+    let row = null;
+    for (const candidate of candidates) {
+      if (candidate.seats_left === 0) continue;
+      const section = await getSection(supabase, candidate.schedule_id);
+      row = await claimSeat(supabase, section, { enrollment_id: enrollment.enrollment_id, subject_id, is_additional });
+      if (row) break;
+    }
+
+    if (row) {
+      seated.push(row);
+      continue;
+    }
+
+    const target = [...candidates].sort((a, b) => a.waitlisted - b.waitlisted)[0];
+    waitlisted.push(
+      await joinWaitlist(supabase, logger, {
+        schedule_id: target.schedule_id,
+        enrollment_id: enrollment.enrollment_id,
+        student_id: enrollment.student_id,
+        subject_id,
+      })
+    );
+  }
+
+  return { seated, waitlisted };
+}
+
+/**
+ * Put a term's subjects on an enrollment nobody picked them for (the first
+ * enrollment made at admission, or the load added once the downpayment is
+ * in). They get the same checks as at enrollment: subjects the student may
+ * not take yet are left off for the registrar, the rest are seated in a
+ * section or waitlisted.
+ *
+ * @param {Object} enrollment - { enrollment_id, student_id, program_id, year_level, semester_id }
+ * @param {Array} subject_ids
+ * @returns {Promise<{ seated: Object[], waitlisted: Object[], blocked: Object[] }>}
+ */
+async function loadTermSubjects(supabase, logger, enrollment, subject_ids) {
+  if (subject_ids.length === 0) return { seated: [], waitlisted: [], blocked: [] };
+
+  const rules = await prerequisites.checkEligibility(
+    supabase,
+    logger,
+    await prerequisites.getStudent(supabase, enrollment.student_id),
+    {
+      semester_id: enrollment.semester_id,
+      subject_ids,
+      year_standing: enrollment.year_level,
+    }
+  );
+
+  const blocked = rules.subjects.filter((s) => !s.eligible);
+  if (blocked.length > 0) {
+    logger.warn("Subjects left off the enrollment for the registrar", {
+      enrollment_id: enrollment.enrollment_id,
+      subject_ids: blocked.map((s) => s.subject_id),
+    });
+  }
+
+  const placement = await assignSections(
+    supabase,
+    logger,
+    enrollment,
+    rules.eligible_subject_ids.map((subject_id) => ({ subject_id }))
+  );
+  return { ...placement, blocked };
+}
+
+async function notifyPromoted(supabase, logger, entry, section) {
+  try {
+    await notifications.notify(supabase, logger, {
+      template: "waitlist_promoted",
+      channels: ["in_app", "email"],
+      to: { student_id: entry.student_id },
+      variables: {
+        subject_code: section.course_subjects?.subject_code || "",
+        subject_name: section.course_subjects?.subject_name || "",
+        section: section.batch || `#${section.schedule_id}`,
+      },
+      dedupe_key: `waitlist:${entry.waitlist_id}`,
+    });
+  } catch (err) {
+    logger.warn("Failed to notify student about waitlist promotion", {
+      waitlist_id: entry.waitlist_id,
+      error: err.message,
+    });
+  }
+}
+
+async function cancelEntry(supabase, waitlist_id, reason) {
+  const { data, error } = await supabase
+    .from("section_waitlist")
+    .update({ status: WAITLIST_STATUSES.CANCELLED, cancelled_at: new Date().toISOString(), cancel_reason: reason })
+    .eq("waitlist_id", waitlist_id)
+    .eq("status", WAITLIST_STATUSES.WAITING)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Seat waitlisted students while the section has room. Entries whose
+ * enrollment is no longer active, or who already sit in the subject, are
+ * cancelled on the way.
+ *
+ * @returns {Promise<Object[]>} Promoted waitlist entries
+ */
+async function promoteWaitlist(supabase, logger, schedule_id) {
+  const section = await getSection(supabase, schedule_id);
+  const promoted = [];
+
+  for (const entry of await getWaitlist(supabase, [schedule_id])) {
+    const { data: enrollment, error } = await supabase
+      .from("enrollments")
+      .select("enrollment_id, status, enrollment_subjects ( subject_id, status )")
+      .eq("enrollment_id", entry.enrollment_id)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!enrollment || !ACTIVE_ENROLLMENT_STATUSES.includes(enrollment.status)) {
+      await cancelEntry(supabase, entry.waitlist_id, "Enrollment is no longer active");
+      continue;
+    }
+    if (
+      (enrollment.enrollment_subjects || []).some(
+        (s) => String(s.subject_id) === String(entry.subject_id) && s.status === "Enrolled"
+      )
+    ) {
+      await cancelEntry(supabase, entry.waitlist_id, "Already seated in this subject");
+      continue;
+    }
+
+    const row = await claimSeat(supabase, section, { enrollment_id: entry.enrollment_id, subject_id: entry.subject_id });
+    if (!row) break;
+
+    const { data: updated, error: updateError } = await supabase
+      .from("section_waitlist")
+      .update({ status: WAITLIST_STATUSES.PROMOTED, promoted_at: new Date().toISOString() })
+      .eq("waitlist_id", entry.waitlist_id)
+      .select()
+      .single();
+    if (updateError) throw updateError;
+
+    logger.info("Waitlisted student seated", {
+      waitlist_id: entry.waitlist_id,
+      schedule_id,
+      student_id: entry.student_id,
+      enrollment_subject_id: row.enrollment_subject_id,
+    });
+    await notifyPromoted(supabase, logger, entry, section);
+    promoted.push(updated);
+  }
+
+  return promoted;
+}
+
+/**
+ * A student left a subject: withdraw their waitlist entries for it and
+ * offer the freed seat to the waitlist.
+ */
+async function releaseSeat(supabase, logger, { enrollment_id, subject_id, schedule_id }) {
+  const { data: entries, error } = await supabase
+    .from("section_waitlist")
+    .select("waitlist_id")
+    .eq("enrollment_id", enrollment_id)
+    .eq("subject_id", subject_id)
+    .eq("status", WAITLIST_STATUSES.WAITING);
+  if (error) throw error;
+
+  for (const entry of entries) {
+    await cancelEntry(supabase, entry.waitlist_id, "Subject removed from enrollment");
+  }
+
+  return schedule_id ? promoteWaitlist(supabase, logger, schedule_id) : [];
+}
+
+/**
+ * An enrollment is being deleted: drop its waitlist entries and subjects,
+ * then offer the seats it held to the sections' waitlists. Call before
+ * deleting the enrollments row.
+ *
+ * @returns {Promise<Object[]>} Promoted waitlist entries
+ */
+async function releaseEnrollment(supabase, logger, enrollment_id) {
+  const { data: rows, error } = await supabase
+    .from("enrollment_subjects")
+    .select("schedule_id")
+    .eq("enrollment_id", enrollment_id);
+  if (error) throw error;
+
+  const { error: waitlistError } = await supabase
+    .from("section_waitlist")
+    .delete()
+    .eq("enrollment_id", enrollment_id);
+  if (waitlistError) throw waitlistError;
+
+  const { error: deleteError } = await supabase
+    .from("enrollment_subjects")
+    .delete()
+    .eq("enrollment_id", enrollment_id);
+  if (deleteError) throw deleteError;
+
+  const promoted = [];
+  const schedule_ids = new Set(rows.filter((row) => row.schedule_id).map((row) => String(row.schedule_id)));
+  for (const schedule_id of schedule_ids) {
+    promoted.push(...(await promoteWaitlist(supabase, logger, schedule_id)));
+  }
+  return promoted;
+}
+
+async function cancelWaitlist(supabase, logger, waitlist_id, user, reason = null) {
+  const { data: entry, error } = await supabase
+    .from("section_waitlist")
+    .select("*")
+    .eq("waitlist_id", waitlist_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!entry) throw new SectionError("Waitlist entry not found", 404);
+  if (user.role === ROLES.STUDENT && String(entry.student_id) !== String(user.student_id)) {
+    throw new SectionError("Access denied", 403);
+  }
+
+  const cancelled = await cancelEntry(supabase, waitlist_id, reason || "Withdrawn");
+  if (!cancelled) throw new SectionError(`Waitlist entry is already ${entry.status}`, 409);
+
+  logger.info("Waitlist entry cancelled", { waitlist_id, by: user.user_id });
+  return cancelled;
+}
+
+/**
+ * Students seated in a section and its waitlist. Instructors only see the
+ * sections they teach.
+ */
+async function getRoster(supabase, schedule_id, user) {
+  const section = await getSection(supabase, schedule_id);
+  if (user.role === ROLES.INSTRUCTOR && String(section.teacher_id) !== String(user.teacher_id)) {
+    throw new SectionError("This section is not assigned to you", 403);
+  }
+
+  const [seats, waitlist] = await Promise.all([
+    getSeats(supabase, [section.schedule_id]),
+    getWaitlist(supabase, [section.schedule_id]),
+  ]);
+
+  const studentIds = [...new Set([...seats.map((s) => s.enrollments.student_id), ...waitlist.map((w) => w.student_id)])];
+  const { data: students, error } = studentIds.length
+    ? await supabase
+        .from("students")
+        .select("student_id, first_name, last_name, year_level, program_id, email")
+        .in("student_id", studentIds)
+    : { data: [], error: null };
+  if (error) throw error;
+
+  const byId = new Map(students.map((student) => [String(student.student_id), student]));
+  const describe = (student_id) => {
+    const student = byId.get(String(student_id));
+    return {
+      student_id,
+      first_name: student?.first_name || null,
+      last_name: student?.last_name || null,
+      year_level: student?.year_level || null,
+      email: student?.email || null,
+    };
+  };
+
+  return {
+    section: formatSection(section, seats.length, waitlist.length),
+    students: seats
+      .map((seat) => ({
+        ...describe(seat.enrollments.student_id),
+        enrollment_id: seat.enrollment_id,
+        enrollment_subject_id: seat.enrollment_subject_id,
+        enrollment_status: seat.enrollments.status,
+      }))
+      .sort((a, b) => `${a.last_name} ${a.first_name}`.localeCompare(`${b.last_name} ${b.first_name}`)),
+    waitlist: waitlist.map((entry, index) => ({
+      ...describe(entry.student_id),
+      waitlist_id: entry.waitlist_id,
+      enrollment_id: entry.enrollment_id,
+      position: index + 1,
+      created_at: entry.created_at,
+    })),
+  };
+}
+
+/**
+ * Sections a student sits in for a term, and where they wait.
+ */
+async function getStudentSections(supabase, student_id, semester_id) {
+  const { data: rows, error } = await supabase
+    .from("enrollment_subjects")
+    .select("enrollment_subject_id, subject_id, schedule_id, status, enrollments!inner ( student_id, semester_id, status )")
+    .eq("enrollments.student_id", student_id)
+    .eq("enrollments.semester_id", semester_id)
+    .eq("status", "Enrolled");
+  if (error) throw error;
+
+  const { data: entries, error: waitError } = await supabase
+    .from("section_waitlist")
+    .select("*")
+    .eq("student_id", student_id)
+    .eq("status", WAITLIST_STATUSES.WAITING);
+  if (waitError) throw waitError;
+
+  const seated = rows.filter((row) => ACTIVE_ENROLLMENT_STATUSES.includes(row.enrollments.status));
+  const sections = await listSections(supabase, { semester_id });
+  const byId = new Map(sections.map((section) => [String(section.schedule_id), section]));
+
+  const waiting = [];
+  for (const entry of entries) {
+    const section = byId.get(String(entry.schedule_id));
+    if (!section) continue;
+    waiting.push({ ...entry, section, position: await waitlistPosition(supabase, entry) });
+  }
+
+  return {
+    student_id,
+    semester_id,
+    sections: seated.map((row) => ({
+      enrollment_subject_id: row.enrollment_subject_id,
+      subject_id: row.subject_id,
+      section: row.schedule_id ? byId.get(String(row.schedule_id)) || null : null,
+    })),
+    waitlist: waiting,
+  };
+}
+
+/**
+ * Change a section's capacity; a larger one seats waitlisted students.
+ * Null reverts to the room's capacity.
+ */
+async function setCapacity(supabase, logger, schedule_id, capacity, user) {
+  const section = await getSection(supabase, schedule_id);
+
+  let value = null;
+  if (capacity !== null && capacity !== undefined && capacity !== "") {
+    value = parseInt(capacity);
+    if (isNaN(value) || value < 0) throw new SectionError("capacity must be zero or more");
+  }
+
+  const seats = await getSeats(supabase, [section.schedule_id]);
+  const effective = value ?? section.rooms?.capacity ?? null;
+  if (effective !== null && effective < seats.length) {
+    throw new SectionError(`${seats.length} students are already seated; move some before lowering the capacity`, 409);
+  }
+
+  const { error } = await supabase
+    .from("course_schedules")
+    .update({ capacity: value })
+    .eq("schedule_id", section.schedule_id);
+  if (error) throw error;
+
+  logger.info("Section capacity changed", {
+    schedule_id: section.schedule_id,
+    from: section.capacity,
+    to: value,
+    by: user.user_id,
+  });
+
+  const promoted = await promoteWaitlist(supabase, logger, section.schedule_id);
+  const waitlist = await getWaitlist(supabase, [section.schedule_id]);
+  return {
+    section: formatSection({ ...section, capacity: value }, seats.length + promoted.length, waitlist.length),
+    promoted,
+  };
+}
+
+module.exports = {
+  WAITLIST_STATUSES,
+  ACTIVE_ENROLLMENT_STATUSES,
+  SectionError,
+  capacityOf,
+  getSection,
+  listSections,
+  checkRequestedSections,
+  assignSections,
+  loadTermSubjects,
+  joinWaitlist,
+  promoteWaitlist,
+  releaseSeat,
+  releaseEnrollment,
+  cancelWaitlist,
+  getRoster,
+  getStudentSections,
+  setCapacity,
+};
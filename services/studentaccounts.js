@@ -0,0 +1,83 @@
+// services/studentaccounts.js
+//
+// Pieces shared by everything that creates student logins: the AYY-XXXX
+// student number sequence (student_id_generator: year, last_number), the
+// birthdate-based initial password and the service-role client needed for
+// Supabase Auth admin calls.
+const { createClient } = require("@supabase/supabase-js");
+
+let adminClient = null;
+
+/**
+ * Supabase client with the service role key (auth.admin needs it).
+ */
+function getAdminClient() {
+  if (!adminClient) {
+    adminClient = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY,
+      {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false,
+        },
+      }
+    );
+  }
+  return adminClient;
+}
+
+/**
+ * Next student number for an admission year, e.g. A25-0001.
+ */
+async function generateStudentId(supabase, year) {
+  // Get last 2 digits of year (e.g., 2025 -> 25)
+  const yearSuffix = String(year).slice(-2);
+
+  const { data, error } = await supabase
+    .from("student_id_generator")
+    .select("last_number")
+    .eq("year", year)
+    .single();
+
+  let nextNumber;
+  if (error || !data) {
+    // First student for this year
+    nextNumber = 1;
+    await supabase
+      .from("student_id_generator")
+      .insert([{ year: year, last_number: 1 }]);
+  } else {
+    // Increment the counter
+    nextNumber = data.last_number + 1;
+    await supabase
+      .from("student_id_generator")
+      .update({ last_number: nextNumber })
+      .eq("year", year);
+  }
+
+  // Format: AYY-XXXX (e.g., A25-0001)
+  return `A${yearSuffix}-${String(nextNumber).padStart(4, "0")}`;
+}
+
+/**
+ * Initial password for a student login: the birthdate as MM-DD-YYYY.
+ */
+function formatBirthdate(dob) {
+  const date = new Date(dob);
+  if (isNaN(date)) {
+    throw new Error("Invalid date of birth");
+  }
+
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  const yyyy = date.getFullYear();
+
+  return `${mm}-${dd}-${yyyy}`;
+}
+
+module.exports = {
+  getAdminClient,
+  generateStudentId,
+  formatBirthdate,
+};
@@ -0,0 +1,407 @@
+// services/studyload.js
+//
+// A student's study load for a term: the subjects of their enrollment, the
+// section each one meets in and the assessed fees. It is exported as an
+// iCalendar feed (one weekly recurring event per section, from the
+// semester's start_date to its end_date) and printed as the Certificate of
+// Registration.
+//
+// Subjects seated in a section (enrollment_subjects.schedule_id, see
+// services/sections.js) meet there; older rows without one meet in the
+// subject's first section for the student's program and year level.
+//
+// Calendar apps cannot send a login token, so the feed URL carries an HMAC
+// of the student and semester instead.
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const { ACTIVE_ENROLLMENT_STATUSES } = require("./sections");
+const { getSecret } = require("../config/secrets");
+const { SCHOOL_NAME, formatDate, peso, drawHeader, drawTable } = require("./pdflayout");
+const { ServiceError } = require("./common");
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
+const CALENDAR_DOMAIN = process.env.CALENDAR_DOMAIN || "eucpaynroll";
+
+const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const ICAL_DAYS = {
+  Sunday: "SU",
+  Monday: "MO",
+  Tuesday: "TU",
+  Wednesday: "WE",
+  Thursday: "TH",
+  Friday: "FR",
+  Saturday: "SA",
+};
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+class StudyLoadError extends ServiceError {}
+
+function computeFeedToken(student_id, semester_id) {
+  return crypto
+    .createHmac("sha256", getSecret("calendar"))
+    .update(`calendar|${student_id}|${semester_id}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+function verifyFeedToken(student_id, semester_id, token) {
+  const expected = Buffer.from(computeFeedToken(student_id, semester_id));
+  const given = Buffer.from(String(token || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function feedUrl(student_id, semester_id) {
+  return `${BASE_URL}/api/study-load/feed/${encodeURIComponent(student_id)}/${semester_id}.ics?token=${computeFeedToken(
+    student_id,
+    semester_id
+  )}`;
+}
+
+function formatTime(time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  const suffix = hours >= 12 ? "PM" : "AM";
+  return `${((hours + 11) % 12) + 1}:${String(minutes || 0).padStart(2, "0")} ${suffix}`;
+}
+
+const meetingText = (meeting) =>
+  meeting ? `${meeting.days.map((d) => d.slice(0, 3)).join("/")} ${formatTime(meeting.start_time)}-${formatTime(meeting.end_time)}` : "TBA";
+
+function toMeeting(schedule) {
+  return {
+    schedule_id: schedule.schedule_id,
+    batch: schedule.batch,
+    days: (schedule.schedule_day_mapping || [])
+      .map((d) => d.day_of_week)
+      .sort((a, b) => DAYS.indexOf(a) - DAYS.indexOf(b)),
+    start_time: schedule.start_time,
+    end_time: schedule.end_time,
+    room: schedule.room,
+    teacher_name: schedule.teachers ? `${schedule.teachers.first_name} ${schedule.teachers.last_name}` : null,
+  };
+}
+
+/**
+ * Subjects, sections, weekly timetable and fees of a student's enrollment
+ * for a semester.
+ */
+async function buildStudyLoad(supabase, student_id, semester_id) {
+  const [studentResult, semesterResult, enrollmentResult] = await Promise.all([
+    supabase
+      .from("students")
+      .select("student_id, first_name, last_name, email, program_id, year_level, programs ( program_code, program_name )")
+      .eq("student_id", student_id)
+      .maybeSingle(),
+    supabase
+      .from("semesters")
+      .select("semester_id, semester_name, school_year, start_date, end_date")
+      .eq("semester_id", semester_id)
+      .maybeSingle(),
+    supabase
+      .from("enrollments")
+      .select("enrollment_id, status, payment_status, program_id, year_level, created_at, tuition_schemes ( scheme_name )")
+      .eq("student_id", student_id)
+      .eq("semester_id", semester_id)
+      .in("status", ACTIVE_ENROLLMENT_STATUSES)
+      .order("enrollment_id", { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ]);
+
+  for (const result of [studentResult, semesterResult, enrollmentResult]) {
+    if (result.error) throw result.error;
+  }
+  if (!studentResult.data) throw new StudyLoadError("Student not found", 404);
+  if (!semesterResult.data) throw new StudyLoadError("Semester not found", 404);
+  if (!enrollmentResult.data) throw new StudyLoadError("No enrollment found for this semester", 404);
+
+  const student = studentResult.data;
+  const semester = semesterResult.data;
+  const enrollment = enrollmentResult.data;
+
+  const [subjectsResult, schedulesResult, feesResult, waitlistResult] = await Promise.all([
+    supabase
+      .from("enrollment_subjects")
+      .select("enrollment_subject_id, subject_id, schedule_id, course_subjects ( subject_code, subject_name, units )")
+      .eq("enrollment_id", enrollment.enrollment_id)
+      .eq("status", "Enrolled"),
+    supabase
+      .from("course_schedules")
+      .select(
+        `schedule_id, subject_id, program_id, year_level, batch, start_time, end_time, room,
+         teachers ( first_name, last_name ),
+         schedule_day_mapping ( day_of_week )`
+      )
+      .eq("semester_id", semester.semester_id)
+      .order("batch", { ascending: true })
+      .order("schedule_id", { ascending: true }),
+    supabase
+      .from("enrollment_fees")
+      .select("fee_type, description, amount")
+      .eq("enrollment_id", enrollment.enrollment_id)
+      .order("fee_id", { ascending: true }),
+    supabase
+      .from("section_waitlist")
+      .select("waitlist_id, subject_id, schedule_id, created_at, course_subjects ( subject_code, subject_name )")
+      .eq("enrollment_id", enrollment.enrollment_id)
+      .eq("status", "waiting"),
+  ]);
+
+  for (const result of [subjectsResult, schedulesResult, feesResult, waitlistResult]) {
+    if (result.error) throw result.error;
+  }
+
+  const schedules = schedulesResult.data;
+  const subjects = subjectsResult.data
+    .map((row) => {
+      const schedule = row.schedule_id
+        ? schedules.find((s) => String(s.schedule_id) === String(row.schedule_id))
+        : schedules.find(
+            (s) =>
+              String(s.subject_id) === String(row.subject_id) &&
+              String(s.program_id) === String(enrollment.program_id) &&
+              String(s.year_level) === String(enrollment.year_level)
+          );
+      return {
+        subject_id: row.subject_id,
+        subject_code: row.course_subjects?.subject_code,
+        subject_name: row.course_subjects?.subject_name,
+        units: Number(row.course_subjects?.units) || 0,
+        meeting: schedule ? toMeeting(schedule) : null,
+      };
+    })
+    .sort((a, b) => String(a.subject_code).localeCompare(String(b.subject_code)));
+
+  const timetable = DAYS.map((day) => ({
+    day,
+    classes: subjects
+      .filter((subject) => subject.meeting?.days.includes(day))
+      .map((subject) => ({
+        subject_code: subject.subject_code,
+        subject_name: subject.subject_name,
+        start_time: subject.meeting.start_time,
+        end_time: subject.meeting.end_time,
+        room: subject.meeting.room,
+        teacher_name: subject.meeting.teacher_name,
+      }))
+      .sort((a, b) => String(a.start_time).localeCompare(String(b.start_time))),
+  })).filter((day) => day.classes.length > 0);
+
+  const fees = feesResult.data || [];
+
+  return {
+    student,
+    semester,
+    enrollment: {
+      enrollment_id: enrollment.enrollment_id,
+      status: enrollment.status,
+      payment_status: enrollment.payment_status,
+      year_level: enrollment.year_level,
+      scheme: enrollment.tuition_schemes?.scheme_name || null,
+    },
+    subjects,
+    timetable,
+    waitlisted: (waitlistResult.data || []).map((entry) => ({
+      waitlist_id: entry.waitlist_id,
+      subject_id: entry.subject_id,
+      subject_code: entry.course_subjects?.subject_code,
+      subject_name: entry.course_subjects?.subject_name,
+      schedule_id: entry.schedule_id,
+    })),
+    fees,
+    totals: {
+      units: subjects.reduce((sum, subject) => sum + subject.units, 0),
+      fees: Math.round(fees.reduce((sum, fee) => sum + parseFloat(fee.amount || 0), 0) * 100) / 100,
+    },
+    generated_at: new Date().toISOString(),
+  };
+}
+
+// ============================================
+// ICALENDAR
+// ============================================
+const icsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let rest = Buffer.from(line);
+  let limit = 75;
+  while (rest.length > limit) {
+    let cut = limit;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--;
+    parts.push(rest.slice(0, cut).toString());
+    rest = rest.slice(cut);
+    limit = 74;
+  }
+  parts.push(rest.toString());
+  return parts.join("\r\n ");
+}
+
+const icsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+const icsTime = (time) => {
+  const [hours, minutes, seconds] = String(time).split(":");
+  return `${hours.padStart(2, "0")}${(minutes || "00").padStart(2, "0")}${(seconds || "00").padStart(2, "0")}`;
+};
+const toDate = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+
+// First date on or after the semester start that falls on one of the days
+function firstMeetingDate(start, days) {
+  for (let offset = 0; offset < 7; offset++) {
+    const date = new Date(start);
+    date.setUTCDate(date.getUTCDate() + offset);
+    if (days.includes(WEEKDAYS[date.getUTCDay()])) return date;
+  }
+  return null;
+}
+
+/**
+ * The study load as an iCalendar document. Times are local to the school
+ * (floating), which calendar apps show in the device's own time zone.
+ */
+function buildIcs(load) {
+  const { semester, enrollment } = load;
+  if (!semester.start_date || !semester.end_date) {
+    throw new StudyLoadError("The semester has no start and end dates yet", 409);
+  }
+
+  const start = toDate(semester.start_date);
+  const until = `${icsDate(toDate(semester.end_date))}T235959`;
+  const stamp = `${new Date().toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${icsText(SCHOOL_NAME)}//Study Load//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(`${semester.semester_name} ${semester.school_year || ""}`.trim())}`,
+  ];
+
+  for (const subject of load.subjects) {
+    const meeting = subject.meeting;
+    if (!meeting || meeting.days.length === 0) continue;
+
+    const first = firstMeetingDate(start, meeting.days);
+    if (!first || first > toDate(semester.end_date)) continue;
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${enrollment.enrollment_id}-${meeting.schedule_id}@${CALENDAR_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(first)}T${icsTime(meeting.start_time)}`,
+      `DTEND:${icsDate(first)}T${icsTime(meeting.end_time)}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${meeting.days.map((day) => ICAL_DAYS[day]).join(",")};UNTIL=${until}`,
+      `SUMMARY:${icsText(`${subject.subject_code} ${subject.subject_name}`)}`,
+      `DESCRIPTION:${icsText(
+        [
+          `${subject.units} units`,
+          meeting.batch ? `Section ${meeting.batch}` : null,
+          meeting.teacher_name ? `Instructor: ${meeting.teacher_name}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n")
+      )}`,
+      ...(meeting.room ? [`LOCATION:${icsText(meeting.room)}`] : []),
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+// ============================================
+// PDF RENDERING
+// ============================================
+/**
+ * Render the Certificate of Registration (study load with fees) into `stream`.
+ */
+function renderStudyLoadPdf(stream, load) {
+  const { student, semester, enrollment } = load;
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(stream);
+
+  drawHeader(doc, "CERTIFICATE OF REGISTRATION");
+
+  doc.fontSize(10);
+  doc.text(`Student: ${student.first_name} ${student.last_name} (${student.student_id})`);
+  doc.text(
+    `Program: ${student.programs?.program_code || "-"}   Year level: ${enrollment.year_level || student.year_level || "-"}`
+  );
+  doc.text(`Semester: ${semester.semester_name || "-"} ${semester.school_year || ""}`);
+  doc.text(`Classes: ${formatDate(semester.start_date)} to ${formatDate(semester.end_date)}`);
+  doc.text(`Enrollment status: ${enrollment.status}   Payment: ${enrollment.payment_status || "-"}`);
+  doc.text(`Payment scheme: ${enrollment.scheme || "-"}`);
+  doc.moveDown();
+
+  doc.fontSize(12).text("Study Load");
+  drawTable(
+    doc,
+    [
+      { label: "Code", width: 60 },
+      { label: "Description", width: 160 },
+      { label: "Units", width: 35, align: "right" },
+      { label: "Sec.", width: 30, align: "center" },
+      { label: "Schedule", width: 125 },
+      { label: "Room", width: 55 },
+      { label: "Instructor", width: 50 },
+    ],
+    load.subjects.map((subject) => [
+      subject.subject_code,
+      subject.subject_name,
+      subject.units,
+      subject.meeting?.batch || "",
+      meetingText(subject.meeting),
+      subject.meeting?.room || "TBA",
+      subject.meeting?.teacher_name || "TBA",
+    ])
+  );
+  doc.fontSize(10).text(`Total units: ${load.totals.units}`, { align: "right" });
+  doc.moveDown();
+
+  if (load.waitlisted.length > 0) {
+    doc.fontSize(10).text(
+      `Waitlisted (not part of this load until seated): ${load.waitlisted.map((w) => w.subject_code).join(", ")}`
+    );
+    doc.moveDown();
+  }
+
+  doc.fontSize(12).text("Assessment");
+  drawTable(
+    doc,
+    [
+      { label: "Fee", width: 120 },
+      { label: "Description", width: 280 },
+      { label: "Amount", width: 115, align: "right" },
+    ],
+    load.fees.map((fee) => [fee.fee_type, fee.description, peso(fee.amount)])
+  );
+  doc.fontSize(11).text(`Total assessment: ${peso(load.totals.fees)}`, { align: "right" });
+  doc.moveDown(2);
+
+  if (enrollment.status === "Pending") {
+    doc.fontSize(9).text("Pending payment: this certificate is valid once the enrollment is confirmed.", {
+      align: "center",
+    });
+  }
+  doc.fontSize(7).text(`Generated ${formatDate(load.generated_at)}. This is a computer-generated document.`, {
+    align: "center",
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  StudyLoadError,
+  computeFeedToken,
+  verifyFeedToken,
+  feedUrl,
+  buildStudyLoad,
+  buildIcs,
+  renderStudyLoadPdf,
+};
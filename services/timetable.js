@@ -0,0 +1,734 @@
+// services/timetable.js
+//
+// Timetable generator. Builds a conflict-free draft of course_schedules for
+// a semester: every section (program, year level, batch) gets its term
+// subjects placed in a room, a time and with a qualified teacher. The
+// registrar reviews and adjusts the draft, then commits it.
+//
+// Constraints: no room, teacher or section double-booking (schedules
+// already in course_schedules count too), laboratory subjects go to lab
+// rooms and the rest to lecture rooms, rooms must seat the section and be
+// open and in service (services/rooms.js), teachers only teach subjects in
+// teacher_subject_specializations and inside their teacher_availability,
+// and nobody exceeds the daily load limit.
+//
+// teacher_availability: availability_id, teacher_id, day_of_week,
+// start_time, end_time. A teacher without rows is available all day.
+//
+// timetable_drafts: draft_id, semester_id, status (draft | committed |
+// discarded), options (jsonb), unplaced (jsonb), warnings (jsonb),
+// created_by, created_at, committed_by, committed_at
+//
+// timetable_draft_entries: entry_id, draft_id, subject_id, program_id,
+// year_level, batch, section_size, teacher_id, room_id, room, days (text[]),
+// start_time, end_time
+//
+// Committing calls the database function commit_timetable_draft(p_draft_id,
+// p_committed_by), which in one transaction inserts a course_schedules row
+// and its schedule_day_mapping rows per entry, marks the draft committed and
+// returns the number of schedules created.
+
+const curriculum = require("./curriculum");
+const roomRegistry = require("./rooms");
+const { ServiceError } = require("./common");
+
+const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Meeting patterns tried for each subject; weekly hours are split evenly
+const MEETING_PATTERNS = [
+  ["Monday", "Wednesday"],
+  ["Tuesday", "Thursday"],
+  ["Friday"],
+  ["Saturday"],
+  ["Monday"],
+  ["Tuesday"],
+  ["Wednesday"],
+  ["Thursday"],
+];
+
+const DEFAULT_OPTIONS = {
+  day_start: "07:30",
+  day_end: "19:00",
+  slot_minutes: 30,
+  max_teacher_daily_hours: 6,
+  max_section_daily_hours: 8,
+  batch: "A",
+};
+
+const DRAFT_STATUSES = ["draft", "committed", "discarded"];
+
+class TimetableError extends ServiceError {
+  constructor(message, status = 400, details = null) {
+    super(message, status);
+    this.details = details;
+  }
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+function toTime(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+const sectionKey = (s) => `${s.program_id}|${s.year_level}|${s.batch || ""}`;
+const isLabRoom = (room) => roomRegistry.LAB_ROOM_TYPES.includes(room.room_type);
+
+function sameRoom(a, b) {
+  if (a.room_id && b.room_id) return String(a.room_id) === String(b.room_id);
+  return Boolean(a.room) && roomRegistry.normalizeRoomName(a.room) === roomRegistry.normalizeRoomName(b.room);
+}
+
+// ============================================
+// BOOKINGS
+// ============================================
+// A booking is one class in the week:
+// { ref, subject_id, program_id, year_level, batch, teacher_id, room_id, room, days, start, end }
+// `ref` is { entry_id } for draft entries and { schedule_id } for committed ones.
+
+function fromEntry(entry) {
+  return {
+    ref: { entry_id: entry.entry_id },
+    subject_id: entry.subject_id,
+    program_id: entry.program_id,
+    year_level: entry.year_level,
+    batch: entry.batch,
+    teacher_id: entry.teacher_id,
+    room_id: entry.room_id,
+    room: entry.room,
+    days: entry.days || [],
+    start: toMinutes(entry.start_time),
+    end: toMinutes(entry.end_time),
+  };
+}
+
+function fromSchedule(schedule) {
+  return {
+    ref: { schedule_id: schedule.schedule_id },
+    subject_id: schedule.subject_id,
+    program_id: schedule.program_id,
+    year_level: schedule.year_level,
+    batch: schedule.batch,
+    teacher_id: schedule.teacher_id,
+    room_id: schedule.room_id,
+    room: schedule.room,
+    days: (schedule.schedule_day_mapping || []).map((d) => d.day_of_week),
+    start: toMinutes(schedule.start_time),
+    end: toMinutes(schedule.end_time),
+  };
+}
+
+const overlaps = (a, b) =>
+  a.start < b.end && b.start < a.end && a.days.some((day) => b.days.includes(day));
+
+function dailyMinutes(bookings, matches, day) {
+  return bookings
+    .filter((b) => matches(b) && b.days.includes(day))
+    .reduce((sum, b) => sum + (b.end - b.start), 0);
+}
+
+/**
+ * Everything wrong with placing `candidate` next to `bookings`.
+ *
+ * @returns {Array<{ type, message, with? }>} type is room | teacher |
+ *   section | teacher_availability | teacher_load | section_load
+ */
+function findConflicts(candidate, bookings, { teacher = null, options = DEFAULT_OPTIONS } = {}) {
+  const conflicts = [];
+
+  for (const other of bookings) {
+    if (!overlaps(candidate, other)) continue;
+
+    const clash = { with: { ...other.ref, subject_id: other.subject_id } };
+    if (sameRoom(candidate, other)) {
+      conflicts.push({ type: "room", message: `Room ${candidate.room} is taken`, ...clash });
+    }
+    if (candidate.teacher_id && String(candidate.teacher_id) === String(other.teacher_id)) {
+      conflicts.push({ type: "teacher", message: "Teacher already has a class", ...clash });
+    }
+    if (sectionKey(candidate) === sectionKey(other)) {
+      conflicts.push({ type: "section", message: "Section already has a class", ...clash });
+    }
+  }
+
+  const length = candidate.end - candidate.start;
+  for (const day of candidate.days) {
+    if (teacher?.availability?.length > 0) {
+      const available = teacher.availability.some(
+        (slot) =>
+          slot.day_of_week === day &&
+          toMinutes(slot.start_time) <= candidate.start &&
+          toMinutes(slot.end_time) >= candidate.end
+      );
+      if (!available) {
+        conflicts.push({ type: "teacher_availability", message: `Teacher is not available on ${day} at that time` });
+      }
+    }
+
+    if (candidate.teacher_id) {
+      const load = dailyMinutes(bookings, (b) => String(b.teacher_id) === String(candidate.teacher_id), day);
+      if (load + length > options.max_teacher_daily_hours * 60) {
+        conflicts.push({ type: "teacher_load", message: `Teacher would exceed ${options.max_teacher_daily_hours} hours on ${day}` });
+      }
+    }
+
+    const sectionLoad = dailyMinutes(bookings, (b) => sectionKey(b) === sectionKey(candidate), day);
+    if (sectionLoad + length > options.max_section_daily_hours * 60) {
+      conflicts.push({ type: "section_load", message: `Section would exceed ${options.max_section_daily_hours} hours on ${day}` });
+    }
+  }
+
+  return conflicts;
+}
+
+// ============================================
+// INPUTS
+// ============================================
+async function getSemester(supabase, semester_id) {
+  const { data, error } = await supabase
+    .from("semesters")
+    .select("semester_id, semester_name, school_year, start_date, end_date")
+    .eq("semester_id", semester_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new TimetableError("Semester not found", 404);
+  return data;
+}
+
+// Smallest rooms first, so big rooms stay free for big sections
+async function getRooms(supabase) {
+  const rooms = await roomRegistry.listRooms(supabase, { active: true });
+  return rooms.sort((a, b) => a.capacity - b.capacity);
+}
+
+// Teachers with the subjects they may teach and their availability
+async function getTeachers(supabase) {
+  const [{ data: teachers, error }, { data: specializations, error: specError }, { data: availability, error: availError }] =
+    await Promise.all([
+      supabase.from("teachers").select("teacher_id, first_name, last_name"),
+      supabase.from("teacher_subject_specializations").select("teacher_id, subject_id"),
+      supabase.from("teacher_availability").select("teacher_id, day_of_week, start_time, end_time"),
+    ]);
+
+  if (error) throw error;
+  if (specError) throw specError;
+  if (availError) throw availError;
+
+  const byId = new Map(
+    teachers.map((t) => [String(t.teacher_id), { ...t, subject_ids: new Set(), availability: [] }])
+  );
+  for (const s of specializations) byId.get(String(s.teacher_id))?.subject_ids.add(String(s.subject_id));
+  for (const a of availability) byId.get(String(a.teacher_id))?.availability.push(a);
+  return byId;
+}
+
+async function getSemesterBookings(supabase, semester_id) {
+  const { data, error } = await supabase
+    .from("course_schedules")
+    .select(
+      `schedule_id, subject_id, program_id, year_level, batch, teacher_id, room_id, room,
+       start_time, end_time, schedule_day_mapping ( day_of_week )`
+    )
+    .eq("semester_id", semester_id);
+
+  if (error) throw error;
+  return data.map(fromSchedule);
+}
+
+/**
+ * Sections to schedule. Without an explicit list, one section per program
+ * and year level that has students, sized by its head count.
+ */
+async function resolveSections(supabase, sections, options) {
+  if (sections && sections.length > 0) {
+    for (const s of sections) {
+      if (!s.program_id || !s.year_level) {
+        throw new TimetableError("Each section needs program_id and year_level");
+      }
+    }
+    return sections.map((s) => ({
+      program_id: s.program_id,
+      year_level: Number(s.year_level),
+      batch: s.batch || options.batch,
+      size: Number(s.size) || 0,
+    }));
+  }
+
+  const { data: students, error } = await supabase.from("students").select("program_id, year_level");
+  if (error) throw error;
+
+  const counts = new Map();
+  for (const student of students) {
+    if (!student.program_id || !student.year_level) continue;
+    const key = `${student.program_id}|${student.year_level}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return [...counts.entries()].map(([key, size]) => {
+    const [program_id, year_level] = key.split("|").map(Number);
+    return { program_id, year_level, batch: options.batch, size };
+  });
+}
+
+// Term subjects of the curriculum the section's cohort was admitted under
+async function getSectionSubjects(supabase, semester, section) {
+  const admissionYear = parseInt(semester.school_year) - (section.year_level - 1);
+  const cohortCurriculum = isNaN(admissionYear)
+    ? null
+    : await curriculum.findEffectiveCurriculum(supabase, section.program_id, admissionYear);
+
+  return curriculum.getTermSubjects(supabase, {
+    program_id: section.program_id,
+    curriculum_id: cohortCurriculum?.curriculum_id || null,
+    year_level: section.year_level,
+    semester_id: semester.semester_id,
+  });
+}
+
+// ============================================
+// GENERATION
+// ============================================
+function placeClass(item, state) {
+  const { options, semester, rooms, teachers, bookings } = state;
+  const length = Math.ceil((item.subject.units * 60) / item.pattern_days / options.slot_minutes) * options.slot_minutes;
+
+  const fittingRooms = rooms.filter(
+    (room) => (item.subject.has_lab ? isLabRoom(room) : room.room_type === "lecture") && room.capacity >= item.section.size
+  );
+  if (fittingRooms.length === 0) {
+    return {
+      reason: item.subject.has_lab
+        ? `No lab room seats ${item.section.size} students`
+        : `No lecture room seats ${item.section.size} students`,
+    };
+  }
+
+  // Least loaded teachers first; without a qualified teacher the class is
+  // placed unassigned so the registrar can pick one
+  const load = (teacher) =>
+    bookings.filter((b) => String(b.teacher_id) === String(teacher.teacher_id)).reduce((sum, b) => sum + b.end - b.start, 0);
+  const candidates = item.teachers.length > 0 ? [...item.teachers].sort((a, b) => load(a) - load(b)) : [null];
+
+  const sectionMinutes = (days) =>
+    days.reduce((sum, day) => sum + dailyMinutes(bookings, (b) => sectionKey(b) === sectionKey(item.section), day), 0);
+  const patterns = MEETING_PATTERNS.filter(
+    (days) => days.length === item.pattern_days && days.every((day) => options.days.includes(day))
+  ).sort((a, b) => sectionMinutes(a) / a.length - sectionMinutes(b) / b.length);
+
+  const dayStart = toMinutes(options.day_start);
+  const dayEnd = toMinutes(options.day_end);
+
+  for (const days of patterns) {
+    for (let start = dayStart; start + length <= dayEnd; start += options.slot_minutes) {
+      for (const teacher of candidates) {
+        for (const room of fittingRooms) {
+          if (roomRegistry.availabilityIssues(room, days, toTime(start), toTime(start + length), semester).length > 0) {
+            continue;
+          }
+          const candidate = {
+            subject_id: item.subject.subject_id,
+            program_id: item.section.program_id,
+            year_level: item.section.year_level,
+            batch: item.section.batch,
+            teacher_id: teacher?.teacher_id || null,
+            room_id: room.room_id,
+            room: room.name,
+            days,
+            start,
+            end: start + length,
+          };
+          const conflicts = findConflicts(candidate, bookings, { teacher, options });
+          if (conflicts.length === 0) return { booking: candidate, room };
+
+          // Only the room clashed: try the next room at this time
+          if (conflicts.some((c) => c.type !== "room")) break;
+        }
+      }
+    }
+  }
+
+  return { reason: "No free room, teacher and time slot left" };
+}
+
+/**
+ * Generate a draft timetable for a semester.
+ *
+ * @param {Object} params
+ * @param {number} params.semester_id
+ * @param {Array} [params.sections] - [{ program_id, year_level, batch, size }]
+ * @param {Object} [params.options] - Overrides of DEFAULT_OPTIONS, plus days
+ * @returns {Promise<Object>} The saved draft with entries, unplaced and warnings
+ */
+async function generateDraft(supabase, logger, { semester_id, sections = null, options = {} }, user) {
+  const settings = { ...DEFAULT_OPTIONS, days: DAYS, ...options };
+  const semester = await getSemester(supabase, semester_id);
+
+  const [rooms, teachers, bookings, sectionList] = await Promise.all([
+    getRooms(supabase),
+    getTeachers(supabase),
+    getSemesterBookings(supabase, semester_id),
+    resolveSections(supabase, sections, settings),
+  ]);
+
+  if (rooms.length === 0) throw new TimetableError("No active rooms are registered", 422);
+
+  const items = [];
+  const warnings = [];
+  for (const section of sectionList) {
+    const subjects = await getSectionSubjects(supabase, semester, section);
+    for (const subject of subjects) {
+      const alreadyScheduled = bookings.some(
+        (b) => b.ref.schedule_id && String(b.subject_id) === String(subject.subject_id) && sectionKey(b) === sectionKey(section)
+      );
+      if (alreadyScheduled) continue;
+
+      if (!(Number(subject.units) > 0)) {
+        warnings.push({ subject_id: subject.subject_id, section, message: "Subject has no units; not scheduled" });
+        continue;
+      }
+
+      const qualified = [...teachers.values()].filter((t) => t.subject_ids.has(String(subject.subject_id)));
+      if (qualified.length === 0) {
+        warnings.push({ subject_id: subject.subject_id, section, message: "No teacher specializes in this subject" });
+      }
+
+      items.push({
+        section,
+        subject,
+        teachers: qualified,
+        // Labs meet once a week for a long block, lectures twice
+        pattern_days: subject.has_lab || Number(subject.units) < 2 ? 1 : 2,
+      });
+    }
+  }
+
+  // Hardest classes first: labs, then fewest qualified teachers, then longest
+  items.sort(
+    (a, b) =>
+      Number(Boolean(b.subject.has_lab)) - Number(Boolean(a.subject.has_lab)) ||
+      (a.teachers.length || Infinity) - (b.teachers.length || Infinity) ||
+      Number(b.subject.units) - Number(a.subject.units)
+  );
+
+  const state = { options: settings, semester, rooms, teachers, bookings };
+  const placed = [];
+  const unplaced = [];
+  for (const item of items) {
+    const result = placeClass(item, state);
+    if (result.booking) {
+      bookings.push(result.booking);
+      placed.push({ ...result.booking, room_id: result.room.room_id, section_size: item.section.size });
+    } else {
+      unplaced.push({
+        subject_id: item.subject.subject_id,
+        subject_code: item.subject.subject_code,
+        section: item.section,
+        reason: result.reason,
+      });
+    }
+  }
+
+  const { data: draft, error } = await supabase
+    .from("timetable_drafts")
+    .insert([
+      {
+        semester_id,
+        status: "draft",
+        options: settings,
+        unplaced,
+        warnings,
+        created_by: user.user_id,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (placed.length > 0) {
+    const { error: entriesError } = await supabase.from("timetable_draft_entries").insert(
+      placed.map((booking) => ({
+        draft_id: draft.draft_id,
+        subject_id: booking.subject_id,
+        program_id: booking.program_id,
+        year_level: booking.year_level,
+        batch: booking.batch,
+        section_size: booking.section_size,
+        teacher_id: booking.teacher_id,
+        room_id: booking.room_id,
+        room: booking.room,
+        days: booking.days,
+        start_time: toTime(booking.start),
+        end_time: toTime(booking.end),
+      }))
+    );
+
+    if (entriesError) {
+      await supabase.from("timetable_drafts").delete().eq("draft_id", draft.draft_id);
+      throw entriesError;
+    }
+  }
+
+  logger.info("Timetable draft generated", {
+    draft_id: draft.draft_id,
+    semester_id,
+    sections: sectionList.length,
+    placed: placed.length,
+    unplaced: unplaced.length,
+    by: user.user_id,
+  });
+
+  return getDraft(supabase, draft.draft_id);
+}
+
+// ============================================
+// REVIEW
+// ============================================
+async function getDraftRow(supabase, draft_id) {
+  const { data, error } = await supabase
+    .from("timetable_drafts")
+    .select("*")
+    .eq("draft_id", draft_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new TimetableError("Draft not found", 404);
+  return data;
+}
+
+async function getEntries(supabase, draft_id) {
+  const { data, error } = await supabase
+    .from("timetable_draft_entries")
+    .select("*, course_subjects ( subject_code, subject_name, units, has_lab )")
+    .eq("draft_id", draft_id)
+    .order("entry_id", { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Draft with its entries and any conflicts they have now, against each
+ * other and against schedules committed since the draft was made.
+ */
+async function getDraft(supabase, draft_id) {
+  const draft = await getDraftRow(supabase, draft_id);
+  const [entries, committed, teachers] = await Promise.all([
+    getEntries(supabase, draft_id),
+    getSemesterBookings(supabase, draft.semester_id),
+    getTeachers(supabase),
+  ]);
+
+  const options = { ...DEFAULT_OPTIONS, ...(draft.options || {}) };
+  const bookings = entries.map(fromEntry);
+  const conflicts = [];
+  entries.forEach((entry, index) => {
+    const others = [...bookings.slice(0, index), ...committed];
+    const found = findConflicts(bookings[index], others, {
+      teacher: teachers.get(String(entry.teacher_id)) || null,
+      options,
+    });
+    if (found.length > 0) conflicts.push({ entry_id: entry.entry_id, conflicts: found });
+  });
+
+  return { ...draft, entries, conflicts };
+}
+
+function assertOpen(draft) {
+  if (draft.status !== "draft") {
+    throw new TimetableError(`Draft is already ${draft.status}`, 409);
+  }
+}
+
+/**
+ * Add or change one entry of a draft. The change is refused with its
+ * conflicts if it would double-book anything.
+ *
+ * @param {Object} changes - { subject_id, program_id, year_level, batch,
+ *   section_size, teacher_id, room_id, days, start_time, end_time }
+ */
+async function saveEntry(supabase, logger, draft_id, entry_id, changes, user) {
+  const draft = await getDraftRow(supabase, draft_id);
+  assertOpen(draft);
+
+  const entries = await getEntries(supabase, draft_id);
+  const existing = entry_id ? entries.find((e) => String(e.entry_id) === String(entry_id)) : null;
+  if (entry_id && !existing) throw new TimetableError("Entry not found", 404);
+
+  const entry = { ...(existing || {}) };
+  for (const field of [
+    "subject_id", "program_id", "year_level", "batch", "section_size",
+    "teacher_id", "room_id", "days", "start_time", "end_time",
+  ]) {
+    if (changes[field] !== undefined) entry[field] = changes[field];
+  }
+
+  for (const field of ["subject_id", "program_id", "year_level", "room_id", "days", "start_time", "end_time"]) {
+    if (entry[field] === undefined || entry[field] === null) {
+      throw new TimetableError(`${field} is required`);
+    }
+  }
+  if (!Array.isArray(entry.days) || entry.days.length === 0 || entry.days.some((d) => !DAYS.includes(d))) {
+    throw new TimetableError(`days must be a non-empty list of: ${DAYS.join(", ")}`);
+  }
+  if (toMinutes(entry.end_time) <= toMinutes(entry.start_time)) {
+    throw new TimetableError("end_time must be after start_time");
+  }
+
+  const [semester, rooms, teachers, committed] = await Promise.all([
+    getSemester(supabase, draft.semester_id),
+    getRooms(supabase),
+    getTeachers(supabase),
+    getSemesterBookings(supabase, draft.semester_id),
+  ]);
+
+  const room = rooms.find((r) => String(r.room_id) === String(entry.room_id));
+  if (!room) throw new TimetableError("Room not found or inactive", 404);
+  entry.room = room.name;
+  entry.room_id = room.room_id;
+
+  const teacher = entry.teacher_id ? teachers.get(String(entry.teacher_id)) : null;
+  if (entry.teacher_id && !teacher) throw new TimetableError("Teacher not found", 404);
+
+  const others = [
+    ...entries.filter((e) => String(e.entry_id) !== String(entry_id)).map(fromEntry),
+    ...committed,
+  ];
+  const conflicts = [
+    ...findConflicts(fromEntry(entry), others, {
+      teacher,
+      options: { ...DEFAULT_OPTIONS, ...(draft.options || {}) },
+    }),
+    ...roomRegistry
+      .availabilityIssues(room, entry.days, entry.start_time, entry.end_time, semester)
+      .map((issue) => ({ type: "room_availability", message: issue.message })),
+  ];
+  if (conflicts.length > 0) {
+    throw new TimetableError("The change conflicts with other classes", 409, conflicts);
+  }
+
+  // Soft problems the registrar may accept
+  const warnings = [];
+  if (entry.section_size && room.capacity < entry.section_size) {
+    warnings.push(`Room ${room.name} seats ${room.capacity}, section has ${entry.section_size}`);
+  }
+  if (teacher && !teacher.subject_ids.has(String(entry.subject_id))) {
+    warnings.push("Teacher has no specialization in this subject");
+  }
+
+  const row = {
+    draft_id,
+    subject_id: entry.subject_id,
+    program_id: entry.program_id,
+    year_level: entry.year_level,
+    batch: entry.batch || null,
+    section_size: entry.section_size || null,
+    teacher_id: entry.teacher_id || null,
+    room_id: room.room_id,
+    room: room.name,
+    days: entry.days,
+    start_time: entry.start_time,
+    end_time: entry.end_time,
+  };
+
+  const query = existing
+    ? supabase.from("timetable_draft_entries").update(row).eq("entry_id", existing.entry_id)
+    : supabase.from("timetable_draft_entries").insert([row]);
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+
+  logger.info(existing ? "Timetable entry changed" : "Timetable entry added", {
+    draft_id,
+    entry_id: data.entry_id,
+    by: user.user_id,
+  });
+  return { entry: data, warnings };
+}
+
+async function removeEntry(supabase, logger, draft_id, entry_id, user) {
+  const draft = await getDraftRow(supabase, draft_id);
+  assertOpen(draft);
+
+  const { data, error } = await supabase
+    .from("timetable_draft_entries")
+    .delete()
+    .eq("draft_id", draft_id)
+    .eq("entry_id", entry_id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new TimetableError("Entry not found", 404);
+
+  logger.info("Timetable entry removed", { draft_id, entry_id, by: user.user_id });
+  return data;
+}
+
+// ============================================
+// COMMIT
+// ============================================
+async function commitDraft(supabase, logger, draft_id, user) {
+  const draft = await getDraft(supabase, draft_id);
+  assertOpen(draft);
+
+  if (draft.entries.length === 0) throw new TimetableError("Draft has no entries", 422);
+  if (draft.conflicts.length > 0) {
+    throw new TimetableError("Resolve the draft's conflicts before committing", 409, draft.conflicts);
+  }
+
+  const { data: created, error } = await supabase.rpc("commit_timetable_draft", {
+    p_draft_id: draft.draft_id,
+    p_committed_by: user.user_id,
+  });
+
+  if (error) {
+    logger.error("Committing timetable draft failed", { draft_id, error: error.message });
+    throw error;
+  }
+
+  logger.info("Timetable draft committed", {
+    draft_id,
+    semester_id: draft.semester_id,
+    schedules: created,
+    by: user.user_id,
+  });
+  return { draft_id: draft.draft_id, semester_id: draft.semester_id, schedules_created: created };
+}
+
+async function discardDraft(supabase, logger, draft_id, user) {
+  const draft = await getDraftRow(supabase, draft_id);
+  assertOpen(draft);
+
+  const { data, error } = await supabase
+    .from("timetable_drafts")
+    .update({ status: "discarded" })
+    .eq("draft_id", draft_id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info("Timetable draft discarded", { draft_id, by: user.user_id });
+  return data;
+}
+
+module.exports = {
+  DAYS,
+  MEETING_PATTERNS,
+  DEFAULT_OPTIONS,
+  DRAFT_STATUSES,
+  TimetableError,
+  toMinutes,
+  toTime,
+  findConflicts,
+  generateDraft,
+  getDraft,
+  saveEntry,
+  removeEntry,
+  commitDraft,
+  discardDraft,
+};
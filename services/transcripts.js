@@ -0,0 +1,422 @@
+// services/transcripts.js
+//
+// Transcript of records: every enrollment of a student with its subjects and
+// grades, per-term GPA and the cumulative GWA, both weighted by units.
+//
+// Only numeric final grades count toward GPA/GWA (5.0 included). INC and
+// dropped subjects are listed without counting; credited subjects
+// (grade_remark "Credited", e.g. from a transferee's previous school) are
+// listed and count toward units earned but not toward the GWA.
+//
+// transcript_issuances: issuance_id, control_no (unique), student_id,
+// purpose, signatory, gwa, content_hash, verification_code, snapshot
+// (jsonb: the transcript as issued), issued_by, issued_at
+//
+// An official copy is a snapshot signed by the registrar. Its content hash
+// is a SHA-256 over the grades it shows and its verification code an HMAC
+// over the issuance, so a printed copy can be checked online; verification
+// also says whether the record has changed since the copy was issued.
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const { PASSING_GRADE, GRADE_CODES } = require("./grading");
+const { getSecret } = require("../config/secrets");
+const { formatDate, drawHeader, drawTable } = require("./pdflayout");
+const { ServiceError } = require("./common");
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
+const REGISTRAR_NAME = process.env.REGISTRAR_NAME || "University Registrar";
+
+// Enrollments that belong on the academic record
+const RECORD_STATUSES = ["Enrolled", "Completed"];
+const CREDITED = "Credited";
+const GWA_DECIMALS = 4;
+
+class TranscriptError extends ServiceError {}
+
+const round = (value) =>
+  Math.round(value * 10 ** GWA_DECIMALS) / 10 ** GWA_DECIMALS;
+
+// Unit-weighted average of numeric final grades, or null when none count
+function weightedAverage(subjects) {
+  const graded = subjects.filter((subject) => subject.counts_in_gwa);
+  const units = graded.reduce((sum, subject) => sum + subject.units, 0);
+  if (units === 0) return null;
+  return round(graded.reduce((sum, subject) => sum + subject.final_grade * subject.units, 0) / units);
+}
+
+function classifySubject(row) {
+  const units = parseFloat(row.course_subjects?.units) || 0;
+  const finalGrade = row.final_grade === null || row.final_grade === undefined
+    ? null
+    : parseFloat(row.final_grade);
+
+  let remark = row.grade_remark || null;
+  if (!remark && row.status === "Dropped") remark = "DRP";
+  if (!remark && row.status === CREDITED) remark = CREDITED;
+  if (!remark && finalGrade !== null) remark = finalGrade <= PASSING_GRADE ? "Passed" : "Failed";
+
+  const excluded = remark === CREDITED || Boolean(GRADE_CODES[remark]);
+
+  return {
+    subject_id: row.subject_id,
+    subject_code: row.course_subjects?.subject_code || null,
+    subject_name: row.course_subjects?.subject_name || null,
+    units,
+    midterm_grade:
+      row.midterm_grade === null || row.midterm_grade === undefined
+        ? null
+        : parseFloat(row.midterm_grade),
+    final_grade: excluded ? null : finalGrade,
+    remark: remark || "No grade yet",
+    counts_in_gwa: !excluded && finalGrade !== null,
+    earned: remark === "Passed" || remark === CREDITED,
+  };
+}
+
+/**
+ * Assemble a student's academic record.
+ */
+async function buildTranscript(supabase, student_id) {
+  const { data: student, error: studentError } = await supabase
+    .from("students")
+    .select(
+      "student_id, first_name, last_name, email, dob, year_level, admission_year, programs ( program_code, program_name )"
+    )
+    .eq("student_id", student_id)
+    .maybeSingle();
+
+  if (studentError) throw studentError;
+  if (!student) throw new TranscriptError("Student not found", 404);
+
+  const { data: enrollments, error } = await supabase
+    .from("enrollments")
+    .select(
+      `
+      enrollment_id,
+      status,
+      semesters ( semester_id, semester_name, school_year, start_date ),
+      enrollment_subjects (
+        subject_id,
+        status,
+        midterm_grade,
+        final_grade,
+        grade_remark,
+        course_subjects ( subject_code, subject_name, units )
+      )
+    `
+    )
+    .eq("student_id", student_id)
+    .in("status", RECORD_STATUSES);
+
+  if (error) throw error;
+
+  const terms = enrollments
+    .sort(
+      (a, b) =>
+        String(a.semesters?.start_date || "").localeCompare(String(b.semesters?.start_date || "")) ||
+        a.enrollment_id - b.enrollment_id
+    )
+    .map((enrollment) => {
+      const subjects = (enrollment.enrollment_subjects || [])
+        .map(classifySubject)
+        .sort((a, b) => String(a.subject_code).localeCompare(String(b.subject_code)));
+
+      return {
+        enrollment_id: enrollment.enrollment_id,
+        semester_id: enrollment.semesters?.semester_id || null,
+        semester_name: enrollment.semesters?.semester_name || null,
+        school_year: enrollment.semesters?.school_year || null,
+        subjects,
+        units_attempted: subjects
+          .filter((subject) => subject.counts_in_gwa)
+          .reduce((sum, subject) => sum + subject.units, 0),
+        units_earned: subjects
+          .filter((subject) => subject.earned)
+          .reduce((sum, subject) => sum + subject.units, 0),
+        gpa: weightedAverage(subjects),
+      };
+    });
+
+  const allSubjects = terms.flatMap((term) => term.subjects);
+
+  return {
+    student,
+    terms,
+    summary: {
+      gwa: weightedAverage(allSubjects),
+      units_attempted: terms.reduce((sum, term) => sum + term.units_attempted, 0),
+      units_earned: terms.reduce((sum, term) => sum + term.units_earned, 0),
+      incomplete: allSubjects.filter((subject) => subject.remark === "INC").length,
+      dropped: allSubjects.filter((subject) => subject.remark === "DRP").length,
+      credited: allSubjects.filter((subject) => subject.remark === CREDITED).length,
+    },
+    generated_at: new Date().toISOString(),
+  };
+}
+
+// Hash over what the transcript certifies, independent of when it was built
+function computeContentHash(transcript) {
+  const content = {
+    student_id: transcript.student.student_id,
+    terms: transcript.terms.map((term) => ({
+      semester_id: term.semester_id,
+      subjects: term.subjects.map((subject) => [
+        subject.subject_code,
+        subject.units,
+        subject.final_grade,
+        subject.remark,
+      ]),
+    })),
+    gwa: transcript.summary.gwa,
+  };
+
+  return crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+}
+
+function computeVerificationCode({ control_no, student_id, content_hash, issued_at }) {
+  return crypto
+    .createHmac("sha256", getSecret("transcripts"))
+    .update([control_no, student_id, content_hash, new Date(issued_at).toISOString()].join("|"))
+    .digest("hex")
+    .slice(0, 12)
+    .toUpperCase();
+}
+
+function verificationUrl(issuance) {
+  return `${BASE_URL}/api/transcripts/verify/${encodeURIComponent(
+    issuance.control_no
+  )}?code=${issuance.verification_code}`;
+}
+
+/**
+ * Issue an official, registrar-signed copy of the current transcript.
+ */
+async function issueTranscript(
+  supabase,
+  logger,
+  student_id,
+  { purpose = null, signatory = REGISTRAR_NAME, issued_by = null } = {}
+) {
+  const transcript = await buildTranscript(supabase, student_id);
+  if (transcript.terms.length === 0) {
+    throw new TranscriptError("The student has no enrollments on record", 409);
+  }
+
+  const issued_at = new Date().toISOString();
+  const control_no = `TOR-${issued_at.slice(0, 4)}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+  const content_hash = computeContentHash(transcript);
+  const verification_code = computeVerificationCode({
+    control_no,
+    student_id: transcript.student.student_id,
+    content_hash,
+    issued_at,
+  });
+
+  const { data, error } = await supabase
+    .from("transcript_issuances")
+    .insert([
+      {
+        control_no,
+        student_id: transcript.student.student_id,
+        purpose,
+        signatory,
+        gwa: transcript.summary.gwa,
+        content_hash,
+        verification_code,
+        snapshot: transcript,
+        issued_by,
+        issued_at,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info("Official transcript issued", { control_no, student_id, issued_by });
+  return data;
+}
+
+async function getIssuance(supabase, control_no) {
+  const { data, error } = await supabase
+    .from("transcript_issuances")
+    .select("*")
+    .eq("control_no", control_no)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new TranscriptError("Transcript not found", 404);
+  return data;
+}
+
+/**
+ * Check a printed official copy. Returns only what the copy itself shows,
+ * and only for the code printed on it.
+ */
+async function verifyTranscript(supabase, control_no, code) {
+  const given = String(code || "").trim().toUpperCase();
+  if (!given) return { valid: false, reason: "missing_code" };
+
+  const { data: issuance, error } = await supabase
+    .from("transcript_issuances")
+    .select("*")
+    .eq("control_no", control_no)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!issuance) return { valid: false, reason: "unknown_transcript" };
+
+  const matchesStored =
+    issuance.verification_code === computeVerificationCode(issuance) &&
+    issuance.content_hash === computeContentHash(issuance.snapshot);
+  if (!matchesStored) return { valid: false, reason: "tampered_record" };
+
+  const matchesGiven =
+    given.length === issuance.verification_code.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(issuance.verification_code));
+  if (!matchesGiven) return { valid: false, reason: "code_mismatch" };
+
+  // A later grade change does not void the copy, but the checker should know
+  let current = null;
+  try {
+    current = computeContentHash(await buildTranscript(supabase, issuance.student_id)) === issuance.content_hash;
+  } catch (err) {
+    current = null;
+  }
+
+  const { student } = issuance.snapshot;
+  return {
+    valid: true,
+    transcript: {
+      control_no: issuance.control_no,
+      student_id: issuance.student_id,
+      name: `${student.first_name} ${student.last_name}`,
+      program: student.programs?.program_name || null,
+      gwa: issuance.gwa,
+      signatory: issuance.signatory,
+      issued_at: issuance.issued_at,
+      content_hash: issuance.content_hash,
+      matches_current_record: current,
+    },
+  };
+}
+
+// ============================================
+// PDF RENDERING
+// ============================================
+const gradeText = (value) => (value === null || value === undefined ? "" : Number(value).toFixed(2));
+
+/**
+ * Render a transcript as a PDF into `stream`. With an issuance the copy is
+ * official (signed, with control number and QR code), otherwise it is
+ * marked unofficial.
+ */
+async function renderTranscriptPdf(stream, transcript, issuance = null) {
+  const { student, terms, summary } = transcript;
+  const qr = issuance
+    ? await QRCode.toBuffer(verificationUrl(issuance), { margin: 1, width: 110 })
+    : null;
+
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(stream);
+
+  drawHeader(doc, "TRANSCRIPT OF RECORDS");
+  if (!issuance) {
+    doc.fontSize(12).fillColor("red").text("UNOFFICIAL COPY", { align: "center" }).fillColor("black");
+    doc.moveDown(0.5);
+  } else {
+    doc.fontSize(9).text(`Control No.: ${issuance.control_no}`, { align: "right" });
+  }
+
+  doc.fontSize(10);
+  doc.text(`Name: ${student.last_name}, ${student.first_name}`);
+  doc.text(`Student ID: ${student.student_id}`);
+  doc.text(`Program: ${student.programs?.program_name || student.programs?.program_code || "-"}`);
+  doc.text(`Date of birth: ${formatDate(student.dob)}`);
+  doc.moveDown();
+
+  const columns = [
+    { label: "Code", width: 75 },
+    { label: "Descriptive Title", width: 235 },
+    { label: "Units", width: 45, align: "right" },
+    { label: "Midterm", width: 55, align: "right" },
+    { label: "Final", width: 50, align: "right" },
+    { label: "Remarks", width: 55, align: "right" },
+  ];
+
+  for (const term of terms) {
+    doc.font("Helvetica-Bold").fontSize(10).text(
+      `${term.semester_name || "Semester"} ${term.school_year || ""}`
+    );
+    doc.font("Helvetica");
+    drawTable(
+      doc,
+      columns,
+      term.subjects.map((subject) => [
+        subject.subject_code,
+        subject.subject_name,
+        subject.units,
+        gradeText(subject.midterm_grade),
+        gradeText(subject.final_grade),
+        subject.remark,
+      ])
+    );
+    doc
+      .fontSize(9)
+      .text(
+        `Units earned: ${term.units_earned}   Term GPA: ${
+          term.gpa === null ? "-" : term.gpa.toFixed(GWA_DECIMALS)
+        }`,
+        { align: "right" }
+      );
+    doc.moveDown(0.5);
+  }
+
+  doc.moveDown();
+  doc
+    .fontSize(11)
+    .text(
+      `General Weighted Average: ${summary.gwa === null ? "-" : summary.gwa.toFixed(GWA_DECIMALS)}`,
+      { align: "right" }
+    );
+  doc.fontSize(9).text(`Total units earned: ${summary.units_earned}`, { align: "right" });
+  doc.moveDown(2);
+
+  if (issuance) {
+    if (doc.y > doc.page.height - 200) doc.addPage();
+    const y = doc.y;
+    doc.image(qr, doc.page.margins.left, y, { width: 90 });
+    doc
+      .fontSize(8)
+      .text(`Verification code: ${issuance.verification_code}`, doc.page.margins.left + 100, y + 10)
+      .text(`Issued: ${formatDate(issuance.issued_at)}`)
+      .text(issuance.purpose ? `Purpose: ${issuance.purpose}` : "")
+      .text("Scan the code to verify this transcript online.", { width: 200 });
+
+    doc.fontSize(10).text(issuance.signatory, doc.page.margins.left + 320, y + 30, {
+      width: 195,
+      align: "center",
+      underline: true,
+    });
+    doc.fontSize(8).text("Registrar", { width: 195, align: "center" });
+  } else {
+    doc.fontSize(7).text(
+      "This is an unofficial copy generated for reference and is not valid without the registrar's signature.",
+      { align: "center" }
+    );
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  RECORD_STATUSES,
+  TranscriptError,
+  buildTranscript,
+  computeContentHash,
+  issueTranscript,
+  getIssuance,
+  verifyTranscript,
+  renderTranscriptPdf,
+};
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const admissions = require("../services/admissions");
+const { createFakeSupabase } = require("./support/fakesupabase");
+
+test("the report counts every applicant past the API's row limit", async () => {
+  const count = 1500;
+  const supabase = createFakeSupabase({
+    form_responses: Array.from({ length: count }, (_, i) => ({
+      admission_id: i + 1,
+      preferred_course: i % 2 ? "BSIT" : "BSCS",
+      applicant_status: i < 1200 ? "accepted" : "rejected",
+    })),
+    admission_scores: Array.from({ length: count }, (_, i) => ({
+      score_id: i + 1,
+      admission_id: i + 1,
+      kind: "exam",
+      score: i % 2 ? 80 : 60,
+      max_score: 100,
+    })),
+  });
+
+  const report = await admissions.buildReport(supabase);
+
+  assert.strictEqual(report.total, count);
+  const [bscs, bsit] = report.courses;
+  assert.strictEqual(bscs.total + bsit.total, count);
+  assert.strictEqual(bsit.by_status.accepted, 600);
+  assert.strictEqual(bsit.average_exam_percent, 80);
+  assert.strictEqual(bscs.acceptance_rate, 80);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+process.env.AUTH_TOKEN_SECRET = "test-auth-secret";
+
+const { ROLES, signLocalToken, verifyLocalToken, requireSelfOrRole } = require("../middleware/auth");
+
+async function run(middleware, user, target) {
+  let status = null;
+  let passed = false;
+  const res = {
+    status(code) {
+      status = code;
+      return { json: () => {} };
+    },
+  };
+  await middleware({ user, params: target }, res, () => {
+    passed = true;
+  });
+  return { passed, status };
+}
+
+test("local tokens round-trip and reject tampering", () => {
+  const token = signLocalToken({ user_id: 7, email: "a@school.edu" });
+  assert.strictEqual(verifyLocalToken(token).sub, 7);
+
+  const [prefix, payload, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ sub: 1, exp: 9999999999 })).toString("base64url");
+  assert.strictEqual(verifyLocalToken(`${prefix}.${forged}.${signature}`), null);
+  assert.strictEqual(verifyLocalToken(`${prefix}.${payload}.x${signature.slice(1)}`), null);
+});
+
+test("local tokens signed with another key are rejected", () => {
+  const token = signLocalToken({ user_id: 7, email: "a@school.edu" });
+  process.env.AUTH_TOKEN_SECRET = "another-secret";
+  try {
+    assert.strictEqual(verifyLocalToken(token), null);
+  } finally {
+    process.env.AUTH_TOKEN_SECRET = "test-auth-secret";
+  }
+});
+
+test("signing fails without AUTH_TOKEN_SECRET", () => {
+  delete process.env.AUTH_TOKEN_SECRET;
+  try {
+    assert.throws(() => signLocalToken({ user_id: 7 }), /AUTH_TOKEN_SECRET is not set/);
+  } finally {
+    process.env.AUTH_TOKEN_SECRET = "test-auth-secret";
+  }
+});
+
+test("requireSelfOrRole lets students reach only their own records", async () => {
+  const check = requireSelfOrRole((req) => ({ student_id: req.params.student_id }));
+
+  assert.deepStrictEqual(await run(check, { role: ROLES.STUDENT, student_id: "S1" }, { student_id: "S1" }), {
+    passed: true,
+    status: null,
+  });
+  assert.strictEqual((await run(check, { role: ROLES.STUDENT, student_id: "S1" }, { student_id: "S2" })).status, 403);
+  assert.strictEqual((await run(check, { role: ROLES.CASHIER }, { student_id: "S2" })).passed, true);
+  assert.strictEqual((await run(check, { role: ROLES.INSTRUCTOR }, { student_id: "S2" })).status, 403);
+});
+
+test("requireSelfOrRole looks up the owner of a record addressed by id", async () => {
+  const owners = { 5: "S1" };
+  const check = requireSelfOrRole(async (req) => ({ student_id: owners[req.params.enrollment_id] }), ROLES.REGISTRAR);
+
+  assert.strictEqual((await run(check, { role: ROLES.STUDENT, student_id: "S1" }, { enrollment_id: 5 })).passed, true);
+  assert.strictEqual((await run(check, { role: ROLES.STUDENT, student_id: "S1" }, { enrollment_id: 6 })).status, 403);
+  assert.strictEqual((await run(check, { role: ROLES.CASHIER }, { enrollment_id: 6 })).status, 403);
+  assert.strictEqual((await run(check, { role: ROLES.REGISTRAR }, { enrollment_id: 6 })).passed, true);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+// scheduleservice opens its own client when it is loaded
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://127.0.0.1:9";
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || "test";
+
+const { findScheduleConflicts, groupConflicts } = require("../services/scheduleservice");
+const timetable = require("../services/timetable");
+
+const existing = {
+  schedule_id: 1,
+  subject_name: "Programming 1",
+  room: "Room 101",
+  teacher_id: 7,
+  program_id: 2,
+  year_level: 1,
+  batch: "A",
+  days: ["Monday", "Wednesday"],
+  start_time: "08:00:00",
+  end_time: "09:30:00",
+};
+
+const types = (conflicts) => conflicts.map((conflict) => conflict.type);
+
+test("a class at the same time in the same room, teacher and section clashes on all three", () => {
+  const conflicts = findScheduleConflicts({ ...existing, schedule_id: null, days: ["Monday"] }, existing);
+  assert.deepStrictEqual(types(conflicts), ["room", "teacher", "section"]);
+  assert.deepStrictEqual(conflicts[0].overlapping_days, ["Monday"]);
+});
+
+test("touching time ranges and other days do not clash", () => {
+  assert.deepStrictEqual(findScheduleConflicts({ ...existing, start_time: "9:30", end_time: "11:00" }, existing), []);
+  assert.deepStrictEqual(findScheduleConflicts({ ...existing, days: ["Tuesday"] }, existing), []);
+});
+
+test("room names are compared normalized, registered rooms by id", () => {
+  const other = { ...existing, teacher_id: 8, program_id: 3 };
+  assert.deepStrictEqual(types(findScheduleConflicts({ ...other, room: " room  101 " }, existing)), ["room"]);
+  assert.deepStrictEqual(
+    findScheduleConflicts({ ...other, room_id: 4 }, { ...existing, room_id: 5 }),
+    []
+  );
+});
+
+test("different batches of a section may meet at the same time", () => {
+  const conflicts = findScheduleConflicts(
+    { ...existing, room: "Room 202", teacher_id: 8, batch: "B" },
+    existing
+  );
+  assert.deepStrictEqual(conflicts, []);
+  assert.deepStrictEqual(groupConflicts([]), { room: [], teacher: [], section: [] });
+});
+
+const booking = (extra) => ({
+  ref: { schedule_id: 1 },
+  subject_id: 10,
+  program_id: 2,
+  year_level: 1,
+  batch: "A",
+  teacher_id: 7,
+  room: "Room 101",
+  days: ["Monday"],
+  start: timetable.toMinutes("08:00"),
+  end: timetable.toMinutes("09:30"),
+  ...extra,
+});
+
+test("the timetable generator sees the same double bookings", () => {
+  const conflicts = timetable.findConflicts(booking({ ref: { entry_id: 1 }, subject_id: 11 }), [booking()]);
+  assert.deepStrictEqual(types(conflicts), ["room", "teacher", "section"]);
+  assert.deepStrictEqual(conflicts[0].with, { schedule_id: 1, subject_id: 10 });
+});
+
+test("teacher availability and daily load limits are enforced", () => {
+  const teacher = { availability: [{ day_of_week: "Monday", start_time: "13:00", end_time: "17:00" }] };
+  const morning = booking({ room: "Room 202", program_id: 3 });
+  assert.deepStrictEqual(types(timetable.findConflicts(morning, [], { teacher })), ["teacher_availability"]);
+
+  const fullDay = booking({ start: timetable.toMinutes("08:00"), end: timetable.toMinutes("14:00") });
+  const evening = booking({ room: "Room 202", program_id: 3, start: timetable.toMinutes("15:00"), end: timetable.toMinutes("16:00") });
+  assert.deepStrictEqual(types(timetable.findConflicts(evening, [fullDay])), ["teacher_load"]);
+});
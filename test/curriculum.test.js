@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const curriculum = require("../services/curriculum");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+const { CurriculumError } = curriculum;
+
+const curricula = [
+  { curriculum_id: 1, program_id: 1, code: "BSCS-2018", is_active: true, effective_from_year: 2018, effective_to_year: 2021 },
+  { curriculum_id: 2, program_id: 1, code: "BSCS-2022", is_active: true, effective_from_year: 2022, effective_to_year: null },
+  { curriculum_id: 3, program_id: 1, code: "BSCS-2024-draft", is_active: false, effective_from_year: 2024, effective_to_year: null },
+];
+
+test("students get the curriculum in effect for their admission year", async () => {
+  const supabase = createFakeSupabase({ curricula });
+
+  assert.strictEqual((await curriculum.findEffectiveCurriculum(supabase, 1, 2020)).code, "BSCS-2018");
+  assert.strictEqual((await curriculum.findEffectiveCurriculum(supabase, 1, 2025)).code, "BSCS-2022");
+  assert.strictEqual(await curriculum.findEffectiveCurriculum(supabase, 1, 2010), null);
+});
+
+test("a student without a curriculum is pinned to the effective one", async () => {
+  const supabase = createFakeSupabase({
+    curricula,
+    students: [{ student_id: "S1", program_id: 1, admission_year: 2019, curriculum_id: null }],
+  });
+
+  const resolved = await curriculum.resolveStudentCurriculum(supabase, silentLogger, supabase.tables.students[0]);
+
+  assert.strictEqual(resolved.curriculum_id, 1);
+  assert.strictEqual(supabase.tables.students[0].curriculum_id, 1);
+});
+
+function requisites({ students = [] } = {}) {
+  return createFakeSupabase({
+    students,
+    curriculum_subjects: [10, 20, 30].map((subject_id) => ({ curriculum_id: 2, subject_id })),
+    curriculum_requisites: [
+      { curriculum_id: 2, subject_id: 20, requisite_subject_id: 10, kind: "prerequisite" },
+      { curriculum_id: 2, subject_id: 30, requisite_subject_id: 20, kind: "prerequisite" },
+    ],
+  });
+}
+
+test("prerequisites that would form a loop are refused", async () => {
+  const supabase = requisites();
+
+  await assert.rejects(
+    curriculum.addRequisite(supabase, 2, { subject_id: 10, requisite_subject_id: 30, kind: "prerequisite" }),
+    /create a cycle/
+  );
+  await assert.rejects(
+    curriculum.addRequisite(supabase, 2, { subject_id: 10, requisite_subject_id: 10, kind: "prerequisite" }),
+    /its own requisite/
+  );
+
+  // The same pair as a co-requisite is no loop
+  const added = await curriculum.addRequisite(supabase, 2, { subject_id: 10, requisite_subject_id: 30, kind: "corequisite" });
+  assert.strictEqual(added.kind, "corequisite");
+});
+
+test("a curriculum students follow can no longer be edited", async () => {
+  const supabase = requisites({ students: [{ student_id: "S1", curriculum_id: 2 }] });
+
+  await assert.rejects(
+    curriculum.addRequisite(supabase, 2, { subject_id: 30, requisite_subject_id: 10, kind: "prerequisite" }),
+    (err) => err instanceof CurriculumError && err.status === 409
+  );
+});
+
+test("term subjects come from the curriculum, or course_subjects without one", async () => {
+  const supabase = createFakeSupabase({
+    semesters: [{ semester_id: 5, semester_name: "2nd Semester" }],
+    curriculum_subjects: [
+      { curriculum_id: 2, subject_id: 10, year_level: 1, term: "1st Semester", course_subjects: { subject_id: 10, subject_code: "CS101" } },
+      { curriculum_id: 2, subject_id: 20, year_level: 1, term: "2nd Semester", course_subjects: { subject_id: 20, subject_code: "CS102" } },
+    ],
+    curriculum_requisites: [{ curriculum_id: 2, subject_id: 20, requisite_subject_id: 10, kind: "prerequisite", group_no: null }],
+    course_subjects: [
+      { subject_id: 10, subject_code: "CS101", program_id: 1, year_level: 1, semester_id: 4 },
+      { subject_id: 20, subject_code: "CS102", program_id: 1, year_level: 1, semester_id: 5, prerequisite_id: 10 },
+    ],
+  });
+
+  const fromCurriculum = await curriculum.getTermSubjects(supabase, { program_id: 1, curriculum_id: 2, year_level: 1, semester_id: 5 });
+  assert.deepStrictEqual(fromCurriculum.map((s) => [s.subject_code, s.prerequisite_ids]), [["CS102", [10]]]);
+
+  const legacy = await curriculum.getTermSubjects(supabase, { program_id: 1, year_level: 1, semester_id: 5 });
+  assert.deepStrictEqual(legacy.map((s) => [s.subject_code, s.prerequisite_ids]), [["CS102", [10]]]);
+});
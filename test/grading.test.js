@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const grading = require("../services/grading");
+const { ROLES } = require("../middleware/auth");
+const { createFakeSupabase } = require("./support/fakesupabase");
+
+const { GradingError } = grading;
+
+test("grades from 1.00 to 5.00 in quarter steps are accepted", () => {
+  assert.strictEqual(grading.GRADE_SCALE.length, 17);
+  for (const value of ["1", "1.25", "2.75", 3, "3.25", "4.00", "4.5", 5]) {
+    assert.strictEqual(grading.parseGrade(value), Number(value));
+  }
+  assert.strictEqual(grading.parseGrade(""), null);
+});
+
+test("grades off the scale and codes outside the final grade are rejected", () => {
+  for (const value of ["0.75", "1.1", "3.3", "5.25", "A"]) {
+    assert.throws(() => grading.parseGrade(value), GradingError);
+  }
+  assert.throws(() => grading.parseGrade("INC"), /only valid as a final grade/);
+  assert.strictEqual(grading.parseGrade("inc", { allowCode: true }), "INC");
+});
+
+test("3.00 is the lowest passing grade", () => {
+  assert.strictEqual(grading.gradeRemark({ final_grade: 3.0 }), "Passed");
+  assert.strictEqual(grading.gradeRemark({ final_grade: 3.25 }), "Failed");
+  assert.strictEqual(grading.gradeRemark({ final_grade: 4.0 }), "Failed");
+  assert.strictEqual(grading.gradeRemark({ final_grade: null, grade_code: "DRP" }), "DRP");
+  assert.strictEqual(grading.gradeRemark({ final_grade: null }), null);
+});
+
+const student = (student_id, last_name) => ({ student_id, first_name: "A", last_name });
+
+test("a class roster lists only the students seated in that section", async () => {
+  const supabase = createFakeSupabase({
+    course_schedules: [
+      { schedule_id: 1, subject_id: 10, semester_id: 3, teacher_id: 7 },
+      { schedule_id: 2, subject_id: 10, semester_id: 3, teacher_id: 8 },
+    ],
+    enrollments: [
+      { enrollment_id: 1, status: "Enrolled", students: student("S1", "Cruz") },
+      { enrollment_id: 2, status: "Enrolled", students: student("S2", "Bautista") },
+      { enrollment_id: 3, status: "Enrolled", students: student("S3", "Aquino") },
+      { enrollment_id: 4, status: "Pending", students: student("S4", "Dela Cruz") },
+    ],
+    enrollment_subjects: [
+      { enrollment_subject_id: 1, enrollment_id: 1, subject_id: 10, schedule_id: 1, status: "Enrolled" },
+      { enrollment_subject_id: 2, enrollment_id: 2, subject_id: 10, schedule_id: 1, status: "Enrolled" },
+      { enrollment_subject_id: 3, enrollment_id: 3, subject_id: 10, schedule_id: 2, status: "Enrolled" },
+      { enrollment_subject_id: 4, enrollment_id: 3, subject_id: 10, schedule_id: null, status: "Enrolled" },
+      { enrollment_subject_id: 5, enrollment_id: 4, subject_id: 10, schedule_id: 1, status: "Enrolled" },
+    ],
+    grade_sheets: [],
+  });
+
+  const { students } = await grading.getClassSheet(supabase, 1, { role: ROLES.INSTRUCTOR, teacher_id: 7 });
+
+  assert.deepStrictEqual(students.map((s) => s.student_id), ["S2", "S1"]);
+  await assert.rejects(
+    grading.getClassSheet(supabase, 2, { role: ROLES.INSTRUCTOR, teacher_id: 7 }),
+    /not assigned to you/
+  );
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const grants = require("../services/grants");
+const ledger = require("../services/ledger");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+let nextGrantId = 1;
+function grant(type, extra = {}) {
+  const id = nextGrantId++;
+  return {
+    student_grant_id: id,
+    grant_types: {
+      grant_type_id: id,
+      code: type.name,
+      kind: "scholarship",
+      value_type: "percentage",
+      applies_to: "all",
+      stackable: false,
+      priority: 0,
+      ...type,
+    },
+    ...extra,
+  };
+}
+
+const bill = { tuition: 8000, total: 10000 };
+
+test("the student gets the better of the stackable set or one exclusive grant", () => {
+  const stackA = grant({ name: "A", value: 20, stackable: true });
+  const stackB = grant({ name: "B", value_type: "fixed", value: 1500, stackable: true });
+  const exclusive = grant({ name: "Dean's list", value: 30 });
+
+  const withStack = grants.allocateGrants([stackA, stackB, exclusive], bill);
+  assert.deepStrictEqual(withStack.discounts.map((line) => line.name), ["A", "B"]);
+  assert.strictEqual(withStack.total_discount, 3500);
+
+  const bigger = grant({ name: "Full", value: 50 });
+  const withExclusive = grants.allocateGrants([stackA, stackB, bigger], bill);
+  assert.deepStrictEqual(withExclusive.discounts.map((line) => line.name), ["Full"]);
+  assert.strictEqual(withExclusive.student_share, 5000);
+});
+
+test("tuition-only grants are limited to the tuition part of the bill", () => {
+  const allocation = grants.allocateGrants(
+    [grant({ name: "Tuition", value: 100, applies_to: "tuition" })],
+    bill
+  );
+  assert.strictEqual(allocation.total_discount, 8000);
+  assert.strictEqual(allocation.student_share, 2000);
+});
+
+test("max_amount caps a grant and nothing goes below zero", () => {
+  const capped = grants.allocateGrants(
+    [grant({ name: "Capped", value: 50, max_amount: 1000 })],
+    bill
+  );
+  assert.strictEqual(capped.total_discount, 1000);
+
+  const huge = grants.allocateGrants(
+    [grant({ name: "Huge", value_type: "fixed", value: 50000 })],
+    bill
+  );
+  assert.strictEqual(huge.total_discount, 10000);
+  assert.strictEqual(huge.student_share, 0);
+});
+
+test("sponsors pay a share of what is left after discounts", () => {
+  const allocation = grants.allocateGrants(
+    [
+      grant({ name: "Discount", value: 20 }),
+      grant({ name: "LGU", kind: "sponsor", value: 50, sponsor_id: 3, sponsors: { name: "City" } }),
+    ],
+    bill
+  );
+  assert.strictEqual(allocation.total_discount, 2000);
+  assert.strictEqual(allocation.total_sponsored, 4000);
+  assert.strictEqual(allocation.sponsorships[0].sponsor_name, "City");
+  assert.strictEqual(allocation.student_share, 4000);
+});
+
+function studentAccount() {
+  return createFakeSupabase({
+    accounts: [{ account_id: 1, student_id: "S1", total_balance: 0 }],
+    journal_entries: [],
+  });
+}
+
+const post = (supabase, allocation) =>
+  grants.postGrantAllocation(supabase, silentLogger, {
+    enrollment_id: 5,
+    account_id: 1,
+    allocation,
+    created_by: 2,
+  });
+
+test("posting the same allocation twice posts it once", async () => {
+  const supabase = studentAccount();
+  await ledger.postCharge(supabase, silentLogger, { account_id: 1, amount: 10000, description: "Tuition" });
+  const allocation = grants.allocateGrants([grant({ name: "Half", value: 50 })], bill);
+
+  await post(supabase, allocation);
+  await post(supabase, allocation);
+
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 1), 5000);
+});
+
+test("re-posting after the allocation changes keeps only the new lines", async () => {
+  const supabase = studentAccount();
+  await ledger.postCharge(supabase, silentLogger, { account_id: 1, amount: 10000, description: "Tuition" });
+
+  const small = grant({ name: "Small", value: 10, stackable: true });
+  const other = grant({ name: "Other", value: 5, stackable: true });
+  await post(supabase, grants.allocateGrants([small, other], bill));
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 1), 8500);
+
+  // A better exclusive grant replaces both stackable ones
+  const exclusive = grant({ name: "Exclusive", value: 40 });
+  await post(supabase, grants.allocateGrants([small, other, exclusive], bill));
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 1), 6000);
+
+  // The first grant comes back at another amount under a new reference
+  const bigger = { ...small, value_override: 60 };
+  await post(supabase, grants.allocateGrants([bigger, other], bill));
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 1), 3500);
+  assert.ok(
+    supabase.tables.journal_entries.some(
+      (entry) => entry.reference === `grant:5:${small.student_grant_id}#2`
+    )
+  );
+});
+
+test("a sponsor's share moves to the sponsor's account and back when it is dropped", async () => {
+  const supabase = studentAccount();
+  await ledger.postCharge(supabase, silentLogger, { account_id: 1, amount: 10000, description: "Tuition" });
+  const sponsor = grant({ name: "LGU", kind: "sponsor", value: 50, sponsor_id: 3, sponsors: { name: "City" } });
+
+  await post(supabase, grants.allocateGrants([sponsor], bill));
+  const sponsorAccount = supabase.tables.accounts.find((account) => account.sponsor_id === 3);
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 1), 5000);
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, sponsorAccount.account_id), 5000);
+
+  await post(supabase, grants.allocateGrants([], bill));
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 1), 10000);
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, sponsorAccount.account_id), 0);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const ledger = require("../services/ledger");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+function legacyAccounts() {
+  return createFakeSupabase({
+    accounts: [
+      { account_id: 1, student_id: "S1", total_balance: 15000 },
+      { account_id: 2, student_id: "S2", total_balance: 0 },
+      { account_id: 3, student_id: "S3", total_balance: -250 },
+    ],
+    journal_entries: [],
+  });
+}
+
+test("the first payment on a legacy account keeps its stored balance", async () => {
+  const supabase = legacyAccounts();
+
+  const result = await ledger.postPayment(supabase, silentLogger, {
+    account_id: 1,
+    amount: 5000,
+    description: "Payment #10",
+    payment_id: 10,
+    reference: "payment:10",
+  });
+
+  assert.strictEqual(result.balance_after, 10000);
+  const types = supabase.tables.journal_entries.map((entry) => entry.entry_type);
+  assert.deepStrictEqual(types, ["opening", "payment"]);
+  assert.strictEqual(supabase.tables.accounts[0].total_balance, 10000);
+});
+
+test("re-deriving a legacy account's balance does not wipe it", async () => {
+  const supabase = legacyAccounts();
+
+  const { balance_before, balance_after } = await ledger.syncAccountBalance(supabase, silentLogger, 1);
+  assert.strictEqual(balance_before, 15000);
+  assert.strictEqual(balance_after, 15000);
+});
+
+test("credit balances are carried over as negative opening entries", async () => {
+  const supabase = legacyAccounts();
+
+  const entry = await ledger.ensureOpeningBalance(supabase, silentLogger, 3);
+  assert.strictEqual(entry.amount, 250);
+  assert.strictEqual(entry.credit_account, ledger.LEDGER_ACCOUNTS.RECEIVABLE);
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 3), -250);
+});
+
+test("the backfill posts one opening entry per account with a balance, once", async () => {
+  const supabase = legacyAccounts();
+
+  const first = await ledger.backfillOpeningBalances(supabase, silentLogger);
+  assert.strictEqual(first.posted, 2);
+
+  const second = await ledger.backfillOpeningBalances(supabase, silentLogger);
+  assert.strictEqual(second.posted, 0);
+  assert.strictEqual(supabase.tables.journal_entries.length, 2);
+});
+
+test("a reference is only posted once", async () => {
+  const supabase = legacyAccounts();
+  const entry = { account_id: 2, amount: 1200, description: "Tuition", reference: "charge:1" };
+
+  const first = await ledger.postCharge(supabase, silentLogger, entry);
+  const second = await ledger.postCharge(supabase, silentLogger, entry);
+
+  assert.strictEqual(first.duplicate, false);
+  assert.strictEqual(second.duplicate, true);
+  assert.strictEqual(await ledger.getDerivedBalance(supabase, 2), 1200);
+});
+
+test("only adjustments and opening balances may be negative", async () => {
+  const supabase = legacyAccounts();
+
+  await assert.rejects(
+    ledger.postPayment(supabase, silentLogger, { account_id: 2, amount: -10, description: "x" }),
+    ledger.LedgerError
+  );
+  const adjusted = await ledger.postAdjustment(supabase, silentLogger, {
+    account_id: 2,
+    amount: -10,
+    description: "Write-off",
+  });
+  assert.strictEqual(adjusted.balance_after, -10);
+});
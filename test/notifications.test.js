@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const notifications = require("../services/notifications");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+const { PENDING, SENDING, SENT, FAILED } = notifications.MESSAGE_STATUSES;
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+function outbox(messages) {
+  return createFakeSupabase({
+    notification_outbox: messages.map((message, index) => ({
+      message_id: index + 1,
+      channel: "in_app",
+      template_key: "general",
+      student_id: "S1",
+      subject: "Hello",
+      body: "Hi",
+      attempts: 0,
+      max_attempts: 5,
+      ...message,
+    })),
+    student_notifications: [],
+  });
+}
+
+test("an expired sending claim is put back in the queue and delivered", async () => {
+  const supabase = outbox([{ status: SENDING, next_attempt_at: minutesFromNow(-1) }]);
+
+  const summary = await notifications.processOutbox(supabase, silentLogger);
+
+  assert.strictEqual(summary.reclaimed, 1);
+  assert.strictEqual(summary.sent, 1);
+  const [message] = supabase.tables.notification_outbox;
+  assert.strictEqual(message.status, SENT);
+  assert.strictEqual(message.attempts, 2);
+  assert.strictEqual(supabase.tables.student_notifications.length, 1);
+});
+
+test("a claim that has not expired is left to its sender", async () => {
+  const supabase = outbox([{ status: SENDING, next_attempt_at: minutesFromNow(5) }]);
+
+  const summary = await notifications.processOutbox(supabase, silentLogger);
+
+  assert.strictEqual(summary.reclaimed, 0);
+  assert.strictEqual(summary.processed, 0);
+  assert.strictEqual(supabase.tables.notification_outbox[0].status, SENDING);
+});
+
+test("a message out of attempts fails instead of being reclaimed", async () => {
+  const supabase = outbox([{ status: SENDING, attempts: 4, next_attempt_at: minutesFromNow(-1) }]);
+
+  assert.strictEqual(await notifications.reclaimStaleMessages(supabase, silentLogger), 1);
+  assert.strictEqual(supabase.tables.notification_outbox[0].status, FAILED);
+});
+
+test("in-app notes are written with the client that sends them", async () => {
+  const first = outbox([{ status: PENDING, next_attempt_at: minutesFromNow(-1) }]);
+  const second = outbox([{ status: PENDING, next_attempt_at: minutesFromNow(-1) }]);
+
+  await notifications.processOutbox(first, silentLogger);
+  await notifications.processOutbox(second, silentLogger);
+
+  assert.strictEqual(first.tables.student_notifications.length, 1);
+  assert.strictEqual(second.tables.student_notifications.length, 1);
+});
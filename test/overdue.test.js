@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { computePenalties, getPenaltyRule } = require("../services/overdue");
+const { createFakeSupabase } = require("./support/fakesupabase");
+
+const installment = { installment_id: 1, amount: 2000 };
+
+test("no penalty within the grace period", () => {
+  const rule = { penalty_type: "flat", amount: 150, grace_days: 5 };
+  assert.deepStrictEqual(computePenalties(rule, installment, 5), []);
+  assert.deepStrictEqual(computePenalties(null, installment, 40), []);
+});
+
+test("a flat penalty is charged once after the grace period", () => {
+  const rule = { penalty_type: "flat", amount: 150, grace_days: 5 };
+  assert.deepStrictEqual(computePenalties(rule, installment, 6), [{ period: 1, amount: 150 }]);
+  assert.deepStrictEqual(computePenalties(rule, installment, 90), [{ period: 1, amount: 150 }]);
+});
+
+test("percentage penalties add one charge per started month", () => {
+  const rule = { penalty_type: "percent_per_month", amount: 2, grace_days: 0 };
+  assert.deepStrictEqual(computePenalties(rule, installment, 1), [{ period: 1, amount: 40 }]);
+  assert.deepStrictEqual(
+    computePenalties(rule, installment, 61).map((charge) => charge.period),
+    [1, 2, 3]
+  );
+});
+
+test("max_penalty caps the running total", () => {
+  const rule = { penalty_type: "percent_per_month", amount: 2, grace_days: 0, max_penalty: 100 };
+  assert.deepStrictEqual(computePenalties(rule, installment, 100), [
+    { period: 1, amount: 40 },
+    { period: 2, amount: 40 },
+    { period: 3, amount: 20 },
+  ]);
+});
+
+test("a semester's own rule wins over the default rule", async () => {
+  const supabase = createFakeSupabase({
+    penalty_rules: [
+      { rule_id: 1, semester_id: null, is_active: true },
+      { rule_id: 2, semester_id: 4, is_active: true },
+      { rule_id: 3, semester_id: 5, is_active: true },
+      { rule_id: 4, semester_id: 4, is_active: false },
+    ],
+  });
+
+  assert.strictEqual((await getPenaltyRule(supabase, 4)).rule_id, 2);
+  assert.strictEqual((await getPenaltyRule(supabase, 6)).rule_id, 1);
+  assert.strictEqual((await getPenaltyRule(supabase, "4,semester_id.eq.5")).rule_id, 1);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const ENV_KEYS = ["PAYMENT_PROVIDER", "NODE_ENV", "PAYMONGO_SECRET_KEY", "PAYMONGO_WEBHOOK_SECRET"];
+
+// getPaymentProvider caches the provider, so load a fresh copy per case
+function loadProvider(env) {
+  const saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ENV_KEYS) {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+  try {
+    delete require.cache[require.resolve("../services/paymentprovider")];
+    return require("../services/paymentprovider").getPaymentProvider();
+  } finally {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  }
+}
+
+test("PayMongo is the default and needs its secret key", () => {
+  assert.strictEqual(loadProvider({ PAYMONGO_SECRET_KEY: "sk_test_key" }).name, "paymongo");
+  assert.throws(() => loadProvider({}), /PAYMONGO_SECRET_KEY is not set/);
+});
+
+test("the mock provider is only used when asked for, outside production", () => {
+  const mock = loadProvider({ PAYMENT_PROVIDER: "mock", PAYMONGO_WEBHOOK_SECRET: "whsk_local" });
+  assert.strictEqual(mock.name, "mock");
+  assert.strictEqual(mock.webhookSecret, "whsk_local");
+
+  assert.throws(
+    () => loadProvider({ PAYMENT_PROVIDER: "mock", NODE_ENV: "production", PAYMONGO_WEBHOOK_SECRET: "whsk_local" }),
+    /cannot be used in production/
+  );
+});
+
+test("the mock provider has no built-in webhook secret", () => {
+  assert.throws(() => loadProvider({ PAYMENT_PROVIDER: "mock" }), /PAYMONGO_WEBHOOK_SECRET is not set/);
+});
+
+test("mock webhooks verify with the configured secret", () => {
+  const mock = loadProvider({ PAYMENT_PROVIDER: "mock", PAYMONGO_WEBHOOK_SECRET: "whsk_local" });
+  const rawBody = JSON.stringify({ data: { id: "evt_1" } });
+  assert.strictEqual(mock.parseWebhook(rawBody, mock.signEvent(rawBody)).data.id, "evt_1");
+});
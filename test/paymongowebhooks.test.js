@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+const { WebhookSignatureError, verifyPaymongoSignature, ingestWebhook } = require("../services/paymongowebhooks");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+const SECRET = "whsk_test_secret";
+const body = JSON.stringify({ data: { id: "evt_1", attributes: { type: "payment.paid", livemode: false } } });
+
+function sign(rawBody, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000), field = "te" } = {}) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+  return `t=${timestamp},${field}=${signature}`;
+}
+
+test("accepts a correctly signed test-mode delivery", () => {
+  assert.strictEqual(verifyPaymongoSignature(body, sign(body), SECRET), true);
+});
+
+test("checks the live-mode signature for live events", () => {
+  assert.strictEqual(verifyPaymongoSignature(body, sign(body, { field: "li" }), SECRET, { livemode: true }), true);
+  assert.throws(
+    () => verifyPaymongoSignature(body, sign(body), SECRET, { livemode: true }),
+    /Missing live mode signature/
+  );
+});
+
+test("rejects a tampered body or a signature made with another secret", () => {
+  const header = sign(body);
+  assert.throws(() => verifyPaymongoSignature(`${body} `, header, SECRET), WebhookSignatureError);
+  assert.throws(
+    () => verifyPaymongoSignature(body, sign(body, { secret: "whsk_other" }), SECRET),
+    /Signature mismatch/
+  );
+});
+
+test("rejects stale timestamps", () => {
+  const old = Math.floor(Date.now() / 1000) - 3600;
+  assert.throws(
+    () => verifyPaymongoSignature(body, sign(body, { timestamp: old }), SECRET),
+    /outside tolerance/
+  );
+});
+
+test("rejects every delivery when no secret is configured", () => {
+  for (const secret of [undefined, ""]) {
+    assert.throws(() => verifyPaymongoSignature(body, sign(body), secret), /secret is not configured/);
+  }
+});
+
+test("the PayMongo provider never skips the check", () => {
+  const previous = process.env.PAYMONGO_WEBHOOK_SECRET;
+  delete process.env.PAYMONGO_WEBHOOK_SECRET;
+  process.env.PAYMONGO_SECRET_KEY = "sk_test_key";
+  try {
+    const PaymongoProvider = require("../services/paymongoprovider");
+    const provider = new PaymongoProvider();
+    assert.throws(() => provider.parseWebhook(body, sign(body)), WebhookSignatureError);
+
+    process.env.PAYMONGO_WEBHOOK_SECRET = SECRET;
+    assert.strictEqual(provider.parseWebhook(body, sign(body)).data.id, "evt_1");
+  } finally {
+    if (previous === undefined) delete process.env.PAYMONGO_WEBHOOK_SECRET;
+    else process.env.PAYMONGO_WEBHOOK_SECRET = previous;
+  }
+});
+
+// The mock provider checks signatures like PayMongo does
+function deliver(supabase, rawBody = body) {
+  process.env.PAYMENT_PROVIDER = "mock";
+  process.env.PAYMONGO_WEBHOOK_SECRET = SECRET;
+  return ingestWebhook(supabase, silentLogger, { rawBody, signature: sign(rawBody) });
+}
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+// An event type nobody handles, so processing only marks it ignored
+const unhandled = JSON.stringify({ data: { id: "evt_2", attributes: { type: "source.chargeable", livemode: false } } });
+
+function storedEvent(fields) {
+  return createFakeSupabase({
+    webhook_events: [
+      {
+        event_id: "evt_2",
+        event_type: "source.chargeable",
+        payload: JSON.parse(unhandled),
+        attempts: 1,
+        received_at: minutesAgo(60),
+        ...fields,
+      },
+    ],
+  });
+}
+
+test("an event still being processed is a duplicate", async () => {
+  const supabase = storedEvent({ status: "processing", processing_started_at: minutesAgo(1) });
+
+  const result = await deliver(supabase, unhandled);
+
+  assert.strictEqual(result.duplicate, true);
+  assert.strictEqual(supabase.tables.webhook_events[0].status, "processing");
+});
+
+test("an event stuck in processing past its lease is processed again", async () => {
+  const supabase = storedEvent({ status: "processing", processing_started_at: minutesAgo(30) });
+
+  const result = await deliver(supabase, unhandled);
+
+  assert.strictEqual(result.duplicate, undefined);
+  assert.strictEqual(supabase.tables.webhook_events[0].status, "ignored");
+  assert.strictEqual(supabase.tables.webhook_events[0].attempts, 2);
+});
+
+test("processed events are not run again", async () => {
+  const supabase = storedEvent({ status: "ignored", processing_started_at: minutesAgo(30) });
+
+  assert.strictEqual((await deliver(supabase, unhandled)).duplicate, true);
+});
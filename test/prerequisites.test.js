@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const prerequisites = require("../services/prerequisites");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+const { RULES } = prerequisites;
+
+const subject = (subject_id, subject_code, year_level, term, extra = {}) => ({
+  curriculum_id: 1,
+  subject_id,
+  year_level,
+  term,
+  sort_order: subject_id,
+  course_subjects: { subject_id, subject_code, subject_name: subject_code, units: 3 },
+  ...extra,
+});
+
+const requisite = (subject_id, requisite_subject_id, kind = "prerequisite", group_no = null) => ({
+  curriculum_id: 1,
+  subject_id,
+  requisite_subject_id,
+  kind,
+  group_no,
+});
+
+const passed = (subject_id, final_grade = 2.0) => ({
+  subject_id,
+  final_grade,
+  status: "Enrolled",
+  enrollments: { student_id: "S1", semester_id: 1, status: "Enrolled" },
+});
+
+// CS102 needs CS101 and one of MATH1/MATH2; its lab is taken with it;
+// CS201 needs 2nd year standing
+function school({ record = [passed(10), passed(12)], overrides = [] } = {}) {
+  return createFakeSupabase({
+    students: [{ student_id: "S1", program_id: 1, year_level: 1, curriculum_id: 1 }],
+    curricula: [{ curriculum_id: 1, program_id: 1, code: "BSCS-2020" }],
+    curriculum_subjects: [
+      subject(10, "CS101", 1, "1st Semester"),
+      subject(11, "MATH1", 1, "1st Semester"),
+      subject(12, "MATH2", 1, "1st Semester"),
+      subject(20, "CS102", 1, "2nd Semester"),
+      subject(21, "CS102L", 1, "2nd Semester"),
+      subject(30, "CS201", 2, "1st Semester", { min_year_standing: 2 }),
+    ],
+    curriculum_requisites: [
+      requisite(20, 10),
+      requisite(20, 11, "prerequisite", 1),
+      requisite(20, 12, "prerequisite", 1),
+      requisite(21, 20, "corequisite"),
+    ],
+    semesters: [{ semester_id: 2, semester_name: "2nd Semester" }],
+    enrollment_subjects: record,
+    requisite_overrides: overrides,
+  });
+}
+
+async function check(supabase, subject_ids) {
+  const student = await prerequisites.getStudent(supabase, "S1");
+  return prerequisites.checkEligibility(supabase, silentLogger, student, { semester_id: 2, subject_ids });
+}
+
+const rulesOf = (result, subject_id) =>
+  result.subjects.find((s) => s.subject_id === subject_id).blocked_by.map((b) => b.rule);
+
+test("a prerequisite group is met by any one of its subjects", async () => {
+  const result = await check(school(), [20]);
+
+  assert.deepStrictEqual(result.eligible_subject_ids, [20]);
+});
+
+test("every prerequisite group must be met", async () => {
+  const result = await check(school({ record: [passed(10), passed(12, 5.0)] }), [20]);
+
+  assert.deepStrictEqual(result.blocked_subject_ids, [20]);
+  assert.match(result.subjects[0].blocked_by[0].message, /one of MATH1, MATH2/);
+});
+
+test("a co-requisite counts only when it can be taken in the same term", async () => {
+  assert.deepStrictEqual((await check(school(), [20, 21])).eligible_subject_ids, [20, 21]);
+  assert.deepStrictEqual(rulesOf(await check(school(), [21]), 21), [RULES.COREQUISITE]);
+
+  const withoutMath = await check(school({ record: [passed(10)] }), [20, 21]);
+  assert.deepStrictEqual(withoutMath.blocked_subject_ids, [20, 21]);
+});
+
+test("year standing blocks a subject until the student is far enough along", async () => {
+  const result = await check(school(), [30]);
+
+  assert.deepStrictEqual(rulesOf(result, 30), [RULES.YEAR_STANDING]);
+  assert.match(result.subjects[0].blocked_by[0].message, /2nd year standing \(currently 1st year\)/);
+});
+
+test("an active override waives the rules, a revoked one does not", async () => {
+  const overridden = await check(
+    school({ overrides: [{ override_id: 4, student_id: "S1", subject_id: 30, semester_id: null, revoked_at: null }] }),
+    [30]
+  );
+  assert.strictEqual(overridden.subjects[0].eligible, true);
+  assert.strictEqual(overridden.subjects[0].overridden, true);
+
+  const revoked = await check(
+    school({ overrides: [{ override_id: 4, student_id: "S1", subject_id: 30, semester_id: null, revoked_at: "2026-01-01" }] }),
+    [30]
+  );
+  assert.strictEqual(revoked.subjects[0].eligible, false);
+});
+
+test("subjects outside the curriculum are blocked", async () => {
+  assert.deepStrictEqual(rulesOf(await check(school(), [99]), 99), [RULES.NOT_IN_CURRICULUM]);
+});
+
+test("without a selection the term's remaining subjects are checked", async () => {
+  const result = await check(school({ record: [passed(10), passed(12), passed(20)] }), null);
+
+  assert.deepStrictEqual(result.subjects.map((s) => s.subject_code), ["CS102L"]);
+  assert.strictEqual(result.can_enroll, true);
+});
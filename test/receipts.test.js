@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+process.env.RECEIPT_SECRET = "test-receipt-secret";
+
+const receipts = require("../services/receipts");
+const { createFakeSupabase } = require("./support/fakesupabase");
+
+const issued = {
+  or_number: "OR-2026-000001",
+  payment_id: 10,
+  amount: 1500,
+  issued_at: "2026-06-01T08:00:00.000Z",
+};
+const code = crypto
+  .createHmac("sha256", process.env.RECEIPT_SECRET)
+  .update([issued.or_number, issued.payment_id, "1500.00", issued.issued_at].join("|"))
+  .digest("hex")
+  .slice(0, 12)
+  .toUpperCase();
+
+const withReceipt = (verification_code = code) =>
+  createFakeSupabase({
+    official_receipts: [{ receipt_id: 1, ...issued, verification_code, payments: { status: "Completed" } }],
+  });
+
+test("a receipt with its printed code verifies", async () => {
+  const result = await receipts.verifyReceipt(withReceipt(), issued.or_number, code.toLowerCase());
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.receipt.payment_status, "Completed");
+});
+
+test("a missing or wrong code fails", async () => {
+  const supabase = withReceipt();
+  for (const given of [undefined, "", "  "]) {
+    assert.deepStrictEqual(await receipts.verifyReceipt(supabase, issued.or_number, given), {
+      valid: false,
+      reason: "missing_code",
+    });
+  }
+  const wrong = await receipts.verifyReceipt(supabase, issued.or_number, "ABCDEF123456");
+  assert.strictEqual(wrong.reason, "code_mismatch");
+  const short = await receipts.verifyReceipt(supabase, issued.or_number, code.slice(0, 6));
+  assert.strictEqual(short.reason, "code_mismatch");
+});
+
+test("an edited receipt record is reported as tampered", async () => {
+  const supabase = withReceipt();
+  supabase.tables.official_receipts[0].amount = 150;
+  const result = await receipts.verifyReceipt(supabase, issued.or_number, code);
+  assert.strictEqual(result.reason, "tampered_record");
+});
+
+test("codes cannot be computed without RECEIPT_SECRET", async () => {
+  delete process.env.RECEIPT_SECRET;
+  try {
+    await assert.rejects(receipts.verifyReceipt(withReceipt(), issued.or_number, code), /RECEIPT_SECRET is not set/);
+  } finally {
+    process.env.RECEIPT_SECRET = "test-receipt-secret";
+  }
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+process.env.PAYMENT_PROVIDER = "mock";
+process.env.PAYMONGO_WEBHOOK_SECRET = "whsk_test";
+
+const refunds = require("../services/refunds");
+const ledger = require("../services/ledger");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+function paidEnrollment() {
+  return createFakeSupabase({
+    accounts: [{ account_id: 1, student_id: "S1", total_balance: 0 }],
+    payments: [
+      {
+        payment_id: 10,
+        account_id: 1,
+        enrollment_id: 5,
+        amount: 6000,
+        payment_type: "full_payment",
+        status: "Completed",
+        reference_no: "pay_1",
+        accounts: { account_id: 1, student_id: "S1" },
+      },
+    ],
+    enrollment_fees: [
+      { fee_id: 1, enrollment_id: 5, fee_type: "Tuition", amount: 5000, is_paid: true, payment_id: 10 },
+      { fee_id: 2, enrollment_id: 5, fee_type: "Laboratory", amount: 1000, is_paid: true, payment_id: 10 },
+      // Added later and paid by another payment
+      { fee_id: 3, enrollment_id: 5, fee_type: "ID", amount: 200, is_paid: true, payment_id: 11 },
+    ],
+    journal_entries: [],
+    refunds: [],
+  });
+}
+
+const request = (supabase, amount) =>
+  refunds.requestRefund(supabase, silentLogger, { payment_id: 10, amount, reason: "Dropped", requested_by: 1 });
+
+test("concurrent requests cannot reserve more than was paid", async () => {
+  const supabase = paidEnrollment();
+
+  const results = await Promise.allSettled([request(supabase, 4000), request(supabase, 4000)]);
+  const fulfilled = results.filter((result) => result.status === "fulfilled");
+
+  assert.strictEqual(fulfilled.length, 1);
+  assert.match(results.find((result) => result.status === "rejected").reason.message, /exceeds refundable/);
+  assert.strictEqual(supabase.tables.payments[0].refund_reserved, 4000);
+});
+
+test("rejecting a refund frees its amount again", async () => {
+  const supabase = paidEnrollment();
+
+  const refund = await request(supabase, 6000);
+  await refunds.rejectRefund(supabase, silentLogger, refund.refund_id, { reviewed_by: 2, notes: "No" });
+
+  const again = await request(supabase, 6000);
+  assert.strictEqual(again.amount, 6000);
+});
+
+test("a full refund restores only the fees its payment settled", async () => {
+  const supabase = paidEnrollment();
+
+  const refund = await request(supabase);
+  const result = await refunds.approveRefund(supabase, silentLogger, refund.refund_id, { reviewed_by: 2 });
+
+  assert.strictEqual(result.full_refund, true);
+  const paid = supabase.tables.enrollment_fees.map((fee) => fee.is_paid);
+  assert.deepStrictEqual(paid, [false, false, true]);
+  assert.strictEqual(supabase.tables.payments[0].status, "Refunded");
+});
+
+test("a refund that fails after the provider paid out can be resumed", async () => {
+  const supabase = paidEnrollment();
+  const refund = await request(supabase, 1500);
+
+  const postRefund = ledger.postRefund;
+  ledger.postRefund = async () => {
+    throw new Error("database unavailable");
+  };
+  try {
+    await assert.rejects(
+      refunds.approveRefund(supabase, silentLogger, refund.refund_id, { reviewed_by: 2 }),
+      /database unavailable/
+    );
+  } finally {
+    ledger.postRefund = postRefund;
+  }
+
+  const stuck = supabase.tables.refunds[0];
+  assert.strictEqual(stuck.status, "processing");
+  assert.ok(stuck.provider_refund_id);
+
+  const result = await refunds.resumeRefund(supabase, silentLogger, refund.refund_id, { reviewed_by: 2 });
+  assert.strictEqual(result.refund.status, "completed");
+  assert.strictEqual(result.full_refund, false);
+  assert.strictEqual(supabase.tables.journal_entries.filter((e) => e.entry_type === "refund").length, 1);
+});
+
+test("a processing refund without a provider result needs the provider's id", async () => {
+  const supabase = paidEnrollment();
+  const refund = await request(supabase, 1500);
+  supabase.tables.refunds[0].status = "processing";
+
+  await assert.rejects(
+    refunds.resumeRefund(supabase, silentLogger, refund.refund_id, { reviewed_by: 2 }),
+    (err) => err.status === 409
+  );
+  const result = await refunds.resumeRefund(supabase, silentLogger, refund.refund_id, {
+    reviewed_by: 2,
+    provider_refund_id: "ref_123",
+  });
+  assert.strictEqual(result.refund.provider_refund_id, "ref_123");
+});
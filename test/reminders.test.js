@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const reminders = require("../services/reminders");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+const today = new Date().toISOString().split("T")[0];
+
+function dueToday(sends) {
+  return createFakeSupabase(
+    {
+      reminder_rules: [
+        {
+          rule_id: 1,
+          code: "due-today",
+          timing: "on",
+          days: 0,
+          template_key: "payment_reminder",
+          channels: ["in_app"],
+          is_active: true,
+        },
+      ],
+      payment_installments: [
+        {
+          installment_id: 1,
+          installment_number: 2,
+          amount: 1500,
+          due_date: today,
+          status: "pending",
+          enrollments: {
+            enrollment_id: 5,
+            semester_id: 3,
+            students: { student_id: "S1", first_name: "Ana", last_name: "Cruz", email: null },
+          },
+        },
+      ],
+      reminder_runs: [],
+      reminder_sends: sends,
+      notification_outbox: [],
+      student_notifications: [],
+    },
+    { unique: { reminder_sends: ["rule_code", "installment_id"] } }
+  );
+}
+
+const run = (supabase) => reminders.runReminders(supabase, silentLogger, { semester_id: 3 });
+
+test("a reminder that failed is sent again and its record updated", async () => {
+  const supabase = dueToday([
+    { send_id: 1, run_id: 0, rule_code: "due-today", installment_id: 1, student_id: "S1", status: "failed", error: "SMTP down" },
+  ]);
+
+  const summary = await run(supabase);
+
+  assert.strictEqual(summary.planned, 1);
+  assert.strictEqual(summary.sent, 1);
+  assert.strictEqual(supabase.tables.notification_outbox.length, 1);
+  assert.deepStrictEqual(
+    supabase.tables.reminder_sends.map(({ run_id, status, error }) => ({ run_id, status, error })),
+    [{ run_id: summary.run_id, status: "sent", error: null }]
+  );
+});
+
+test("a reminder that went out is not sent twice", async () => {
+  const supabase = dueToday([]);
+
+  await run(supabase);
+  const again = await run(supabase);
+
+  assert.strictEqual(again.planned, 0);
+  assert.strictEqual(supabase.tables.notification_outbox.length, 1);
+  assert.strictEqual(supabase.tables.reminder_sends.length, 1);
+});
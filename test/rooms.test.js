@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const rooms = require("../services/rooms");
+const { createFakeSupabase } = require("./support/fakesupabase");
+
+const registry = () =>
+  createFakeSupabase({
+    rooms: [
+      { room_id: 1, name: "Rm 101", capacity: 40, room_type: "lecture", is_active: true },
+      { room_id: 2, name: "Old Lab", capacity: 30, room_type: "computer_lab", is_active: false },
+    ],
+  });
+
+test("a room name resolves to its registered room however it is written", async () => {
+  const found = await rooms.resolveRoom(registry(), { room: "RM-101" });
+  assert.strictEqual(found.room_id, 1);
+});
+
+test("an unregistered name is kept as free text while the registry fills up", async () => {
+  const found = await rooms.resolveRoom(registry(), { room: " Annex 3 " });
+  assert.deepStrictEqual(found, { room_id: null, name: "Annex 3", registered: false });
+});
+
+test("inactive rooms are refused by id and by name", async () => {
+  const supabase = registry();
+  await assert.rejects(rooms.resolveRoom(supabase, { room_id: 2 }), (err) => err.status === 422);
+  await assert.rejects(rooms.resolveRoom(supabase, { room: "old lab" }), (err) => err.status === 422);
+});
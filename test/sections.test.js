@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const sections = require("../services/sections");
+const { createFakeSupabase, silentLogger } = require("./support/fakesupabase");
+
+const { WAITING, PROMOTED, CANCELLED } = sections.WAITLIST_STATUSES;
+
+const enrollment = (enrollment_id, extra = {}) => ({
+  enrollment_id,
+  student_id: `S${enrollment_id}`,
+  program_id: 1,
+  year_level: 1,
+  semester_id: 3,
+  status: "Enrolled",
+  ...extra,
+});
+
+const section = (schedule_id, extra = {}) => ({
+  schedule_id,
+  subject_id: 10,
+  program_id: 1,
+  year_level: 1,
+  semester_id: 3,
+  batch: `B${schedule_id}`,
+  capacity: 1,
+  ...extra,
+});
+
+function school({ schedules = [section(1)], enrollments = [1, 2, 3].map((id) => enrollment(id)), ...tables } = {}) {
+  return createFakeSupabase({
+    course_schedules: schedules,
+    course_subjects: [{ subject_id: 10, subject_code: "CS101", subject_name: "Programming 1", units: 3 }],
+    enrollments,
+    enrollment_subjects: [],
+    section_waitlist: [],
+    ...tables,
+  });
+}
+
+const seat = (supabase, enrollment_id, extra = {}) =>
+  sections.assignSections(supabase, silentLogger, enrollment(enrollment_id, extra), [{ subject_id: 10 }]);
+
+const statusOf = (supabase, waitlist_id) =>
+  supabase.tables.section_waitlist.find((entry) => entry.waitlist_id === waitlist_id).status;
+
+test("students are seated until the section is full, then waitlisted in order", async () => {
+  const supabase = school();
+
+  assert.strictEqual((await seat(supabase, 1)).seated[0].schedule_id, 1);
+  const second = await seat(supabase, 2);
+  const third = await seat(supabase, 3);
+
+  assert.deepStrictEqual(second.seated, []);
+  assert.strictEqual(second.waitlisted[0].position, 1);
+  assert.strictEqual(third.waitlisted[0].position, 2);
+  assert.strictEqual(supabase.tables.enrollment_subjects.length, 1);
+});
+
+test("the section with the most free seats is used first", async () => {
+  const supabase = school({ schedules: [section(1), section(2, { capacity: 3 })] });
+
+  const placement = await seat(supabase, 1);
+
+  assert.strictEqual(placement.seated[0].schedule_id, 2);
+});
+
+test("a section without a capacity falls back to its room's", async () => {
+  const supabase = school({
+    schedules: [section(1, { capacity: null, room_id: 4 })],
+    rooms: [{ room_id: 4, name: "Room 101", capacity: 1 }],
+  });
+
+  await seat(supabase, 1);
+  const second = await seat(supabase, 2);
+
+  assert.strictEqual(second.waitlisted.length, 1);
+});
+
+test("dropping a subject seats the first student on the waitlist", async () => {
+  const supabase = school();
+  await seat(supabase, 1);
+  const waiting = (await seat(supabase, 2)).waitlisted[0];
+  await seat(supabase, 3);
+
+  // The route deletes the row, then releases the seat
+  supabase.tables.enrollment_subjects.splice(0, 1);
+  const promoted = await sections.releaseSeat(supabase, silentLogger, { enrollment_id: 1, subject_id: 10, schedule_id: 1 });
+
+  assert.deepStrictEqual(promoted.map((entry) => entry.waitlist_id), [waiting.waitlist_id]);
+  assert.strictEqual(statusOf(supabase, waiting.waitlist_id), PROMOTED);
+  assert.strictEqual(supabase.tables.section_waitlist.filter((entry) => entry.status === WAITING).length, 1);
+  assert.deepStrictEqual(
+    supabase.tables.enrollment_subjects.map((row) => [row.enrollment_id, row.schedule_id]),
+    [[2, 1]]
+  );
+});
+
+test("a deleted enrollment gives its seats to the waitlist and leaves it", async () => {
+  const supabase = school();
+  await seat(supabase, 1);
+  const waiting = (await seat(supabase, 2)).waitlisted[0];
+
+  const promoted = await sections.releaseEnrollment(supabase, silentLogger, 1);
+
+  assert.strictEqual(promoted.length, 1);
+  assert.strictEqual(statusOf(supabase, waiting.waitlist_id), PROMOTED);
+  assert.ok(supabase.tables.enrollment_subjects.every((row) => row.enrollment_id !== 1));
+});
+
+test("waitlisted students whose enrollment is no longer active are skipped", async () => {
+  const supabase = school({
+    enrollments: [enrollment(1), enrollment(2, { status: "Cancelled" }), enrollment(3)],
+  });
+  await seat(supabase, 1);
+  const cancelled = (await seat(supabase, 2)).waitlisted[0];
+  const next = (await seat(supabase, 3)).waitlisted[0];
+
+  await sections.releaseEnrollment(supabase, silentLogger, 1);
+
+  assert.strictEqual(statusOf(supabase, cancelled.waitlist_id), CANCELLED);
+  assert.strictEqual(statusOf(supabase, next.waitlist_id), PROMOTED);
+});
+
+test("a term's load skips subjects the student may not take yet", async () => {
+  const supabase = school({
+    students: [{ student_id: "S1", program_id: 1, year_level: 1, curriculum_id: null }],
+    course_subjects: [
+      { subject_id: 10, subject_code: "CS101", program_id: 1, year_level: 1, semester_id: 3 },
+      { subject_id: 11, subject_code: "CS102", program_id: 1, year_level: 1, semester_id: 3, prerequisite_id: 10 },
+    ],
+    semesters: [{ semester_id: 3, semester_name: "1st Semester" }],
+  });
+
+  const placement = await sections.loadTermSubjects(supabase, silentLogger, enrollment(1), [10, 11]);
+
+  assert.deepStrictEqual(placement.seated.map((row) => [row.subject_id, row.schedule_id]), [[10, 1]]);
+  assert.deepStrictEqual(placement.blocked.map((subject) => subject.subject_id), [11]);
+});
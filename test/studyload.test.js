@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+process.env.CALENDAR_SECRET = "test-calendar-secret";
+
+const studyload = require("../services/studyload");
+const { missingSecrets } = require("../config/secrets");
+
+test("a feed token opens only its own student's semester", () => {
+  const token = studyload.computeFeedToken("S1", 3);
+
+  assert.strictEqual(token.length, 32);
+  assert.strictEqual(studyload.verifyFeedToken("S1", "3", token), true);
+  assert.strictEqual(studyload.verifyFeedToken("S2", 3, token), false);
+  assert.strictEqual(studyload.verifyFeedToken("S1", 4, token), false);
+  assert.strictEqual(studyload.verifyFeedToken("S1", 3, `${token.slice(1)}0`), false);
+  assert.strictEqual(studyload.verifyFeedToken("S1", 3, undefined), false);
+  assert.ok(studyload.feedUrl("S1", 3).endsWith(`/api/study-load/feed/S1/3.ics?token=${token}`));
+});
+
+test("feed tokens signed with another key are rejected", () => {
+  const token = studyload.computeFeedToken("S1", 3);
+  process.env.CALENDAR_SECRET = "another-secret";
+  try {
+    assert.strictEqual(studyload.verifyFeedToken("S1", 3, token), false);
+  } finally {
+    process.env.CALENDAR_SECRET = "test-calendar-secret";
+  }
+});
+
+test("feed tokens are not signed without CALENDAR_SECRET", () => {
+  delete process.env.CALENDAR_SECRET;
+  try {
+    assert.throws(() => studyload.computeFeedToken("S1", 3), /CALENDAR_SECRET is not set/);
+    assert.throws(() => studyload.verifyFeedToken("S1", 3, "x"), /CALENDAR_SECRET is not set/);
+    assert.ok(missingSecrets().includes("CALENDAR_SECRET"));
+  } finally {
+    process.env.CALENDAR_SECRET = "test-calendar-secret";
+  }
+});
@@ -0,0 +1,260 @@
+// In-memory stand-in for the parts of the supabase-js query builder the
+// services use. Column lists are ignored: rows come back whole. Embedded
+// selects ("table ( ... )", "alias:fk_column ( ... )", "table!inner ( ... )")
+// are joined from the seeded tables by primary key, and filters may name
+// embedded columns ("enrollments.student_id"). Joined data a test puts on
+// a row itself is left alone. `unique` ({ table: [columns] }) makes
+// inserts fail with 23505 like a unique constraint. Like the API, a select
+// returns at most MAX_ROWS rows.
+
+// Generated primary key per table (others get "id")
+const PRIMARY_KEYS = {
+  accounts: "account_id",
+  course_schedules: "schedule_id",
+  course_subjects: "subject_id",
+  curricula: "curriculum_id",
+  enrollments: "enrollment_id",
+  enrollment_subjects: "enrollment_subject_id",
+  rooms: "room_id",
+  section_waitlist: "waitlist_id",
+  semesters: "semester_id",
+  students: "student_id",
+  teachers: "teacher_id",
+  journal_entries: "entry_id",
+  notification_outbox: "message_id",
+  account_transactions: "transaction_id",
+  enrollment_fees: "fee_id",
+  payment_installments: "installment_id",
+  payments: "payment_id",
+  refunds: "refund_id",
+  reminder_runs: "run_id",
+  reminder_sends: "send_id",
+  student_grants: "student_grant_id",
+  student_notifications: "notification_id",
+};
+
+const MAX_ROWS = 1000;
+
+const keyOf = (table) => PRIMARY_KEYS[table] || "id";
+
+const valueAt = (row, column) => column.split(".").reduce((value, key) => value?.[key], row);
+
+// Top-level entries of a select list, with each embed's own list parsed
+function parseSelect(columns = "*") {
+  const entries = [];
+  let depth = 0;
+  let current = "";
+  for (const char of `${columns},`) {
+    if (char === "," && depth === 0) {
+      if (current.trim()) entries.push(current.trim());
+      current = "";
+      continue;
+    }
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    current += char;
+  }
+
+  return entries
+    .filter((entry) => entry.includes("("))
+    .map((entry) => {
+      const open = entry.indexOf("(");
+      const header = entry.slice(0, open).trim();
+      const [alias, target = alias] = header.split(":").map((part) => part.trim());
+      const [ref, modifier] = target.split("!");
+      return {
+        alias: alias.split("!")[0],
+        ref,
+        inner: modifier === "inner",
+        embeds: parseSelect(entry.slice(open + 1, entry.lastIndexOf(")"))),
+      };
+    });
+}
+
+function createFakeSupabase(tables = {}, { unique = {} } = {}) {
+  const nextIds = {};
+
+  function nextId(table) {
+    const key = PRIMARY_KEYS[table] || "id";
+    if (nextIds[table] === undefined) {
+      nextIds[table] = (tables[table] || []).reduce((max, row) => Math.max(max, Number(row[key]) || 0), 0) + 1;
+    }
+    return { key, value: nextIds[table]++ };
+  }
+
+  // A copy of the row with its embeds joined in; null when an !inner embed
+  // has nothing to join
+  function withEmbeds(table, row, embeds) {
+    const view = { ...row };
+    for (const embed of embeds) {
+      if (view[embed.alias] !== undefined) continue;
+
+      // "alias:fk_column" names the foreign key; otherwise the embed is a table
+      const target = tables[embed.ref] ? embed.ref : embed.alias;
+      if (!tables[target]) continue;
+
+      const targetKey = keyOf(target);
+      const column = tables[embed.ref] ? (row[targetKey] !== undefined ? targetKey : null) : embed.ref;
+      let value;
+      if (column) {
+        const match = tables[target].find(
+          (other) => row[column] !== null && row[column] !== undefined && String(other[targetKey]) === String(row[column])
+        );
+        value = match ? withEmbeds(target, match, embed.embeds) : null;
+      } else {
+        const sourceKey = keyOf(table);
+        value = tables[target]
+          .filter((other) => String(other[sourceKey]) === String(row[sourceKey]))
+          .map((other) => withEmbeds(target, other, embed.embeds))
+          .filter(Boolean);
+      }
+
+      if (embed.inner && (value === null || value.length === 0)) return null;
+      view[embed.alias] = value;
+    }
+    return view;
+  }
+
+  function from(table) {
+    tables[table] = tables[table] || [];
+    const rows = tables[table];
+    const filters = [];
+    const orders = [];
+    let operation = "select";
+    let payload = null;
+    let single = null;
+    let range = null;
+    let countOnly = false;
+    let embeds = [];
+
+    const builder = {
+      select(columns, options = {}) {
+        embeds = parseSelect(columns);
+        if (options.head) countOnly = true;
+        return builder;
+      },
+      insert(values) {
+        operation = "insert";
+        payload = Array.isArray(values) ? values : [values];
+        return builder;
+      },
+      update(values) {
+        operation = "update";
+        payload = values;
+        return builder;
+      },
+      delete() {
+        operation = "delete";
+        return builder;
+      },
+      eq(column, value) {
+        filters.push((row) => String(valueAt(row, column)) === String(value));
+        return builder;
+      },
+      neq(column, value) {
+        filters.push((row) => String(valueAt(row, column)) !== String(value));
+        return builder;
+      },
+      in(column, values) {
+        filters.push((row) => values.map(String).includes(String(valueAt(row, column))));
+        return builder;
+      },
+      is(column, value) {
+        filters.push((row) => (valueAt(row, column) ?? null) === value);
+        return builder;
+      },
+      gt(column, value) {
+        filters.push((row) => valueAt(row, column) > value);
+        return builder;
+      },
+      gte(column, value) {
+        filters.push((row) => valueAt(row, column) >= value);
+        return builder;
+      },
+      lt(column, value) {
+        filters.push((row) => valueAt(row, column) < value);
+        return builder;
+      },
+      lte(column, value) {
+        filters.push((row) => valueAt(row, column) <= value);
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        orders.push({ column, ascending });
+        return builder;
+      },
+      limit(count) {
+        range = [0, count - 1];
+        return builder;
+      },
+      range(start, end) {
+        range = [start, end];
+        return builder;
+      },
+      maybeSingle() {
+        single = "maybe";
+        return builder;
+      },
+      single() {
+        single = "one";
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve(execute()).then(resolve, reject);
+      },
+    };
+
+    function execute() {
+      let result;
+      if (operation === "insert") {
+        const columns = unique[table] || [];
+        const duplicate = columns.length > 0 && payload.some((values) =>
+          rows.some((row) => columns.every((column) => String(row[column]) === String(values[column])))
+        );
+        if (duplicate) {
+          return { data: null, error: { code: "23505", message: "duplicate key value violates unique constraint" } };
+        }
+        result = payload.map((values) => {
+          const { key, value } = nextId(table);
+          const row = { [key]: value, ...values };
+          rows.push(row);
+          return { ...row };
+        });
+      } else {
+        const hits = rows
+          .map((row) => ({ row, view: withEmbeds(table, row, embeds) }))
+          .filter(({ view }) => view && filters.every((filter) => filter(view)));
+        if (operation === "update") {
+          hits.forEach(({ row }) => Object.assign(row, payload));
+        } else if (operation === "delete") {
+          for (const { row } of hits) rows.splice(rows.indexOf(row), 1);
+        }
+        let matched = hits.map(({ row, view }) => (operation === "select" ? view : row));
+        for (const { column, ascending } of [...orders].reverse()) {
+          matched = [...matched].sort((a, b) => {
+            if (a[column] === b[column]) return 0;
+            return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+          });
+        }
+        if (range) matched = matched.slice(range[0], range[1] + 1);
+        if (operation === "select") matched = matched.slice(0, MAX_ROWS);
+        result = matched.map((row) => ({ ...row }));
+      }
+
+      if (countOnly) return { data: null, count: result.length, error: null };
+      if (!single) return { data: result, error: null };
+      if (result.length === 0 && single === "one") {
+        return { data: null, error: { code: "PGRST116", message: "No rows found" } };
+      }
+      return { data: result[0] || null, error: null };
+    }
+
+    return builder;
+  }
+
+  return { from, tables };
+}
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+module.exports = { createFakeSupabase, silentLogger };
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const transcripts = require("../services/transcripts");
+const { createFakeSupabase } = require("./support/fakesupabase");
+
+const subject = (subject_code, units, extra = {}) => ({
+  subject_id: subject_code,
+  status: "Enrolled",
+  midterm_grade: null,
+  final_grade: null,
+  grade_remark: null,
+  course_subjects: { subject_code, subject_name: subject_code, units },
+  ...extra,
+});
+
+const term = (enrollment_id, start_date, enrollment_subjects, status = "Completed") => ({
+  enrollment_id,
+  student_id: "S1",
+  status,
+  semesters: { semester_id: enrollment_id, semester_name: "Semester", school_year: "2025-2026", start_date },
+  enrollment_subjects,
+});
+
+function record() {
+  return createFakeSupabase({
+    students: [{ student_id: "S1", first_name: "Ana", last_name: "Cruz" }],
+    enrollments: [
+      term(2, "2026-01-12", [
+        subject("CS201", 3, { final_grade: "5.00" }),
+        subject("MATH1", 3, { final_grade: "1.00", status: "Credited" }),
+      ]),
+      term(1, "2025-08-11", [
+        subject("CS101", 3, { final_grade: "1.50" }),
+        subject("CS102", 2, { final_grade: "2.00" }),
+        subject("PE1", 2, { grade_remark: "INC" }),
+        subject("NSTP1", 3, { final_grade: "2.00", status: "Dropped" }),
+      ]),
+      term(3, "2026-08-10", [subject("CS301", 3, { final_grade: "1.00" })], "Pending"),
+    ],
+  });
+}
+
+test("the GWA is weighted by units and counts failing grades", async () => {
+  const { terms, summary } = await transcripts.buildTranscript(record(), "S1");
+
+  assert.deepStrictEqual(terms.map((t) => [t.enrollment_id, t.gpa]), [[1, 1.7], [2, 5]]);
+  assert.strictEqual(summary.gwa, 2.9375);
+  assert.strictEqual(summary.units_attempted, 8);
+});
+
+test("INC, dropped and credited subjects are listed but left out of the GWA", async () => {
+  const { terms, summary } = await transcripts.buildTranscript(record(), "S1");
+  const remarks = terms.flatMap((t) => t.subjects.map((s) => [s.subject_code, s.remark, s.counts_in_gwa]));
+
+  assert.deepStrictEqual(remarks, [
+    ["CS101", "Passed", true],
+    ["CS102", "Passed", true],
+    ["NSTP1", "DRP", false],
+    ["PE1", "INC", false],
+    ["CS201", "Failed", true],
+    ["MATH1", "Credited", false],
+  ]);
+  assert.strictEqual(summary.units_earned, 8);
+  assert.deepStrictEqual([summary.incomplete, summary.dropped, summary.credited], [1, 1, 1]);
+});
+
+test("a student without numeric grades has no GWA yet", async () => {
+  const supabase = createFakeSupabase({
+    students: [{ student_id: "S1" }],
+    enrollments: [term(1, "2025-08-11", [subject("CS101", 3)], "Enrolled")],
+  });
+
+  const { terms, summary } = await transcripts.buildTranscript(supabase, "S1");
+
+  assert.strictEqual(terms[0].subjects[0].remark, "No grade yet");
+  assert.strictEqual(summary.gwa, null);
+  await assert.rejects(transcripts.buildTranscript(supabase, "S2"), /Student not found/);
+});